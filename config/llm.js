@@ -0,0 +1,66 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// LLM CONFIGURATION - Which AI provider reads the documents, and how
+// ═══════════════════════════════════════════════════════════════════════════════
+// LLM_PROVIDER picks the provider (default: groq):
+// - groq    → Groq cloud (Meta Llama models), needs GROQ_API_KEY
+// - openai  → any OpenAI-compatible server: OpenAI itself, a local Ollama
+//             (http://localhost:11434/v1) or llama.cpp server (http://localhost:8080/v1)
+// - gemini  → Google Gemini, needs GEMINI_API_KEY
+// - fixture → replays saved responses from disk, no network at all
+//
+// Every provider has its own model, temperature and timeout settings so
+// switching providers never needs a code change.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+
+// Read a number from the environment, falling back to a default
+const num = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+module.exports = {
+  provider: (process.env.LLM_PROVIDER || 'groq').toLowerCase(),
+
+  // When true, responses from the live provider are saved as fixtures
+  // so the same evaluations can later be replayed offline.
+  // Recordings contain applicant data (names, incomes, grades read from their
+  // documents): fixtures/llm is git-ignored except the committed default.json
+  recordFixtures: process.env.LLM_RECORD_FIXTURES === 'true',
+
+  // How many times an invalid reply (bad JSON, wrong types, out-of-range
+  // values) is sent back to the model with the errors before giving up
+  maxRepairAttempts: Math.max(0, Math.round(num(process.env.LLM_MAX_REPAIR_ATTEMPTS, 2))),
+
+  providers: {
+    groq: {
+      apiKey:      process.env.GROQ_API_KEY,
+      model:       process.env.GROQ_MODEL || 'llama-3.3-70b-versatile',
+      temperature: num(process.env.GROQ_TEMPERATURE, 0.1),
+      timeoutMs:   num(process.env.GROQ_TIMEOUT_MS, 60000)
+    },
+
+    openai: {
+      apiKey:      process.env.OPENAI_API_KEY,
+      baseURL:     process.env.OPENAI_BASE_URL || 'http://localhost:11434/v1',
+      model:       process.env.OPENAI_MODEL || 'llama3.1',
+      temperature: num(process.env.OPENAI_TEMPERATURE, 0.1),
+      timeoutMs:   num(process.env.OPENAI_TIMEOUT_MS, 120000),
+      // Some local servers reject response_format - turn off if needed
+      jsonMode:    process.env.OPENAI_JSON_MODE !== 'false'
+    },
+
+    gemini: {
+      apiKey:      process.env.GEMINI_API_KEY,
+      model:       process.env.GEMINI_MODEL || 'gemini-1.5-flash',
+      temperature: num(process.env.GEMINI_TEMPERATURE, 0.1),
+      timeoutMs:   num(process.env.GEMINI_TIMEOUT_MS, 60000)
+    },
+
+    fixture: {
+      dir:   process.env.LLM_FIXTURE_DIR || path.join(__dirname, '..', 'fixtures', 'llm'),
+      model: 'fixture-replay'
+    }
+  }
+};
@@ -0,0 +1,51 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIL CONFIGURATION - How account emails (verification, password reset) are sent
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIL_TRANSPORT picks the transport (default: console, except in production -
+// NODE_ENV=production - where it must be set: the emails carry live
+// verification and password-reset links that must not end up in the log):
+// - smtp    → a real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS)
+// - outbox  → each email is written to MAIL_OUTBOX_DIR as an .eml file
+// - console → each email is printed to the server log
+//
+// For a local SMTP inbox without an account anywhere, run "npm run mailcatcher"
+// and set MAIL_TRANSPORT=smtp, SMTP_HOST=localhost, SMTP_PORT=1025: every email
+// is captured into the outbox directory instead of being delivered.
+//
+// SMTP_USER/SMTP_PASS are only sent over an encrypted connection (SMTP_SECURE
+// or STARTTLS). SMTP_ALLOW_INSECURE=true lifts that, for a local test server.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const path = require('path');
+
+const num = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+if (process.env.NODE_ENV === 'production' && !process.env.MAIL_TRANSPORT) {
+  throw new Error('MAIL_TRANSPORT must be set in production (smtp, outbox or console)');
+}
+
+module.exports = {
+  transport: (process.env.MAIL_TRANSPORT || 'console').toLowerCase(),
+
+  from: process.env.MAIL_FROM || 'Scholar Portal <no-reply@localhost>',
+
+  // Links in emails point to the frontend pages that use the tokens
+  appUrl: (process.env.FRONTEND_URL || 'http://localhost:5173').replace(/\/+$/, ''),
+
+  smtp: {
+    host:      process.env.SMTP_HOST || 'localhost',
+    port:      num(process.env.SMTP_PORT, 587),
+    // true: TLS from the start (port 465); otherwise STARTTLS when offered
+    secure:    process.env.SMTP_SECURE === 'true',
+    user:      process.env.SMTP_USER || null,
+    pass:      process.env.SMTP_PASS || null,
+    // true: log in even when the server offers no STARTTLS (local test servers only)
+    allowInsecure: process.env.SMTP_ALLOW_INSECURE === 'true',
+    timeoutMs: num(process.env.SMTP_TIMEOUT_MS, 15000)
+  },
+
+  outboxDir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'outbox')
+};
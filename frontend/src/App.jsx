@@ -3,15 +3,24 @@ import { Toaster } from 'react-hot-toast';
 import { AuthProvider, useAuth } from './context/AuthContext';
 import LoginPage    from './pages/LoginPage';
 import RegisterPage from './pages/RegisterPage';
+import VerifyEmailPage    from './pages/VerifyEmailPage';
+import ForgotPasswordPage from './pages/ForgotPasswordPage';
+import ResetPasswordPage  from './pages/ResetPasswordPage';
 import Dashboard    from './pages/Dashboard';
 import ApplyPage    from './pages/ApplyPage';
 import ResultPage   from './pages/ResultPage';
+import ReviewQueuePage  from './pages/ReviewQueuePage';
+import ReviewDetailPage from './pages/ReviewDetailPage';
+import SessionsPage     from './pages/SessionsPage';
 
-// Redirect to login if not authenticated
-function PrivateRoute({ children }) {
+// Redirect to login if not authenticated,
+// and to the dashboard if the user's role is not allowed (roles={['admin']})
+function PrivateRoute({ children, roles }) {
   const { user, loading } = useAuth();
   if (loading) return <div className="flex items-center justify-center h-screen text-gray-400">Loading...</div>;
-  return user ? children : <Navigate to="/login" replace />;
+  if (!user) return <Navigate to="/login" replace />;
+  if (roles && !roles.includes(user.role)) return <Navigate to="/" replace />;
+  return children;
 }
 
 export default function App() {
@@ -22,9 +31,15 @@ export default function App() {
         <Routes>
           <Route path="/login"    element={<LoginPage />} />
           <Route path="/register" element={<RegisterPage />} />
+          <Route path="/verify-email"    element={<VerifyEmailPage />} />
+          <Route path="/forgot-password" element={<ForgotPasswordPage />} />
+          <Route path="/reset-password"  element={<ResetPasswordPage />} />
           <Route path="/"         element={<PrivateRoute><Dashboard /></PrivateRoute>} />
           <Route path="/apply"    element={<PrivateRoute><ApplyPage /></PrivateRoute>} />
           <Route path="/result/:id" element={<PrivateRoute><ResultPage /></PrivateRoute>} />
+          <Route path="/sessions" element={<PrivateRoute><SessionsPage /></PrivateRoute>} />
+          <Route path="/admin"    element={<PrivateRoute roles={['admin']}><ReviewQueuePage /></PrivateRoute>} />
+          <Route path="/admin/applications/:id" element={<PrivateRoute roles={['admin']}><ReviewDetailPage /></PrivateRoute>} />
           <Route path="*"         element={<Navigate to="/" replace />} />
         </Routes>
       </BrowserRouter>
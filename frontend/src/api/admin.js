@@ -0,0 +1,63 @@
+import api from './client';
+
+// Reviewer endpoints (routes/admin.js on the server)
+
+// Every program, inactive ones included (for the queue's program filter)
+export const listPrograms = () =>
+  api.get('/admin/programs').then(r => r.data.programs);
+
+// Application cycles, newest first (for the queue's cycle filter)
+export const listCycles = () =>
+  api.get('/admin/cycles').then(r => r.data.cycles);
+
+export const listApplications = params =>
+  api.get('/admin/applications', { params }).then(r => r.data);
+
+export const getApplication = id =>
+  api.get(`/admin/applications/${id}`).then(r => r.data);
+
+export const getDocuments = id =>
+  api.get(`/admin/applications/${id}/documents`).then(r => r.data.documents);
+
+// Who opened the application's documents, newest first
+export const getAccessLog = id =>
+  api.get(`/admin/applications/${id}/access-log`).then(r => r.data.entries);
+
+export const claimApplication = id =>
+  api.post(`/admin/applications/${id}/claim`).then(r => r.data.application);
+
+export const releaseApplication = id =>
+  api.post(`/admin/applications/${id}/release`).then(r => r.data.application);
+
+// decision: { status, qualified?, justification }
+export const decide = (id, decision) =>
+  api.post(`/admin/applications/${id}/decision`, decision).then(r => r.data.application);
+
+export const requestInfo = (id, message) =>
+  api.post(`/admin/applications/${id}/request-info`, { message }).then(r => r.data.application);
+
+// documents: document keys the applicant uploads again; message is shown to them
+export const requestDocuments = (id, documents, message) =>
+  api.post(`/admin/applications/${id}/request-documents`, { documents, message }).then(r => r.data.application);
+
+// corrections: { field: value }; replaceDecision: also replace a reviewer's qualified
+export const correctFields = (id, corrections, justification, replaceDecision = false) =>
+  api.patch(`/admin/applications/${id}/extracted-data`, { corrections, justification, replace_decision: replaceDecision })
+    .then(r => r.data.application);
+
+// ── Queue Order ─────────────────────────────────────────────────────────
+// The queue page remembers which applications it listed, so the detail page
+// can move to the next/previous one without going back (survives a refresh)
+const QUEUE_KEY = 'reviewQueue';
+
+export function saveQueue(ids) {
+  sessionStorage.setItem(QUEUE_KEY, JSON.stringify(ids));
+}
+
+export function loadQueue() {
+  try {
+    return JSON.parse(sessionStorage.getItem(QUEUE_KEY)) || [];
+  } catch {
+    return [];
+  }
+}
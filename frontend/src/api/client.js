@@ -4,11 +4,70 @@ const api = axios.create({
   baseURL: import.meta.env.VITE_API_URL || 'http://localhost:4000/api',
 });
 
+// Access token (short-lived JWT) and the refresh token that renews it
+// (services/sessions.js on the server)
+const TOKEN_KEY   = 'token';
+const REFRESH_KEY = 'refreshToken';
+
+// Dispatched on window when the session is over and the user must sign in again
+export const SESSION_ENDED = 'auth:session-ended';
+
+export function saveTokens({ token, refresh_token }) {
+  localStorage.setItem(TOKEN_KEY, token);
+  localStorage.setItem(REFRESH_KEY, refresh_token);
+}
+
+export function clearTokens() {
+  localStorage.removeItem(TOKEN_KEY);
+  localStorage.removeItem(REFRESH_KEY);
+}
+
 // Attach JWT to every request automatically
 api.interceptors.request.use(config => {
-  const token = localStorage.getItem('token');
+  const token = localStorage.getItem(TOKEN_KEY);
   if (token) config.headers.Authorization = `Bearer ${token}`;
   return config;
 });
 
-export default api;
\ No newline at end of file
+// One refresh at a time: requests failing meanwhile wait for the same one.
+// A refresh token works once, so another tab may have used it first - then
+// the tokens it saved are used instead
+let refreshing = null;
+function refreshTokens() {
+  if (!refreshing) {
+    const sent = localStorage.getItem(REFRESH_KEY);
+    refreshing = axios.post(`${api.defaults.baseURL}/auth/refresh`, { refresh_token: sent })
+      .then(({ data }) => saveTokens(data))
+      .catch(err => {
+        if (err.response?.data?.code === 'token_rotated' && localStorage.getItem(REFRESH_KEY) !== sent) return;
+        throw err;
+      })
+      .finally(() => { refreshing = null; });
+  }
+  return refreshing;
+}
+
+const endSession = () => {
+  clearTokens();
+  window.dispatchEvent(new Event(SESSION_ENDED));
+};
+
+// An expired access token is renewed and the request sent again, once
+api.interceptors.response.use(null, async error => {
+  const { config, response } = error;
+  const code = response?.status === 401 ? response.data?.code : null;
+
+  if (code === 'session_ended') endSession();
+  if (code !== 'token_expired' || !config || config._retried) throw error;
+
+  config._retried = true;
+  try {
+    await refreshTokens();
+  } catch {
+    endSession();
+    throw error;
+  }
+  return api(config);
+});
+
+export default api;
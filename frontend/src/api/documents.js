@@ -0,0 +1,8 @@
+import api from './client';
+
+// Uploaded documents are opened through short-lived signed links
+// (routes/documents.js on the server); every link handed out is logged.
+// Answers { url, expires_in, file_name, mimetype }
+export const getDocumentLink = (applicationId, docKey, versionId) =>
+  api.get(`/documents/${applicationId}/${docKey}`, { params: versionId ? { version: versionId } : {} })
+    .then(r => r.data);
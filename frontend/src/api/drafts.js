@@ -0,0 +1,36 @@
+import api from './client';
+
+// Draft applications, completed one document at a time (services/drafts.js on the server).
+// Every call answers with the draft as the apply page shows it:
+// { id, program_id, form: { claims, household }, uploads: [{ doc_key, file_name, ... }],
+//   documents: [{ key, label, required, uploaded, file_name }], missing: [...], complete }
+
+// Resumes the applicant's draft for the program if there is one
+export const createDraft = programId =>
+  api.post('/applications/drafts', { program_id: programId }).then(r => r.data.draft);
+
+export const getDraft = id =>
+  api.get(`/applications/drafts/${id}`).then(r => r.data.draft);
+
+// form: { claims: { <claim field>: amount }, household: [{ id, relationship, full_name, status, monthly_income }] }
+export const saveDraftForm = (id, form) =>
+  api.put(`/applications/drafts/${id}/form`, form).then(r => r.data.draft);
+
+// key: document type key, or member_<member id>_<type key> for a household member's proof
+export const uploadDraftDocument = (id, key, file) => {
+  const formData = new FormData();
+  formData.append(key, file);
+  return api.put(`/applications/drafts/${id}/documents/${key}`, formData, {
+    headers: { 'Content-Type': 'multipart/form-data' }
+  }).then(r => r.data.draft);
+};
+
+export const removeDraftDocument = (id, key) =>
+  api.delete(`/applications/drafts/${id}/documents/${key}`).then(r => r.data.draft);
+
+// Answers like POST /applications/submit: { application, job }.
+// replace: id of the applicant's current application of the cycle, withdrawn in its favour
+export const submitDraft = (id, replace) =>
+  api.post(`/applications/drafts/${id}/submit`, { replace }).then(r => r.data);
+
+export const discardDraft = id => api.delete(`/applications/drafts/${id}`);
@@ -0,0 +1,65 @@
+import api from './client';
+
+const FINISHED = ['completed', 'failed'];
+
+// Follow an evaluation job until it completes or fails.
+// Uses the Server-Sent Events stream (read through fetch so the JWT header
+// can be sent) and falls back to polling if streaming is not available.
+// Returns a function that stops watching.
+export function watchJob(jobId, onUpdate) {
+  const controller = new AbortController();
+  let stopped = false;
+  let pollTimer = null;
+
+  const poll = async () => {
+    if (stopped) return;
+    try {
+      const { data } = await api.get(`/applications/jobs/${jobId}`);
+      onUpdate(data.job);
+      if (FINISHED.includes(data.job.status)) return;
+    } catch {
+      // Network hiccup - keep polling
+    }
+    pollTimer = setTimeout(poll, 2000);
+  };
+
+  const stream = async () => {
+    const res = await fetch(`${api.defaults.baseURL}/applications/jobs/${jobId}/events`, {
+      headers: { Authorization: `Bearer ${localStorage.getItem('token')}` },
+      signal: controller.signal,
+    });
+    if (!res.ok || !res.body) throw new Error('Event stream unavailable');
+
+    const reader  = res.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer    = '';
+    let last      = null;
+
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) break;
+      buffer += decoder.decode(value, { stream: true });
+
+      // Events are separated by a blank line; only "data:" lines carry the job
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      for (const event of events) {
+        const line = event.split('\n').find(l => l.startsWith('data: '));
+        if (!line) continue;
+        last = JSON.parse(line.slice(6));
+        onUpdate(last);
+      }
+    }
+
+    // Stream closed before the job finished (server restart, proxy timeout)
+    if (!last || !FINISHED.includes(last.status)) throw new Error('Event stream closed early');
+  };
+
+  stream().catch(() => { if (!stopped) poll(); });
+
+  return () => {
+    stopped = true;
+    controller.abort();
+    clearTimeout(pollTimer);
+  };
+}
@@ -0,0 +1,7 @@
+import api from './client';
+
+// Programs open to applicants, each with its availability, the documents to upload and the rules in effect:
+// [{ id, slug, name, description, open, closed_reason,
+//    documents: [{ key, label, description, accepted_formats, max_size_mb, claim_field, claim_label, required }],
+//    rules: [{ key, value, type, description }] }]
+export const listPrograms = () => api.get('/programs').then(r => r.data.programs);
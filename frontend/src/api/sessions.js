@@ -0,0 +1,8 @@
+import api from './client';
+
+// The user's signed-in devices (routes/auth.js on the server):
+// [{ id, device, user_agent, ip_address, created_at, last_used_at, expires_at, current }]
+export const listSessions = () =>
+  api.get('/auth/sessions').then(r => r.data.sessions);
+
+export const revokeSession = id => api.delete(`/auth/sessions/${id}`);
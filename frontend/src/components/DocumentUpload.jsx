@@ -0,0 +1,73 @@
+import { useRef } from 'react';
+import { Upload, FileImage, CheckCircle, AlertCircle } from 'lucide-react';
+
+// ".jpg" → "JPG" for the upload hints
+const formatList = formats => [...new Set(formats.map(f => f.replace('.', '').toUpperCase().replace('JPEG', 'JPG')))].join(', ');
+
+// One upload box, generated from a document definition of the program
+// (GET /api/programs → documents: [{ key, label, description, accepted_formats, max_size_mb, required }])
+// Files are saved to the draft as soon as they are chosen:
+// fileName - what is saved for this document; state - 'uploading' | 'failed' | undefined
+// ('selected' when the file is only chosen and sent later, e.g. requested documents)
+export default function DocumentUpload({ doc, fileName, preview, state, disabled, onFile, onRemove }) {
+  const inputRef = useRef();
+  const locked = disabled || state === 'uploading';
+
+  // Choosing the same file again after a failed upload still triggers onChange
+  const choose = e => {
+    onFile(e);
+    e.target.value = '';
+  };
+
+  return (
+    <div className="mb-4">
+      <label className="block text-sm font-semibold text-gray-700 mb-2">
+        📄 {doc.label} {doc.required ? <span className="text-red-500">*</span> : <span className="font-normal text-gray-400">(optional)</span>}
+      </label>
+      {doc.description && <p className="text-xs text-gray-500 mb-2">{doc.description}</p>}
+      <div
+        onClick={() => !locked && inputRef.current.click()}
+        className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors ${
+          locked ? 'border-gray-200 bg-gray-50 cursor-not-allowed' :
+          state === 'failed' ? 'border-red-300 bg-red-50' :
+          fileName ? 'border-blue-400 bg-blue-50' : 'border-gray-300 hover:border-blue-400 hover:bg-blue-50'
+        }`}
+      >
+        {preview ? (
+          <img src={preview} alt={doc.label} className="max-h-40 mx-auto rounded-lg object-contain" />
+        ) : fileName ? (
+          <div className="flex items-center justify-center gap-2 text-blue-600">
+            <FileImage className="w-5 h-5" />
+            <span className="font-medium">{fileName}</span>
+          </div>
+        ) : (
+          <div>
+            <Upload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
+            <p className="text-gray-600 font-medium text-sm">Click to upload {doc.label.toLowerCase()}</p>
+            <p className="text-gray-400 text-xs mt-1">{formatList(doc.accepted_formats)} — max {doc.max_size_mb}MB</p>
+          </div>
+        )}
+      </div>
+
+      {/* Upload status of this document */}
+      <div className="flex items-center justify-between mt-1 text-xs">
+        {state === 'uploading' ? (
+          <span className="flex items-center gap-1 text-gray-500">
+            <span className="w-3 h-3 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></span>
+            Uploading and reading...
+          </span>
+        ) : state === 'failed' ? (
+          <span className="flex items-center gap-1 text-red-600"><AlertCircle className="w-3 h-3" /> Upload failed — choose the file again</span>
+        ) : state === 'selected' ? (
+          <span className="flex items-center gap-1 text-blue-600"><FileImage className="w-3 h-3" /> Selected</span>
+        ) : fileName ? (
+          <span className="flex items-center gap-1 text-green-600"><CheckCircle className="w-3 h-3" /> Saved</span>
+        ) : <span />}
+        {fileName && onRemove && !locked && (
+          <button type="button" onClick={onRemove} className="text-gray-400 hover:text-red-600">Remove</button>
+        )}
+      </div>
+      <input ref={inputRef} type="file" accept={doc.accepted_formats.join(',')} className="hidden" onChange={choose} />
+    </div>
+  );
+}
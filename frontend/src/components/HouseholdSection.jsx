@@ -0,0 +1,173 @@
+import { useState } from 'react';
+import DocumentUpload from './DocumentUpload';
+import { Plus, Trash2 } from 'lucide-react';
+
+// Relationships a household can only have one of (same as services/household.js)
+const SINGLE = ['mother', 'father', 'self'];
+
+const relationshipLabel = relationship =>
+  relationship === 'self' ? 'Myself' : relationship.charAt(0).toUpperCase() + relationship.slice(1);
+
+// Member ids are saved with the draft and name the member's proofs
+// (member_<id>_<type key>), so they only ever increase
+const newMember = members => ({
+  id: Math.max(0, ...members.map(m => m.id)) + 1,
+  relationship: '',
+  full_name: '',
+  status: '',
+  monthly_income: ''
+});
+
+// The household members the applicant declares (programs with household_assessment)
+// options: GET /api/programs → household: { relationships, statuses: [{ key, label,
+//   declares_income, counted, proofs: [{ kind, required, types: [...] }] }] }
+// members: [{ id, relationship, full_name, status, monthly_income }]
+// uploadProps(key): DocumentUpload props of a proof (its file in the draft and upload state)
+export default function HouseholdSection({ options, members, onChange, uploadProps, disabled }) {
+  const [chosenTypes, setChosenTypes] = useState({});   // { <member id>_<proof kind>: type key }
+  const statuses = Object.fromEntries(options.statuses.map(status => [status.key, status]));
+
+  const update = (index, changes) => onChange(members.map((m, i) => (i === index ? { ...m, ...changes } : m)));
+  const remove = index => onChange(members.filter((_, i) => i !== index));
+
+  // The type shown for a proof: the one picked, else the one uploaded, else the first
+  const proofType = (member, proof) => {
+    const picked = chosenTypes[`${member.id}_${proof.kind}`];
+    return proof.types.find(t => t.key === picked) ||
+      proof.types.find(t => uploadProps(`member_${member.id}_${t.key}`).fileName) ||
+      proof.types[0];
+  };
+  const setProofType = (member, kind) => e =>
+    setChosenTypes(prev => ({ ...prev, [`${member.id}_${kind}`]: e.target.value }));
+
+  // ── Preview of what the evaluator computes (services/ruleEngine.js) ──
+  // The applicant counts as a member unless declared as "Myself"
+  const living = members.filter(m => statuses[m.status]?.counted);
+  const size = living.length + (members.some(m => m.relationship === 'self') ? 0 : 1);
+  const total = living
+    .filter(m => statuses[m.status].declares_income)
+    .reduce((sum, m) => sum + (parseFloat(m.monthly_income) || 0), 0);
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-xl p-6 mb-6">
+      <h3 className="font-semibold text-gray-800 mb-1">👪 Household Members</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        List everyone in your household, including members who passed away or do not earn.
+        Each status asks for its own proof.
+      </p>
+
+      {members.map((member, index) => {
+        const status = statuses[member.status];
+        const taken = members.filter((m, i) => i !== index).map(m => m.relationship);
+
+        return (
+          <div key={member.id} className="border border-gray-200 rounded-lg p-4 mb-4">
+            <div className="flex items-center justify-between mb-3">
+              <span className="text-sm font-semibold text-gray-700">Member {index + 1}</span>
+              <button
+                type="button"
+                onClick={() => remove(index)}
+                disabled={disabled}
+                className="text-gray-400 hover:text-red-600 disabled:cursor-not-allowed"
+                aria-label={`Remove member ${index + 1}`}
+              >
+                <Trash2 className="w-4 h-4" />
+              </button>
+            </div>
+
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+              <select
+                value={member.relationship}
+                onChange={e => update(index, { relationship: e.target.value })}
+                disabled={disabled}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Relationship *</option>
+                {options.relationships.map(relationship => (
+                  <option
+                    key={relationship}
+                    value={relationship}
+                    disabled={SINGLE.includes(relationship) && taken.includes(relationship)}
+                  >
+                    {relationshipLabel(relationship)}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={member.full_name}
+                onChange={e => update(index, { full_name: e.target.value })}
+                placeholder="Full name"
+                disabled={disabled}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              />
+              <select
+                value={member.status}
+                onChange={e => update(index, { status: e.target.value })}
+                disabled={disabled}
+                className="px-3 py-2 border border-gray-300 rounded-lg text-sm"
+              >
+                <option value="">Status *</option>
+                {options.statuses.map(s => <option key={s.key} value={s.key}>{s.label}</option>)}
+              </select>
+              {status?.declares_income && (
+                <div className="relative">
+                  <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">₱</span>
+                  <input
+                    type="number"
+                    value={member.monthly_income}
+                    onChange={e => update(index, { monthly_income: e.target.value })}
+                    placeholder="Monthly income *"
+                    disabled={disabled}
+                    className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg text-sm"
+                  />
+                </div>
+              )}
+            </div>
+
+            {/* Proofs the status asks for - pick the document type when there are several.
+                A proof can only be uploaded once the member is saved with a status */}
+            {status?.proofs.filter(proof => proof.types.length).map(proof => {
+              const type = proofType(member, proof);
+              return (
+                <div key={proof.kind}>
+                  {proof.types.length > 1 && (
+                    <select
+                      value={type.key}
+                      onChange={setProofType(member, proof.kind)}
+                      disabled={disabled}
+                      className="mb-2 px-3 py-2 border border-gray-300 rounded-lg text-sm"
+                    >
+                      {proof.types.map(t => <option key={t.key} value={t.key}>{t.label}</option>)}
+                    </select>
+                  )}
+                  <DocumentUpload
+                    doc={{ ...type, required: proof.required }}
+                    disabled={disabled}
+                    {...uploadProps(`member_${member.id}_${type.key}`)}
+                  />
+                </div>
+              );
+            })}
+          </div>
+        );
+      })}
+
+      <button
+        type="button"
+        onClick={() => onChange([...members, newMember(members)])}
+        disabled={disabled}
+        className="flex items-center gap-2 text-sm font-medium text-blue-600 hover:text-blue-800 disabled:text-gray-400"
+      >
+        <Plus className="w-4 h-4" /> Add household member
+      </button>
+
+      {living.length > 0 && (
+        <div className="mt-4 p-3 bg-gray-50 rounded-lg text-sm text-gray-600">
+          Household income: <strong className="text-gray-800">₱{total.toLocaleString()}</strong>
+          {' · '}{size} member{size === 1 ? '' : 's'}
+          {' · '}Per person: <strong className="text-gray-800">₱{Math.round(total / size).toLocaleString()}</strong>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,65 @@
+import { CheckCircle, XCircle, Circle } from 'lucide-react';
+
+const STAGE_LABELS = {
+  download: '📥 Preparing your documents',
+  ocr:      '🔍 Extracting text from documents (OCR)',
+  ai:       '🤖 AI is evaluating your application',
+  save:     '💾 Saving results',
+};
+
+function StateIcon({ state }) {
+  if (state === 'done')    return <CheckCircle className="w-4 h-4 text-green-600" />;
+  if (state === 'failed')  return <XCircle className="w-4 h-4 text-red-600" />;
+  if (state === 'running') return <div className="w-4 h-4 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>;
+  return <Circle className="w-4 h-4 text-gray-300" />;
+}
+
+// Live per-stage and per-document progress of an evaluation job
+export default function JobProgress({ job, onRetry }) {
+  const progress = job?.progress;
+  if (!progress) return null;
+
+  return (
+    <div className="bg-white border border-gray-200 rounded-xl p-4">
+      {job.status === 'queued' && (
+        <p className="text-sm text-gray-500 mb-3">⏳ Waiting in queue...</p>
+      )}
+
+      <ul className="space-y-2">
+        {Object.entries(progress.stages).map(([stage, state]) => (
+          <li key={stage}>
+            <div className="flex items-center gap-3">
+              <StateIcon state={state} />
+              <span className={`text-sm ${state === 'pending' ? 'text-gray-400' : 'text-gray-700'}`}>
+                {STAGE_LABELS[stage] || stage}
+              </span>
+            </div>
+
+            {/* Per-document progress while reading the documents */}
+            {stage === 'ocr' && state !== 'pending' && (
+              <ul className="ml-7 mt-2 space-y-1">
+                {Object.entries(progress.documents).map(([doc, docState]) => (
+                  <li key={doc} className="flex items-center gap-2 text-xs text-gray-600">
+                    <StateIcon state={docState} />
+                    {progress.labels?.[doc] || doc.replace(/_/g, ' ')}
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {job.status === 'failed' && (
+        <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
+          <p className="text-sm text-red-700">Processing failed: {job.error || 'Unknown error'}</p>
+          {onRetry && (
+            <button onClick={onRetry} className="mt-2 text-sm font-medium text-red-700 hover:underline">
+              Retry evaluation →
+            </button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
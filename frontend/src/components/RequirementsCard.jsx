@@ -0,0 +1,51 @@
+// Same field/prefix conventions as the backend rule engine (services/ruleEngine.js)
+const RULE_PATTERN = /^(max|min|required)_(.+)$/;
+const MONEY_FIELD  = /income|salary|amount/;
+
+const labelFor = field => {
+  const text = field.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+};
+
+const formatValue = (field, value) =>
+  MONEY_FIELD.test(field) ? `₱${Number(value).toLocaleString()}` : String(value);
+
+// One line per eligibility rule; configuration rules (e.g. income tolerances) are skipped
+function describe({ key, value }) {
+  if (key === 'max_monthly_income') {
+    return ['Combined monthly household income', `₱${Number(value).toLocaleString()} or less`];
+  }
+  if (key === 'max_per_capita_income') {
+    return ['Monthly income per household member', `₱${Number(value).toLocaleString()} or less`];
+  }
+  if (key === 'max_gwa') {
+    const gwa = Number.isInteger(value) ? value.toFixed(1) : value;
+    return ['GWA', `${gwa} or better (1.0 scale)`];
+  }
+
+  const match = key.match(RULE_PATTERN);
+  if (!match) return null;
+  const [, kind, field] = match;
+  const label = labelFor(field);
+
+  if (kind === 'required') {
+    return value === true || value === 'true' ? [label, 'required'] : [label, String(value)];
+  }
+  return [label, `${kind === 'max' ? 'at most' : 'at least'} ${formatValue(field, value)}`];
+}
+
+// rules: the program's rules in effect, [{ key, value, type, description }] (GET /api/programs)
+export default function RequirementsCard({ rules }) {
+  const lines = rules.map(rule => [rule.key, describe(rule)]).filter(([, line]) => line);
+
+  return (
+    <div className="bg-blue-50 border border-blue-200 rounded-xl p-5 mb-6">
+      <h3 className="font-semibold text-blue-800 mb-3">📋 Scholarship Requirements</h3>
+      <ul className="text-sm text-blue-700 space-y-2">
+        {lines.map(([key, [label, requirement]]) => (
+          <li key={key}>✅ {label}: <strong>{requirement}</strong></li>
+        ))}
+      </ul>
+    </div>
+  );
+}
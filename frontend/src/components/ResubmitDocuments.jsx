@@ -0,0 +1,82 @@
+import { useState } from 'react';
+import toast from 'react-hot-toast';
+import { RefreshCw } from 'lucide-react';
+import api from '../api/client';
+import DocumentUpload from './DocumentUpload';
+
+// The documents a reviewer asked for again (document_request from GET /api/applications/:id:
+// { message, documents: [{ key, label, accepted_formats, max_size_mb, file_name }] }).
+// The files are sent together; only these documents are read and evaluated again.
+export default function ResubmitDocuments({ applicationId, request, onSubmitted }) {
+  const [files, setFiles]           = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const choose = (doc, e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (file.size > doc.max_size_mb * 1024 * 1024) {
+      toast.error(`${doc.label} is too large (max ${doc.max_size_mb}MB)`);
+      return;
+    }
+    setFiles(prev => ({ ...prev, [doc.key]: file }));
+  };
+
+  const remove = key => setFiles(prev => {
+    const next = { ...prev };
+    delete next[key];
+    return next;
+  });
+
+  const missing = request.documents.filter(doc => !files[doc.key]);
+
+  const handleSubmit = async () => {
+    const formData = new FormData();
+    for (const doc of request.documents) formData.append(doc.key, files[doc.key]);
+    setSubmitting(true);
+    try {
+      const { data } = await api.post(`/applications/${applicationId}/resubmit`, formData, {
+        headers: { 'Content-Type': 'multipart/form-data' }
+      });
+      toast.success('Documents sent — your application is being evaluated again');
+      onSubmitted(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Upload failed');
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="bg-white border border-blue-200 rounded-xl p-5 mb-6">
+      <h2 className="font-semibold text-gray-800 mb-1 flex items-center gap-2">
+        <RefreshCw className="w-4 h-4" /> Upload Requested Documents
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Replace the documents below. Your other documents and answers are kept.
+      </p>
+
+      {request.documents.map(doc => (
+        <div key={doc.key}>
+          <DocumentUpload
+            doc={{ ...doc, required: true }}
+            fileName={files[doc.key]?.name}
+            state={files[doc.key] ? 'selected' : undefined}
+            disabled={submitting}
+            onFile={e => choose(doc, e)}
+            onRemove={() => remove(doc.key)}
+          />
+          <p className="text-xs text-gray-400 -mt-3 mb-4">Previously uploaded: {doc.file_name}</p>
+        </div>
+      ))}
+
+      <button
+        onClick={handleSubmit}
+        disabled={submitting || missing.length > 0}
+        className="w-full bg-blue-600 text-white py-3 rounded-xl font-semibold hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors flex items-center justify-center gap-2"
+      >
+        {submitting ? (
+          <><span className="w-4 h-4 border-2 border-white border-t-transparent rounded-full animate-spin"></span> Sending...</>
+        ) : 'Send Documents'}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,21 @@
+import { CheckCircle, XCircle, Clock, HelpCircle, PencilLine, MinusCircle } from 'lucide-react';
+
+const STATUS_CONFIG = {
+  qualified:      { icon: <CheckCircle className="w-4 h-4" />, color: 'text-green-600 bg-green-50',  label: 'Qualified'     },
+  disqualified:   { icon: <XCircle    className="w-4 h-4" />, color: 'text-red-600 bg-red-50',     label: 'Disqualified'  },
+  manual_review:  { icon: <Clock      className="w-4 h-4" />, color: 'text-yellow-600 bg-yellow-50',label: 'Under Review'  },
+  info_requested: { icon: <HelpCircle className="w-4 h-4" />, color: 'text-blue-600 bg-blue-50',   label: 'More Information Needed' },
+  pending:        { icon: <Clock      className="w-4 h-4" />, color: 'text-gray-600 bg-gray-50',   label: 'Processing'    },
+  failed:         { icon: <XCircle    className="w-4 h-4" />, color: 'text-orange-600 bg-orange-50',label: 'Processing Failed' },
+  draft:          { icon: <PencilLine className="w-4 h-4" />, color: 'text-slate-600 bg-slate-100', label: 'Draft'         },
+  withdrawn:      { icon: <MinusCircle className="w-4 h-4" />, color: 'text-gray-500 bg-gray-100',  label: 'Withdrawn'     },
+};
+
+export default function StatusBadge({ status, className = '' }) {
+  const cfg = STATUS_CONFIG[status] || STATUS_CONFIG.pending;
+  return (
+    <div className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-sm font-medium ${cfg.color} ${className}`}>
+      {cfg.icon} {cfg.label}
+    </div>
+  );
+}
@@ -1,5 +1,5 @@
 import { createContext, useContext, useState, useEffect } from 'react';
-import api from '../api/client';
+import api, { saveTokens, clearTokens, SESSION_ENDED } from '../api/client';
 
 const AuthContext = createContext();
 
@@ -14,31 +14,55 @@ export function AuthProvider({ children }) {
 
     api.get('/auth/me')
       .then(res => setUser(res.data.user))
-      .catch(() => localStorage.removeItem('token'))
+      .catch(() => clearTokens())
       .finally(() => setLoading(false));
   }, []);
 
+  // The session was revoked or could not be refreshed (api/client.js)
+  useEffect(() => {
+    const onEnded = () => setUser(null);
+    window.addEventListener(SESSION_ENDED, onEnded);
+    return () => window.removeEventListener(SESSION_ENDED, onEnded);
+  }, []);
+
   async function login(email, password) {
     const { data } = await api.post('/auth/login', { email, password });
-    localStorage.setItem('token', data.token);
+    saveTokens(data);
     setUser(data.user);
     return data;
   }
 
   async function register(email, password, full_name) {
     const { data } = await api.post('/auth/register', { email, password, full_name });
-    localStorage.setItem('token', data.token);
+    saveTokens(data);
     setUser(data.user);
     return data;
   }
 
-  function logout() {
-    localStorage.removeItem('token');
+  // Reload the user after their account changed elsewhere (e.g. email verified)
+  async function refreshUser() {
+    const { data } = await api.get('/auth/me');
+    setUser(data.user);
+    return data.user;
+  }
+
+  // Ends the session on the server too; signed out locally even if that fails
+  async function logout() {
+    await api.post('/auth/logout').catch(() => {});
+    clearTokens();
     setUser(null);
   }
 
+  // Signs every device out, this one included
+  async function logoutAll() {
+    const { data } = await api.post('/auth/logout-all');
+    clearTokens();
+    setUser(null);
+    return data;
+  }
+
   return (
-    <AuthContext.Provider value={{ user, loading, login, register, logout }}>
+    <AuthContext.Provider value={{ user, loading, login, register, refreshUser, logout, logoutAll }}>
       {children}
     </AuthContext.Provider>
   );
@@ -0,0 +1,34 @@
+import { useEffect, useRef } from 'react';
+
+// Single-key shortcuts for the whole page: useHotkeys({ j: next, k: prev, Escape: back })
+// Keys are KeyboardEvent.key values. Ignored while typing in a form field
+// (Escape leaves the field instead) or when a modifier (Ctrl/Alt/Meta) is
+// held, so browser shortcuts still work.
+export default function useHotkeys(handlers) {
+  const handlersRef = useRef(handlers);
+
+  useEffect(() => {
+    handlersRef.current = handlers;
+  });
+
+  useEffect(() => {
+    const onKeyDown = event => {
+      if (event.ctrlKey || event.altKey || event.metaKey) return;
+      const target = event.target;
+      const typing = target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName);
+      if (typing) {
+        if (event.key === 'Escape') target.blur();
+        return;
+      }
+
+      const handler = handlersRef.current[event.key];
+      if (handler) {
+        event.preventDefault();
+        handler(event);
+      }
+    };
+
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, []);
+}
@@ -1,111 +1,252 @@
-import { useState, useRef } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useRef, useEffect } from 'react';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import api from '../api/client';
+import { watchJob } from '../api/jobs';
+import { listPrograms } from '../api/programs';
+import { createDraft, getDraft, saveDraftForm, uploadDraftDocument, removeDraftDocument, submitDraft } from '../api/drafts';
+import JobProgress from '../components/JobProgress';
+import RequirementsCard from '../components/RequirementsCard';
+import DocumentUpload from '../components/DocumentUpload';
+import HouseholdSection from '../components/HouseholdSection';
 import toast from 'react-hot-toast';
-import { Upload, FileImage, ArrowLeft } from 'lucide-react';
+import { ArrowLeft, Lock } from 'lucide-react';
 
+// Typed values are saved to the draft once the applicant pauses
+const SAVE_DELAY_MS = 800;
+
+// A program closes with its own window or with the application cycle, whichever is first
+const deadline = p => {
+  const dates = [p.closes_at, p.cycle?.closes_at].filter(Boolean).map(date => new Date(date));
+  return dates.length ? new Date(Math.min(...dates)) : null;
+};
+
+// The application is a draft saved piece by piece (api/drafts.js): each document
+// is uploaded as soon as it is chosen and the typed values are saved as they
+// change, so nothing is lost on a dropped connection. ?draft=<id> resumes one.
 export default function ApplyPage() {
-  const [motherIncome, setMotherIncome]     = useState('');
-  const [fatherIncome, setFatherIncome]     = useState('');
-  const [motherFile, setMotherFile]         = useState(null);
-  const [fatherFile, setFatherFile]         = useState(null);
-  const [reportFile, setReportFile]         = useState(null);
-  const [motherPreview, setMotherPreview]   = useState(null);
-  const [fatherPreview, setFatherPreview]   = useState(null);
-  const [reportPreview, setReportPreview]   = useState(null);
+  const [draft, setDraft]                   = useState(null);  // the draft as the server sees it
+  const [claims, setClaims]                 = useState({});    // { <claim field>: typed value }
+  const [members, setMembers]               = useState([]);    // declared household (see HouseholdSection)
+  const [uploadStates, setUploadStates]     = useState({});    // { <document key>: 'uploading' | 'failed' }
+  const [previews, setPreviews]             = useState({});    // { <document key>: object URL }
+  const [myDrafts, setMyDrafts]             = useState([]);    // [{ id, program_id }] to resume
+  const [current, setCurrent]               = useState(null);  // active application of the open cycle, if any
+  const [replace, setReplace]               = useState(false); // withdraw it on submit (one per cycle)
+  const [saving, setSaving]                 = useState(false);
   const [loading, setLoading]               = useState(false);
-  const [stage, setStage]                   = useState('idle'); // idle | ocr | ai | done
-  const motherInputRef                      = useRef();
-  const fatherInputRef                      = useRef();
-  const reportInputRef                      = useRef();
+  const [job, setJob]                       = useState(null);
+  const [programs, setPrograms]             = useState(null);
+  const [searchParams, setSearchParams]     = useSearchParams();
+  const stopWatchingRef                     = useRef(null);
+  const draftIdRef                          = useRef(null);    // id, or the promise creating it
+  const formRef                             = useRef({ claims: {}, household: [] });  // latest values to save
+  const saveTimerRef                        = useRef(null);
   const navigate                            = useNavigate();
 
-  const handleMotherFile = e => {
-    const f = e.target.files[0];
-    if (!f) return;
-    setMotherFile(f);
-    if (f.type.startsWith('image/')) {
-      setMotherPreview(URL.createObjectURL(f));
-    } else {
-      setMotherPreview(null);
+  // Stop following the job when leaving the page
+  useEffect(() => () => stopWatchingRef.current?.(), []);
+
+  useEffect(() => {
+    listPrograms()
+      .then(setPrograms)
+      .catch(err => {
+        setPrograms([]);
+        toast.error(err.response?.data?.error || 'Failed to load scholarship programs');
+      });
+    api.get('/applications/my')
+      .then(r => {
+        setMyDrafts(r.data.applications.filter(app => app.status === 'draft'));
+        setCurrent(r.data.applications.find(app => app.id === r.data.active_id) || null);
+      })
+      .catch(() => {});
+  }, []);
+
+  // ── Resume a draft (?draft=<id>) ──
+  const draftParam = searchParams.get('draft');
+  useEffect(() => {
+    if (!draftParam || draftParam === draftIdRef.current) return;
+    getDraft(draftParam)
+      .then(saved => {
+        draftIdRef.current = saved.id;
+        formRef.current = saved.form;
+        setDraft(saved);
+        setClaims(saved.form.claims);
+        setMembers(saved.form.household);
+      })
+      .catch(err => {
+        toast.error(err.response?.data?.error || 'Failed to load your draft');
+        navigate('/');
+      });
+  }, [draftParam, navigate]);
+
+  // Chosen program: the draft's, or ?program=<slug> before anything is saved (so it can be linked to)
+  const program = draftParam
+    ? programs?.find(p => p.id === draft?.program_id) || null
+    : programs?.find(p => p.slug === searchParams.get('program') && p.open) || null;
+  const documents = program?.documents || [];
+  const household = program?.household || null;   // set when the program assesses the household
+
+  // Another program starts over - its own draft if there is one
+  const choose = slug => {
+    const chosen = programs.find(p => p.slug === slug);
+    if (chosen.id === program?.id) return;
+    const existing = myDrafts.find(d => d.program_id === chosen.id);
+    clearTimeout(saveTimerRef.current);
+    draftIdRef.current = null;
+    formRef.current = { claims: {}, household: [] };
+    setDraft(null);
+    setClaims({});
+    setMembers([]);
+    setUploadStates({});
+    setPreviews({});
+    setSearchParams(existing ? { draft: existing.id } : { program: slug }, { replace: true });
+  };
+
+  // ── Saving ──
+  // The draft is created on the first change; later calls wait for the same one
+  const ensureDraft = () => {
+    if (!draftIdRef.current) {
+      draftIdRef.current = createDraft(program.id).then(created => {
+        draftIdRef.current = created.id;
+        setMyDrafts(prev => [...prev, { id: created.id, program_id: created.program_id }]);
+        setSearchParams({ draft: created.id }, { replace: true });
+        return created.id;
+      }, err => {
+        draftIdRef.current = null;
+        throw err;
+      });
     }
+    return Promise.resolve(draftIdRef.current);
   };
 
-  const handleFatherFile = e => {
-    const f = e.target.files[0];
-    if (!f) return;
-    setFatherFile(f);
-    if (f.type.startsWith('image/')) {
-      setFatherPreview(URL.createObjectURL(f));
-    } else {
-      setFatherPreview(null);
+  const saveForm = async () => {
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = null;
+    setSaving(true);
+    try {
+      setDraft(await saveDraftForm(await ensureDraft(), formRef.current));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save your application');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const scheduleSave = form => {
+    formRef.current = { ...formRef.current, ...form };
+    clearTimeout(saveTimerRef.current);
+    saveTimerRef.current = setTimeout(saveForm, SAVE_DELAY_MS);
+  };
+
+  // Save typed values still waiting for the timer (a member must be saved before their proofs)
+  const flushSave = () => (saveTimerRef.current ? saveForm() : Promise.resolve());
+
+  // Values to declare: for required documents, and for optional ones once uploaded
+  const uploadedKeys = new Set((draft?.uploads || []).map(upload => upload.doc_key));
+  const claimDocs = documents.filter(doc => doc.claim_field && (doc.required || uploadedKeys.has(doc.key)));
+  const claimTotal = claimDocs.reduce((sum, doc) => sum + parseFloat(claims[doc.claim_field]), 0);
+
+  // Follow real progress from the background worker until it finishes
+  const followJob = started => {
+    setJob(started);
+    stopWatchingRef.current?.();
+    stopWatchingRef.current = watchJob(started.id, update => {
+      setJob(update);
+      if (update.status === 'completed') {
+        toast.success('Application processed!');
+        navigate(`/result/${update.application_id}`);
+      } else if (update.status === 'failed') {
+        toast.error('Processing failed — you can retry');
+      }
+    });
+  };
+
+  const handleRetry = async () => {
+    try {
+      const { data } = await api.post(`/applications/jobs/${job.id}/retry`);
+      followJob(data.job);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Retry failed');
     }
   };
 
-  const handleReportFile = e => {
+  // ── Documents: each one is uploaded (and its text read) as soon as it is chosen ──
+  const setUploadState = (key, state) => setUploadStates(prev => ({ ...prev, [key]: state }));
+
+  const handleFile = key => async e => {
     const f = e.target.files[0];
     if (!f) return;
-    setReportFile(f);
-    if (f.type.startsWith('image/')) {
-      setReportPreview(URL.createObjectURL(f));
-    } else {
-      setReportPreview(null);
+    setPreviews(prev => ({ ...prev, [key]: f.type.startsWith('image/') ? URL.createObjectURL(f) : null }));
+    setUploadState(key, 'uploading');
+    try {
+      await flushSave();
+      setDraft(await uploadDraftDocument(await ensureDraft(), key, f));
+      setUploadState(key, undefined);
+    } catch (err) {
+      setUploadState(key, 'failed');
+      toast.error(err.response?.data?.error || 'Upload failed');
     }
   };
 
-  const handleSubmit = async () => {
-    // Validate all required fields
-    if (!motherIncome || !fatherIncome) {
-      toast.error('Please enter both parent incomes');
-      return;
-    }
-    if (!motherFile || !fatherFile || !reportFile) { 
-      toast.error('Please upload all required documents'); 
-      return; 
-    }
-    
-    const totalIncome = parseFloat(motherIncome) + parseFloat(fatherIncome);
-    if (isNaN(totalIncome)) {
-      toast.error('Please enter valid numeric income values');
-      return;
+  const handleRemove = key => async () => {
+    try {
+      setDraft(await removeDraftDocument(draftIdRef.current, key));
+      setPreviews(prev => ({ ...prev, [key]: null }));
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to remove the document');
     }
+  };
 
-    setLoading(true);
-    setStage('ocr');
-
-    const formData = new FormData();
-    formData.append('mother_income', motherIncome);
-    formData.append('father_income', fatherIncome);
-    formData.append('mother_certificate', motherFile);
-    formData.append('father_certificate', fatherFile);
-    formData.append('report_card', reportFile);
+  // What a document's upload box shows: the file saved in the draft and the upload state
+  const uploadProps = key => {
+    const saved = draft?.uploads.find(upload => upload.doc_key === key);
+    return {
+      fileName: saved?.file_name,
+      preview:  saved ? previews[key] : null,
+      state:    uploadStates[key],
+      onFile:   handleFile(key),
+      onRemove: saved ? handleRemove(key) : null
+    };
+  };
 
-    try {
-      // Simulate stages for UX feedback
-      const stageTimer = setTimeout(() => setStage('ai'), 3000);
+  // ── Typed values ──
+  const setClaim = field => e => {
+    const next = { ...claims, [field]: e.target.value };
+    setClaims(next);
+    scheduleSave({ claims: next });
+  };
 
-      const { data } = await api.post('/applications/submit', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' }
-      });
+  const handleMembers = next => {
+    setMembers(next);
+    scheduleSave({ household: next });
+  };
 
-      clearTimeout(stageTimer);
-      setStage('done');
-      toast.success('Application processed!');
-      navigate(`/result/${data.application.id}`);
+  // The server checks everything the program requires (draft.missing);
+  // typed values waiting to be saved are checked again on submit
+  const uploading = Object.values(uploadStates).includes('uploading');
+  const complete = !!draft?.complete && !uploading;
 
+  const handleSubmit = async () => {
+    if (!program) {
+      toast.error('Please choose a scholarship program');
+      return;
+    }
+    setLoading(true);
+    try {
+      await flushSave();
+      // Server queues the draft and answers 202 with a job to follow
+      const data = await submitDraft(draftIdRef.current, current && replace ? current.id : undefined);
+      toast.success('Application submitted! Evaluating now...');
+      followJob(data.job);
     } catch (err) {
       toast.error(err.response?.data?.error || 'Submission failed');
-      setStage('idle');
     } finally {
       setLoading(false);
     }
   };
 
-  const STAGES = {
-    ocr: '🔍 Extracting text from document (OCR)...',
-    ai:  '🤖 AI is evaluating your application...',
-    done:'✅ Done! Redirecting...',
-  };
+  // Form is locked while submitting and once submitted (a failed job is retried, not resubmitted)
+  const busy = loading || !!job;
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -120,173 +261,144 @@ export default function ApplyPage() {
           Upload a clear photo or scan of your documents. Our AI will evaluate your eligibility automatically.
         </p>
 
-        {/* Requirements Card */}
-        <div className="bg-blue-50 border border-blue-200 rounded-xl p-5 mb-6">
-          <h3 className="font-semibold text-blue-800 mb-3">📋 Scholarship Requirements</h3>
-          <ul className="text-sm text-blue-700 space-y-2">
-            <li>✅ Combined monthly household income: <strong>below ₱30,000</strong></li>
-            <li>✅ GWA: <strong>3.0 or better</strong> (1.0 scale)</li>
-            <li>✅ Currently enrolled student</li>
-          </ul>
+        {/* Program Picker */}
+        <div className="mb-6">
+          <h3 className="font-semibold text-gray-800 mb-3">🎓 Scholarship Program</h3>
+          {!programs ? (
+            <p className="text-sm text-gray-500">Loading programs...</p>
+          ) : programs.length === 0 ? (
+            <p className="text-sm text-gray-500">No scholarship programs are available right now.</p>
+          ) : (
+            <div className="space-y-3">
+              {programs.map(p => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onClick={() => p.open && choose(p.slug)}
+                  disabled={!p.open || busy}
+                  className={`w-full text-left border rounded-xl p-4 transition-colors ${
+                    program?.id === p.id ? 'border-blue-500 bg-blue-50' :
+                    p.open ? 'border-gray-200 bg-white hover:border-blue-300' : 'border-gray-200 bg-gray-50 cursor-not-allowed'
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-4">
+                    <span className={`font-medium ${p.open ? 'text-gray-800' : 'text-gray-400'}`}>{p.name}</span>
+                    {p.open ? (
+                      p.slots && <span className="text-xs text-gray-500">{p.slots - p.slots_filled} of {p.slots} slots left</span>
+                    ) : (
+                      <span className="flex items-center gap-1 text-xs text-gray-400"><Lock className="w-3 h-3" /> {p.closed_reason}</span>
+                    )}
+                  </div>
+                  {p.description && <p className="text-sm text-gray-500 mt-1">{p.description}</p>}
+                  {p.open && deadline(p) && (
+                    <p className="text-xs text-gray-400 mt-1">Applications close {deadline(p).toLocaleDateString()}</p>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
         </div>
 
-        {/* Parent Income Section */}
-        <div className="bg-white border border-gray-200 rounded-xl p-6 mb-6">
-          <h3 className="font-semibold text-gray-800 mb-4">💰 Parent Income Information</h3>
-          
-          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Mother's Monthly Income <span className="text-red-500">*</span>
-              </label>
-              <div className="relative">
-                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">₱</span>
-                <input
-                  type="number"
-                  value={motherIncome}
-                  onChange={(e) => setMotherIncome(e.target.value)}
-                  placeholder="15000"
-                  className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  disabled={loading}
-                />
-              </div>
-            </div>
+        {/* Requirements Card - rendered from the program's rules in effect */}
+        {program && <RequirementsCard rules={program.rules} />}
 
-            <div>
-              <label className="block text-sm font-medium text-gray-700 mb-2">
-                Father's Monthly Income <span className="text-red-500">*</span>
-              </label>
-              <div className="relative">
-                <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">₱</span>
-                <input
-                  type="number"
-                  value={fatherIncome}
-                  onChange={(e) => setFatherIncome(e.target.value)}
-                  placeholder="12000"
-                  className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
-                  disabled={loading}
-                />
-              </div>
-            </div>
-          </div>
+        {/* Declared Values - one input per document that is compared with what the applicant types */}
+        {claimDocs.length > 0 && (
+          <div className="bg-white border border-gray-200 rounded-xl p-6 mb-6">
+            <h3 className="font-semibold text-gray-800 mb-4">💰 Income Information</h3>
 
-          {motherIncome && fatherIncome && !isNaN(parseFloat(motherIncome) + parseFloat(fatherIncome)) && (
-            <div className="mt-4 p-3 bg-gray-50 rounded-lg">
-              <span className="text-sm text-gray-600">Combined Income: </span>
-              <span className="text-lg font-bold text-gray-800">
-                ₱{(parseFloat(motherIncome) + parseFloat(fatherIncome)).toLocaleString()}
-              </span>
+            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              {claimDocs.map(doc => (
+                <div key={doc.key}>
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    {doc.claim_label} <span className="text-red-500">*</span>
+                  </label>
+                  <div className="relative">
+                    <span className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-500">₱</span>
+                    <input
+                      type="number"
+                      value={claims[doc.claim_field] || ''}
+                      onChange={setClaim(doc.claim_field)}
+                      placeholder="15000"
+                      className="w-full pl-8 pr-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-purple-500 focus:border-transparent"
+                      disabled={busy}
+                    />
+                  </div>
+                </div>
+              ))}
             </div>
-          )}
-        </div>
 
-        {/* Document 1: Mother's Income Certificate */}
-        <div className="mb-4">
-          <label className="block text-sm font-semibold text-gray-700 mb-2">
-            📄 Mother's Income Certificate <span className="text-red-500">*</span>
-          </label>
-          <div
-            onClick={() => !loading && motherInputRef.current.click()}
-            className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors ${
-              loading ? 'border-gray-200 bg-gray-50 cursor-not-allowed' :
-              motherFile ? 'border-purple-400 bg-purple-50' : 'border-gray-300 hover:border-purple-400 hover:bg-purple-50'
-            }`}
-          >
-            {motherPreview ? (
-              <img src={motherPreview} alt="Mother Certificate" className="max-h-40 mx-auto rounded-lg object-contain" />
-            ) : motherFile ? (
-              <div className="flex items-center justify-center gap-2 text-purple-600">
-                <FileImage className="w-5 h-5" />
-                <span className="font-medium">{motherFile.name}</span>
-              </div>
-            ) : (
-              <div>
-                <Upload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                <p className="text-gray-600 font-medium text-sm">Click to upload mother's income certificate</p>
-                <p className="text-gray-400 text-xs mt-1">JPG, PNG, PDF — max 10MB</p>
+            {claimDocs.length > 1 && !isNaN(claimTotal) && (
+              <div className="mt-4 p-3 bg-gray-50 rounded-lg">
+                <span className="text-sm text-gray-600">Combined Income: </span>
+                <span className="text-lg font-bold text-gray-800">
+                  ₱{claimTotal.toLocaleString()}
+                </span>
               </div>
             )}
           </div>
-          <input ref={motherInputRef} type="file" accept="image/*,.pdf" className="hidden" onChange={handleMotherFile} />
-        </div>
+        )}
 
-        {/* Document 2: Father's Income Certificate */}
-        <div className="mb-4">
-          <label className="block text-sm font-semibold text-gray-700 mb-2">
-            📄 Father's Income Certificate <span className="text-red-500">*</span>
-          </label>
-          <div
-            onClick={() => !loading && fatherInputRef.current.click()}
-            className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors ${
-              loading ? 'border-gray-200 bg-gray-50 cursor-not-allowed' :
-              fatherFile ? 'border-green-400 bg-green-50' : 'border-gray-300 hover:border-green-400 hover:bg-green-50'
-            }`}
-          >
-            {fatherPreview ? (
-              <img src={fatherPreview} alt="Father Certificate" className="max-h-40 mx-auto rounded-lg object-contain" />
-            ) : fatherFile ? (
-              <div className="flex items-center justify-center gap-2 text-green-600">
-                <FileImage className="w-5 h-5" />
-                <span className="font-medium">{fatherFile.name}</span>
-              </div>
-            ) : (
-              <div>
-                <Upload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                <p className="text-gray-600 font-medium text-sm">Click to upload father's income certificate</p>
-                <p className="text-gray-400 text-xs mt-1">JPG, PNG, PDF — max 10MB</p>
-              </div>
+        {/* Household - members with their status, income and proofs */}
+        {household && (
+          <HouseholdSection
+            options={household}
+            members={members}
+            onChange={handleMembers}
+            uploadProps={uploadProps}
+            disabled={busy}
+          />
+        )}
+
+        {/* Documents - generated from the program's document definitions */}
+        {documents.map(doc => (
+          <DocumentUpload key={doc.key} doc={doc} disabled={busy} {...uploadProps(doc.key)} />
+        ))}
+
+        {/* What is still missing before the draft can be submitted */}
+        {draft && !job && (
+          <div className="mt-4 bg-white border border-gray-200 rounded-xl p-4 text-sm">
+            <p className="text-gray-500 mb-1">
+              {saving ? 'Saving...' : 'Draft saved — you can come back to it from your dashboard.'}
+            </p>
+            {draft.missing.length > 0 && (
+              <ul className="list-disc list-inside text-gray-700">
+                {draft.missing.map(item => <li key={item}>{item}</li>)}
+              </ul>
             )}
           </div>
-          <input ref={fatherInputRef} type="file" accept="image/*,.pdf" className="hidden" onChange={handleFatherFile} />
-        </div>
+        )}
 
-        {/* Document 3: Report Card */}
-        <div className="mb-4">
-          <label className="block text-sm font-semibold text-gray-700 mb-2">
-            📊 Report Card / Grades <span className="text-red-500">*</span>
-          </label>
-          <div
-            onClick={() => !loading && reportInputRef.current.click()}
-            className={`border-2 border-dashed rounded-xl p-6 text-center cursor-pointer transition-colors ${
-              loading ? 'border-gray-200 bg-gray-50 cursor-not-allowed' :
-              reportFile ? 'border-blue-400 bg-blue-50' : 'border-gray-300 hover:border-blue-400 hover:bg-blue-50'
-            }`}
-          >
-            {reportPreview ? (
-              <img src={reportPreview} alt="Report Card" className="max-h-40 mx-auto rounded-lg object-contain" />
-            ) : reportFile ? (
-              <div className="flex items-center justify-center gap-2 text-blue-600">
-                <FileImage className="w-5 h-5" />
-                <span className="font-medium">{reportFile.name}</span>
-              </div>
-            ) : (
-              <div>
-                <Upload className="w-8 h-8 text-gray-400 mx-auto mb-2" />
-                <p className="text-gray-600 font-medium text-sm">Click to upload report card</p>
-                <p className="text-gray-400 text-xs mt-1">JPG, PNG, PDF — max 10MB</p>
-              </div>
-            )}
+        {/* Live evaluation progress */}
+        {job && (
+          <div className="mt-4">
+            <JobProgress job={job} onRetry={handleRetry} />
           </div>
-          <input ref={reportInputRef} type="file" accept="image/*,.pdf" className="hidden" onChange={handleReportFile} />
-        </div>
+        )}
 
-        {/* Status indicator */}
-        {loading && (
-          <div className="mt-4 bg-white border border-gray-200 rounded-xl p-4">
-            <div className="flex items-center gap-3">
-              <div className="w-5 h-5 border-2 border-blue-600 border-t-transparent rounded-full animate-spin"></div>
-              <span className="text-sm text-gray-700">{STAGES[stage]}</span>
-            </div>
+        {/* One active application per cycle: submitting again replaces the current one */}
+        {current && !job && (
+          <div className="mt-4 bg-amber-50 border border-amber-200 rounded-xl p-4 text-sm text-amber-800">
+            <p>
+              You already applied in {current.cycle?.name || 'this cycle'}
+              {current.program && ` to ${current.program.name}`}. Only one application per cycle is considered.
+            </p>
+            <label className="flex items-center gap-2 mt-2 font-medium">
+              <input type="checkbox" checked={replace} onChange={e => setReplace(e.target.checked)} disabled={busy} />
+              Replace my current application (it will be withdrawn)
+            </label>
           </div>
         )}
 
-        <button
-          onClick={handleSubmit}
-          disabled={!motherIncome || !fatherIncome || !motherFile || !fatherFile || !reportFile || loading}
-          className="mt-6 w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white font-semibold py-3 rounded-xl transition-colors"
-        >
-          {loading ? 'Processing...' : 'Submit Application'}
-        </button>
+        {!job && (
+          <button
+            onClick={handleSubmit}
+            disabled={!complete || busy || (current && !replace)}
+            className="mt-6 w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-300 text-white font-semibold py-3 rounded-xl transition-colors"
+          >
+            {loading ? 'Submitting...' : 'Submit Application'}
+          </button>
+        )}
       </div>
     </div>
   );
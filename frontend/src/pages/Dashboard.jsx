@@ -2,28 +2,51 @@ import { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import api from '../api/client';
-import { PlusCircle, LogOut, FileText, CheckCircle, XCircle, Clock } from 'lucide-react';
-
-const STATUS_CONFIG = {
-  qualified:     { icon: <CheckCircle className="w-4 h-4" />, color: 'text-green-600 bg-green-50',  label: 'Qualified'     },
-  disqualified:  { icon: <XCircle    className="w-4 h-4" />, color: 'text-red-600 bg-red-50',     label: 'Disqualified'  },
-  manual_review: { icon: <Clock      className="w-4 h-4" />, color: 'text-yellow-600 bg-yellow-50',label: 'Under Review'  },
-  pending:       { icon: <Clock      className="w-4 h-4" />, color: 'text-gray-600 bg-gray-50',   label: 'Pending'       },
-};
+import StatusBadge from '../components/StatusBadge';
+import toast from 'react-hot-toast';
+import { PlusCircle, LogOut, FileText, ClipboardList, CheckCircle, Circle, CalendarDays, Mail, Monitor } from 'lucide-react';
 
 export default function Dashboard() {
   const { user, logout }       = useAuth();
   const [apps, setApps]        = useState([]);
+  const [cycle, setCycle]      = useState(null);
+  const [closedReason, setClosedReason] = useState(null);
+  const [activeId, setActiveId] = useState(null);
   const [loading, setLoading]  = useState(true);
   const navigate               = useNavigate();
 
-  useEffect(() => {
+  const load = () =>
     api.get('/applications/my')
-      .then(r => setApps(r.data.applications))
+      .then(r => {
+        setApps(r.data.applications);
+        setCycle(r.data.cycle);
+        setClosedReason(r.data.closed_reason);
+        setActiveId(r.data.active_id);
+      })
       .finally(() => setLoading(false));
-  }, []);
 
-  const handleLogout = () => { logout(); navigate('/login'); };
+  useEffect(() => { load(); }, []);
+
+  const handleWithdraw = async id => {
+    try {
+      await api.post(`/applications/${id}/withdraw`);
+      toast.success('Application withdrawn');
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not withdraw the application');
+    }
+  };
+
+  const handleLogout = async () => { await logout(); navigate('/login'); };
+
+  const handleResend = async () => {
+    try {
+      const { data } = await api.post('/auth/resend-verification');
+      toast.success(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not send the verification email');
+    }
+  };
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -35,6 +58,14 @@ export default function Dashboard() {
           <span className="font-bold text-gray-800">Scholar Portal</span>
         </div>
         <div className="flex items-center gap-4">
+          {user?.role === 'admin' && (
+            <Link to="/admin" className="flex items-center gap-1 text-sm text-blue-600 hover:text-blue-800">
+              <ClipboardList className="w-4 h-4" /> Review Queue
+            </Link>
+          )}
+          <Link to="/sessions" className="flex items-center gap-1 text-sm text-gray-600 hover:text-gray-800">
+            <Monitor className="w-4 h-4" /> Devices
+          </Link>
           <span className="text-sm text-gray-600">Hello, <strong>{user?.full_name}</strong></span>
           <button onClick={handleLogout} className="flex items-center gap-1 text-sm text-red-500 hover:text-red-700">
             <LogOut className="w-4 h-4" /> Logout
@@ -57,6 +88,27 @@ export default function Dashboard() {
           </Link>
         </div>
 
+        {/* Applications need a verified email */}
+        {user && !user.email_verified_at && (
+          <div className="flex items-center justify-between gap-4 rounded-xl px-4 py-3 mb-6 text-sm bg-amber-50 text-amber-800 border border-amber-200">
+            <span className="flex items-center gap-2">
+              <Mail className="w-4 h-4 flex-shrink-0" />
+              Verify your email address to submit applications. We sent a link to <strong>{user.email}</strong>.
+            </span>
+            <button onClick={handleResend} className="font-medium whitespace-nowrap hover:underline">Resend email</button>
+          </div>
+        )}
+
+        {/* Application cycle */}
+        {!loading && (
+          <div className={`flex items-center gap-2 rounded-xl px-4 py-3 mb-6 text-sm ${cycle ? 'bg-blue-50 text-blue-800' : 'bg-gray-100 text-gray-600'}`}>
+            <CalendarDays className="w-4 h-4 flex-shrink-0" />
+            {cycle
+              ? <span><strong>{cycle.name}</strong> is open until {new Date(cycle.closes_at).toLocaleDateString()}</span>
+              : <span>{closedReason}</span>}
+          </div>
+        )}
+
         {/* Applications List */}
         {loading ? (
           <p className="text-center text-gray-400 py-20">Loading...</p>
@@ -69,31 +121,111 @@ export default function Dashboard() {
             </Link>
           </div>
         ) : (
-          <div className="space-y-4">
-            {apps.map(app => {
-              const cfg = STATUS_CONFIG[app.status] || STATUS_CONFIG.pending;
-              return (
-                <div key={app.id} className="bg-white rounded-xl border border-gray-200 p-5 flex items-center justify-between hover:shadow-md transition-shadow">
-                  <div>
-                    <div className={`inline-flex items-center gap-1.5 px-3 py-1 rounded-full text-sm font-medium ${cfg.color}`}>
-                      {cfg.icon} {cfg.label}
-                    </div>
-                    <p className="text-gray-500 text-sm mt-2">
-                      Submitted: {new Date(app.submitted_at).toLocaleDateString()}
-                    </p>
-                    {app.confidence_score < 70 && (
-                      <p className="text-yellow-600 text-xs mt-1">⚠️ Low AI confidence — manual review may apply</p>
-                    )}
-                  </div>
-                  <Link to={`/result/${app.id}`}
-                    className="text-blue-600 text-sm font-medium hover:underline"
-                  >View Details →</Link>
+          <div className="space-y-8">
+            {groupByCycle(apps).map(group => (
+              <section key={group.key}>
+                <h2 className="text-sm font-semibold text-gray-500 uppercase tracking-wide mb-3">{group.title}</h2>
+                <div className="space-y-4">
+                  {group.apps.map(app => (
+                    <ApplicationCard key={app.id} app={app} active={app.id === activeId} onWithdraw={handleWithdraw} />
+                  ))}
                 </div>
-              );
-            })}
+              </section>
+            ))}
           </div>
         )}
       </div>
     </div>
   );
-}
\ No newline at end of file
+}
+// Drafts first, then one group per application cycle (newest first), then
+// applications submitted before cycles existed
+function groupByCycle(apps) {
+  const groups = new Map();
+  const drafts = apps.filter(app => app.draft);
+  if (drafts.length) groups.set('drafts', { key: 'drafts', title: 'Drafts', apps: drafts });
+
+  const submitted = apps.filter(app => !app.draft);
+  const byCycle = [...submitted]
+    .filter(app => app.cycle)
+    .sort((a, b) => new Date(b.cycle.opens_at) - new Date(a.cycle.opens_at));
+  for (const app of byCycle) {
+    if (!groups.has(app.cycle.id)) groups.set(app.cycle.id, { key: app.cycle.id, title: app.cycle.name, apps: [] });
+    groups.get(app.cycle.id).apps.push(app);
+  }
+  const earlier = submitted.filter(app => !app.cycle);
+  if (earlier.length) groups.set('earlier', { key: 'earlier', title: 'Earlier applications', apps: earlier });
+  return [...groups.values()];
+}
+
+// active: the applicant's current application of its cycle, the one they can withdraw
+function ApplicationCard({ app, active, onWithdraw }) {
+  const [confirming, setConfirming] = useState(false);
+  return (
+    <div className="bg-white rounded-xl border border-gray-200 p-5 flex items-center justify-between hover:shadow-md transition-shadow">
+      <div>
+        {app.program && <p className="font-medium text-gray-800 mb-2">{app.program.name}</p>}
+        <StatusBadge status={app.status} />
+        {app.draft ? (
+          <DraftProgress app={app} />
+        ) : (
+          <p className="text-gray-500 text-sm mt-2">
+            Submitted: {new Date(app.submitted_at).toLocaleDateString()}
+          </p>
+        )}
+        {app.status === 'withdrawn' && (
+          <p className="text-gray-500 text-xs mt-1">
+            {app.replaced_by ? 'Replaced by a newer application' : 'Withdrawn'}
+            {app.withdrawn_at && ` on ${new Date(app.withdrawn_at).toLocaleDateString()}`}
+          </p>
+        )}
+        {app.evaluation_result && app.confidence_score < 70 && app.status !== 'withdrawn' && (
+          <p className="text-yellow-600 text-xs mt-1">⚠️ Low AI confidence — manual review may apply</p>
+        )}
+      </div>
+      <div className="flex flex-col items-end gap-2">
+        {app.draft ? (
+          <Link to={`/apply?draft=${app.id}`}
+            className="text-blue-600 text-sm font-medium hover:underline"
+          >Resume →</Link>
+        ) : (
+          <Link to={`/result/${app.id}`}
+            className="text-blue-600 text-sm font-medium hover:underline"
+          >View Details →</Link>
+        )}
+        {active && (confirming ? (
+          <div className="flex items-center gap-2 text-xs">
+            <span className="text-gray-500">Withdraw this application?</span>
+            <button onClick={() => onWithdraw(app.id)} className="text-red-600 font-medium hover:underline">Yes, withdraw</button>
+            <button onClick={() => setConfirming(false)} className="text-gray-500 hover:underline">Cancel</button>
+          </div>
+        ) : (
+          <button onClick={() => setConfirming(true)} className="text-red-500 text-xs hover:underline">Withdraw</button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// A draft's documents (uploaded or not) and what is still missing before it can be submitted
+function DraftProgress({ app }) {
+  const { documents, missing, complete } = app.draft;
+  return (
+    <div className="mt-2 text-sm">
+      <p className="text-gray-500">Last saved: {new Date(app.updated_at).toLocaleDateString()}</p>
+      <ul className="mt-2 space-y-1">
+        {documents.map(doc => (
+          <li key={doc.key} className={`flex items-center gap-1.5 ${doc.uploaded ? 'text-green-600' : 'text-gray-400'}`}>
+            {doc.uploaded ? <CheckCircle className="w-4 h-4" /> : <Circle className="w-4 h-4" />}
+            {doc.label}{!doc.required && ' (optional)'}
+          </li>
+        ))}
+      </ul>
+      {complete ? (
+        <p className="text-green-600 text-xs mt-2">Ready to submit</p>
+      ) : (
+        <p className="text-gray-500 text-xs mt-2">Still needed: {missing.join('; ')}</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../api/client';
+
+// Asks for a password reset link; the answer never says whether the email has an account
+export default function ForgotPasswordPage() {
+  const [email, setEmail]     = useState('');
+  const [sent, setSent]       = useState(null);   // message from the server once requested
+  const [loading, setLoading] = useState(false);
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    setLoading(true);
+    try {
+      const { data } = await api.post('/auth/forgot-password', { email });
+      setSent(data.message);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not send the reset link');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8">
+
+        <div className="text-center mb-8">
+          <div className="text-4xl mb-3">🎓</div>
+          <h1 className="text-2xl font-bold text-gray-800">Forgot Password</h1>
+          <p className="text-gray-500 mt-1">We will email you a link to choose a new one</p>
+        </div>
+
+        {sent ? (
+          <p className="text-center text-gray-700 bg-blue-50 rounded-lg p-4">{sent}</p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Email</label>
+              <input
+                type="email"
+                required
+                value={email}
+                onChange={e => setEmail(e.target.value)}
+                placeholder="you@email.com"
+                className="w-full border border-gray-300 rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+              />
+            </div>
+
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-2.5 rounded-lg transition-colors"
+            >
+              {loading ? 'Sending...' : 'Send Reset Link'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-500 mt-6">
+          Remembered it?{' '}
+          <Link to="/login" className="text-blue-600 font-medium hover:underline">Sign in</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -14,8 +14,10 @@ export default function RegisterPage() {
     if (form.password !== form.confirm) { toast.error('Passwords do not match'); return; }
     setLoading(true);
     try {
-      await register(form.email, form.password, form.full_name);
-      toast.success('Account created!');
+      const data = await register(form.email, form.password, form.full_name);
+      toast.success(data.verification_sent
+        ? 'Account created! Check your inbox to verify your email.'
+        : 'Account created!');
       navigate('/');
     } catch (err) {
       toast.error(err.response?.data?.error || 'Registration failed');
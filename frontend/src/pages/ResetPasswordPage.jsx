@@ -0,0 +1,72 @@
+import { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import api from '../api/client';
+
+// Opened from the password reset email: /reset-password?token=...
+export default function ResetPasswordPage() {
+  const [searchParams]        = useSearchParams();
+  const [form, setForm]       = useState({ password: '', confirm: '' });
+  const [loading, setLoading] = useState(false);
+  const navigate              = useNavigate();
+  const token                 = searchParams.get('token');
+
+  const handleSubmit = async e => {
+    e.preventDefault();
+    if (form.password !== form.confirm) { toast.error('Passwords do not match'); return; }
+    setLoading(true);
+    try {
+      const { data } = await api.post('/auth/reset-password', { token, password: form.password });
+      toast.success(data.message);
+      navigate('/login');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not reset the password');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const field = (key, label) => (
+    <div>
+      <label className="block text-sm font-medium text-gray-700 mb-1">{label}</label>
+      <input type="password" required minLength={6} value={form[key]} placeholder="••••••••"
+        onChange={e => setForm(f => ({ ...f, [key]: e.target.value }))}
+        className="w-full border border-gray-300 rounded-lg px-4 py-2.5 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent transition"
+      />
+    </div>
+  );
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8">
+
+        <div className="text-center mb-8">
+          <div className="text-4xl mb-3">🎓</div>
+          <h1 className="text-2xl font-bold text-gray-800">Choose a New Password</h1>
+        </div>
+
+        {!token ? (
+          <p className="text-center text-gray-700">
+            This link is missing its token. <Link to="/forgot-password" className="text-blue-600 font-medium hover:underline">Request a new one</Link>
+          </p>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-5">
+            {field('password', 'New password')}
+            {field('confirm', 'Confirm new password')}
+            <button
+              type="submit"
+              disabled={loading}
+              className="w-full bg-blue-600 hover:bg-blue-700 disabled:bg-blue-400 text-white font-semibold py-2.5 rounded-lg transition-colors"
+            >
+              {loading ? 'Saving...' : 'Set New Password'}
+            </button>
+          </form>
+        )}
+
+        <p className="text-center text-sm text-gray-500 mt-6">
+          Link expired? <Link to="/forgot-password" className="text-blue-600 font-medium hover:underline">Send another</Link>
+        </p>
+      </div>
+    </div>
+  );
+}
@@ -1,29 +1,131 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
 import api from '../api/client';
-import { CheckCircle, XCircle, AlertTriangle, ArrowLeft, TrendingUp } from 'lucide-react';
+import { watchJob } from '../api/jobs';
+import { getDocumentLink } from '../api/documents';
+import JobProgress from '../components/JobProgress';
+import ResubmitDocuments from '../components/ResubmitDocuments';
+import { CheckCircle, XCircle, AlertTriangle, ArrowLeft, TrendingUp, Scale, HelpCircle, FileText, MinusCircle } from 'lucide-react';
+
+const peso = value => (value === null || value === undefined ? 'Not found' : `₱${Number(value).toLocaleString()}`);
 
 export default function ResultPage() {
   const { id }                = useParams();
   const navigate              = useNavigate();
   const [app, setApp]         = useState(null);
+  const [job, setJob]         = useState(null);
+  const [request, setRequest] = useState(null);
   const [loading, setLoading] = useState(true);
 
+  const load = useCallback(() => api.get(`/applications/${id}`)
+    .then(r => { setApp(r.data.application); setJob(r.data.job); setRequest(r.data.document_request); })
+    .finally(() => setLoading(false)), [id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Still being evaluated: follow the job, then reload the finished result
+  const jobId     = job?.id;
+  const jobActive = job && !['completed', 'failed'].includes(job.status);
   useEffect(() => {
-    api.get(`/applications/${id}`)
-      .then(r => setApp(r.data.application))
-      .finally(() => setLoading(false));
-  }, [id]);
+    if (!jobActive) return;
+    return watchJob(jobId, update => {
+      setJob(update);
+      if (update.status === 'completed' || update.status === 'failed') load();
+    });
+  }, [jobId, jobActive, load]);
+
+  // Requested documents sent: back to the evaluation progress view
+  const handleResubmitted = data => {
+    setApp(data.application);
+    setJob(data.job);
+    setRequest(null);
+  };
+
+  // Documents open in a new tab through a short-lived signed link. The tab is
+  // opened right away so the browser does not treat it as a popup
+  const openDocument = docKey => {
+    const tab = window.open('', '_blank');
+    getDocumentLink(id, docKey)
+      .then(link => { tab.location = link.url; })
+      .catch(err => {
+        tab.close();
+        toast.error(err.response?.data?.error || 'Failed to open the document');
+      });
+  };
+
+  const handleRetry = async () => {
+    try {
+      const { data } = await api.post(`/applications/jobs/${job.id}/retry`);
+      setJob(data.job);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Retry failed');
+    }
+  };
 
   if (loading) return <div className="flex items-center justify-center h-screen text-gray-400">Loading...</div>;
   if (!app)    return <div className="flex items-center justify-center h-screen text-gray-400">Not found.</div>;
 
+  // Withdrawn by the applicant: kept on record, no longer evaluated or reviewed
+  if (app.status === 'withdrawn') {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto px-6 py-10">
+          <button onClick={() => navigate('/')} className="flex items-center gap-2 text-gray-500 hover:text-gray-800 mb-6">
+            <ArrowLeft className="w-4 h-4" /> Back to Dashboard
+          </button>
+          <div className="rounded-2xl p-6 flex items-center gap-4 bg-gray-500 text-white">
+            <MinusCircle className="w-10 h-10 flex-shrink-0" />
+            <div>
+              {app.program && <p className="text-sm font-medium opacity-80">{app.program.name}{app.cycle && ` · ${app.cycle.name}`}</p>}
+              <h1 className="text-2xl font-bold">Application Withdrawn</h1>
+              <p className="opacity-80 text-sm mt-1">
+                {app.replaced_by ? 'Replaced by a newer application' : 'You withdrew this application'}
+                {app.withdrawn_at && ` on ${new Date(app.withdrawn_at).toLocaleDateString()}`}
+              </p>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Not evaluated yet (queued, running or failed processing)
+  if (app.status === 'pending' || app.status === 'failed') {
+    return (
+      <div className="min-h-screen bg-gray-50">
+        <div className="max-w-3xl mx-auto px-6 py-10">
+          <button onClick={() => navigate('/')} className="flex items-center gap-2 text-gray-500 hover:text-gray-800 mb-6">
+            <ArrowLeft className="w-4 h-4" /> Back to Dashboard
+          </button>
+          <h1 className="text-2xl font-bold text-gray-800 mb-2">
+            {app.status === 'failed' ? 'Evaluation Failed' : 'Evaluating Your Application'}
+          </h1>
+          <p className="text-gray-500 mb-6">
+            {app.status === 'failed'
+              ? 'Your documents are saved. Retry the evaluation below.'
+              : 'Your documents are being read and evaluated. This page updates automatically.'}
+          </p>
+          <JobProgress job={job} onRetry={handleRetry} />
+        </div>
+      </div>
+    );
+  }
+
   const ev        = app.evaluation_result;
-  const data      = ev?.extracted_data || {};
-  const evalItems = ev?.evaluation || {};
+  // Older rows may hold unvalidated AI output - only render well-formed checks
+  const evalItems = Object.entries(ev?.evaluation || {})
+    .filter(([, check]) => check && typeof check === 'object');
   const reasons   = ev?.disqualification_reasons || [];
   const score     = ev?.confidence_score ?? 0;
+  const flags     = ev?.review_flags || [];
   const qualified = app.qualified;
+  const inReview  = app.status === 'manual_review';
+  const needsInfo = app.status === 'info_requested';
+
+  // Declared (form) vs document income per parent or earning household member -
+  // empty for programs that ask for no declared value
+  const incomeRows = ev?.income_discrepancy_check?.parents || [];
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -34,13 +136,18 @@ export default function ResultPage() {
         </button>
 
         {/* Result Banner */}
-        <div className={`rounded-2xl p-6 mb-6 flex items-center gap-4 ${qualified ? 'bg-green-500' : 'bg-red-500'} text-white`}>
-          {qualified
-            ? <CheckCircle className="w-10 h-10 flex-shrink-0" />
-            : <XCircle    className="w-10 h-10 flex-shrink-0" />}
+        <div className={`rounded-2xl p-6 mb-6 flex items-center gap-4 ${needsInfo ? 'bg-blue-500' : inReview ? 'bg-yellow-500' : qualified ? 'bg-green-500' : 'bg-red-500'} text-white`}>
+          {needsInfo
+            ? <HelpCircle className="w-10 h-10 flex-shrink-0" />
+            : inReview
+              ? <AlertTriangle className="w-10 h-10 flex-shrink-0" />
+              : qualified
+                ? <CheckCircle className="w-10 h-10 flex-shrink-0" />
+                : <XCircle    className="w-10 h-10 flex-shrink-0" />}
           <div>
+            {app.program && <p className="text-sm font-medium opacity-80">{app.program.name}{app.cycle && ` · ${app.cycle.name}`}</p>}
             <h1 className="text-2xl font-bold">
-              {qualified ? '🎉 Congratulations! You Qualify' : 'Application Not Qualified'}
+              {needsInfo ? 'More Information Needed' : inReview ? 'Under Manual Review' : qualified ? '🎉 Congratulations! You Qualify' : 'Application Not Qualified'}
             </h1>
             <p className="opacity-80 text-sm mt-1">
               AI Confidence Score: <strong>{score}%</strong>
@@ -49,6 +156,19 @@ export default function ResultPage() {
           </div>
         </div>
 
+        {/* Message from the reviewer */}
+        {needsInfo && app.review_note && (
+          <div className="bg-blue-50 border border-blue-200 rounded-xl p-4 mb-6">
+            <p className="font-semibold text-blue-800">Message from the scholarship office</p>
+            <p className="text-sm text-blue-700 mt-1 whitespace-pre-line">{app.review_note}</p>
+          </div>
+        )}
+
+        {/* Documents the reviewer asked for again */}
+        {needsInfo && request && (
+          <ResubmitDocuments applicationId={app.id} request={request} onSubmitted={handleResubmitted} />
+        )}
+
         {/* Low confidence warning */}
         {score < 70 && (
           <div className="bg-yellow-50 border border-yellow-300 rounded-xl p-4 mb-6 flex gap-3">
@@ -62,13 +182,66 @@ export default function ResultPage() {
           </div>
         )}
 
+        {/* Review flags (e.g. AI and document parser disagree) */}
+        {flags.length > 0 && (
+          <div className="bg-yellow-50 border border-yellow-300 rounded-xl p-4 mb-6 flex gap-3">
+            <AlertTriangle className="w-5 h-5 text-yellow-500 flex-shrink-0 mt-0.5" />
+            <div>
+              <p className="font-semibold text-yellow-800">Flagged for Manual Review</p>
+              <ul className="text-sm text-yellow-700 mt-1 space-y-1">
+                {flags.map((f, i) => <li key={i}>{f.message}</li>)}
+              </ul>
+            </div>
+          </div>
+        )}
+
+        {/* Declared vs certificate income  - only for documents with a declared value */}
+        {incomeRows.length > 0 && (
+          <div className="bg-white rounded-xl border border-gray-200 p-5 mb-6">
+            <h2 className="font-semibold text-gray-800 mb-4 flex items-center gap-2">
+              <Scale className="w-4 h-4" /> Declared vs. Certificate Income
+            </h2>
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-left text-gray-500 border-b border-gray-100">
+                  <th className="pb-2 font-medium">Earner</th>
+                  <th className="pb-2 font-medium">Declared</th>
+                  <th className="pb-2 font-medium">Certificate</th>
+                  <th className="pb-2 font-medium"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {incomeRows.map(row => (
+                  <tr key={row.parent} className="border-b border-gray-50 last:border-0">
+                    <td className="py-2 capitalize text-gray-700">{row.parent.replace(/_/g, ' ')}</td>
+                    <td className="py-2 text-gray-700">{peso(row.claimed)}</td>
+                    <td className="py-2 text-gray-700">{peso(row.documented)}</td>
+                    <td className="py-2 text-right">
+                      {row.status === 'match' && <span className="text-xs font-medium text-green-600">Matches</span>}
+                      {row.status === 'discrepancy' && (
+                        <span className="text-xs font-medium text-yellow-700">
+                          Differs by {peso(Math.abs(row.difference))}
+                          {row.difference_pct !== null && ` (${Math.abs(row.difference_pct)}%)`}
+                        </span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
         {/* Evaluation Criteria */}
         <div className="bg-white rounded-xl border border-gray-200 p-5">
           <h2 className="font-semibold text-gray-800 mb-4 flex items-center gap-2">
             <TrendingUp className="w-4 h-4" /> Criteria Evaluation
           </h2>
           <div className="space-y-3">
-            {Object.entries(evalItems).map(([key, check]) => (
+            {evalItems.length === 0 && (
+              <p className="text-sm text-gray-500">No criteria could be evaluated automatically.</p>
+            )}
+            {evalItems.map(([key, check]) => (
               <div key={key} className={`p-3 rounded-lg border ${check.passed ? 'border-green-200 bg-green-50' : 'border-red-200 bg-red-50'}`}>
                 <div className="flex items-center gap-2">
                   {check.passed
@@ -84,6 +257,23 @@ export default function ResultPage() {
           </div>
         </div>
 
+        {/* Uploaded documents */}
+        {app.documents?.length > 0 && (
+          <div className="mt-6 bg-white rounded-xl border border-gray-200 p-5">
+            <h2 className="font-semibold text-gray-800 mb-3 flex items-center gap-2">
+              <FileText className="w-4 h-4" /> Your Documents
+            </h2>
+            <ul className="divide-y divide-gray-100">
+              {app.documents.map(doc => (
+                <li key={doc.doc_key} className="flex items-center justify-between py-2 text-sm">
+                  <span className="text-gray-700">{doc.file_name}</span>
+                  <button onClick={() => openDocument(doc.doc_key)} className="text-blue-600 hover:underline">View</button>
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {/* Disqualification reasons */}
         {!qualified && reasons.length > 0 && (
           <div className="mt-6 bg-red-50 border border-red-200 rounded-xl p-5">
@@ -0,0 +1,551 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import {
+  getApplication, getDocuments, getAccessLog, claimApplication, releaseApplication,
+  decide, requestInfo, requestDocuments, correctFields, loadQueue,
+} from '../api/admin';
+import { getDocumentLink } from '../api/documents';
+import StatusBadge from '../components/StatusBadge';
+import useHotkeys from '../hooks/useHotkeys';
+import {
+  ArrowLeft, ChevronLeft, ChevronRight, CheckCircle, XCircle, HelpCircle,
+  AlertTriangle, Lock, Unlock, Pencil, Keyboard, FileUp,
+} from 'lucide-react';
+
+// Reviewer actions: what they send and how they look
+const ACTIONS = {
+  approve: { label: 'Approve',      hotkey: 'a', color: 'bg-green-600 hover:bg-green-700', icon: CheckCircle, placeholder: 'Why is this application approved?' },
+  reject:  { label: 'Reject',       hotkey: 'r', color: 'bg-red-600 hover:bg-red-700',     icon: XCircle,     placeholder: 'Why is this application rejected?' },
+  info:    { label: 'Request Info', hotkey: 'i', color: 'bg-blue-600 hover:bg-blue-700',   icon: HelpCircle,  placeholder: 'What does the applicant need to provide? (shown to the applicant)' },
+  docs:    { label: 'Request Docs', hotkey: 'd', color: 'bg-indigo-600 hover:bg-indigo-700', icon: FileUp,    placeholder: 'What is wrong with these documents? (shown to the applicant)' },
+};
+
+const HISTORY_LABELS = {
+  re_evaluated:          'Re-evaluated',
+  claimed:               'Claimed',
+  released:              'Released',
+  decision_override:     'Decision',
+  info_requested:        'Information requested',
+  fields_corrected:      'Fields corrected',
+  documents_requested:   'Documents requested',
+  documents_resubmitted: 'Documents resubmitted',
+  withdrawn:             'Withdrawn by applicant',
+};
+
+const label = key => key.replace(/_/g, ' ').replace(/\b\w/g, l => l.toUpperCase());
+
+// Computed by the rule engine from the other fields - never corrected by hand
+const DERIVED_FIELDS = ['total_income', 'per_capita_income', 'household_size'];
+const show  = value => (value === null || value === undefined || value === '' ? '—' : String(value));
+
+const MATCH_LABELS = { file: 'identical file', image: 'same image', text: 'same text' };
+
+// The other applications a reused document was found in (review flag 'duplicate_document')
+function DuplicateLinks({ matches }) {
+  const others = matches.filter(m => !m.same_application);
+  return (
+    <ul className="mt-1 ml-3 space-y-0.5 text-xs">
+      {others.map(m => (
+        <li key={`${m.doc_key}:${m.application_id}:${m.other_doc_key}:${m.earlier_version}`}>
+          {m.label} — {MATCH_LABELS[m.match]}{m.earlier_version && ' (replaced version)'} in{' '}
+          <Link to={`/admin/applications/${m.application_id}`} className="underline hover:text-yellow-900">
+            {m.same_applicant ? 'an earlier application of this applicant' : 'another applicant’s application'}
+          </Link>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+const RISK_STYLES = {
+  low:    'bg-gray-50 border-gray-200 text-gray-600',
+  medium: 'bg-amber-50 border-amber-200 text-amber-800',
+  high:   'bg-red-50 border-red-200 text-red-800',
+};
+
+// Signs of tampering found in a document on upload (services/authenticity.js)
+function AuthenticityNote({ authenticity }) {
+  if (!authenticity) return <p className="text-xs text-gray-400 mb-2">Authenticity not analyzed.</p>;
+  return (
+    <div className={`mb-3 p-2 rounded border text-xs ${RISK_STYLES[authenticity.level]}`}>
+      <p className="font-medium">
+        Authenticity risk: {label(authenticity.level)} ({authenticity.risk_score}/100)
+      </p>
+      {authenticity.signals.length > 0 && (
+        <ul className="mt-1 ml-3 list-disc space-y-0.5">
+          {authenticity.signals.map(s => <li key={s.code}>{s.reason}</li>)}
+        </ul>
+      )}
+      {authenticity.note && <p className="mt-1">{authenticity.note}</p>}
+    </div>
+  );
+}
+
+export default function ReviewDetailPage() {
+  const { id }                  = useParams();
+  const navigate                = useNavigate();
+  const { user }                = useAuth();
+  const [data, setData]         = useState(null);   // { id, application, history, documents, access }
+  const [docIndex, setDocIndex] = useState(0);
+  const [action, setAction]     = useState(null);   // key of ACTIONS while its form is open
+  const [note, setNote]         = useState('');
+  const [editing, setEditing]   = useState(null);   // { field: value } while correcting
+  const [replaceDecision, setReplaceDecision] = useState(false);
+  const [requested, setRequested] = useState([]); // document keys for 'Request Docs'
+  const [viewing, setViewing]   = useState(null);   // { key, index } of an earlier version shown
+  const [links, setLinks]       = useState({});     // signed document links by application:key:version
+  const [busy, setBusy]         = useState(false);
+  const noteRef                 = useRef(null);
+
+  const load = useCallback(() => Promise.all([
+    getApplication(id),
+    getDocuments(id).catch(() => []),   // documents are optional for deciding
+    getAccessLog(id).catch(() => []),
+  ])
+    .then(([{ application, history }, documents, access]) => setData({ id, application, history, documents, access }))
+    .catch(err => toast.error(err.response?.data?.error || 'Failed to load application')), [id]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // The document on screen is opened through a signed link (logged on the server);
+  // links are kept until they expire, so switching back and forth asks only once
+  const current   = data?.id === id ? data.documents[docIndex] : null;
+  const docKey    = current?.key;
+  const versionId = (current && viewing?.key === current.key && current.versions[viewing.index]?.id) || null;
+  const linkKey   = docKey ? `${id}:${docKey}:${versionId || ''}` : null;
+  const link      = linkKey && links[linkKey]?.expires > Date.now() ? links[linkKey] : null;
+  useEffect(() => {
+    if (!linkKey || link) return;
+    getDocumentLink(id, docKey, versionId)
+      .then(signed => setLinks(prev => ({ ...prev, [linkKey]: { ...signed, expires: Date.now() + signed.expires_in * 1000 } })))
+      .catch(err => toast.error(err.response?.data?.error || 'Failed to open the document'));
+  }, [id, docKey, versionId, linkKey, link]);
+
+  // ── Queue Navigation ──
+  const queue    = loadQueue();
+  const position = queue.indexOf(id);
+  const goTo = offset => {
+    const next = queue[position + offset];
+    if (position === -1 || !next) return false;
+    setAction(null);
+    setEditing(null);
+    setDocIndex(0);
+    navigate(`/admin/applications/${next}`);
+    return true;
+  };
+
+  const openAction = key => {
+    setAction(key);
+    setNote('');
+    setRequested([]);
+    setTimeout(() => noteRef.current?.focus(), 0);
+  };
+
+  useHotkeys({
+    j: () => goTo(1), ArrowRight: () => goTo(1),
+    k: () => goTo(-1), ArrowLeft: () => goTo(-1),
+    a: () => openAction('approve'),
+    r: () => openAction('reject'),
+    i: () => openAction('info'),
+    d: () => openAction('docs'),
+    c: () => data && handleClaim(),
+    1: () => setDocIndex(0), 2: () => setDocIndex(1), 3: () => setDocIndex(2),
+    Escape: () => (action ? setAction(null) : navigate('/admin')),
+  });
+
+  if (!data || data.id !== id) return <div className="flex items-center justify-center h-screen text-gray-400">Loading...</div>;
+
+  const { application: app, history, documents, access } = data;
+  const ev        = app.evaluation_result || {};
+  const extracted = ev.extracted_data || {};
+  const checks    = Object.entries(ev.evaluation || {}).filter(([, c]) => c && typeof c === 'object');
+  const flags     = ev.review_flags || [];
+  const claimedByOther = app.claimed_by && app.claimed_by !== user.id;
+  const doc       = documents[docIndex];
+  const request   = app.document_request;
+  // The document itself, or one of the versions it replaced
+  const shown     = (doc && viewing?.key === doc.key && doc.versions[viewing.index]) || doc;
+
+  // ── Actions ──
+  const run = async (fn, success) => {
+    setBusy(true);
+    try {
+      await fn();
+      toast.success(success);
+      return true;
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Action failed');
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  async function handleClaim() {
+    if (claimedByOther) return;
+    const claimed = app.claimed_by === user.id;
+    const ok = await run(() => (claimed ? releaseApplication(id) : claimApplication(id)), claimed ? 'Released' : 'Claimed');
+    if (ok) load();
+  }
+
+  const submitAction = async e => {
+    e.preventDefault();
+    const send = {
+      approve: () => decide(id, { status: 'qualified', justification: note }),
+      reject:  () => decide(id, { status: 'disqualified', justification: note }),
+      info:    () => requestInfo(id, note),
+      docs:    () => requestDocuments(id, requested, note),
+    }[action];
+    const ok = await run(send, `${ACTIONS[action].label} saved`);
+    if (!ok) return;
+    setAction(null);
+    // Straight on to the next application in the queue
+    if (!goTo(1)) load();
+  };
+
+  const toggleRequested = key => setRequested(prev =>
+    prev.includes(key) ? prev.filter(k => k !== key) : [...prev, key]);
+
+  const submitCorrections = async e => {
+    e.preventDefault();
+    const corrections = Object.fromEntries(
+      Object.entries(editing)
+        .filter(([field, value]) => !DERIVED_FIELDS.includes(field) && show(value) !== show(extracted[field]))
+        .map(([field, value]) => {
+          if (value === '') return [field, null];
+          // Inputs give strings; numeric fields go back as numbers
+          const numeric = typeof extracted[field] === 'number' || /income|gwa/.test(field);
+          return [field, numeric && !Number.isNaN(Number(value)) ? Number(value) : value];
+        })
+    );
+    if (Object.keys(corrections).length === 0) return setEditing(null);
+    const ok = await run(() => correctFields(id, corrections, note, replaceDecision), 'Fields corrected, rules re-run');
+    if (ok) { setEditing(null); setNote(''); setReplaceDecision(false); load(); }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-7xl mx-auto px-6 py-8">
+
+        {/* Header */}
+        <div className="flex items-center justify-between mb-6">
+          <button onClick={() => navigate('/admin')} className="flex items-center gap-2 text-gray-500 hover:text-gray-800">
+            <ArrowLeft className="w-4 h-4" /> Review Queue
+          </button>
+          <div className="flex items-center gap-2 text-sm text-gray-500">
+            <button onClick={() => goTo(-1)} disabled={position <= 0} className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30">
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            {position >= 0 ? `${position + 1} / ${queue.length}` : 'Not in current queue'}
+            <button onClick={() => goTo(1)} disabled={position === -1 || position >= queue.length - 1} className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30">
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="flex items-start justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">{app.applicant?.full_name || 'Unknown applicant'}</h1>
+            <p className="text-gray-500 text-sm">
+              {app.program?.name && <>{app.program.name} · </>}
+              {app.cycle?.name && <>{app.cycle.name} · </>}
+              {app.applicant?.email} · Submitted {new Date(app.submitted_at).toLocaleString()}
+              {app.rule_version && <> · Rules v{app.rule_version}</>}
+            </p>
+            <div className="flex items-center gap-3 mt-2">
+              <StatusBadge status={app.status} />
+              <span className="text-sm text-gray-600">AI confidence: <strong>{ev.confidence_score ?? app.confidence_score ?? '—'}%</strong></span>
+              <span className="text-sm text-gray-600">OCR: <strong>{show(ev.ocr_quality)}</strong></span>
+            </div>
+          </div>
+          <button onClick={handleClaim} disabled={busy || claimedByOther}
+            className="flex items-center gap-2 px-4 py-2 rounded-lg border border-gray-300 text-sm text-gray-700 hover:bg-gray-100 disabled:opacity-50">
+            {app.claimed_by === user.id
+              ? <><Unlock className="w-4 h-4" /> Release</>
+              : claimedByOther
+                ? <><Lock className="w-4 h-4" /> Claimed by another reviewer</>
+                : <><Lock className="w-4 h-4" /> Claim (c)</>}
+          </button>
+        </div>
+
+        <div className="grid lg:grid-cols-5 gap-6">
+
+          {/* ── Left: document + OCR text ── */}
+          <div className="lg:col-span-3 bg-white rounded-xl border border-gray-200 overflow-hidden">
+            <div className="flex border-b border-gray-200">
+              {documents.map((d, i) => (
+                <button key={d.key} onClick={() => setDocIndex(i)}
+                  className={`flex-1 px-3 py-2 text-sm ${i === docIndex ? 'bg-blue-50 text-blue-700 font-medium border-b-2 border-blue-600' : 'text-gray-600 hover:bg-gray-50'}`}>
+                  {i + 1}. {d.label}
+                  {d.authenticity && d.authenticity.level !== 'low' && (
+                    <AlertTriangle className={`inline w-3.5 h-3.5 ml-1 ${d.authenticity.level === 'high' ? 'text-red-600' : 'text-amber-500'}`} />
+                  )}
+                </button>
+              ))}
+            </div>
+            {/* Earlier versions, replaced after a document request */}
+            {doc?.versions.length > 0 && (
+              <div className="flex flex-wrap items-center gap-2 px-3 py-2 border-b border-gray-200 text-xs">
+                <span className="text-gray-400">Versions:</span>
+                <button onClick={() => setViewing(null)}
+                  className={`px-2 py-0.5 rounded ${shown === doc ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}>
+                  Current · {doc.file_name}
+                </button>
+                {doc.versions.map((version, index) => (
+                  <button key={version.replaced_at} onClick={() => setViewing({ key: doc.key, index })}
+                    className={`px-2 py-0.5 rounded ${shown === version ? 'bg-blue-100 text-blue-700 font-medium' : 'text-gray-600 hover:bg-gray-100'}`}>
+                    {version.file_name} · replaced {new Date(version.replaced_at).toLocaleDateString()}
+                  </button>
+                ))}
+              </div>
+            )}
+            {!doc ? (
+              <p className="p-6 text-sm text-gray-400">Documents could not be loaded.</p>
+            ) : (
+              <div className="grid md:grid-cols-2 divide-x divide-gray-200">
+                <div className="h-[70vh] bg-gray-100 flex items-center justify-center">
+                  {!link
+                    ? <span className="text-sm text-gray-400">Opening document...</span>
+                    : shown.mimetype.startsWith('image/')
+                      ? <img src={link.url} alt={doc.label} className="max-h-full max-w-full object-contain" />
+                      : <iframe src={link.url} title={doc.label} className="w-full h-full bg-white" />}
+                </div>
+                <div className="h-[70vh] overflow-auto p-4">
+                  <AuthenticityNote authenticity={shown.authenticity} />
+                  <p className="text-xs text-gray-400 mb-2">
+                    {shown === doc ? <>Extracted text · {show(doc.method)}</> : 'Extracted text of the replaced version'}
+                    {shown === doc && doc.pages.some(p => typeof p.confidence === 'number') &&
+                      ` · OCR confidence ${doc.pages.filter(p => typeof p.confidence === 'number').map(p => Math.round(p.confidence)).join(', ')}%`}
+                  </p>
+                  <pre className="text-xs text-gray-700 whitespace-pre-wrap font-mono">{shown.text ?? 'No extracted text stored.'}</pre>
+                </div>
+              </div>
+            )}
+          </div>
+
+          {/* ── Right: evaluation ── */}
+          <div className="lg:col-span-2 space-y-4">
+
+            {/* Actions */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <div className="flex gap-2">
+                {Object.entries(ACTIONS).map(([key, a]) => (
+                  <button key={key} onClick={() => openAction(key)} disabled={busy || claimedByOther}
+                    className={`flex-1 flex items-center justify-center gap-1.5 text-white text-sm font-medium px-3 py-2 rounded-lg disabled:opacity-50 ${a.color}`}>
+                    <a.icon className="w-4 h-4" /> {a.label} <span className="opacity-60">({a.hotkey})</span>
+                  </button>
+                ))}
+              </div>
+              {action && (
+                <form onSubmit={submitAction} className="mt-3 space-y-2">
+                  {action === 'docs' && (
+                    <div className="space-y-1">
+                      {documents.map(d => (
+                        <label key={d.key} className="flex items-center gap-2 text-sm text-gray-700">
+                          <input type="checkbox" checked={requested.includes(d.key)} onChange={() => toggleRequested(d.key)} />
+                          {d.label}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                  <textarea ref={noteRef} value={note} onChange={e => setNote(e.target.value)} rows={3}
+                    placeholder={ACTIONS[action].placeholder}
+                    className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                  <div className="flex justify-end gap-2">
+                    <button type="button" onClick={() => setAction(null)} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">Cancel (Esc)</button>
+                    <button type="submit" disabled={busy || note.trim().length < 10 || (action === 'docs' && requested.length === 0)}
+                      className={`px-3 py-1.5 text-sm text-white rounded-lg disabled:opacity-50 ${ACTIONS[action].color}`}>
+                      Confirm {ACTIONS[action].label}
+                    </button>
+                  </div>
+                </form>
+              )}
+              <p className="text-xs text-gray-400 mt-3 flex items-center gap-1">
+                <Keyboard className="w-3 h-3" /> j/k next/previous · 1-3 documents · d request documents · Esc back to queue
+              </p>
+            </div>
+
+            {/* Documents waiting for the applicant */}
+            {request && (
+              <div className="bg-indigo-50 border border-indigo-200 rounded-xl p-4">
+                <p className="font-semibold text-indigo-800 flex items-center gap-2 mb-1">
+                  <FileUp className="w-4 h-4" /> Waiting for documents
+                </p>
+                <p className="text-sm text-indigo-700">
+                  {request.doc_keys.map(key => documents.find(d => d.key === key)?.label || label(key)).join(', ')}
+                  {' · requested '}{new Date(request.requested_at).toLocaleString()}
+                </p>
+                <p className="text-xs text-indigo-600 italic mt-1">“{request.message}”</p>
+              </div>
+            )}
+
+            {/* Review flags */}
+            {flags.length > 0 && (
+              <div className="bg-yellow-50 border border-yellow-300 rounded-xl p-4">
+                <p className="font-semibold text-yellow-800 flex items-center gap-2 mb-1">
+                  <AlertTriangle className="w-4 h-4" /> Review flags
+                </p>
+                <ul className="text-sm text-yellow-700 space-y-1">
+                  {flags.map((f, i) => (
+                    <li key={i}>
+                      {f.message}
+                      {f.code === 'duplicate_document' && <DuplicateLinks matches={f.details || []} />}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+
+            {/* Declared household (programs with household assessment) */}
+            {app.household?.length > 0 && (
+              <div className="bg-white rounded-xl border border-gray-200 p-4">
+                <h2 className="font-semibold text-gray-800 mb-2">Household</h2>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {app.household.map(member => (
+                      <tr key={member.position} className="border-t border-gray-100">
+                        <td className="py-1.5 text-gray-500">{label(member.relationship)}</td>
+                        <td className="py-1.5 text-gray-800">{show(member.full_name)}</td>
+                        <td className="py-1.5 text-gray-600">{label(member.status)}</td>
+                        <td className="py-1.5 text-gray-800 text-right">
+                          {member.monthly_income !== null ? `₱${Number(member.monthly_income).toLocaleString()}` : '—'}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {/* Extracted fields (editable) */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <div className="flex items-center justify-between mb-2">
+                <h2 className="font-semibold text-gray-800">Extracted fields</h2>
+                {!editing && (
+                  <button onClick={() => { setEditing({ ...extracted }); setNote(''); }} disabled={claimedByOther || !app.evaluation_result}
+                    className="flex items-center gap-1 text-sm text-blue-600 hover:underline disabled:opacity-50">
+                    <Pencil className="w-3 h-3" /> Correct
+                  </button>
+                )}
+              </div>
+              <form onSubmit={submitCorrections}>
+                <table className="w-full text-sm">
+                  <tbody>
+                    {Object.keys(extracted).map(field => (
+                      <tr key={field} className="border-t border-gray-100">
+                        <td className="py-1.5 text-gray-500">{label(field)}</td>
+                        <td className="py-1.5 text-gray-800">
+                          {editing && !DERIVED_FIELDS.includes(field)
+                            ? <input value={editing[field] ?? ''} onChange={e => setEditing({ ...editing, [field]: e.target.value })}
+                                className="w-full border border-gray-300 rounded px-2 py-0.5" />
+                            : show(extracted[field])}
+                          {ev.heuristic_check?.parser_values?.[field] !== undefined &&
+                            ev.heuristic_check.parser_values[field] !== extracted[field] && (
+                            <span className="block text-xs text-yellow-700">Parser found: {show(ev.heuristic_check.parser_values[field])}</span>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+                {editing && (
+                  <div className="mt-3 space-y-2">
+                    <textarea value={note} onChange={e => setNote(e.target.value)} rows={2}
+                      placeholder="Why are these values corrected?"
+                      className="w-full border border-gray-300 rounded-lg px-3 py-2 text-sm" />
+                    {app.reviewed_at && (
+                      <label className="flex items-center gap-2 text-sm text-gray-600">
+                        <input type="checkbox" checked={replaceDecision} onChange={e => setReplaceDecision(e.target.checked)} />
+                        Replace the reviewer's qualified decision with the re-run result
+                      </label>
+                    )}
+                    <div className="flex justify-end gap-2">
+                      <button type="button" onClick={() => setEditing(null)} className="px-3 py-1.5 text-sm text-gray-600 hover:bg-gray-100 rounded-lg">Cancel</button>
+                      <button type="submit" disabled={busy || note.trim().length < 10}
+                        className="px-3 py-1.5 text-sm text-white bg-blue-600 hover:bg-blue-700 rounded-lg disabled:opacity-50">
+                        Save &amp; re-run rules
+                      </button>
+                    </div>
+                  </div>
+                )}
+              </form>
+            </div>
+
+            {/* Checks + model reasoning */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <h2 className="font-semibold text-gray-800 mb-2">Checks</h2>
+              <div className="space-y-2">
+                {checks.length === 0 && <p className="text-sm text-gray-400">No checks were evaluated.</p>}
+                {checks.map(([key, check]) => (
+                  <div key={key} className="text-sm">
+                    <span className={`font-medium ${check.passed ? 'text-green-700' : 'text-red-700'}`}>
+                      {check.passed ? '✓' : '✗'} {label(key)}
+                    </span>
+                    <p className="text-xs text-gray-600 ml-4">{check.reason}</p>
+                  </div>
+                ))}
+                {(ev.income_discrepancy_check?.parents || []).map(p => (
+                  <p key={p.parent} className="text-xs text-gray-600">
+                    {label(p.parent)}: declared {show(p.claimed)} · certificate {show(p.documented)} · <strong>{p.status.replace('_', ' ')}</strong>
+                  </p>
+                ))}
+              </div>
+              {ev.notes && (
+                <>
+                  <h3 className="font-medium text-gray-700 mt-4 mb-1 text-sm">Model notes</h3>
+                  <p className="text-sm text-gray-600">{ev.notes}</p>
+                </>
+              )}
+            </div>
+
+            {/* History */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <h2 className="font-semibold text-gray-800 mb-2">History</h2>
+              {history.length === 0 && <p className="text-sm text-gray-400">No actions yet.</p>}
+              <ul className="space-y-2">
+                {history.map(h => (
+                  <li key={h.id} className="text-sm">
+                    <span className="font-medium text-gray-700">{HISTORY_LABELS[h.action] || label(h.action)}</span>
+                    <span className="text-xs text-gray-400 ml-2">{new Date(h.created_at).toLocaleString()}</span>
+                    {h.details?.after && <p className="text-xs text-gray-600">→ {label(h.details.after.status)}</p>}
+                    {h.details?.review_kept && (
+                      <p className="text-xs text-amber-700">
+                        Reviewer's decision kept - automatic result: {label(h.details.automatic.status)}
+                      </p>
+                    )}
+                    {h.details?.documents && (
+                      <p className="text-xs text-gray-600">
+                        {h.details.documents.map(key => documents.find(d => d.key === key)?.label || label(key)).join(', ')}
+                      </p>
+                    )}
+                    {(h.details?.justification || h.details?.message) && (
+                      <p className="text-xs text-gray-500 italic">“{h.details.justification || h.details.message}”</p>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {/* Document access log */}
+            <div className="bg-white rounded-xl border border-gray-200 p-4">
+              <h2 className="font-semibold text-gray-800 mb-2">Document access</h2>
+              {access.length === 0 && <p className="text-sm text-gray-400">Nobody has opened the documents yet.</p>}
+              <ul className="space-y-1">
+                {access.map(entry => (
+                  <li key={entry.id} className="text-xs text-gray-600">
+                    <span className="font-medium text-gray-700">{entry.user?.full_name || entry.user?.email || 'Unknown user'}</span>
+                    {' '}({entry.access_as}) opened {documents.find(d => d.key === entry.doc_key)?.label || label(entry.doc_key)}
+                    {entry.version_id && ' (earlier version)'}
+                    <span className="text-gray-400 ml-2">{new Date(entry.accessed_at).toLocaleString()}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
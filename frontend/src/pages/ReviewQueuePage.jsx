@@ -0,0 +1,249 @@
+import { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { listApplications, listPrograms, listCycles, saveQueue } from '../api/admin';
+import StatusBadge from '../components/StatusBadge';
+import useHotkeys from '../hooks/useHotkeys';
+import { ArrowLeft, ChevronLeft, ChevronRight, Filter, Keyboard } from 'lucide-react';
+
+const STATUSES = [
+  { value: 'manual_review',  label: 'Under Review' },
+  { value: 'info_requested', label: 'More Information Needed' },
+  { value: 'qualified',      label: 'Qualified' },
+  { value: 'disqualified',   label: 'Disqualified' },
+  { value: 'failed',         label: 'Processing Failed' },
+  { value: 'withdrawn',      label: 'Withdrawn' },
+  { value: '',               label: 'All statuses' },
+];
+
+const EMPTY_FILTERS = {
+  program: '', cycle: '', status: 'manual_review', claimed: '',
+  min_confidence: '', max_confidence: '',
+  min_income: '', max_income: '',
+  from: '', to: '',
+};
+
+const peso = value => (value === null || value === undefined ? '—' : `₱${Number(value).toLocaleString()}`);
+
+// Only send filters that are set
+const toParams = (filters, page) => ({
+  ...Object.fromEntries(Object.entries(filters).filter(([, v]) => v !== '')),
+  page,
+});
+
+export default function ReviewQueuePage() {
+  const { user }                = useAuth();
+  const navigate                = useNavigate();
+  const [draft, setDraft]       = useState(EMPTY_FILTERS);   // filter form being edited
+  const [filters, setFilters]   = useState(EMPTY_FILTERS);   // filters applied to the list
+  const [page, setPage]         = useState(1);
+  const [result, setResult]     = useState(null);            // { key, applications, pagination }
+  const [selected, setSelected] = useState(0);
+  const [programs, setPrograms] = useState([]);
+  const [cycles, setCycles]     = useState([]);
+
+  useEffect(() => {
+    listPrograms()
+      .then(setPrograms)
+      .catch(err => toast.error(err.response?.data?.error || 'Failed to load programs'));
+    listCycles()
+      .then(setCycles)
+      .catch(err => toast.error(err.response?.data?.error || 'Failed to load application cycles'));
+  }, []);
+
+  const key = JSON.stringify(toParams(filters, page));
+  const loading = result?.key !== key;
+
+  useEffect(() => {
+    let cancelled = false;
+    listApplications(JSON.parse(key))
+      .then(data => {
+        if (cancelled) return;
+        setResult({ key, ...data });
+        setSelected(0);
+        saveQueue(data.applications.map(a => a.id));
+      })
+      .catch(err => toast.error(err.response?.data?.error || 'Failed to load applications'));
+    return () => { cancelled = true; };
+  }, [key]);
+
+  const applications = result?.applications || [];
+  const pagination   = result?.pagination;
+  const open = index => applications[index] && navigate(`/admin/applications/${applications[index].id}`);
+
+  const applyFilters = e => {
+    e.preventDefault();
+    setFilters(draft);
+    setPage(1);
+  };
+
+  // ── Keyboard: j/k move, Enter opens, [ ] change page ──
+  const move = delta => setSelected(i => Math.min(Math.max(i + delta, 0), Math.max(applications.length - 1, 0)));
+  const nextPage = () => pagination && page < pagination.total_pages && setPage(page + 1);
+  const prevPage = () => page > 1 && setPage(page - 1);
+  useHotkeys({
+    j: () => move(1), ArrowDown: () => move(1),
+    k: () => move(-1), ArrowUp: () => move(-1),
+    Enter: () => open(selected), o: () => open(selected),
+    ']': nextPage, '[': prevPage,
+  });
+
+  const field = (name, props = {}) => (
+    <input
+      value={draft[name]}
+      onChange={e => setDraft({ ...draft, [name]: e.target.value })}
+      className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm"
+      {...props}
+    />
+  );
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-6xl mx-auto px-6 py-10">
+
+        <button onClick={() => navigate('/')} className="flex items-center gap-2 text-gray-500 hover:text-gray-800 mb-6">
+          <ArrowLeft className="w-4 h-4" /> Back to Dashboard
+        </button>
+
+        <div className="flex items-end justify-between mb-6">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Review Queue</h1>
+            <p className="text-gray-500 mt-1">
+              {pagination ? `${pagination.total} application(s)` : 'Loading...'}
+            </p>
+          </div>
+          <p className="text-xs text-gray-400 flex items-center gap-1">
+            <Keyboard className="w-4 h-4" /> j/k move · Enter open · [ ] page
+          </p>
+        </div>
+
+        {/* Filters */}
+        <form onSubmit={applyFilters} className="bg-white rounded-xl border border-gray-200 p-4 mb-6 grid grid-cols-2 md:grid-cols-4 gap-3 text-sm">
+          <label className="space-y-1">
+            <span className="text-gray-500">Program</span>
+            <select value={draft.program} onChange={e => setDraft({ ...draft, program: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm">
+              <option value="">All programs</option>
+              {programs.map(p => <option key={p.id} value={p.id}>{p.name}{p.active ? '' : ' (inactive)'}</option>)}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Cycle</span>
+            <select value={draft.cycle} onChange={e => setDraft({ ...draft, cycle: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm">
+              <option value="">All cycles</option>
+              {cycles.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Status</span>
+            <select value={draft.status} onChange={e => setDraft({ ...draft, status: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm">
+              {STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+            </select>
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Claimed</span>
+            <select value={draft.claimed} onChange={e => setDraft({ ...draft, claimed: e.target.value })}
+              className="w-full border border-gray-300 rounded-lg px-2 py-1.5 text-sm">
+              <option value="">Anyone</option>
+              <option value="me">By me</option>
+              <option value="none">Unclaimed</option>
+            </select>
+          </label>
+          <div className="space-y-1">
+            <span className="text-gray-500">Confidence (%)</span>
+            <div className="flex gap-2">
+              {field('min_confidence', { type: 'number', placeholder: 'min', min: 0, max: 100 })}
+              {field('max_confidence', { type: 'number', placeholder: 'max', min: 0, max: 100 })}
+            </div>
+          </div>
+          <div className="space-y-1">
+            <span className="text-gray-500">Documented income (₱/month)</span>
+            <div className="flex gap-2">
+              {field('min_income', { type: 'number', placeholder: 'min', min: 0 })}
+              {field('max_income', { type: 'number', placeholder: 'max', min: 0 })}
+            </div>
+          </div>
+          <label className="space-y-1">
+            <span className="text-gray-500">Submitted from</span>
+            {field('from', { type: 'date' })}
+          </label>
+          <label className="space-y-1">
+            <span className="text-gray-500">Submitted to</span>
+            {field('to', { type: 'date' })}
+          </label>
+          <div className="flex items-end justify-end gap-2">
+            <button type="button" onClick={() => { setDraft(EMPTY_FILTERS); setFilters(EMPTY_FILTERS); setPage(1); }}
+              className="px-4 py-1.5 rounded-lg text-gray-600 hover:bg-gray-100">
+              Reset
+            </button>
+            <button type="submit" className="flex items-center gap-2 bg-blue-600 hover:bg-blue-700 text-white px-4 py-1.5 rounded-lg font-medium">
+              <Filter className="w-4 h-4" /> Apply
+            </button>
+          </div>
+        </form>
+
+        {/* List */}
+        <div className="bg-white rounded-xl border border-gray-200 overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-3 font-medium">Applicant</th>
+                <th className="px-4 py-3 font-medium">Program</th>
+                <th className="px-4 py-3 font-medium">Status</th>
+                <th className="px-4 py-3 font-medium">Confidence</th>
+                <th className="px-4 py-3 font-medium">Documented income</th>
+                <th className="px-4 py-3 font-medium">Submitted</th>
+                <th className="px-4 py-3 font-medium">Claimed</th>
+              </tr>
+            </thead>
+            <tbody>
+              {!loading && applications.length === 0 && (
+                <tr><td colSpan={7} className="px-4 py-10 text-center text-gray-400">Nothing to review 🎉</td></tr>
+              )}
+              {applications.map((app, i) => (
+                <tr key={app.id}
+                  onClick={() => open(i)}
+                  className={`border-t border-gray-100 cursor-pointer ${i === selected ? 'bg-blue-50' : 'hover:bg-gray-50'} ${loading ? 'opacity-50' : ''}`}
+                >
+                  <td className="px-4 py-3">
+                    <Link to={`/admin/applications/${app.id}`} className="font-medium text-gray-800 hover:underline" onClick={e => e.stopPropagation()}>
+                      {app.applicant?.full_name || 'Unknown'}
+                    </Link>
+                    <p className="text-xs text-gray-400">{app.applicant?.email}</p>
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">
+                    {app.program?.name || '—'}
+                    {app.cycle && <p className="text-xs text-gray-400">{app.cycle.name}</p>}
+                  </td>
+                  <td className="px-4 py-3"><StatusBadge status={app.status} /></td>
+                  <td className={`px-4 py-3 ${app.confidence_score < 60 ? 'text-red-600 font-medium' : 'text-gray-700'}`}>
+                    {app.confidence_score ?? '—'}%
+                  </td>
+                  <td className="px-4 py-3 text-gray-700">{peso(app.total_income)}</td>
+                  <td className="px-4 py-3 text-gray-500">{new Date(app.submitted_at).toLocaleDateString()}</td>
+                  <td className="px-4 py-3 text-gray-500">{!app.claimed_by ? '—' : app.claimed_by === user.id ? 'You' : 'Another reviewer'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {/* Pagination */}
+        {pagination && pagination.total_pages > 1 && (
+          <div className="flex items-center justify-center gap-4 mt-6 text-sm text-gray-600">
+            <button onClick={prevPage} disabled={page <= 1} className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30">
+              <ChevronLeft className="w-4 h-4" />
+            </button>
+            Page {page} of {pagination.total_pages}
+            <button onClick={nextPage} disabled={page >= pagination.total_pages} className="p-2 rounded-lg hover:bg-gray-100 disabled:opacity-30">
+              <ChevronRight className="w-4 h-4" />
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,108 @@
+import { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { useAuth } from '../context/AuthContext';
+import { listSessions, revokeSession } from '../api/sessions';
+import { ArrowLeft, Monitor, LogOut } from 'lucide-react';
+
+// Devices signed in to the account; each can be signed out, or all at once
+export default function SessionsPage() {
+  const { logout, logoutAll }     = useAuth();
+  const [sessions, setSessions]   = useState(null);
+  const [confirmAll, setConfirmAll] = useState(false);
+  const navigate                  = useNavigate();
+
+  const load = () =>
+    listSessions()
+      .then(setSessions)
+      .catch(err => {
+        setSessions([]);
+        toast.error(err.response?.data?.error || 'Failed to load your devices');
+      });
+
+  useEffect(() => { load(); }, []);
+
+  const handleRevoke = async session => {
+    // Signing this device out is a regular logout
+    if (session.current) {
+      await logout();
+      navigate('/login');
+      return;
+    }
+    try {
+      await revokeSession(session.id);
+      toast.success(`${session.device} signed out`);
+      load();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not sign the device out');
+    }
+  };
+
+  const handleLogoutAll = async () => {
+    try {
+      const data = await logoutAll();
+      toast.success(data.message);
+      navigate('/login');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Could not sign out everywhere');
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="max-w-3xl mx-auto px-6 py-10">
+
+        <button onClick={() => navigate('/')} className="flex items-center gap-2 text-gray-500 hover:text-gray-800 mb-6">
+          <ArrowLeft className="w-4 h-4" /> Back to Dashboard
+        </button>
+
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-800">Signed-in Devices</h1>
+            <p className="text-gray-500 mt-1">Sign out any device you do not recognise</p>
+          </div>
+          {confirmAll ? (
+            <div className="flex items-center gap-3 text-sm">
+              <span className="text-gray-600">Sign out everywhere, this device too?</span>
+              <button onClick={handleLogoutAll} className="text-red-600 font-medium hover:underline">Yes</button>
+              <button onClick={() => setConfirmAll(false)} className="text-gray-500 hover:underline">Cancel</button>
+            </div>
+          ) : (
+            <button onClick={() => setConfirmAll(true)}
+              className="flex items-center gap-2 border border-red-200 text-red-600 hover:bg-red-50 px-4 py-2 rounded-lg text-sm font-medium transition-colors"
+            >
+              <LogOut className="w-4 h-4" /> Log out all devices
+            </button>
+          )}
+        </div>
+
+        {!sessions ? (
+          <p className="text-center text-gray-400 py-20">Loading...</p>
+        ) : (
+          <div className="space-y-3">
+            {sessions.map(session => (
+              <div key={session.id} className="bg-white rounded-xl border border-gray-200 p-5 flex items-center justify-between">
+                <div className="flex items-start gap-3">
+                  <Monitor className="w-5 h-5 text-gray-400 mt-0.5" />
+                  <div>
+                    <p className="font-medium text-gray-800">
+                      {session.device}
+                      {session.current && <span className="ml-2 text-xs font-medium text-green-700 bg-green-100 px-2 py-0.5 rounded-full">This device</span>}
+                    </p>
+                    <p className="text-sm text-gray-500 mt-1">
+                      {session.ip_address || 'Unknown IP'} · Last active {new Date(session.last_used_at).toLocaleString()}
+                    </p>
+                    <p className="text-xs text-gray-400 mt-0.5">Signed in {new Date(session.created_at).toLocaleDateString()}</p>
+                  </div>
+                </div>
+                <button onClick={() => handleRevoke(session)} className="text-red-500 text-sm hover:underline">
+                  {session.current ? 'Log out' : 'Revoke'}
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,53 @@
+import { useState, useEffect, useRef } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
+import { useAuth } from '../context/AuthContext';
+import api from '../api/client';
+import { CheckCircle, XCircle } from 'lucide-react';
+
+// Opened from the verification email: /verify-email?token=...
+export default function VerifyEmailPage() {
+  const [searchParams]          = useSearchParams();
+  const { user, refreshUser }   = useAuth();
+  const [result, setResult]     = useState(null);   // { ok, message }
+  const sentRef                 = useRef(null);     // a token works once: never post it twice
+  const token                   = searchParams.get('token');
+
+  useEffect(() => {
+    if (sentRef.current === token) return;
+    sentRef.current = token;
+    api.post('/auth/verify-email', { token })
+      .then(r => setResult({ ok: true, message: r.data.message }))
+      .catch(err => setResult({ ok: false, message: err.response?.data?.error || 'Verification failed' }));
+  }, [token]);
+
+  // A signed-in user's banner goes away without signing in again
+  useEffect(() => {
+    if (result?.ok && user && !user.email_verified_at) refreshUser().catch(() => {});
+  }, [result, user, refreshUser]);
+
+  return (
+    <div className="min-h-screen bg-gradient-to-br from-blue-50 to-indigo-100 flex items-center justify-center p-4">
+      <div className="bg-white rounded-2xl shadow-xl w-full max-w-md p-8 text-center">
+        <div className="text-4xl mb-3">🎓</div>
+        <h1 className="text-2xl font-bold text-gray-800 mb-6">Email Verification</h1>
+
+        {!result ? (
+          <p className="text-gray-500">Verifying your email address...</p>
+        ) : (
+          <>
+            <div className={`flex items-center justify-center gap-2 mb-6 ${result.ok ? 'text-green-600' : 'text-red-600'}`}>
+              {result.ok ? <CheckCircle className="w-5 h-5" /> : <XCircle className="w-5 h-5" />}
+              <p className="font-medium">{result.message}</p>
+            </div>
+            {!result.ok && user && (
+              <p className="text-sm text-gray-500 mb-4">You can send yourself a new link from your dashboard.</p>
+            )}
+            <Link to={user ? '/' : '/login'} className="text-blue-600 font-medium hover:underline">
+              {user ? 'Go to your dashboard →' : 'Sign in →'}
+            </Link>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
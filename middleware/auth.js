@@ -1,17 +1,33 @@
 const jwt = require('jsonwebtoken');
+const { isActive } = require('../services/sessions');
 
-module.exports = (req, res, next) => {
+// Access tokens are short-lived (services/sessions.js). code tells the client
+// what to do: token_expired → refresh and retry, session_ended → sign in again
+module.exports = async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1]; // Bearer <token>
 
   if (!token) {
     return res.status(401).json({ error: 'No token provided' });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;  // { id, email, role }
-    next();
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
   } catch (err) {
-    res.status(401).json({ error: 'Invalid or expired token' });
+    const expired = err instanceof jwt.TokenExpiredError;
+    return res.status(401).json({ error: expired ? 'Token expired' : 'Invalid token', code: expired ? 'token_expired' : 'token_invalid' });
   }
-};
\ No newline at end of file
+
+  try {
+    // Tokens from before sessions existed have no sid and must sign in again
+    if (!decoded.sid || !(await isActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Your session has ended. Please sign in again.', code: 'session_ended' });
+    }
+  } catch (err) {
+    console.error('Session check error:', err);
+    return res.status(500).json({ error: 'Server error' });
+  }
+
+  req.user = decoded;  // { id, email, role, sid }
+  next();
+};
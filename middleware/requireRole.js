@@ -0,0 +1,8 @@
+// Use after the auth middleware: router.get('/x', authMw, requireRole('admin'), ...)
+// The role comes from the JWT payload ({ id, email, role })
+module.exports = (...roles) => (req, res, next) => {
+  if (!req.user || !roles.includes(req.user.role)) {
+    return res.status(403).json({ error: 'You do not have permission to do this' });
+  }
+  next();
+};
@@ -0,0 +1,22 @@
+const supabase = require('../config/supabase');
+
+// Use after the auth middleware: router.post('/x', authMw, requireVerified, ...)
+// Checked against the database, not the JWT, so verifying takes effect at once
+module.exports = async (req, res, next) => {
+  try {
+    const { data: user, error } = await supabase
+      .from('users')
+      .select('email_verified_at')
+      .eq('id', req.user?.id)
+      .maybeSingle();
+    if (error) throw error;
+
+    if (!user?.email_verified_at) {
+      return res.status(403).json({ error: 'Verify your email address before submitting an application', code: 'email_unverified' });
+    }
+    next();
+  } catch (err) {
+    console.error('Email verification check error:', err);
+    res.status(500).json({ error: 'Server error' });
+  }
+};
@@ -0,0 +1,544 @@
+const express      = require('express');
+const supabase     = require('../config/supabase');
+const authMw       = require('../middleware/auth');
+const requireRole  = require('../middleware/requireRole');
+const { listRuns } = require('../services/evaluationRuns');
+const { listHistory } = require('../services/applicationHistory');
+const { selectApplications, reevaluate } = require('../services/reevaluation');
+const review = require('../services/adminReview');
+const ruleVersions = require('../services/ruleVersions');
+const programs = require('../services/programs');
+const { mimeFromPath } = require('../services/applicationPipeline');
+const documents = require('../services/documents');
+const { householdOf } = require('../services/household');
+const documentRequests = require('../services/documentRequests');
+const documentAccess = require('../services/documentAccess');
+const cycles = require('../services/cycles');
+
+const router = express.Router();
+
+// Re-evaluations run inside the request; bigger batches go through
+// the batch script instead (npm run reevaluate)
+const MAX_SYNC_REEVALUATIONS = parseInt(process.env.REEVALUATE_MAX_SYNC || '25');
+
+// Review queue paging
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+// Columns the list can be sorted by
+const SORTABLE = ['submitted_at', 'confidence_score', 'total_income', 'processed_at'];
+
+// Every admin route needs a logged-in admin
+router.use(authMw, requireRole('admin'));
+
+// Review actions, rule, program and document type changes throw errors
+// carrying the HTTP status to use; anything else is a server error
+const KNOWN_ERRORS = [review.ReviewError, ruleVersions.RuleError, programs.ProgramError, documents.DocumentError, cycles.CycleError];
+
+function sendError(res, err, label) {
+  if (KNOWN_ERRORS.some(type => err instanceof type)) return res.status(err.status).json({ error: err.message });
+  console.error(`${label} error:`, err);
+  res.status(500).json({ error: err.message || `${label} failed` });
+}
+
+// Optional numeric query parameter: undefined when absent, NaN when invalid
+const numberParam = value => (value === undefined || value === '' ? undefined : Number(value));
+
+/* ─── GET /api/admin/applications ────────────────────── */
+// Query: program (id), cycle (id), status (comma-separated), min_confidence, max_confidence,
+//        from, to (submitted_at), min_income, max_income (documented total),
+//        claimed (me | none), sort, order (asc | desc), page, page_size
+router.get('/applications', async (req, res) => {
+  const q = req.query;
+  const numbers = {
+    min_confidence: numberParam(q.min_confidence),
+    max_confidence: numberParam(q.max_confidence),
+    min_income:     numberParam(q.min_income),
+    max_income:     numberParam(q.max_income)
+  };
+  const invalid = Object.keys(numbers).filter(key => Number.isNaN(numbers[key]));
+  if (invalid.length) {
+    return res.status(400).json({ error: `Not a number: ${invalid.join(', ')}` });
+  }
+
+  const page = Math.max(1, parseInt(q.page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(q.page_size) || DEFAULT_PAGE_SIZE));
+  const sort = SORTABLE.includes(q.sort) ? q.sort : 'submitted_at';
+
+  let query = supabase
+    .from('applications')
+    .select(
+      'id, status, qualified, confidence_score, total_income, ' +
+      'submitted_at, processed_at, claimed_by, claimed_at, reviewed_by, reviewed_at, program_id, ' +
+      'applicant:users!applications_user_id_fkey(id, full_name, email), program:programs(id, slug, name), ' +
+      'cycle:application_cycles(id, name)',
+      { count: 'exact' }
+    )
+    .neq('status', 'draft');   // drafts are the applicant's until submitted
+
+  if (q.program) query = query.eq('program_id', q.program);
+  if (q.cycle) query = query.eq('cycle_id', q.cycle);
+  if (q.status) query = query.in('status', String(q.status).split(','));
+  if (numbers.min_confidence !== undefined) query = query.gte('confidence_score', numbers.min_confidence);
+  if (numbers.max_confidence !== undefined) query = query.lte('confidence_score', numbers.max_confidence);
+  if (numbers.min_income !== undefined) query = query.gte('total_income', numbers.min_income);
+  if (numbers.max_income !== undefined) query = query.lte('total_income', numbers.max_income);
+  if (q.from) query = query.gte('submitted_at', q.from);
+  // A plain date ("2025-06-30") includes that whole day
+  if (q.to)   query = query.lte('submitted_at', /^\d{4}-\d{2}-\d{2}$/.test(q.to) ? `${q.to}T23:59:59.999Z` : q.to);
+  if (q.claimed === 'me')   query = query.eq('claimed_by', req.user.id);
+  if (q.claimed === 'none') query = query.is('claimed_by', null);
+
+  // Oldest first by default: the review queue is worked in submission order
+  const { data, count, error } = await query
+    .order(sort, { ascending: q.order !== 'desc', nullsFirst: false })
+    .range((page - 1) * pageSize, page * pageSize - 1);
+
+  if (error) return res.status(500).json({ error: error.message });
+
+  res.json({
+    applications: data,
+    pagination: { page, page_size: pageSize, total: count, total_pages: Math.ceil(count / pageSize) }
+  });
+});
+
+/* ─── GET /api/admin/applications/:id ───────────────── */
+// Full application with applicant and decision log
+router.get('/applications/:id', async (req, res) => {
+  const { data: application, error } = await supabase
+    .from('applications')
+    .select('*, applicant:users!applications_user_id_fkey(id, full_name, email), ' +
+      'program:programs(id, slug, name, required_documents, optional_documents, household_assessment), ' +
+      'cycle:application_cycles(id, name)')
+    .eq('id', req.params.id)
+    .neq('status', 'draft')
+    .single();
+
+  if (error || !application) return res.status(404).json({ error: 'Application not found' });
+
+  try {
+    const [history, household, request] = await Promise.all([
+      listHistory(application.id),
+      householdOf(application),
+      documentRequests.openRequest(application.id)
+    ]);
+    res.json({ application: { ...application, household, document_request: request }, history });
+  } catch (err) {
+    console.error('Load application error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load application' });
+  }
+});
+
+/* ─── GET /api/admin/applications/:id/documents ─────── */
+// Each document with its extracted (OCR) text and the versions it replaced
+// after a document request (newest first). The files themselves are opened
+// through GET /api/documents/:applicationId/:docKey, which logs every access
+router.get('/applications/:id/documents', async (req, res) => {
+  const { data: application, error } = await supabase
+    .from('applications')
+    .select('*')
+    .eq('id', req.params.id)
+    .neq('status', 'draft')
+    .single();
+
+  if (error || !application) return res.status(404).json({ error: 'Application not found' });
+
+  try {
+    const [uploaded, versions] = await Promise.all([
+      documents.documentsOf(application),
+      documentRequests.versionsOf(application)
+    ]);
+    const listed = uploaded.map(doc => {
+      const extraction = application.document_extractions?.[doc.doc_key] || null;
+      const earlier = versions.filter(version => version.application_document_id === doc.id);
+      return {
+        key: doc.doc_key,
+        label: documents.describeDocument(doc).label,
+        file_name: doc.file_name,
+        claimed_value: doc.claimed_value,
+        mimetype: mimeFromPath(doc.storage_path),
+        text: extraction?.text ?? null,
+        method: extraction?.method ?? null,
+        pages: extraction?.pages ?? [],
+        authenticity: doc.authenticity ?? null,
+        versions: earlier.map(version => ({
+          id: version.id,
+          file_name: version.file_name,
+          uploaded_at: version.uploaded_at,
+          replaced_at: version.replaced_at,
+          mimetype: mimeFromPath(version.storage_path),
+          text: version.extraction?.text ?? null,
+          authenticity: version.authenticity ?? null
+        }))
+      };
+    });
+    res.json({ documents: listed });
+  } catch (err) {
+    console.error('Documents error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load documents' });
+  }
+});
+
+/* ─── GET /api/admin/applications/:id/access-log ────── */
+// Who opened the application's documents and when, newest first
+router.get('/applications/:id/access-log', async (req, res) => {
+  try {
+    res.json({ entries: await documentAccess.accessLog(req.params.id) });
+  } catch (err) {
+    console.error('Access log error:', err);
+    res.status(500).json({ error: 'Failed to load the access log' });
+  }
+});
+
+/* ─── POST /api/admin/applications/:id/claim ────────── */
+router.post('/applications/:id/claim', async (req, res) => {
+  try {
+    res.json({ application: await review.claim(req.params.id, req.user.id) });
+  } catch (err) {
+    sendError(res, err, 'Claim');
+  }
+});
+
+/* ─── POST /api/admin/applications/:id/release ──────── */
+router.post('/applications/:id/release', async (req, res) => {
+  try {
+    res.json({ application: await review.release(req.params.id, req.user.id) });
+  } catch (err) {
+    sendError(res, err, 'Release');
+  }
+});
+
+/* ─── POST /api/admin/applications/:id/decision ─────── */
+// Body: { status: 'qualified' | 'disqualified' | 'manual_review', qualified?, justification }
+router.post('/applications/:id/decision', async (req, res) => {
+  try {
+    res.json({ application: await review.decide(req.params.id, req.user.id, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Decision');
+  }
+});
+
+/* ─── POST /api/admin/applications/:id/request-info ─── */
+// Body: { message } - shown to the applicant
+router.post('/applications/:id/request-info', async (req, res) => {
+  try {
+    res.json({ application: await review.requestInfo(req.params.id, req.user.id, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Request info');
+  }
+});
+
+/* ─── POST /api/admin/applications/:id/request-documents */
+// Body: { documents: [doc key, ...], message } - the applicant uploads these again
+router.post('/applications/:id/request-documents', async (req, res) => {
+  try {
+    res.json({ application: await review.requestDocuments(req.params.id, req.user.id, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Request documents');
+  }
+});
+
+/* ─── PATCH /api/admin/applications/:id/extracted-data ─ */
+// Body: { corrections: { mother_income: 15000, ... }, justification, replace_decision? }
+router.patch('/applications/:id/extracted-data', async (req, res) => {
+  try {
+    res.json({ application: await review.correctFields(req.params.id, req.user.id, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Correction');
+  }
+});
+
+/* ─── GET /api/admin/applications/:id/runs ──────────── */
+// Audit trail: every evaluation of an application, newest first
+router.get('/applications/:id/runs', async (req, res) => {
+  const { data: application, error } = await supabase
+    .from('applications')
+    .select('id, last_run_id')
+    .eq('id', req.params.id)
+    .single();
+
+  if (error || !application) return res.status(404).json({ error: 'Application not found' });
+
+  try {
+    const runs = await listRuns(application.id);
+    res.json({ runs, current_run_id: application.last_run_id });
+  } catch (err) {
+    console.error('List runs error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load evaluation runs' });
+  }
+});
+
+/* ─── GET /api/admin/applications/:id/history ───────── */
+router.get('/applications/:id/history', async (req, res) => {
+  try {
+    res.json({ history: await listHistory(req.params.id) });
+  } catch (err) {
+    console.error('List history error:', err);
+    res.status(500).json({ error: err.message || 'Failed to load history' });
+  }
+});
+
+/* ─── POST /api/admin/reevaluate ─────────────────────── */
+// Body: { application_ids: [...] } | { filter: { program_id, status, qualified, submitted_from, submitted_to } } | { all: true }
+//       plus reocr (default false), dry_run (default true) and include_reviewed
+//       (default false: applications a reviewer acted on are left out; included,
+//       their reviewer's decision is kept and only the evaluation replaced)
+// A dry run returns the verdicts that WOULD change; send dry_run: false to commit
+router.post('/reevaluate', async (req, res) => {
+  const { application_ids, filter, all = false, reocr = false, dry_run = true, include_reviewed = false } = req.body || {};
+
+  if (application_ids !== undefined && !Array.isArray(application_ids)) {
+    return res.status(400).json({ error: 'application_ids must be an array' });
+  }
+
+  let applications;
+  try {
+    applications = await selectApplications({
+      ids: application_ids,
+      filter,
+      all: all === true,
+      includeReviewed: include_reviewed === true
+    });
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+
+  if (applications.length > MAX_SYNC_REEVALUATIONS) {
+    return res.status(413).json({
+      error: `${applications.length} applications selected; at most ${MAX_SYNC_REEVALUATIONS} can be re-evaluated per request. Use "npm run reevaluate" for larger batches.`
+    });
+  }
+
+  try {
+    const summary = await reevaluate(applications, {
+      dryRun: dry_run !== false,
+      reocr: reocr === true,
+      actorId: req.user.id
+    });
+    res.json(summary);
+  } catch (err) {
+    console.error('Re-evaluation error:', err);
+    res.status(500).json({ error: err.message || 'Re-evaluation failed' });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CYCLES - When applications are taken (see services/cycles.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/* ─── GET /api/admin/cycles ──────────────────────────── */
+// Every cycle, newest first, and the one open now (or null)
+router.get('/cycles', async (req, res) => {
+  try {
+    const [list, status] = await Promise.all([cycles.listCycles(), cycles.cycleStatus()]);
+    res.json({ cycles: list, current: status.cycle });
+  } catch (err) {
+    sendError(res, err, 'List cycles');
+  }
+});
+
+/* ─── POST /api/admin/cycles ─────────────────────────── */
+// Body: { name, academic_year?, term?, opens_at, closes_at } - may not overlap another cycle
+router.post('/cycles', async (req, res) => {
+  try {
+    res.status(201).json({ cycle: await cycles.createCycle(req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Create cycle');
+  }
+});
+
+/* ─── PATCH /api/admin/cycles/:cycleId ───────────────── */
+// Body: any cycle field, e.g. a later closes_at to extend the deadline
+router.patch('/cycles/:cycleId', async (req, res) => {
+  try {
+    res.json({ cycle: await cycles.updateCycle(req.params.cycleId, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Update cycle');
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROGRAMS - Scholarships with their own rules, documents, window and slots
+// ═══════════════════════════════════════════════════════════════════════════════
+// :programId accepts the program's id or slug
+
+/* ─── GET /api/admin/programs ────────────────────────── */
+// Every program, inactive ones included, with slot usage
+router.get('/programs', async (req, res) => {
+  try {
+    res.json({ programs: await programs.listPrograms({ activeOnly: false }) });
+  } catch (err) {
+    sendError(res, err, 'List programs');
+  }
+});
+
+/* ─── POST /api/admin/programs ───────────────────────── */
+// Body: { slug, name, description?, prompt_context, required_documents,
+//         optional_documents?, opens_at?, closes_at?, slots?, active?, rules? }
+// rules (optional): { rule_key: { value, type?, description? } } → version 1
+// Without rules the program cannot take applications yet.
+router.post('/programs', async (req, res) => {
+  const { rules, ...fields } = req.body || {};
+  try {
+    const program = await programs.createProgram(fields);
+    const version = rules
+      ? await ruleVersions.createVersion({ programId: program.id, set: rules, note: 'Initial rules', actorId: req.user.id })
+      : null;
+    res.status(201).json({ program, rules: version });
+  } catch (err) {
+    sendError(res, err, 'Create program');
+  }
+});
+
+/* ─── PATCH /api/admin/programs/:programId ───────────── */
+// Body: any program field (rules are changed through the rules routes below)
+router.patch('/programs/:programId', async (req, res) => {
+  try {
+    res.json({ program: await programs.updateProgram(req.params.programId, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Update program');
+  }
+});
+
+/* ─── GET /api/admin/programs/:programId/summary ─────── */
+// Query: cycle (id, optional - only that cycle's applications)
+// Report: applications per status, average confidence, slot usage
+router.get('/programs/:programId/summary', async (req, res) => {
+  try {
+    res.json(await programs.programSummary(req.params.programId, { cycleId: req.query.cycle || null }));
+  } catch (err) {
+    sendError(res, err, 'Program summary');
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROGRAM RULES - Every change creates a new, immutable rules version
+// ═══════════════════════════════════════════════════════════════════════════════
+// Change bodies accept effective_from (ISO date, default now; never in the
+// past) and note (why the rules changed). Each change responds with the new
+// version. Values are typed: see services/ruleVersions.js for validation.
+
+// Run a change against the program's latest version (which may be scheduled for later)
+async function changeRules(req, res, label, buildChanges) {
+  const { effective_from, note } = req.body || {};
+  try {
+    const program = await programs.getProgram(req.params.programId);
+    const latest = await ruleVersions.getLatestVersion(program.id);
+    const changes = buildChanges(latest?.rules || {});
+    const version = await ruleVersions.createVersion({
+      ...changes,
+      programId: program.id,
+      effectiveFrom: effective_from,
+      note,
+      actorId: req.user.id
+    });
+    res.status(201).json({ version });
+  } catch (err) {
+    sendError(res, err, label);
+  }
+}
+
+/* ─── GET /api/admin/programs/:programId/rules ───────── */
+// Rules in effect now plus every version (newest first, scheduled ones included)
+router.get('/programs/:programId/rules', async (req, res) => {
+  try {
+    const program = await programs.getProgram(req.params.programId);
+    const [active, versions] = await Promise.all([
+      ruleVersions.getActiveVersion(program.id).catch(() => null),
+      ruleVersions.listVersions(program.id)
+    ]);
+    res.json({ active, versions });
+  } catch (err) {
+    sendError(res, err, 'List rules');
+  }
+});
+
+/* ─── GET /api/admin/programs/:programId/rules/versions/:version ─ */
+router.get('/programs/:programId/rules/versions/:version', async (req, res) => {
+  const version = parseInt(req.params.version);
+  if (!Number.isInteger(version)) return res.status(400).json({ error: 'Invalid version number' });
+
+  try {
+    const program = await programs.getProgram(req.params.programId);
+    res.json({ version: await ruleVersions.getVersion(program.id, version) });
+  } catch (err) {
+    sendError(res, err, 'Get rules version');
+  }
+});
+
+/* ─── POST /api/admin/programs/:programId/rules ──────── */
+// Body: { rule_key, value, type?, description?, effective_from?, note? }
+router.post('/programs/:programId/rules', (req, res) => {
+  const { rule_key, value, type, description } = req.body || {};
+  return changeRules(req, res, 'Create rule', rules => {
+    if (rules[rule_key]) throw new ruleVersions.RuleError(`Rule "${rule_key}" already exists`, 409);
+    return { set: { [rule_key]: { value, type, description } } };
+  });
+});
+
+/* ─── POST /api/admin/programs/:programId/rules/versions ─ */
+// Several changes in one version.
+// Body: { set: { rule_key: { value, type?, description? } }, remove: [rule_key], effective_from?, note? }
+router.post('/programs/:programId/rules/versions', (req, res) => {
+  const { set = {}, remove = [] } = req.body || {};
+  return changeRules(req, res, 'Create rules version', () => {
+    if (typeof set !== 'object' || Array.isArray(set) || !Array.isArray(remove)) {
+      throw new ruleVersions.RuleError('set must be an object and remove an array of rule keys');
+    }
+    return { set, remove };
+  });
+});
+
+/* ─── PUT /api/admin/programs/:programId/rules/:key ──── */
+// Body: { value, type?, description?, effective_from?, note? }
+router.put('/programs/:programId/rules/:key', (req, res) => {
+  const { value, type, description } = req.body || {};
+  return changeRules(req, res, 'Update rule', rules => {
+    if (!rules[req.params.key]) throw new ruleVersions.RuleError(`Rule "${req.params.key}" does not exist`, 404);
+    return { set: { [req.params.key]: { value, type, description } } };
+  });
+});
+
+/* ─── DELETE /api/admin/programs/:programId/rules/:key ─ */
+// Body (optional): { effective_from?, note? }
+router.delete('/programs/:programId/rules/:key', (req, res) =>
+  changeRules(req, res, 'Delete rule', () => ({ remove: [req.params.key] }))
+);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT TYPES - What applicants can upload (see services/documents.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Programs pick from these in required_documents / optional_documents, so a new
+// document (e.g. Certificate of Enrollment, ITR) needs no code change
+
+/* ─── GET /api/admin/document-types ──────────────────── */
+router.get('/document-types', async (req, res) => {
+  try {
+    res.json({ document_types: await documents.listDocumentTypes() });
+  } catch (err) {
+    sendError(res, err, 'List document types');
+  }
+});
+
+/* ─── POST /api/admin/document-types ─────────────────── */
+// Body: { key, label, extractor, description?, accepted_formats?, max_size_mb?,
+//         fields?, checks?, claim_label?, sort_order? }
+router.post('/document-types', async (req, res) => {
+  try {
+    res.status(201).json({ document_type: await documents.createDocumentType(req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Create document type');
+  }
+});
+
+/* ─── PATCH /api/admin/document-types/:key ───────────── */
+// Body: any document type field except key
+router.patch('/document-types/:key', async (req, res) => {
+  try {
+    res.json({ document_type: await documents.updateDocumentType(req.params.key, req.body || {}) });
+  } catch (err) {
+    sendError(res, err, 'Update document type');
+  }
+});
+
+module.exports = router;
@@ -4,165 +4,578 @@ const path       = require('path');
 const fs         = require('fs');
 const supabase   = require('../config/supabase');
 const authMw     = require('../middleware/auth');
-const { processApplication } = require('../services/evaluationService');
+const requireVerified = require('../middleware/requireVerified');
+const jobQueue   = require('../services/jobQueue');
+const { listDocumentTypes, programDocuments, SUPPORTED_FORMATS, MAX_SIZE_MB } = require('../services/documents');
+const { getProgram, assertOpen, ProgramError } = require('../services/programs');
+const { getActiveVersion, RuleError } = require('../services/ruleVersions');
+const { validateHousehold, parseMemberField, HouseholdError } = require('../services/household');
+const drafts     = require('../services/drafts');
+const cycles     = require('../services/cycles');
+const documentRequests = require('../services/documentRequests');
+const { fingerprintFile } = require('../services/fingerprints');
+const { mimeFromPath } = require('../services/applicationPipeline');
 
 const router = express.Router();
 
-// Multer: accept images and PDFs, max 10MB
+// Multer: one field per document type (the field name is the type's key),
+// and member_<position>_<type key> for a household member's proof.
+// Each file must be in a format its type accepts; loadDocumentTypes below
+// runs first so the filter knows the types
 const upload = multer({
   dest: 'uploads/',
-  limits: { fileSize: 10 * 1024 * 1024 },
+  limits: { fileSize: MAX_SIZE_MB * 1024 * 1024 },
   fileFilter: (req, file, cb) => {
-    const allowed = ['.jpg', '.jpeg', '.png', '.pdf', '.txt']; // Added .txt for testing
+    const member = parseMemberField(file.fieldname);
+    const type = req.documentTypes[member ? member.typeKey : file.fieldname];
     const ext = path.extname(file.originalname).toLowerCase();
-    if (allowed.includes(ext)) {
+    // Member proofs only under a member field, application documents only on their own
+    if (!type || Boolean(member) !== Boolean(type.member_proof)) {
+      cb(new Error(`Unknown document: ${file.fieldname}`));
+    } else if (type.accepted_formats.includes(ext) && SUPPORTED_FORMATS.includes(ext)) {
       cb(null, true);
     } else {
-      cb(new Error(`File type not allowed: ${ext}. Please upload JPG, PNG, PDF, or TXT files.`));
+      cb(new Error(`File type not allowed for ${type.label}: ${ext}. Please upload ${type.accepted_formats.join(', ')} files.`));
     }
   }
 });
 
+// Document types by key, for the upload filter and the submission checks
+async function loadDocumentTypes(req, res, next) {
+  try {
+    const types = await listDocumentTypes();
+    req.documentTypes = Object.fromEntries(types.map(type => [type.key, type]));
+    next();
+  } catch (err) {
+    console.error('Document types error:', err);
+    res.status(500).json({ error: 'Failed to load document types' });
+  }
+}
+
+// Remove multer temp files (uploads/) once they are in Supabase Storage
+function cleanupTempFiles(files) {
+  for (const file of files || []) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  }
+}
+
+// Job lookup restricted to the logged-in user's own jobs
+async function findOwnJob(jobId, userId) {
+  const { data } = await supabase
+    .from('application_jobs')
+    .select('*')
+    .eq('id', jobId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  return data;
+}
+
+// Program the applicant chose, if it can take an application right now,
+// and the open cycle the application goes into. Returns { program, cycle }
+async function openProgram(programId) {
+  if (!programId) throw new ProgramError('Choose a scholarship program');
+  const program = await getProgram(programId);
+  const cycle = await assertOpen(program);
+  await getActiveVersion(program.id);   // no rules in effect → nothing to evaluate against
+  return { program, cycle };
+}
+
+// The one-active-application index refused a second application in the cycle
+// (two submissions at once; checkActiveLimit catches the usual case)
+const ALREADY_APPLIED = 'You already have an application in this cycle. Withdraw or replace it to apply again.';
+
+// Match the uploaded files with the program's documents.
+// Returns { uploads: [{ docKey, typeKey, file, claimed }] } or { error } for the applicant
+function matchUploads(files, documents, body) {
+  const byKey = {};
+  for (const file of files) {
+    if (byKey[file.fieldname]) return { error: `Upload only one file for each document (${file.fieldname})` };
+    byKey[file.fieldname] = file;
+  }
+
+  const extra = Object.keys(byKey).filter(key => !documents.some(doc => doc.key === key));
+  if (extra.length) return { error: `Not a document of this program: ${extra.join(', ')}` };
+
+  const missing = documents.filter(doc => doc.required && !byKey[doc.key]);
+  if (missing.length) return { error: `Required document(s) missing: ${missing.map(doc => doc.label).join(', ')}` };
+
+  const uploads = [];
+  for (const doc of documents.filter(d => byKey[d.key])) {
+    const file = byKey[doc.key];
+    if (file.size > doc.max_size_mb * 1024 * 1024) {
+      return { error: `${doc.label} is too large (max ${doc.max_size_mb}MB)` };
+    }
+
+    // A document checked against a declared value is only useful with that value
+    let claimed = null;
+    if (doc.claim_field) {
+      claimed = parseFloat(body[doc.claim_field]);
+      if (Number.isNaN(claimed)) return { error: `A valid ${doc.claim_label} is required with the ${doc.label}` };
+    }
+    uploads.push({ docKey: doc.key, typeKey: doc.key, file, claimed });
+  }
+  return { uploads };
+}
+
+// The household declared with the submission (programs with household_assessment).
+// Returns { members, uploads: [{ docKey, typeKey, file, claimed, position }] };
+// throws HouseholdError for the applicant
+function matchHousehold(program, memberFiles, body, documentTypes) {
+  if (!program.household_assessment) {
+    if (memberFiles.length || body.household) throw new HouseholdError('This program does not ask for household members');
+    return { members: [], uploads: [] };
+  }
+
+  const byPosition = {};
+  for (const file of memberFiles) {
+    const { position } = parseMemberField(file.fieldname);
+    (byPosition[position] = byPosition[position] || []).push(file);
+  }
+  const members = validateHousehold(body.household, byPosition, documentTypes);
+  const uploads = members.flatMap(member => member.proofs.map(({ type, file }) => ({
+    docKey:   file.fieldname,
+    typeKey:  type.key,
+    file,
+    claimed:  null,
+    position: member.position
+  })));
+  return { members, uploads };
+}
+
 /* ─── POST /api/applications/submit ─────────────────── */
-router.post('/submit', authMw, upload.fields([
-  { name: 'mother_certificate', maxCount: 1 },
-  { name: 'father_certificate', maxCount: 1 },
-  { name: 'report_card', maxCount: 1 }
-]), async (req, res) => {
-  if (!req.files || !req.files.mother_certificate || !req.files.father_certificate || !req.files.report_card) {
-    return res.status(400).json({ error: 'All three documents are required (mother certificate, father certificate, and report card)' });
+// Stores the documents and a 'pending' application, then answers 202.
+// OCR + AI evaluation run in the background job worker (services/jobQueue.js)
+// Body: program_id, one file per document of the program (field = document
+// type key; required ones must be there) and the declared value of each
+// uploaded document that asks for one (field = its claim_field).
+// Programs with household_assessment also take household: JSON list of
+// { relationship, full_name, status, monthly_income }, and each member's
+// proofs (field = member_<position>_<type key>, see services/household.js)
+// One active application per applicant and cycle (services/cycles.js): with
+// one already submitted, replace (its id) withdraws it in favour of this one.
+// The applicant's email must be verified (403 code email_unverified)
+router.post('/submit', authMw, requireVerified, loadDocumentTypes, upload.any(), async (req, res) => {
+  let program, cycle, replacing;
+  try {
+    ({ program, cycle } = await openProgram(req.body.program_id));
+    replacing = await cycles.checkActiveLimit(req.user.id, cycle, req.body.replace || null);
+  } catch (err) {
+    cleanupTempFiles(req.files);
+    if (err instanceof ProgramError || err instanceof RuleError || err instanceof cycles.CycleError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Program lookup error:', err);
+    return res.status(500).json({ error: 'Failed to load the program' });
   }
 
-  if (!req.body.mother_income || !req.body.father_income) {
-    return res.status(400).json({ error: 'Both parent income values are required' });
+  const files = req.files || [];
+  const documents = programDocuments(program, Object.values(req.documentTypes));
+  const { uploads: documentUploads, error: uploadError } = matchUploads(
+    files.filter(file => !parseMemberField(file.fieldname)), documents, req.body
+  );
+  if (uploadError) {
+    cleanupTempFiles(req.files);
+    return res.status(400).json({ error: uploadError });
   }
 
-  const motherFile = req.files.mother_certificate[0];
-  const fatherFile = req.files.father_certificate[0];
-  const reportFile = req.files.report_card[0];
-  const motherIncome = parseFloat(req.body.mother_income);
-  const fatherIncome = parseFloat(req.body.father_income);
+  let household;
+  try {
+    household = matchHousehold(program, files.filter(file => parseMemberField(file.fieldname)), req.body, req.documentTypes);
+  } catch (err) {
+    cleanupTempFiles(req.files);
+    if (err instanceof HouseholdError) return res.status(err.status).json({ error: err.message });
+    throw err;
+  }
+  const uploads = [...documentUploads, ...household.uploads];
+
+  const uploadedPaths = [];
+  let application = null;
+  let replacement = null;
 
   try {
-    // 1. Upload all three files to Supabase Storage
+    // 1. Upload the documents to Supabase Storage
     const timestamp = Date.now();
-    
-    // Upload mother's certificate
-    const motherBuffer = fs.readFileSync(motherFile.path);
-    const motherPath = `documents/${req.user.id}/mother_income_${timestamp}_${motherFile.originalname}`;
-    const motherContentType = motherFile.mimetype === 'text/plain' ? 'application/pdf' : motherFile.mimetype;
-    const { error: motherUploadError } = await supabase.storage
-      .from('documents')
-      .upload(motherPath, motherBuffer, { contentType: motherContentType });
-    if (motherUploadError) throw motherUploadError;
-
-    // Upload father's certificate
-    const fatherBuffer = fs.readFileSync(fatherFile.path);
-    const fatherPath = `documents/${req.user.id}/father_income_${timestamp}_${fatherFile.originalname}`;
-    const fatherContentType = fatherFile.mimetype === 'text/plain' ? 'application/pdf' : fatherFile.mimetype;
-    const { error: fatherUploadError } = await supabase.storage
-      .from('documents')
-      .upload(fatherPath, fatherBuffer, { contentType: fatherContentType });
-    if (fatherUploadError) throw fatherUploadError;
-
-    // Upload report card
-    const reportBuffer = fs.readFileSync(reportFile.path);
-    const reportPath = `documents/${req.user.id}/report_${timestamp}_${reportFile.originalname}`;
-    const reportContentType = reportFile.mimetype === 'text/plain' ? 'application/pdf' : reportFile.mimetype;
-    const { error: reportUploadError } = await supabase.storage
-      .from('documents')
-      .upload(reportPath, reportBuffer, { contentType: reportContentType });
-    if (reportUploadError) throw reportUploadError;
-
-    // 2. Extract text from all documents
-    const [
-      { extractedText: motherText },
-      { extractedText: fatherText },
-      { extractedText: reportText }
-    ] = await Promise.all([
-      processApplication(motherFile.path, motherFile.mimetype, null, true), // true = extract only
-      processApplication(fatherFile.path, fatherFile.mimetype, null, true),
-      processApplication(reportFile.path, reportFile.mimetype, null, true)
-    ]);
-    
-    const combinedText = `Mother's Income Certificate:\n${motherText}\n\nFather's Income Certificate:\n${fatherText}\n\nReport Card:\n${reportText}`;
-
-    // 3. Do single AI evaluation with all documents
-    const { evaluation } = await processApplication(
-      null, // no file path needed for evaluation only
-      null,
-      {
-        motherIncome,
-        fatherIncome,
-        motherText,
-        fatherText,
-        reportText,
-        combinedText
-      },
-      false // false = do evaluation
-    );
-
-    // 3. Save to database
-    const status = evaluation.confidence_score < 60
-      ? 'manual_review'
-      : evaluation.qualified ? 'qualified' : 'disqualified';
-
-    const { data: application, error: dbError } = await supabase
+    for (const item of uploads) {
+      const buffer = fs.readFileSync(item.file.path);
+      const storagePath = `documents/${req.user.id}/${item.docKey}_${timestamp}_${item.file.originalname}`;
+      const contentType = item.file.mimetype === 'text/plain' ? 'application/pdf' : item.file.mimetype;
+      const { error: storageError } = await supabase.storage
+        .from('documents')
+        .upload(storagePath, buffer, { contentType });
+      if (storageError) throw storageError;
+
+      uploadedPaths.push(storagePath);
+      item.storagePath = storagePath;
+      item.fingerprint = await fingerprintFile(item.file.path, mimeFromPath(item.file.originalname));
+    }
+
+    // 2. Save the application as 'pending' (results are filled in by the worker),
+    //    in place of the one it replaces
+    if (replacing) replacement = await cycles.replaceApplication(replacing, req.user.id);
+    const { data, error: dbError } = await supabase
       .from('applications')
       .insert({
-        user_id:                  req.user.id,
-        mother_certificate_url:   motherPath,
-        father_certificate_url:   fatherPath,
-        report_card_url:          reportPath,
-        mother_income:            motherIncome,
-        father_income:            fatherIncome,
-        extracted_text:           combinedText,
-        evaluation_result:        evaluation,
-        qualified:                evaluation.qualified,
-        confidence_score:         evaluation.confidence_score,
-        status
+        user_id:    req.user.id,
+        program_id: program.id,
+        cycle_id:   cycle.id,
+        status:     'pending'
       })
       .select()
       .single();
 
+    if (dbError?.code === '23505') throw new cycles.CycleError(ALREADY_APPLIED, 409);
     if (dbError) throw dbError;
+    application = data;
 
-    res.json({ success: true, application });
+    // 3. The declared household, one household_members row per member
+    const memberIds = {};
+    if (household.members.length) {
+      const { data: members, error: membersError } = await supabase
+        .from('household_members')
+        .insert(household.members.map(({ proofs, ...member }) => ({ application_id: application.id, ...member })))
+        .select('id, position');
+      if (membersError) throw membersError;
+      for (const member of members) memberIds[member.position] = member.id;
+    }
+
+    // 4. One application_documents row per uploaded file
+    const { error: docsError } = await supabase
+      .from('application_documents')
+      .insert(uploads.map(item => ({
+        application_id:      application.id,
+        doc_key:             item.docKey,
+        document_type:       item.typeKey,
+        household_member_id: item.position ? memberIds[item.position] : null,
+        storage_path:        item.storagePath,
+        file_name:           item.file.originalname,
+        size_bytes:          item.file.size,
+        claimed_value:       item.claimed,
+        ...item.fingerprint
+      })));
+    if (docsError) throw docsError;
+
+    // 5. Queue the evaluation job
+    const job = await jobQueue.enqueue(application);
+    await replacement?.finish(application.id);
+
+    res.status(202).json({ success: true, application, job });
+
+  } catch (err) {
+    if (!(err instanceof cycles.CycleError)) console.error('Submission error:', err);
+    // No job means nobody would ever evaluate it - don't keep a stuck row
+    // (its household_members and application_documents go with it)
+    if (application) {
+      await supabase.from('applications').delete().eq('id', application.id);
+    }
+    // The replaced application is the applicant's again
+    await replacement?.undo();
+    // Never leave orphaned documents behind a failed submission
+    if (uploadedPaths.length) {
+      await supabase.storage.from('documents').remove(uploadedPaths);
+    }
+    const status = err instanceof cycles.CycleError ? err.status : 500;
+    res.status(status).json({ error: err.message || 'Submission failed' });
+  } finally {
+    cleanupTempFiles(req.files);
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRAFTS - Build an application one document at a time (services/drafts.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every change answers with the draft as the apply page shows it:
+// { draft: { id, program_id, form, uploads, documents, missing, complete } }
+
+// Errors the applicant can fix → their status; anything else is a 500
+function sendDraftError(res, err, action) {
+  if (err instanceof drafts.DraftError || err instanceof HouseholdError ||
+      err instanceof ProgramError || err instanceof RuleError || err instanceof cycles.CycleError) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Draft ${action} error:`, err);
+  res.status(500).json({ error: err.message || `Failed to ${action} the draft` });
+}
+
+// The draft (:id) of the logged-in applicant and its program, on req
+async function loadDraft(req, res, next) {
+  try {
+    req.draft = await drafts.loadDraft(req.params.id, req.user.id);
+    req.program = await getProgram(req.draft.program_id);
+    next();
+  } catch (err) {
+    cleanupTempFiles(req.files);
+    sendDraftError(res, err, 'load');
+  }
+}
+
+const sendDraft = async (req, res, draft, status = 200) =>
+  res.status(status).json({ draft: await drafts.draftView(draft, req.program, req.documentTypes) });
+
+/* ─── POST /api/applications/drafts ──────────────────── */
+// Body: { program_id }. Resumes the applicant's draft for the program if there is one
+router.post('/drafts', authMw, loadDocumentTypes, async (req, res) => {
+  try {
+    ({ program: req.program } = await openProgram(req.body.program_id));
+    const { draft, created } = await drafts.createDraft(req.user.id, req.program);
+    await sendDraft(req, res, draft, created ? 201 : 200);
+  } catch (err) {
+    sendDraftError(res, err, 'create');
+  }
+});
+
+/* ─── GET /api/applications/drafts/:id ───────────────── */
+router.get('/drafts/:id', authMw, loadDocumentTypes, loadDraft, async (req, res) => {
+  try {
+    await sendDraft(req, res, req.draft);
+  } catch (err) {
+    sendDraftError(res, err, 'load');
+  }
+});
+
+/* ─── PUT /api/applications/drafts/:id/form ──────────── */
+// Body: { claims: { <claim field>: amount }, household: [{ id, relationship,
+// full_name, status, monthly_income }] } - replaces the saved form
+router.put('/drafts/:id/form', authMw, loadDocumentTypes, loadDraft, async (req, res) => {
+  try {
+    await sendDraft(req, res, await drafts.saveForm(req.draft, req.documentTypes, req.body));
+  } catch (err) {
+    sendDraftError(res, err, 'save');
+  }
+});
 
+/* ─── PUT /api/applications/drafts/:id/documents/:key ── */
+// One file, in the field named :key (a document type key of the program, or
+// member_<member id>_<type key>). Replaces what was uploaded for it before
+router.put('/drafts/:id/documents/:key', authMw, loadDocumentTypes, upload.any(), loadDraft, async (req, res) => {
+  const files = req.files || [];
+  try {
+    if (files.length !== 1 || files[0].fieldname !== req.params.key) {
+      return res.status(400).json({ error: `Upload exactly one file in the field "${req.params.key}"` });
+    }
+    await drafts.saveDocument(req.draft, req.program, req.documentTypes, req.params.key, files[0]);
+    await sendDraft(req, res, req.draft);
   } catch (err) {
-    console.error('Evaluation error:', err);
-    res.status(500).json({ error: err.message || 'Processing failed' });
+    sendDraftError(res, err, 'upload to');
   } finally {
-    // Clean up temp files
-    if (motherFile && fs.existsSync(motherFile.path)) fs.unlinkSync(motherFile.path);
-    if (fatherFile && fs.existsSync(fatherFile.path)) fs.unlinkSync(fatherFile.path);
-    if (reportFile && fs.existsSync(reportFile.path)) fs.unlinkSync(reportFile.path);
+    cleanupTempFiles(req.files);
+  }
+});
+
+/* ─── DELETE /api/applications/drafts/:id/documents/:key */
+router.delete('/drafts/:id/documents/:key', authMw, loadDocumentTypes, loadDraft, async (req, res) => {
+  try {
+    await drafts.removeDocument(req.draft, req.params.key);
+    await sendDraft(req, res, req.draft);
+  } catch (err) {
+    sendDraftError(res, err, 'update');
+  }
+});
+
+/* ─── POST /api/applications/drafts/:id/submit ───────── */
+// Body: { replace? } - like /submit, the id of the application it replaces
+// Submits a complete draft for evaluation; answers 202 like /submit
+router.post('/drafts/:id/submit', authMw, requireVerified, loadDocumentTypes, loadDraft, async (req, res) => {
+  try {
+    // The program or the cycle may have closed since the draft was started
+    const { cycle } = await openProgram(req.program.id);
+    const replacing = await cycles.checkActiveLimit(req.user.id, cycle, req.body?.replace || null);
+    const { application, job } = await drafts.submitDraft(req.draft, req.program, req.documentTypes, { cycle, replacing });
+    res.status(202).json({ success: true, application, job });
+  } catch (err) {
+    sendDraftError(res, err, 'submit');
+  }
+});
+
+/* ─── DELETE /api/applications/drafts/:id ────────────── */
+router.delete('/drafts/:id', authMw, loadDocumentTypes, loadDraft, async (req, res) => {
+  try {
+    await drafts.discardDraft(req.draft);
+    res.json({ success: true });
+  } catch (err) {
+    sendDraftError(res, err, 'discard');
+  }
+});
+
+/* ─── GET /api/applications/jobs/:jobId ──────────────── */
+// Polling endpoint for job status and per-stage/per-document progress
+router.get('/jobs/:jobId', authMw, async (req, res) => {
+  const job = await findOwnJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  res.json({ job: jobQueue.publicJob(job) });
+});
+
+/* ─── GET /api/applications/jobs/:jobId/events ───────── */
+// Server-Sent Events: pushes the job every time its progress changes
+// and closes the stream once the job is completed or failed
+router.get('/jobs/:jobId/events', authMw, async (req, res) => {
+  const job = await findOwnJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.set({
+    'Content-Type':  'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection':    'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = update => res.write(`data: ${JSON.stringify(update)}\n\n`);
+  send(jobQueue.publicJob(job));
+  if (jobQueue.FINISHED.includes(job.status)) return res.end();
+
+  // Comment lines keep proxies from closing an idle connection
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  const unsubscribe = jobQueue.subscribe(job.id, update => {
+    send(update);
+    if (jobQueue.FINISHED.includes(update.status)) close();
+  });
+
+  function close() {
+    clearInterval(heartbeat);
+    unsubscribe();
+    res.end();
+  }
+  req.on('close', close);
+});
+
+/* ─── POST /api/applications/jobs/:jobId/retry ───────── */
+router.post('/jobs/:jobId/retry', authMw, async (req, res) => {
+  const job = await findOwnJob(req.params.jobId, req.user.id);
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+  if (job.status !== 'failed') {
+    return res.status(409).json({ error: `Only failed jobs can be retried (job is ${job.status})` });
+  }
+  const { data: application } = await supabase.from('applications').select('status').eq('id', job.application_id).single();
+  if (application?.status === 'withdrawn') {
+    return res.status(409).json({ error: 'This application was withdrawn' });
+  }
+
+  try {
+    res.json({ job: await jobQueue.retry(job.id) });
+  } catch (err) {
+    console.error('Retry error:', err);
+    res.status(500).json({ error: err.message || 'Retry failed' });
   }
 });
 
 /* ─── GET /api/applications/my ───────────────────────── */
-router.get('/my', authMw, async (req, res) => {
+// Drafts come first (no submitted_at), each with what is uploaded and missing;
+// the others carry their cycle, so the dashboard can group them.
+// Also answers the open cycle (null outside one) and, if there is one, the
+// applicant's active application in it: { applications, cycle, closed_reason, active_id }
+router.get('/my', authMw, loadDocumentTypes, async (req, res) => {
   const { data, error } = await supabase
     .from('applications')
-    .select('id, status, qualified, confidence_score, submitted_at, evaluation_result')
+    .select('id, program_id, cycle_id, status, qualified, confidence_score, submitted_at, updated_at, withdrawn_at, replaced_by, ' +
+      'draft_form, evaluation_result, program:programs(id, slug, name), ' +
+      'cycle:application_cycles(id, name, academic_year, term, opens_at, closes_at)')
     .eq('user_id', req.user.id)
-    .order('submitted_at', { ascending: false });
+    .order('submitted_at', { ascending: false, nullsFirst: true });
 
   if (error) return res.status(500).json({ error: error.message });
-  res.json({ applications: data });
+
+  let status;
+  try {
+    status = await cycles.cycleStatus();
+  } catch (err) {
+    console.error('Cycle lookup error:', err);
+    return res.status(500).json({ error: 'Failed to load the application cycle' });
+  }
+  const active = status.cycle && data.find(app => app.cycle_id === status.cycle.id && !['draft', 'withdrawn'].includes(app.status));
+
+  try {
+    for (const application of data) {
+      if (application.status === 'draft') {
+        const { documents, missing, complete } = await drafts.draftView(
+          application, await getProgram(application.program_id), req.documentTypes
+        );
+        application.draft = { documents, missing, complete };
+      }
+      delete application.draft_form;
+    }
+  } catch (err) {
+    console.error('Draft summary error:', err);
+    return res.status(500).json({ error: 'Failed to load your drafts' });
+  }
+  res.json({ applications: data, cycle: status.cycle, closed_reason: status.reason, active_id: active?.id ?? null });
 });
 
 /* ─── GET /api/applications/:id ──────────────────────── */
 router.get('/:id', authMw, async (req, res) => {
   const { data, error } = await supabase
     .from('applications')
-    .select('*')
+    .select('*, program:programs(id, slug, name, required_documents, optional_documents, household_assessment), ' +
+      'cycle:application_cycles(id, name), ' +
+      'documents:application_documents(doc_key, document_type, file_name, claimed_value, uploaded_at), ' +
+      'household:household_members(position, relationship, full_name, status, monthly_income)')
     .eq('id', req.params.id)
     .eq('user_id', req.user.id)  // ensure ownership
     .single();
 
   if (error) return res.status(404).json({ error: 'Application not found' });
-  res.json({ application: data });
+
+  // Latest evaluation job, so the result page can show progress or a retry
+  const { data: job } = await supabase
+    .from('application_jobs')
+    .select('*')
+    .eq('application_id', data.id)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+
+  // Documents a reviewer asked to replace, if the applicant has not yet
+  let documentRequest = null;
+  try {
+    const request = await documentRequests.openRequest(data.id);
+    if (request) documentRequest = await documentRequests.describeRequest(data, request);
+  } catch (err) {
+    console.error('Document request error:', err);
+    return res.status(500).json({ error: 'Failed to load the application' });
+  }
+
+  res.json({ application: data, job: job ? jobQueue.publicJob(job) : null, document_request: documentRequest });
+});
+
+/* ─── POST /api/applications/:id/resubmit ────────────── */
+// The documents a reviewer asked for again, one file each (field = doc key
+// from document_request.documents). Only those are evaluated again; answers
+// 202 with the job like /submit
+router.post('/:id/resubmit', authMw, loadDocumentTypes, upload.any(), async (req, res) => {
+  try {
+    const { data: application } = await supabase
+      .from('applications')
+      .select('*')
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)  // ensure ownership
+      .neq('status', 'draft')
+      .maybeSingle();
+    if (!application) return res.status(404).json({ error: 'Application not found' });
+
+    const { application: saved, job } = await documentRequests.resubmit(application, req.files || []);
+    res.status(202).json({ success: true, application: saved, job });
+  } catch (err) {
+    if (err instanceof documentRequests.DocumentRequestError) {
+      return res.status(err.status).json({ error: err.message });
+    }
+    console.error('Resubmission error:', err);
+    res.status(500).json({ error: err.message || 'Resubmission failed' });
+  } finally {
+    cleanupTempFiles(req.files);
+  }
+});
+
+/* ─── POST /api/applications/:id/withdraw ────────────── */
+// Body: { reason? }. The application stays on record as 'withdrawn'; it is
+// not evaluated or reviewed any more, and the applicant can apply again in
+// the cycle (services/cycles.js)
+router.post('/:id/withdraw', authMw, async (req, res) => {
+  try {
+    const application = await cycles.withdraw(req.params.id, req.user.id, { reason: req.body?.reason });
+    res.json({ success: true, application });
+  } catch (err) {
+    if (err instanceof cycles.CycleError) return res.status(err.status).json({ error: err.message });
+    console.error('Withdrawal error:', err);
+    res.status(500).json({ error: err.message || 'Withdrawal failed' });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
@@ -1,8 +1,9 @@
 const express  = require('express');
 const bcrypt   = require('bcryptjs');
-const jwt      = require('jsonwebtoken');
 const supabase = require('../config/supabase');
 const authMw   = require('../middleware/auth');
+const accounts = require('../services/accounts');
+const sessions = require('../services/sessions');
 
 const router = express.Router();
 
@@ -13,8 +14,8 @@ router.post('/register', async (req, res) => {
   if (!email || !password || !full_name) {
     return res.status(400).json({ error: 'All fields are required' });
   }
-  if (password.length < 6) {
-    return res.status(400).json({ error: 'Password must be at least 6 characters' });
+  if (password.length < accounts.MIN_PASSWORD_LENGTH) {
+    return res.status(400).json({ error: `Password must be at least ${accounts.MIN_PASSWORD_LENGTH} characters` });
   }
 
   try {
@@ -33,19 +34,24 @@ router.post('/register', async (req, res) => {
     const { data: user, error } = await supabase
       .from('users')
       .insert({ email, password: hashedPassword, full_name })
-      .select('id, email, full_name, role')
+      .select('id, email, full_name, role, email_verified_at')
       .single();
 
     if (error) throw error;
 
-    // Create JWT
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // The account works without it, but applications need a verified email;
+    // a failed send can be retried from the dashboard
+    const verificationSent = await accounts.sendVerification(user, { force: true })
+      .then(() => true)
+      .catch(err => {
+        console.error('Verification email error:', err.message);
+        return false;
+      });
 
-    res.status(201).json({ user, token });
+    // Signed in on this device: access token + refresh token
+    const { token, refresh_token } = await sessions.createSession(user, req);
+
+    res.status(201).json({ user, token, refresh_token, verification_sent: verificationSent });
 
   } catch (err) {
     console.error('Registration error:', err);
@@ -78,15 +84,11 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid email or password' });
     }
 
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refresh_token } = await sessions.createSession(user, req);
 
     // Don't send hashed password back
     const { password: _, ...safeUser } = user;
-    res.json({ user: safeUser, token });
+    res.json({ user: safeUser, token, refresh_token });
 
   } catch (err) {
     console.error(err);
@@ -98,11 +100,118 @@ router.post('/login', async (req, res) => {
 router.get('/me', authMw, async (req, res) => {
   const { data: user } = await supabase
     .from('users')
-    .select('id, email, full_name, role, created_at')
+    .select('id, email, full_name, role, email_verified_at, created_at')
     .eq('id', req.user.id)
     .single();
 
   res.json({ user });
 });
 
+// Account and session errors carry their own status; anything else is a 500
+function sendAccountError(res, err, action) {
+  if (err instanceof accounts.AccountError) return res.status(err.status).json({ error: err.message });
+  if (err instanceof sessions.SessionError) {
+    return res.status(err.status).json({ error: err.message, ...(err.code && { code: err.code }) });
+  }
+  console.error(`${action} error:`, err);
+  res.status(500).json({ error: `Server error during ${action.toLowerCase()}` });
+}
+
+/* ─── REFRESH ──────────────────────────────────────────── */
+// Body: { refresh_token } - answers { token, refresh_token }; the refresh
+// token sent is replaced and never works again
+router.post('/refresh', async (req, res) => {
+  try {
+    res.json(await sessions.refreshSession(req.body?.refresh_token, req));
+  } catch (err) {
+    sendAccountError(res, err, 'Token refresh');
+  }
+});
+
+/* ─── LOGOUT ───────────────────────────────────────────── */
+// Ends the session of this device on the server
+router.post('/logout', authMw, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.id, req.user.sid);
+    res.json({ message: 'Signed out' });
+  } catch (err) {
+    sendAccountError(res, err, 'Logout');
+  }
+});
+
+/* ─── LOGOUT ALL DEVICES ───────────────────────────────── */
+// This one included
+router.post('/logout-all', authMw, async (req, res) => {
+  try {
+    const count = await sessions.revokeAll(req.user.id);
+    res.json({ message: `Signed out of ${count} device${count === 1 ? '' : 's'}`, count });
+  } catch (err) {
+    sendAccountError(res, err, 'Logout');
+  }
+});
+
+/* ─── SESSIONS ─────────────────────────────────────────── */
+// The user's signed-in devices: { id, device, user_agent, ip_address,
+// created_at, last_used_at, expires_at, current }
+router.get('/sessions', authMw, async (req, res) => {
+  try {
+    res.json({ sessions: await sessions.listSessions(req.user.id, req.user.sid) });
+  } catch (err) {
+    sendAccountError(res, err, 'List sessions');
+  }
+});
+
+/* ─── REVOKE SESSION ───────────────────────────────────── */
+router.delete('/sessions/:id', authMw, async (req, res) => {
+  try {
+    await sessions.revokeSession(req.user.id, req.params.id);
+    res.json({ message: 'Device signed out' });
+  } catch (err) {
+    sendAccountError(res, err, 'Revoke session');
+  }
+});
+
+/* ─── VERIFY EMAIL ─────────────────────────────────────── */
+// Body: { token } from the emailed link; no login needed
+router.post('/verify-email', async (req, res) => {
+  try {
+    const user = await accounts.verifyEmail(req.body?.token);
+    res.json({ user, message: 'Your email address is verified' });
+  } catch (err) {
+    sendAccountError(res, err, 'Email verification');
+  }
+});
+
+/* ─── RESEND VERIFICATION ──────────────────────────────── */
+router.post('/resend-verification', authMw, async (req, res) => {
+  try {
+    await accounts.sendVerification(await accounts.getUser(req.user.id));
+    res.json({ message: 'Verification email sent' });
+  } catch (err) {
+    sendAccountError(res, err, 'Resend verification');
+  }
+});
+
+/* ─── FORGOT PASSWORD ──────────────────────────────────── */
+// Body: { email } - same answer whether or not the email has an account
+router.post('/forgot-password', async (req, res) => {
+  try {
+    await accounts.requestPasswordReset(req.body?.email);
+    res.json({ message: 'If an account uses that email, a link to reset the password is on its way' });
+  } catch (err) {
+    sendAccountError(res, err, 'Password reset request');
+  }
+});
+
+/* ─── RESET PASSWORD ───────────────────────────────────── */
+// Body: { token, password } - the token from the emailed link
+router.post('/reset-password', async (req, res) => {
+  try {
+    await accounts.resetPassword(req.body?.token, req.body?.password);
+    res.json({ message: 'Your password has been changed. You can sign in with it now.' });
+  } catch (err) {
+    sendAccountError(res, err, 'Password reset');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
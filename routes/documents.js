@@ -0,0 +1,27 @@
+const express  = require('express');
+const authMw   = require('../middleware/auth');
+const { documentLink, DocumentAccessError } = require('../services/documentAccess');
+
+const router = express.Router();
+
+/* ─── GET /api/documents/:applicationId/:docKey ──────── */
+// Query: version (id of an earlier version, optional)
+// A short-lived signed link to the file, for the applicant who owns the
+// application or a reviewer; every link handed out is logged
+// (services/documentAccess.js). Answers { url, expires_in, file_name, mimetype }
+router.get('/:applicationId/:docKey', authMw, async (req, res) => {
+  try {
+    const link = await documentLink(req.params.applicationId, req.params.docKey, req.user, {
+      versionId: req.query.version || null,
+      request:   { ip: req.ip, userAgent: req.get('user-agent') }
+    });
+    res.set('Cache-Control', 'no-store');   // the link is for this request only
+    res.json(link);
+  } catch (err) {
+    if (err instanceof DocumentAccessError) return res.status(err.status).json({ error: err.message });
+    console.error('Document link error:', err);
+    res.status(500).json({ error: 'Failed to open the document' });
+  }
+});
+
+module.exports = router;
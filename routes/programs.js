@@ -0,0 +1,62 @@
+const express = require('express');
+const { listPrograms, ProgramError } = require('../services/programs');
+const { getActiveVersion } = require('../services/ruleVersions');
+const { listDocumentTypes, programDocuments } = require('../services/documents');
+const { householdOptions } = require('../services/household');
+
+const router = express.Router();
+
+// What applicants see of a program: details, availability, the documents to
+// upload and, with household_assessment, the household members they can declare
+// (the apply form is generated from them) and the rules in effect right now,
+// so the requirements shown always match the evaluator
+async function publicProgram(program, documentTypes) {
+  const active = await getActiveVersion(program.id).catch(() => null);
+  return {
+    id:                 program.id,
+    slug:               program.slug,
+    name:               program.name,
+    description:        program.description,
+    required_documents: program.required_documents,
+    documents:          programDocuments(program, documentTypes),
+    household:          program.household_assessment ? householdOptions(documentTypes) : null,
+    opens_at:           program.opens_at,
+    closes_at:          program.closes_at,
+    slots:              program.slots,
+    slots_filled:       program.slots_filled,   // in the open cycle
+    // Application cycle open now (services/cycles.js); its closes_at is the deadline
+    cycle:              program.cycle ? { id: program.cycle.id, name: program.cycle.name, closes_at: program.cycle.closes_at } : null,
+    // No rules in effect yet means nothing could be evaluated
+    open:               program.open && !!active,
+    closed_reason:      active ? program.reason : program.reason || 'This program is not accepting applications yet',
+    rules_version:      active?.version ?? null,
+    rules:              active ? Object.entries(active.rules).map(([key, rule]) => ({ key, ...rule })) : []
+  };
+}
+
+/* ─── GET /api/programs ──────────────────────────────── */
+// Public: active programs with availability and current rules
+router.get('/', async (req, res) => {
+  try {
+    const [programs, documentTypes] = await Promise.all([listPrograms(), listDocumentTypes()]);
+    res.json({ programs: await Promise.all(programs.map(program => publicProgram(program, documentTypes))) });
+  } catch (err) {
+    console.error('List programs error:', err);
+    res.status(500).json({ error: 'Failed to load programs' });
+  }
+});
+
+/* ─── GET /api/programs/:slug ────────────────────────── */
+router.get('/:slug', async (req, res) => {
+  try {
+    const program = (await listPrograms()).find(p => p.slug === req.params.slug);
+    if (!program) throw new ProgramError('Program not found', 404);
+    res.json({ program: await publicProgram(program, await listDocumentTypes()) });
+  } catch (err) {
+    if (err instanceof ProgramError) return res.status(err.status).json({ error: err.message });
+    console.error('Get program error:', err);
+    res.status(500).json({ error: 'Failed to load program' });
+  }
+});
+
+module.exports = router;
@@ -4,35 +4,305 @@
 -- ============================================
 
 -- Drop old applications table (if exists) and recreate with proper schema
+DROP TABLE IF EXISTS document_access_log CASCADE;
+DROP TABLE IF EXISTS document_versions CASCADE;
+DROP TABLE IF EXISTS document_requests CASCADE;
+DROP TABLE IF EXISTS application_documents CASCADE;
+DROP TABLE IF EXISTS household_members CASCADE;
+DROP TABLE IF EXISTS application_history CASCADE;
+DROP TABLE IF EXISTS evaluation_runs CASCADE;
+DROP TABLE IF EXISTS application_jobs CASCADE;
 DROP TABLE IF EXISTS applications CASCADE;
 
+-- ============================================
+-- Document types (kept when the tables above are recreated)
+-- What applicants can upload and how each document is read and checked
+-- (see services/documents.js); programs pick from these
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_types (
+  -- Upload field name and the value programs list, e.g. 'report_card'
+  key TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  -- File extensions the upload accepts
+  accepted_formats TEXT[] NOT NULL DEFAULT '{.jpg,.jpeg,.png,.pdf}',
+  max_size_mb INTEGER NOT NULL DEFAULT 10 CHECK (max_size_mb BETWEEN 1 AND 10),
+  -- How the text is read: income | grades | text (AI only)
+  extractor TEXT NOT NULL DEFAULT 'text' CHECK (extractor IN ('income', 'grades', 'text')),
+  -- extracted_data fields the document provides, e.g. {mother_income}
+  fields TEXT[] NOT NULL DEFAULT '{}',
+  -- parser_cross_check (AI vs parser), claimed_match (form value vs document)
+  checks TEXT[] NOT NULL DEFAULT '{}',
+  -- Form label of the declared value (claimed_match)
+  claim_label TEXT,
+  -- What a household member's document proves (NULL = application document)
+  member_proof TEXT CHECK (member_proof IN ('earner', 'non_earner', 'solo_parent', 'deceased')),
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE document_types ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO document_types (key, label, accepted_formats, extractor, fields, checks, claim_label, sort_order) VALUES
+  ('mother_certificate', 'Mother''s Income Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{mother_income}', '{parser_cross_check,claimed_match}', 'Mother''s Monthly Income', 1),
+  ('father_certificate', 'Father''s Income Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{father_income}', '{parser_cross_check,claimed_match}', 'Father''s Monthly Income', 2),
+  ('report_card', 'Report Card / Grades', '{.jpg,.jpeg,.png,.pdf,.txt}', 'grades',
+    '{gwa}', '{parser_cross_check}', NULL, 3)
+ON CONFLICT (key) DO NOTHING;
+
+-- Proofs for declared household members (see services/household.js)
+INSERT INTO document_types (key, label, accepted_formats, extractor, fields, checks, member_proof, sort_order) VALUES
+  ('income_certificate', 'Income Certificate / ITR', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{}', '{parser_cross_check,claimed_match}', 'earner', 10),
+  ('no_income_certificate', 'Certificate of No Income', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'non_earner', 11),
+  ('solo_parent_id', 'Solo Parent ID', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'solo_parent', 12),
+  ('death_certificate', 'Death Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'deceased', 13)
+ON CONFLICT (key) DO NOTHING;
+
+-- ============================================
+-- Scholarship programs (kept when the tables above are recreated)
+-- Each program has its own rules, prompt context, required documents,
+-- application window and slots
+-- ============================================
+CREATE TABLE IF NOT EXISTS programs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  -- Told to the AI: "You are a document data extractor for <prompt_context>"
+  prompt_context TEXT NOT NULL,
+  -- document_types keys applicants must / may upload
+  required_documents TEXT[] NOT NULL DEFAULT '{mother_certificate,father_certificate,report_card}',
+  optional_documents TEXT[] NOT NULL DEFAULT '{}',
+  -- Applicants declare their household members instead of two parents
+  household_assessment BOOLEAN NOT NULL DEFAULT false,
+  -- Application window (NULL = no limit)
+  opens_at TIMESTAMP WITH TIME ZONE,
+  closes_at TIMESTAMP WITH TIME ZONE,
+  -- Scholarships to award (NULL = no limit); full when this many are qualified
+  slots INTEGER CHECK (slots > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE programs ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO programs (slug, name, description, prompt_context, required_documents, household_assessment)
+SELECT 'general', 'University Scholarship', 'Financial assistance for students from low-income households',
+  'a Philippine university scholarship program', '{report_card}', true
+WHERE NOT EXISTS (SELECT 1 FROM programs);
+
+-- ============================================
+-- Versioned scholarship rules (kept when the tables above are recreated)
+-- Every change to a program's rules is a new row holding the complete set
+-- of typed rules; rows are never changed
+-- ============================================
+CREATE TABLE IF NOT EXISTS rule_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  program_id UUID NOT NULL REFERENCES programs(id),
+  -- 1, 2, 3... per program
+  version INTEGER NOT NULL,
+  -- { rule_key: { value, type: 'number' | 'string' | 'boolean', description } }
+  rules JSONB NOT NULL,
+  -- In effect from this moment until the next version starts
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  change_note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT rule_versions_program_version_key UNIQUE (program_id, version)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_versions_program_effective_from
+  ON rule_versions(program_id, effective_from DESC, version DESC);
+
+ALTER TABLE rule_versions ENABLE ROW LEVEL SECURITY;
+
+-- The rules of a version can never change (created_by may still be cleared
+-- when the admin's account is deleted)
+CREATE OR REPLACE FUNCTION prevent_rule_version_changes() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'rule_versions are immutable: create a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rule_versions_immutable ON rule_versions;
+CREATE TRIGGER rule_versions_immutable
+  BEFORE UPDATE OF program_id, version, rules, effective_from, change_note OR DELETE ON rule_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_rule_version_changes();
+
+-- Default rules of the 'general' program for a fresh database
+INSERT INTO rule_versions (program_id, version, rules, change_note)
+SELECT (SELECT id FROM programs WHERE slug = 'general'), 1, '{
+  "max_monthly_income":   { "value": 30000, "type": "number", "description": "Maximum combined monthly income of both parents (PHP)" },
+  "max_gwa":              { "value": 3.0,   "type": "number", "description": "Lowest accepted GWA (1.0 is best, 5.0 is failing)" },
+  "income_tolerance_abs": { "value": 1000,  "type": "number", "description": "Allowed difference (PHP) between declared and certificate income" },
+  "income_tolerance_pct": { "value": 10,    "type": "number", "description": "Allowed difference (% of declared income) between declared and certificate income" }
+}'::JSONB, 'Default rules'
+WHERE NOT EXISTS (SELECT 1 FROM rule_versions)
+  AND EXISTS (SELECT 1 FROM programs WHERE slug = 'general');
+
+-- ============================================
+-- Application cycles (kept when the tables above are recreated)
+-- Periods of the academic calendar with the dates applications are taken;
+-- cycles never overlap (checked by services/cycles.js)
+-- ============================================
+CREATE TABLE IF NOT EXISTS application_cycles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- e.g. 'AY 2026-2027, 1st Semester'
+  name TEXT NOT NULL UNIQUE,
+  academic_year TEXT,
+  term TEXT,
+  opens_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  closes_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT application_cycles_dates CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_cycles_dates ON application_cycles(opens_at, closes_at);
+
+ALTER TABLE application_cycles ENABLE ROW LEVEL SECURITY;
+
+-- A fresh database takes applications for six months; rename it and set the
+-- real dates from the admin API (PATCH /api/admin/cycles/:id)
+INSERT INTO application_cycles (name, opens_at, closes_at)
+SELECT 'First application cycle', NOW(), NOW() + INTERVAL '6 months'
+WHERE NOT EXISTS (SELECT 1 FROM application_cycles);
+
+-- ============================================
+-- Account tokens (kept when the tables above are recreated)
+-- Single-use, expiring links for email verification and password reset
+-- (see services/accounts.js); users.email_verified_at is set by the first
+-- ============================================
+-- Accounts created before verification existed count as verified
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+    UPDATE users SET email_verified_at = COALESCE(created_at, NOW());
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  -- SHA-256 of the token; the token itself is only in the emailed link
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- Set when the link is used; a used token never works again
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose, created_at DESC);
+
+ALTER TABLE account_tokens ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Sessions (kept when the tables above are recreated)
+-- One row per signed-in device, with its rotating refresh token
+-- (see services/sessions.js)
+-- ============================================
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- SHA-256 of the current refresh token; replaced on every refresh
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  -- The token it replaced: used again later, the session is revoked
+  previous_token_hash TEXT,
+  rotated_at TIMESTAMP WITH TIME ZONE,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Pushed back on every refresh (SESSION_TTL_DAYS without use)
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- signed_out | signed_out_everywhere | password_reset | refresh_token_reused
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, last_used_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
 CREATE TABLE applications (
   id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id UUID REFERENCES users(id) ON DELETE CASCADE,
-  
-  -- Three required documents (mother, father, report card)
-  mother_certificate_url TEXT NOT NULL,
-  father_certificate_url TEXT NOT NULL,
-  report_card_url TEXT NOT NULL,
-  
-  -- Parent income values
-  mother_income DECIMAL(10, 2),
-  father_income DECIMAL(10, 2),
+  program_id UUID NOT NULL REFERENCES programs(id),
+  -- Cycle open when it was submitted (NULL while a draft)
+  cycle_id UUID REFERENCES application_cycles(id),
+  -- Documents and declared values are in application_documents
   
   -- AI processing results
   extracted_text TEXT,
   evaluation_result JSONB,
+  -- Signs of edited documents { risk_score, level, documents: { <doc key>: { label, risk_score, level, reasons } } }
+  authenticity_result JSONB,
   qualified BOOLEAN DEFAULT false,
   confidence_score INTEGER DEFAULT 0,
+  -- Per-document extraction details { <document type>: { text, method, pages } }
+  document_extractions JSONB,
+  -- draft → (submit) → pending → (worker) → qualified | disqualified | manual_review, or failed
+  -- reviewers can also set info_requested (more information needed);
+  -- the applicant can set withdrawn (kept for the record, never evaluated again)
   status TEXT DEFAULT 'pending',
+  -- Form of a draft: { claims: { <claim field>: amount }, household: [...] }
+  -- (services/drafts.js); its documents are already in application_documents
+  draft_form JSONB,
+  -- evaluation_runs row that produced the current evaluation_result
+  last_run_id UUID,
+  -- Program's rule_versions.version the current verdict was made with
+  rule_version INTEGER,
+  -- Documented monthly total (mother + father) for admin filters
+  total_income DECIMAL(12, 2),
+
+  -- Manual review: who is working on it, who decided
+  claimed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  claimed_at TIMESTAMP WITH TIME ZONE,
+  reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMP WITH TIME ZONE,
+  -- Message from the reviewer to the applicant (e.g. what information is missing)
+  review_note TEXT,
   
-  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+  -- Withdrawn by the applicant, possibly in favour of a new application
+  withdrawn_at TIMESTAMP WITH TIME ZONE,
+  replaced_by UUID REFERENCES applications(id) ON DELETE SET NULL,
+
+  -- NULL while a draft
+  submitted_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT applications_rule_version_fkey
+    FOREIGN KEY (program_id, rule_version) REFERENCES rule_versions(program_id, version)
 );
 
 -- Create indexes for better performance
 CREATE INDEX idx_applications_user_id ON applications(user_id);
 CREATE INDEX idx_applications_status ON applications(status);
 CREATE INDEX idx_applications_qualified ON applications(qualified);
+CREATE INDEX idx_applications_submitted_at ON applications(submitted_at);
+CREATE INDEX idx_applications_total_income ON applications(total_income);
+CREATE INDEX idx_applications_program_id ON applications(program_id, status);
+-- One draft per applicant and program
+CREATE UNIQUE INDEX idx_applications_one_draft ON applications(user_id, program_id) WHERE status = 'draft';
+-- One active application per applicant and cycle (services/cycles.js)
+CREATE INDEX idx_applications_cycle_id ON applications(cycle_id, status);
+CREATE UNIQUE INDEX idx_applications_one_active ON applications(user_id, cycle_id)
+  WHERE status NOT IN ('draft', 'withdrawn');
 
 -- Enable Row Level Security
 ALTER TABLE applications ENABLE ROW LEVEL SECURITY;
@@ -46,6 +316,259 @@ CREATE POLICY "Users can insert own applications"
   ON applications FOR INSERT
   WITH CHECK (auth.uid() = user_id);
 
+-- ============================================
+-- Declared household members (programs with household_assessment)
+-- ============================================
+CREATE TABLE household_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  -- Order declared in the form, from 1 (used in upload field names)
+  position INTEGER NOT NULL CHECK (position > 0),
+  relationship TEXT NOT NULL
+    CHECK (relationship IN ('mother', 'father', 'guardian', 'grandparent', 'sibling', 'spouse', 'self', 'other')),
+  full_name TEXT,
+  status TEXT NOT NULL CHECK (status IN ('earner', 'non_earner', 'solo_parent', 'deceased')),
+  -- Declared monthly income (earning members)
+  monthly_income DECIMAL(12, 2),
+  -- extracted_data field of that income, e.g. mother_income, guardian_3_income
+  income_field TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (application_id, position)
+);
+
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_household_members_application_id ON household_members(application_id);
+
+-- ============================================
+-- Uploaded documents (one per document of the application or member proof)
+-- ============================================
+CREATE TABLE application_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  -- Document type key, or member_<position>_<type key> for a member's proof;
+  -- document_extractions and job progress are keyed by it
+  doc_key TEXT NOT NULL,
+  document_type TEXT NOT NULL REFERENCES document_types(key),
+  -- The member a proof is about (NULL = application document)
+  household_member_id UUID REFERENCES household_members(id) ON DELETE CASCADE,
+  -- Path in the 'documents' storage bucket
+  storage_path TEXT NOT NULL,
+  file_name TEXT,
+  size_bytes INTEGER,
+  -- Value the applicant declared with it (types with the claimed_match check)
+  claimed_value DECIMAL(12, 2),
+  -- Text extracted when uploaded to a draft { text, method, pages }, reused
+  -- by the evaluation; NULL if not extracted yet
+  extraction JSONB,
+  -- Fingerprints for spotting reused documents (services/fingerprints.js):
+  -- SHA-256 of the file, difference hash of images (16 hex digits) and
+  -- SHA-256 of the normalized text (set when evaluated)
+  content_hash TEXT,
+  perceptual_hash TEXT,
+  text_hash TEXT,
+  -- Authenticity analysis { risk_score, level, signals, analyzed_at }
+  -- (services/authenticity.js); NULL until the document is evaluated
+  authenticity JSONB,
+  uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (application_id, doc_key)
+);
+
+ALTER TABLE application_documents ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_application_documents_application_id ON application_documents(application_id);
+CREATE INDEX idx_application_documents_content_hash ON application_documents(content_hash);
+CREATE INDEX idx_application_documents_text_hash ON application_documents(text_hash);
+
+-- ============================================
+-- Documents a reviewer asked the applicant to upload again
+-- (services/documentRequests.js); at most one open request per application
+-- ============================================
+CREATE TABLE document_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  -- application_documents.doc_key of each document to replace
+  doc_keys TEXT[] NOT NULL,
+  -- Shown to the applicant, e.g. "The income certificate is unreadable"
+  message TEXT NOT NULL,
+  -- open → fulfilled (replacements uploaded) | cancelled (reviewer decided without them)
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'fulfilled', 'cancelled')),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE document_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE UNIQUE INDEX idx_document_requests_open ON document_requests(application_id) WHERE status = 'open';
+
+-- ============================================
+-- Earlier versions of replaced documents; their files stay in storage
+-- ============================================
+CREATE TABLE document_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_document_id UUID NOT NULL REFERENCES application_documents(id) ON DELETE CASCADE,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  doc_key TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  file_name TEXT,
+  size_bytes INTEGER,
+  -- Text the evaluation read from it { text, method, pages }
+  extraction JSONB,
+  -- Fingerprints of the replaced file, still matched against new uploads
+  content_hash TEXT,
+  perceptual_hash TEXT,
+  text_hash TEXT,
+  authenticity JSONB,
+  uploaded_at TIMESTAMP WITH TIME ZONE,
+  replaced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- The request it was replaced for
+  request_id UUID REFERENCES document_requests(id) ON DELETE SET NULL
+);
+
+ALTER TABLE document_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX idx_document_versions_application_id ON document_versions(application_id, doc_key);
+CREATE INDEX idx_document_versions_content_hash ON document_versions(content_hash);
+CREATE INDEX idx_document_versions_text_hash ON document_versions(text_hash);
+
+-- ============================================
+-- Document access log (one row per signed link handed out, never updated)
+-- ============================================
+CREATE TABLE document_access_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  doc_key TEXT NOT NULL,
+  -- Set when an earlier version (document_versions) was opened
+  version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+  -- Who opened it and as what: 'owner' (the applicant) or 'reviewer'
+  accessed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  access_as TEXT NOT NULL CHECK (access_as IN ('owner', 'reviewer')),
+  expires_in INTEGER NOT NULL,
+  ip TEXT,
+  user_agent TEXT,
+  accessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_document_access_log_application_id ON document_access_log(application_id, accessed_at DESC);
+
+ALTER TABLE document_access_log ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Background evaluation jobs (one per submission or retry)
+-- ============================================
+CREATE TABLE application_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+
+  -- queued | running | completed | failed
+  status TEXT NOT NULL DEFAULT 'queued',
+  -- { stage, stages: { download, ocr, ai, save }, documents: { <key>: state } }
+  progress JSONB,
+  -- Documents to read again after a resubmission; NULL = the whole application
+  document_keys TEXT[],
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  -- Renewed while the job runs; a running job not renewed for JOB_LEASE_MS
+  -- belongs to a stopped server and is queued again (services/jobQueue.js)
+  heartbeat_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX idx_application_jobs_status ON application_jobs(status, created_at);
+CREATE INDEX idx_application_jobs_heartbeat ON application_jobs(status, heartbeat_at);
+CREATE INDEX idx_application_jobs_application_id ON application_jobs(application_id);
+
+ALTER TABLE application_jobs ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Evaluation audit trail (one row per evaluation, never updated)
+-- ============================================
+CREATE TABLE evaluation_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  job_id UUID REFERENCES application_jobs(id) ON DELETE SET NULL,
+  program_id UUID REFERENCES programs(id),
+
+  -- Who read the documents
+  provider TEXT,
+  model TEXT,
+  -- Rules used: { rule_key: rule_value }, a hash of them and the rule_versions row
+  rules_snapshot JSONB NOT NULL,
+  rules_version TEXT NOT NULL,
+  rule_version INTEGER,
+  -- Full prompt messages and every raw reply [{ content, usage, latency_ms, model }]
+  prompt JSONB,
+  raw_responses JSONB,
+  -- { prompt_tokens, completion_tokens, total_tokens } summed over all replies
+  usage JSONB,
+  latency_ms INTEGER,
+  -- { <doc key>: { method, chars, confidence, pages } }
+  documents JSONB,
+  evaluation_result JSONB,
+  status TEXT,
+  app_version TEXT,
+
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+
+  CONSTRAINT evaluation_runs_rule_version_fkey
+    FOREIGN KEY (program_id, rule_version) REFERENCES rule_versions(program_id, version)
+);
+
+CREATE INDEX idx_evaluation_runs_application_id ON evaluation_runs(application_id, created_at DESC);
+
+ALTER TABLE evaluation_runs ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Application history (append-only event log)
+-- ============================================
+CREATE TABLE application_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  -- Reviewer (or the applicant, for documents_resubmitted); NULL for the system / batch scripts
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- re_evaluated, claimed, released, decision_override, info_requested, fields_corrected,
+  -- documents_requested, documents_resubmitted
+  action TEXT NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX idx_application_history_application_id ON application_history(application_id, created_at);
+
+ALTER TABLE application_history ENABLE ROW LEVEL SECURITY;
+
+-- Entries can be added, never changed or removed (not even with the service key).
+-- The history belongs to its application: deleting the application (or the
+-- applicant's account, which deletes their applications) deletes its history
+-- through ON DELETE CASCADE, and only those deletes get through - the
+-- application row is already gone when they run. Likewise the one update
+-- allowed is ON DELETE SET NULL clearing actor_id once the actor's account is
+-- gone; nothing else about an entry, its author included, can be rewritten.
+CREATE OR REPLACE FUNCTION prevent_history_changes() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM applications WHERE id = OLD.application_id) THEN
+    RETURN OLD;
+  END IF;
+  IF TG_OP = 'UPDATE'
+     AND OLD.actor_id IS NOT NULL AND NEW.actor_id IS NULL
+     AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.actor_id)
+     AND (NEW.id, NEW.application_id, NEW.action, NEW.details, NEW.created_at)
+         IS NOT DISTINCT FROM (OLD.id, OLD.application_id, OLD.action, OLD.details, OLD.created_at) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'application_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER application_history_append_only
+  BEFORE UPDATE OR DELETE ON application_history
+  FOR EACH ROW EXECUTE FUNCTION prevent_history_changes();
+
 -- Verify the schema
 SELECT column_name, data_type, is_nullable
 FROM information_schema.columns 
@@ -0,0 +1,63 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// FINGERPRINT - Fingerprint documents stored before fingerprints existed
+// ═══════════════════════════════════════════════════════════════════════════════
+// Downloads every document (and replaced version) without a content_hash and
+// stores its file fingerprints (services/fingerprints.js). Text hashes follow
+// on the next evaluation, e.g. `npm run reevaluate -- --all`.
+//
+// USAGE:
+//   npm run fingerprint
+// ═══════════════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+
+const supabase = require('../config/supabase');
+const { fingerprint } = require('../services/fingerprints');
+const { mimeFromPath } = require('../services/applicationPipeline');
+
+const BATCH_SIZE = 100;
+
+async function fingerprintTable(table) {
+  let done = 0;
+  let failed = 0;
+  // Fingerprinted rows drop out of the query; failed ones are skipped past
+  const skip = [];
+  for (;;) {
+    let query = supabase.from(table).select('id, storage_path').is('content_hash', null).order('id').limit(BATCH_SIZE);
+    if (skip.length) query = query.not('id', 'in', `(${skip.join(',')})`);
+    const { data: rows, error } = await query;
+    if (error) throw error;
+    if (!rows.length) break;
+
+    for (const row of rows) {
+      try {
+        const { data, error: downloadError } = await supabase.storage.from('documents').download(row.storage_path);
+        if (downloadError) throw downloadError;
+        const buffer = Buffer.from(await data.arrayBuffer());
+        const { error: updateError } = await supabase
+          .from(table)
+          .update(await fingerprint(buffer, mimeFromPath(row.storage_path)))
+          .eq('id', row.id);
+        if (updateError) throw updateError;
+        done++;
+      } catch (err) {
+        console.log(`❌ ${table} ${row.id}  ${err.message}`);
+        skip.push(row.id);
+        failed++;
+      }
+    }
+  }
+  console.log(`${table}: ${done} fingerprinted, ${failed} failed`);
+}
+
+async function main() {
+  await fingerprintTable('application_documents');
+  await fingerprintTable('document_versions');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌', err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,69 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAILCATCHER - Local SMTP server that captures emails instead of delivering them
+// ═══════════════════════════════════════════════════════════════════════════════
+// Accepts every message on localhost and saves it to the outbox directory
+// (MAIL_OUTBOX_DIR, default ./outbox) as an .eml file, so the SMTP transport can
+// be used end to end without an email account. Point the server at it with:
+//   MAIL_TRANSPORT=smtp SMTP_HOST=localhost SMTP_PORT=1025
+// No TLS and no authentication: never expose it beyond localhost.
+//
+// USAGE:
+//   npm run mailcatcher [-- --port 1025]
+// ═══════════════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+
+const net = require('net');
+const { saveToOutbox } = require('../services/mailer');
+const config = require('../config/mail');
+
+const portArg = process.argv.indexOf('--port');
+const PORT = portArg > -1 ? parseInt(process.argv[portArg + 1], 10) : 1025;
+
+// One SMTP session: commands line by line, then the message after DATA
+function session(socket) {
+  let buffer = '';
+  let data = null;   // lines of the message being received
+  let rcpt = [];
+  const reply = line => socket.write(`${line}\r\n`);
+
+  reply('220 mailcatcher ready');
+  socket.on('data', chunk => {
+    buffer += chunk.toString('utf8');
+    let end;
+    while ((end = buffer.indexOf('\r\n')) > -1) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+
+      if (data) {
+        if (line === '.') {
+          const file = saveToOutbox(data.join('\r\n'));
+          console.log(`📧 Captured email to ${rcpt.join(', ')} → ${file}`);
+          data = null;
+          rcpt = [];
+          reply('250 OK: captured');
+        } else {
+          data.push(line.startsWith('..') ? line.slice(1) : line);
+        }
+        continue;
+      }
+
+      const command = line.split(' ')[0].toUpperCase();
+      if (command === 'EHLO') reply('250-mailcatcher\r\n250 AUTH PLAIN');
+      else if (command === 'HELO') reply('250 mailcatcher');
+      else if (command === 'AUTH') reply('235 Accepted');
+      else if (command === 'MAIL') { rcpt = []; reply('250 OK'); }
+      else if (command === 'RCPT') { rcpt.push(line.slice(line.indexOf(':') + 1).trim()); reply('250 OK'); }
+      else if (command === 'DATA') { data = []; reply('354 End data with <CR><LF>.<CR><LF>'); }
+      else if (command === 'RSET') { rcpt = []; reply('250 OK'); }
+      else if (command === 'NOOP') reply('250 OK');
+      else if (command === 'QUIT') { reply('221 Bye'); socket.end(); }
+      else reply('502 Command not implemented');
+    }
+  });
+  socket.on('error', () => socket.destroy());
+}
+
+net.createServer(session).listen(PORT, '127.0.0.1', () => {
+  console.log(`Mailcatcher listening on localhost:${PORT}, saving emails to ${config.outboxDir}`);
+});
@@ -0,0 +1,106 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// RE-EVALUATE - Batch re-evaluation from the command line
+// ═══════════════════════════════════════════════════════════════════════════════
+// Same as POST /api/admin/reevaluate, without the per-request size limit.
+// Dry run by default: prints the verdicts that would change. Add --commit to
+// save the new results (each one is recorded in the application's history).
+//
+// USAGE:
+//   npm run reevaluate -- --id <uuid> [--id <uuid> ...]
+//   npm run reevaluate -- --status manual_review [--status disqualified]
+//   npm run reevaluate -- --program need-based --status disqualified
+//   npm run reevaluate -- --qualified false --from 2025-01-01 --to 2025-06-30
+//   npm run reevaluate -- --all
+// OPTIONS:
+//   --reocr   download and OCR the documents again instead of reusing stored text
+//   --commit  save the results (default is a dry run)
+//   --include-reviewed  also re-evaluate applications a reviewer acted on
+//             (their reviewer's decision is kept, only the evaluation changes)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+
+const { selectApplications, reevaluate } = require('../services/reevaluation');
+const { getProgram } = require('../services/programs');
+const ocrPool = require('../services/ocrPool');
+
+// ── Arguments ───────────────────────────────────────────────────────────
+function parseArgs(argv) {
+  const options = { ids: [], statuses: [], all: false, reocr: false, commit: false, includeReviewed: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const next = () => {
+      const value = argv[++i];
+      if (value === undefined) throw new Error(`${arg} needs a value`);
+      return value;
+    };
+
+    switch (arg) {
+      case '--id':        options.ids.push(next()); break;
+      case '--status':    options.statuses.push(next()); break;
+      case '--program':   options.program = next(); break;
+      case '--qualified': options.qualified = next() === 'true'; break;
+      case '--from':      options.from = next(); break;
+      case '--to':        options.to = next(); break;
+      case '--all':       options.all = true; break;
+      case '--reocr':     options.reocr = true; break;
+      case '--commit':    options.commit = true; break;
+      case '--include-reviewed': options.includeReviewed = true; break;
+      default: throw new Error(`Unknown option: ${arg}`);
+    }
+  }
+  return options;
+}
+
+async function selectionFrom(options) {
+  if (options.ids.length) return { ids: options.ids, includeReviewed: options.includeReviewed };
+
+  const filter = {};
+  if (options.program) filter.program_id = (await getProgram(options.program)).id;   // slug or id
+  if (options.statuses.length) filter.status = options.statuses;
+  if (options.qualified !== undefined) filter.qualified = options.qualified;
+  if (options.from) filter.submitted_from = options.from;
+  if (options.to) filter.submitted_to = options.to;
+  return { filter, all: options.all, includeReviewed: options.includeReviewed };
+}
+
+const describe = v => `${v.status}${v.qualified ? ' ✓' : ''}`;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAIN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const applications = await selectApplications(await selectionFrom(options));
+
+  console.log(`${options.commit ? '💾 Re-evaluating' : '🔎 Dry run for'} ${applications.length} application(s)` +
+    `${options.reocr ? ' (re-running OCR)' : ''}\n`);
+
+  const summary = await reevaluate(applications, {
+    dryRun: !options.commit,
+    reocr: options.reocr,
+    onResult: r => {
+      if (r.error) {
+        console.log(`❌ ${r.application_id}  ${r.error}`);
+      } else {
+        const mark = r.changed ? '⚠️ ' : '  ';
+        const kept = r.review_kept ? `  (reviewer's decision kept, automatic: ${describe(r.automatic)})` : '';
+        console.log(`${mark} ${r.application_id}  ${describe(r.before)} → ${describe(r.after)}${kept}`);
+      }
+    }
+  });
+
+  console.log(`\n${summary.total} evaluated, ${summary.changed} verdict(s) ${options.commit ? 'changed' : 'would change'}, ${summary.failed} failed`);
+  if (!options.commit && summary.changed > 0) {
+    console.log('Run again with --commit to save these results.');
+  }
+}
+
+main()
+  .then(() => ocrPool.shutdown())
+  .then(() => process.exit(0))
+  .catch(err => {
+    console.error('❌', err.message);
+    ocrPool.shutdown().finally(() => process.exit(1));
+  });
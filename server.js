@@ -1,12 +1,15 @@
 const express    = require('express');
 const cors       = require('cors');
 const dotenv     = require('dotenv');
-const path       = require('path');
 
 dotenv.config();
 
 const app = express();
 
+// Client IP addresses (shown in the session list) come from X-Forwarded-For
+// only when the app runs behind that many trusted proxies
+if (process.env.TRUST_PROXY) app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY);
+
 // ── Middleware ──────────────────────────────
 // CORS configuration to handle multiple origins
 const allowedOrigins = [
@@ -32,16 +35,43 @@ app.use(cors({
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Serve uploaded files temporarily
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Uploads are never served statically: uploads/ only holds multer temp files,
+// and stored documents are opened through signed links (/api/documents)
 
 // ── Routes ──────────────────────────────────
 app.use('/api/auth',         require('./routes/auth'));
 app.use('/api/applications', require('./routes/applications'));
+app.use('/api/admin',        require('./routes/admin'));
+app.use('/api/programs',     require('./routes/programs'));
+app.use('/api/documents',    require('./routes/documents'));
 
 // Health check
 app.get('/api/health', (req, res) => res.json({ status: 'ok' }));
 
 // ── Start ────────────────────────────────────
+const jobQueue = require('./services/jobQueue');
+const ocrPool  = require('./services/ocrPool');
+
 const PORT = process.env.PORT || 4000;
-app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
\ No newline at end of file
+const server = app.listen(PORT, () => {
+  console.log(`Server running on port ${PORT}`);
+
+  // OCR workers are created once and reused by every submission
+  ocrPool.init().catch(err => console.error('OCR pool failed to start:', err.message));
+
+  // Background worker that evaluates submitted applications
+  jobQueue.start();
+});
+
+// ── Shutdown ─────────────────────────────────
+// Stop taking new jobs and terminate the Tesseract workers cleanly
+async function shutdown(signal) {
+  console.log(`${signal} received, shutting down...`);
+  jobQueue.stop();
+  server.close();
+  await ocrPool.shutdown().catch(err => console.error('OCR pool shutdown error:', err.message));
+  process.exit(0);
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT',  () => shutdown('SIGINT'));
\ No newline at end of file
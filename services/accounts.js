@@ -0,0 +1,239 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACCOUNTS - Email verification and password reset
+// ═══════════════════════════════════════════════════════════════════════════════
+// Both work with a link emailed to the account's address (services/mailer.js)
+// carrying a random token. Only the token's SHA-256 hash is stored in
+// account_tokens, and a token:
+//   - is for one purpose: 'verify_email' or 'reset_password'
+//   - expires (VERIFY_TTL_MS / RESET_TTL_MS)
+//   - works once: using it sets used_at, and a new token of the same purpose
+//     replaces the user's unused ones
+//
+// Applicants verify their email before they can submit an application
+// (middleware/requireVerified.js). Resetting the password also verifies the
+// email, since the link could only be opened from the inbox, and signs every
+// device out (services/sessions.js).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto   = require('crypto');
+const bcrypt   = require('bcryptjs');
+const supabase = require('../config/supabase');
+const mail     = require('../config/mail');
+const { sendMail } = require('./mailer');
+const { revokeAll } = require('./sessions');
+
+const VERIFY_TTL_MS = 48 * 60 * 60 * 1000;
+const RESET_TTL_MS  = 60 * 60 * 1000;
+
+// A new email of the same purpose is not sent sooner than this
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const MIN_PASSWORD_LENGTH = 6;
+
+// What the routes may send back about a user
+const PUBLIC_FIELDS = 'id, email, full_name, role, email_verified_at, created_at';
+
+// Thrown for problems the user can fix; status is the HTTP status to respond with
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+// ── Tokens ──────────────────────────────────────────────────────────────
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// When the user was last sent a token of this purpose (null = never)
+async function lastSent(userId, purpose) {
+  const { data, error } = await supabase
+    .from('account_tokens')
+    .select('created_at')
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .order('created_at', { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? new Date(data.created_at) : null;
+}
+
+// A new token for the user, replacing their unused ones of the same purpose.
+// Returns the token itself - it is only ever in the emailed link
+async function issueToken(userId, purpose, ttlMs) {
+  const { error: deleteError } = await supabase
+    .from('account_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('purpose', purpose)
+    .is('used_at', null);
+  if (deleteError) throw deleteError;
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const { error } = await supabase.from('account_tokens').insert({
+    user_id:    userId,
+    purpose,
+    token_hash: hashToken(token),
+    expires_at: new Date(Date.now() + ttlMs).toISOString(),
+    created_at: new Date().toISOString()
+  });
+  if (error) throw error;
+  return token;
+}
+
+// Marks the token used and returns its row; throws when it is unknown,
+// expired or already used
+async function useToken(token, purpose) {
+  if (typeof token !== 'string' || !token) throw new AccountError('The link is missing its token');
+
+  const { data: row, error } = await supabase
+    .from('account_tokens')
+    .select('id, user_id, expires_at, used_at')
+    .eq('token_hash', hashToken(token))
+    .eq('purpose', purpose)
+    .maybeSingle();
+  if (error) throw error;
+  if (!row) throw new AccountError('This link is not valid. Request a new one.');
+  if (row.used_at) throw new AccountError('This link has already been used. Request a new one.', 410);
+  if (new Date(row.expires_at) <= new Date()) throw new AccountError('This link has expired. Request a new one.', 410);
+
+  // Only one request can set used_at: a second one at the same time finds it set
+  const { data: used, error: useError } = await supabase
+    .from('account_tokens')
+    .update({ used_at: new Date().toISOString() })
+    .eq('id', row.id)
+    .is('used_at', null)
+    .select('id, user_id')
+    .maybeSingle();
+  if (useError) throw useError;
+  if (!used) throw new AccountError('This link has already been used. Request a new one.', 410);
+  return used;
+}
+
+// ── Emails ──────────────────────────────────────────────────────────────
+
+const verificationEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Verify your email address',
+  text:
+    `Hello ${user.full_name},\n\n` +
+    'Please confirm this is your email address by opening the link below:\n\n' +
+    `${mail.appUrl}/verify-email?token=${token}\n\n` +
+    `The link works once and expires in ${VERIFY_TTL_MS / 3600000} hours. ` +
+    'If you did not create a Scholar Portal account, you can ignore this email.\n'
+});
+
+const resetEmail = (user, token) => ({
+  to: user.email,
+  subject: 'Reset your password',
+  text:
+    `Hello ${user.full_name},\n\n` +
+    'Someone (hopefully you) asked to reset the password of your Scholar Portal account. ' +
+    'Choose a new password here:\n\n' +
+    `${mail.appUrl}/reset-password?token=${token}\n\n` +
+    `The link works once and expires in ${RESET_TTL_MS / 60000} minutes. ` +
+    'If you did not ask for this, ignore this email: your password stays the same.\n'
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Emails a verification link. force: send even if one was sent moments ago
+// (registration); otherwise a resend that soon is refused
+async function sendVerification(user, { force = false } = {}) {
+  if (user.email_verified_at) throw new AccountError('Your email address is already verified', 409);
+  if (!force) {
+    const sent = await lastSent(user.id, 'verify_email');
+    if (sent && Date.now() - sent.getTime() < RESEND_INTERVAL_MS) {
+      throw new AccountError('A verification email was just sent. Check your inbox, or try again in a minute.', 429);
+    }
+  }
+  await sendMail(verificationEmail(user, await issueToken(user.id, 'verify_email', VERIFY_TTL_MS)));
+}
+
+// Returns the verified user
+async function verifyEmail(token) {
+  const { user_id: userId } = await useToken(token, 'verify_email');
+  const user = await getUser(userId);
+  if (user.email_verified_at) return user;
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({ email_verified_at: new Date().toISOString() })
+    .eq('id', userId)
+    .select(PUBLIC_FIELDS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Emails a reset link if the address has an account. Never says whether it
+// does, so the form cannot be used to find out who is registered
+async function requestPasswordReset(email) {
+  if (typeof email !== 'string' || !email.trim()) throw new AccountError('Email is required');
+
+  const { data: user, error } = await supabase
+    .from('users')
+    .select('id, email, full_name')
+    .eq('email', email.trim())
+    .maybeSingle();
+  if (error) throw error;
+  if (!user) return;
+
+  const sent = await lastSent(user.id, 'reset_password');
+  if (sent && Date.now() - sent.getTime() < RESEND_INTERVAL_MS) return;
+  await sendMail(resetEmail(user, await issueToken(user.id, 'reset_password', RESET_TTL_MS)));
+}
+
+// Sets the new password; returns the user
+async function resetPassword(token, password) {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  const { user_id: userId } = await useToken(token, 'reset_password');
+  const user = await getUser(userId);
+
+  const { data, error } = await supabase
+    .from('users')
+    .update({
+      password: await bcrypt.hash(password, 12),
+      email_verified_at: user.email_verified_at || new Date().toISOString()
+    })
+    .eq('id', userId)
+    .select(PUBLIC_FIELDS)
+    .single();
+  if (error) throw error;
+
+  // Other reset links sent before this one stop working
+  const { error: deleteError } = await supabase
+    .from('account_tokens')
+    .delete()
+    .eq('user_id', userId)
+    .eq('purpose', 'reset_password')
+    .is('used_at', null);
+  if (deleteError) throw deleteError;
+
+  // Whoever knew the old password is signed out everywhere
+  await revokeAll(userId, 'password_reset');
+  return data;
+}
+
+async function getUser(id) {
+  const { data, error } = await supabase.from('users').select(PUBLIC_FIELDS).eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new AccountError('Account not found', 404);
+  return data;
+}
+
+module.exports = {
+  sendVerification,
+  verifyEmail,
+  requestPasswordReset,
+  resetPassword,
+  getUser,
+  MIN_PASSWORD_LENGTH,
+  AccountError
+};
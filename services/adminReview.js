@@ -0,0 +1,319 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADMIN REVIEW - What a reviewer can do to an application
+// ═══════════════════════════════════════════════════════════════════════════════
+// - claim / release → one reviewer works on an application at a time
+// - decide          → override status/qualified, justification required
+// - correctFields   → fix values the AI misread; the rule engine runs again
+// - requestInfo     → ask the applicant for more information (status 'info_requested')
+// - requestDocuments → ask the applicant to replace specific documents
+//                      (status 'info_requested', see services/documentRequests.js)
+//
+// Every action is written to application_history (append-only), so the log
+// shows who changed what, when and why. The routes are in routes/admin.js.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { recordHistory } = require('./applicationHistory');
+const { applyRules, extractionFields } = require('./ruleEngine');
+const { extractionSchema, validate } = require('./evaluationSchema');
+const { loadRules, addIncomeDiscrepancyCheck, parserMismatchFlag } = require('./evaluationService');
+const { documentsOf, claimsOf } = require('./documents');
+const { openRequest, closeRequest } = require('./documentRequests');
+const { householdOf, householdSummary, declaredIncomes } = require('./household');
+
+// Statuses a reviewer can set
+const DECISION_STATUSES = ['qualified', 'disqualified', 'manual_review'];
+
+// Justifications must actually explain something
+const MIN_JUSTIFICATION = 10;
+
+// Thrown for problems the reviewer can fix (bad input, conflicts);
+// status is the HTTP status the route responds with
+class ReviewError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ReviewError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+// Drafts are not submitted yet, so reviewers cannot see them;
+// withdrawn applications are kept for the record only
+async function loadApplication(id) {
+  const { data, error } = await supabase.from('applications').select('*').eq('id', id).neq('status', 'draft').single();
+  if (error || !data) throw new ReviewError('Application not found', 404);
+  if (data.status === 'withdrawn') throw new ReviewError('The applicant withdrew this application', 409);
+  return data;
+}
+
+function checkJustification(justification, label = 'justification') {
+  if (typeof justification !== 'string' || justification.trim().length < MIN_JUSTIFICATION) {
+    throw new ReviewError(`A ${label} of at least ${MIN_JUSTIFICATION} characters is required`);
+  }
+  return justification.trim();
+}
+
+// Another reviewer's claim blocks changes; unclaimed applications are open to anyone
+function checkClaim(application, reviewerId) {
+  if (application.claimed_by && application.claimed_by !== reviewerId) {
+    throw new ReviewError('Application is claimed by another reviewer', 409);
+  }
+}
+
+async function updateApplication(id, fields) {
+  const { data, error } = await supabase.from('applications').update(fields).eq('id', id).select().single();
+  if (error) throw error;
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLAIM / RELEASE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function claim(applicationId, reviewerId) {
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  if (application.claimed_by === reviewerId) return application;
+
+  // Only succeeds if nobody claimed it in the meantime
+  const { data, error } = await supabase
+    .from('applications')
+    .update({ claimed_by: reviewerId, claimed_at: new Date().toISOString() })
+    .eq('id', applicationId)
+    .is('claimed_by', null)
+    .select();
+  if (error) throw error;
+  if (!data.length) throw new ReviewError('Application is claimed by another reviewer', 409);
+
+  await recordHistory(applicationId, 'claimed', { actorId: reviewerId });
+  return data[0];
+}
+
+async function release(applicationId, reviewerId) {
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  if (!application.claimed_by) return application;
+
+  const saved = await updateApplication(applicationId, { claimed_by: null, claimed_at: null });
+  await recordHistory(applicationId, 'released', { actorId: reviewerId });
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DECIDE - Override the automatic verdict
+// ═══════════════════════════════════════════════════════════════════════════════
+// decision: { status, qualified?, justification }
+// qualified defaults to status === 'qualified'
+
+async function decide(applicationId, reviewerId, { status, qualified, justification } = {}) {
+  if (!DECISION_STATUSES.includes(status)) {
+    throw new ReviewError(`status must be one of: ${DECISION_STATUSES.join(', ')}`);
+  }
+  if (qualified !== undefined && typeof qualified !== 'boolean') {
+    throw new ReviewError('qualified must be true or false');
+  }
+  const reason = checkJustification(justification);
+
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  if (['pending', 'failed'].includes(application.status)) {
+    throw new ReviewError(`Application has not been evaluated yet (status is ${application.status})`, 409);
+  }
+
+  const after = { status, qualified: qualified ?? status === 'qualified' };
+  const before = { status: application.status, qualified: application.qualified };
+
+  const saved = await updateApplication(applicationId, {
+    ...after,
+    reviewed_by: reviewerId,
+    reviewed_at: new Date().toISOString()
+  });
+  // Decided without the documents asked for: the applicant can no longer send them
+  await closeRequest(applicationId, 'cancelled');
+  await recordHistory(applicationId, 'decision_override', {
+    actorId: reviewerId,
+    details: { before, after, justification: reason }
+  });
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REQUEST INFO - Ask the applicant for more information
+// ═══════════════════════════════════════════════════════════════════════════════
+// The message is shown to the applicant on their result page (review_note)
+
+async function requestInfo(applicationId, reviewerId, { message } = {}) {
+  const note = checkJustification(message, 'message');
+
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  if (['pending', 'failed'].includes(application.status)) {
+    throw new ReviewError(`Application has not been evaluated yet (status is ${application.status})`, 409);
+  }
+
+  const saved = await updateApplication(applicationId, {
+    status: 'info_requested',
+    review_note: note,
+    reviewed_by: reviewerId,
+    reviewed_at: new Date().toISOString()
+  });
+  await recordHistory(applicationId, 'info_requested', {
+    actorId: reviewerId,
+    details: { before: { status: application.status, qualified: application.qualified }, message: note }
+  });
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REQUEST DOCUMENTS - Ask the applicant to replace specific documents
+// ═══════════════════════════════════════════════════════════════════════════════
+// documents: doc keys of the application's documents (e.g. ['report_card',
+// 'member_2_income_certificate']); message: shown to the applicant with them.
+// Only the replaced documents are evaluated again once uploaded.
+
+async function requestDocuments(applicationId, reviewerId, { documents, message } = {}) {
+  const note = checkJustification(message, 'message');
+  if (!Array.isArray(documents) || !documents.length) {
+    throw new ReviewError('documents must be a non-empty list of document keys');
+  }
+
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  if (['pending', 'failed'].includes(application.status)) {
+    throw new ReviewError(`Application has not been evaluated yet (status is ${application.status})`, 409);
+  }
+  const uploaded = (await documentsOf(application)).map(doc => doc.doc_key);
+  const unknown = documents.filter(key => !uploaded.includes(key));
+  if (unknown.length) throw new ReviewError(`Not a document of this application: ${unknown.join(', ')}`);
+  if (await openRequest(applicationId)) {
+    throw new ReviewError('Documents were already requested - wait for the applicant or decide', 409);
+  }
+
+  const { data: request, error } = await supabase
+    .from('document_requests')
+    .insert({ application_id: applicationId, doc_keys: [...new Set(documents)], message: note, requested_by: reviewerId })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const saved = await updateApplication(applicationId, {
+    status: 'info_requested',
+    review_note: note,
+    reviewed_by: reviewerId,
+    reviewed_at: new Date().toISOString()
+  });
+  await recordHistory(applicationId, 'documents_requested', {
+    actorId: reviewerId,
+    details: {
+      before: { status: application.status, qualified: application.qualified },
+      message: note,
+      documents: request.doc_keys,
+      request_id: request.id
+    }
+  });
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CORRECT FIELDS - Fix misread values and re-run the rule engine
+// ═══════════════════════════════════════════════════════════════════════════════
+// corrections: { mother_income: 15000, gwa: 2.1, ... } - only fields the rules
+// ask the AI for or the income fields of the declared household (total_income
+// and per_capita_income are always recomputed, never set by hand).
+// The verdict fields of evaluation_result are recomputed with the program's
+// rules in effect now (and that version is recorded), and so are the review
+// flags the corrected values feed. The status stays as it is - the reviewer
+// decides with decide(). Once a reviewer has acted (reviewed_at), their
+// qualified stays too unless replace_decision is set.
+
+// Review flags recomputed from the corrected values
+const DATA_FLAGS = ['income_discrepancy', 'parser_mismatch'];
+
+async function correctFields(applicationId, reviewerId, { corrections, justification, replace_decision = false } = {}) {
+  if (!corrections || typeof corrections !== 'object' || Array.isArray(corrections) || !Object.keys(corrections).length) {
+    throw new ReviewError('corrections must be an object of { field: value }');
+  }
+  const reason = checkJustification(justification);
+
+  const application = await loadApplication(applicationId);
+  checkClaim(application, reviewerId);
+  const ev = application.evaluation_result;
+  if (!ev) throw new ReviewError('Application has no evaluation to correct', 409);
+
+  const [{ version, rules }, documents, members] = await Promise.all([
+    loadRules(application.program_id),
+    documentsOf(application),
+    householdOf(application)
+  ]);
+  const household = members.length ? householdSummary(members) : null;
+  const allowed = [...extractionFields(rules), ...(household ? household.income_fields : [])];
+  const unknown = Object.keys(corrections).filter(field => !allowed.includes(field));
+  if (unknown.length) throw new ReviewError(`Unknown field(s): ${unknown.join(', ')}`);
+
+  // Same types and ranges as the AI's reply must follow; household incomes are amounts
+  const fieldSchema = extractionSchema(rules).properties.extracted_data;
+  const incomeSchemas = Object.fromEntries(
+    (household ? household.income_fields : []).map(field => [field, { type: ['number', 'null'], minimum: 0 }])
+  );
+  const extracted = { ...(ev.extracted_data || {}), ...corrections };
+  const errors = validate(
+    Object.fromEntries(Object.keys(corrections).map(f => [f, extracted[f]])),
+    { ...fieldSchema, properties: { ...incomeSchemas, ...fieldSchema.properties }, required: [] },
+    'corrections'
+  );
+  if (errors.length) throw new ReviewError(errors.join('; '));
+
+  const decision = applyRules(extracted, rules, household);
+  const changes = Object.keys(corrections).map(field => ({
+    field,
+    from: ev.extracted_data?.[field] ?? null,
+    to: decision.extracted_data[field]
+  }));
+
+  // A reviewer checked the corrected values against the documents, so the
+  // parser disagreeing with the AI about them needs no further look
+  const mismatches = (ev.heuristic_check?.mismatches || []).filter(m => !(m.field in corrections));
+
+  const evaluation = {
+    ...ev,
+    qualified: decision.qualified,
+    extracted_data: decision.extracted_data,
+    evaluation: decision.evaluation,
+    disqualification_reasons: decision.disqualification_reasons,
+    ...(ev.heuristic_check && { heuristic_check: { ...ev.heuristic_check, mismatches } }),
+    review_flags: [
+      ...(ev.review_flags || []).filter(flag => !DATA_FLAGS.includes(flag.code)),
+      ...(mismatches.length ? [parserMismatchFlag(mismatches)] : [])
+    ],
+    household,
+    // Every correction ever made, so the result shows what is not the AI's reading
+    corrections: [
+      ...(ev.corrections || []),
+      { changes, justification: reason, rule_version: version, corrected_by: reviewerId, corrected_at: new Date().toISOString() }
+    ]
+  };
+  addIncomeDiscrepancyCheck(evaluation, { ...claimsOf(documents), ...declaredIncomes(members) }, rules);
+
+  const keepDecision = Boolean(application.reviewed_at) && replace_decision !== true;
+  const saved = await updateApplication(applicationId, {
+    evaluation_result: evaluation,
+    ...(!keepDecision && { qualified: evaluation.qualified }),
+    total_income: evaluation.extracted_data.total_income ?? null,
+    rule_version: version
+  });
+  await recordHistory(applicationId, 'fields_corrected', {
+    actorId: reviewerId,
+    details: {
+      changes,
+      justification: reason,
+      qualified_before: ev.qualified,
+      qualified_after: evaluation.qualified,
+      ...(keepDecision && { decision_kept: true })
+    }
+  });
+  return saved;
+}
+
+module.exports = { claim, release, decide, requestInfo, requestDocuments, correctFields, ReviewError, DECISION_STATUSES };
@@ -0,0 +1,53 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPLICATION HISTORY - Append-only log of what happened to an application
+// ═══════════════════════════════════════════════════════════════════════════════
+// One row per event: who did it (actor_id, null for the system), what
+// (action) and the details needed to understand it later. The database
+// refuses UPDATE and DELETE on this table (see schema.sql), so entries can
+// only ever be added.
+//
+// ACTIONS:
+// - re_evaluated      → verdict recomputed after a rules/model change
+//                       details: { before, after, changed, reocr, run_id, rules_version }
+// - claimed / released → a reviewer took / gave back an application
+// - decision_override → reviewer set status/qualified
+//                       details: { before, after, justification }
+// - info_requested    → reviewer asked the applicant for more information
+//                       details: { before, message }
+// - documents_requested → reviewer asked for specific documents again
+//                       details: { before, message, documents, request_id }
+// - documents_resubmitted → applicant uploaded the requested documents
+//                       details: { request_id, documents }
+// - fields_corrected  → reviewer fixed extracted values, rules re-run
+//                       details: { changes: [{ field, from, to }], justification,
+//                                  qualified_before, qualified_after }
+// - withdrawn         → applicant withdrew it, or replaced it with a new one
+//                       details: { before, reason, replaced_by }
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+
+async function recordHistory(applicationId, action, { actorId = null, details = {} } = {}) {
+  const { data, error } = await supabase
+    .from('application_history')
+    .insert({ application_id: applicationId, actor_id: actorId, action, details })
+    .select()
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// Oldest first - reads like a timeline
+async function listHistory(applicationId) {
+  const { data, error } = await supabase
+    .from('application_history')
+    .select('*')
+    .eq('application_id', applicationId)
+    .order('created_at', { ascending: true });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = { recordHistory, listHistory };
@@ -0,0 +1,333 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPLICATION PIPELINE - Extraction + evaluation for one stored application
+// ═══════════════════════════════════════════════════════════════════════════════
+// Runs in the background worker (services/jobQueue.js), never inside an HTTP
+// request. The application row already exists with status 'pending' and its
+// documents are already in the Supabase 'documents' bucket.
+//
+// STAGES (reported through onProgress):
+// 1. download → fetch each document from storage into a temp file
+// 2. ocr      → extract text from each document (per-document progress)
+// 3. ai       → AI extraction + rule engine evaluation
+// 4. save     → record the evaluation run (audit trail, services/evaluationRuns.js),
+//                then write ALL results to the application in a single update
+//
+// Nothing is written to the application until the last stage, so a failure
+// anywhere leaves the row exactly as it was submitted (safe to retry).
+// (The text hashes of its documents are stored while evaluating: they only
+// depend on the text, so storing them again on a retry changes nothing.)
+//
+// The individual steps are exported too: re-evaluation (services/reevaluation.js)
+// reuses them to evaluate stored text again without a new submission.
+//
+// After a resubmission (services/documentRequests.js) the job names the
+// replaced documents: only those are read and sent to the AI again, the
+// others keep the text and values of the previous evaluation.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+const crypto   = require('crypto');
+const supabase = require('../config/supabase');
+const { processApplication } = require('./evaluationService');
+const { recordRun } = require('./evaluationRuns');
+const { getProgram } = require('./programs');
+const { checkDuplicates } = require('./fingerprints');
+const { analyzeDocument, summarize, authenticityFlag } = require('./authenticity');
+
+// Uploaded documents (application_documents) with their document types,
+// and the household the applicant declared (programs with household_assessment)
+const { documentsOf, describeDocument, claimsOf } = require('./documents');
+const { householdOf, householdSummary, declaredIncomes } = require('./household');
+
+const STAGES = ['download', 'ocr', 'ai', 'save'];
+
+// Storage keeps .txt test files under a PDF content type, so the real type
+// is taken from the file extension instead
+const MIME_TYPES = {
+  '.jpg':  'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png':  'image/png',
+  '.pdf':  'application/pdf',
+  '.txt':  'text/plain'
+};
+
+function mimeFromPath(storagePath) {
+  return MIME_TYPES[path.extname(storagePath).toLowerCase()] || 'application/octet-stream';
+}
+
+// Low AI confidence or any review flag (e.g. AI vs parser mismatch)
+// sends the application to a human reviewer
+function determineStatus(evaluation) {
+  if (evaluation.confidence_score < 60) return 'manual_review';
+  if (evaluation.review_flags && evaluation.review_flags.length > 0) return 'manual_review';
+  return evaluation.qualified ? 'qualified' : 'disqualified';
+}
+
+// Fresh progress object: every stage and document starts as 'pending'
+// documents: output of documentsOf, when known; labels are shown by the UI
+function initialProgress(documents = []) {
+  return {
+    stage: null,
+    stages: Object.fromEntries(STAGES.map(s => [s, 'pending'])),
+    documents: Object.fromEntries(documents.map(d => [d.doc_key, 'pending'])),
+    labels: Object.fromEntries(documents.map(d => [d.doc_key, describeDocument(d).label]))
+  };
+}
+
+// ── Storage → Buffer / Temp File ────────────────────────────────────────
+async function download(storagePath) {
+  const { data, error } = await supabase.storage.from('documents').download(storagePath);
+  if (error) throw error;
+  return Buffer.from(await data.arrayBuffer());
+}
+
+async function downloadToTemp(storagePath) {
+  const tempPath = path.join(os.tmpdir(), `scholar-${crypto.randomUUID()}${path.extname(storagePath)}`);
+  fs.writeFileSync(tempPath, await download(storagePath));
+  return tempPath;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEPS - Used by runPipeline below and by re-evaluation (services/reevaluation.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ── Documents → Text ────────────────────────────────────────────────────
+// Download every document and extract its text (OCR where needed).
+// Hooks: onStage('download' | 'ocr'), onDocument(key, 'running' | 'done' | 'failed')
+// reuse: keep the text extracted when a draft document was uploaded
+// (application_documents.extraction, see services/drafts.js) instead of
+// reading that document again
+// only: doc keys to read (the others are left out of the result)
+// Returns { texts: { <doc key>: text }, extractions: { <doc key>: { text, method, pages } } }
+async function readDocuments(application, { onStage = () => {}, onDocument = () => {}, reuse = false, only = null } = {}) {
+  const documents = (await documentsOf(application)).filter(doc => !only || only.includes(doc.doc_key));
+  const extracted = doc => reuse && typeof doc.extraction?.text === 'string';
+  const tempFiles = {};
+
+  try {
+    onStage('download');
+    for (const doc of documents.filter(d => !extracted(d))) {
+      tempFiles[doc.doc_key] = await downloadToTemp(doc.storage_path);
+    }
+
+    onStage('ocr');
+    const texts = {};
+    const extractions = {};
+    await Promise.all(documents.map(async doc => {
+      const { doc_key: key, storage_path } = doc;
+      if (extracted(doc)) {
+        texts[key] = doc.extraction.text;
+        extractions[key] = doc.extraction;
+        onDocument(key, 'done');
+        return;
+      }
+      onDocument(key, 'running');
+      try {
+        const { extractedText, extraction } = await processApplication(
+          tempFiles[key], mimeFromPath(storage_path), null, true
+        );
+        texts[key] = extractedText;
+        extractions[key] = extraction;
+        onDocument(key, 'done');
+      } catch (err) {
+        onDocument(key, 'failed');
+        throw err;
+      }
+    }));
+
+    return { texts, extractions };
+
+  } finally {
+    // Clean up temp files whether the run succeeded or not
+    for (const tempPath of Object.values(tempFiles)) {
+      if (fs.existsSync(tempPath)) fs.unlinkSync(tempPath);
+    }
+  }
+}
+
+// ── Stored Text ─────────────────────────────────────────────────────────
+// Text saved by an earlier run, so re-evaluation can skip download + OCR.
+// Returns null for applications processed before document_extractions existed.
+async function storedDocuments(application) {
+  const keys = (await documentsOf(application)).map(doc => doc.doc_key);
+  const extractions = application.document_extractions;
+  if (!extractions || keys.some(key => typeof extractions[key]?.text !== 'string')) {
+    return null;
+  }
+  const texts = Object.fromEntries(keys.map(key => [key, extractions[key].text]));
+  return { texts, extractions };
+}
+
+// ── Authenticity ────────────────────────────────────────────────────────
+// Each document is inspected once for signs of editing (services/authenticity.js)
+// and the result kept on its row (application_documents.authenticity); replaced
+// documents are inspected again. Like the text hashes, storing it again on a
+// retry changes nothing.
+// extractions: { <doc key>: { text, method, pages } } when known
+async function assessDocuments(documents, extractions = {}) {
+  for (const doc of documents.filter(d => !d.authenticity)) {
+    const buffer = await download(doc.storage_path);
+    const authenticity = await analyzeDocument(buffer, mimeFromPath(doc.storage_path), extractions[doc.doc_key]);
+    const { error } = await supabase.from('application_documents').update({ authenticity }).eq('id', doc.id);
+    if (error) throw error;
+    doc.authenticity = authenticity;
+  }
+  return summarize(documents.map(doc => ({ ...describeDocument(doc), authenticity: doc.authenticity })));
+}
+
+// ── Text → Evaluation ───────────────────────────────────────────────────
+// AI extraction + rule engine, with the rules and prompt context of the
+// application's program, the values the applicant declared with the
+// documents and the declared household, if any.
+// changed: doc keys of replaced documents - only those are read again and
+// the application's current evaluation_result is updated (see RESUBMISSION
+// in services/evaluationService.js)
+// Documents matching earlier uploads add a 'duplicate_document' review flag
+// (services/fingerprints.js), documents showing signs of editing an
+// 'authenticity_risk' flag (assessDocuments above)
+// extractions: the texts' { text, method, pages }, for the authenticity checks
+// Returns { evaluation, trace, combinedText, status, authenticity }
+async function evaluateDocuments(application, texts, { changed = null, extractions = {} } = {}) {
+  const [program, uploaded, members] = await Promise.all([
+    getProgram(application.program_id),
+    documentsOf(application),
+    householdOf(application)
+  ]);
+  const documents = uploaded.map(doc => ({ ...describeDocument(doc), text: texts[doc.doc_key] }));
+  const combinedText = documents.map(doc => `${doc.label}:\n${doc.text}`).join('\n\n');
+
+  const { evaluation, trace } = await processApplication(null, null, {
+    documents,
+    claims: { ...claimsOf(uploaded), ...declaredIncomes(members) },
+    household: members.length ? householdSummary(members) : null,
+    ...(changed && { previous: application.evaluation_result, changed })
+  }, false, program);
+
+  const duplicates = await checkDuplicates(application, uploaded, texts);
+  if (duplicates) evaluation.review_flags.push(duplicates);
+
+  const authenticity = await assessDocuments(uploaded, extractions);
+  const tampering = authenticityFlag(authenticity);
+  if (tampering) evaluation.review_flags.push(tampering);
+
+  return { evaluation, trace, combinedText, status: determineStatus(evaluation), authenticity };
+}
+
+// ── Save ────────────────────────────────────────────────────────────────
+// Record the run, then write ALL results to the application in one update.
+// The run is stored first: no verdict is ever saved without its evidence.
+// result: output of evaluateDocuments; extractions: output of read/storedDocuments
+// keepReview: a status/qualified set by a reviewer (reviewed_at) is left as it
+// is and only the evaluation is replaced (re-evaluation, services/reevaluation.js)
+// Returns the saved application (null if it was withdrawn in the meantime)
+async function saveEvaluation(application, { evaluation, trace, combinedText, status, authenticity }, extractions, { jobId = null, keepReview = false } = {}) {
+  const run = await recordRun({
+    applicationId: application.id,
+    programId: application.program_id,
+    jobId,
+    trace,
+    extractions,
+    evaluation,
+    status
+  });
+
+  const results = {
+    extracted_text:       combinedText,
+    document_extractions: extractions,   // { <doc key>: { text, method, pages } }
+    evaluation_result:    evaluation,
+    authenticity_result:  authenticity ?? null,   // per-document risk scores (services/authenticity.js)
+    confidence_score:     evaluation.confidence_score,
+    total_income:         evaluation.extracted_data.total_income ?? null,   // documented, for admin filters
+    last_run_id:          run.id,
+    rule_version:         trace.rule_version ?? null,          // rules version the verdict was made with
+    processed_at:         new Date().toISOString()
+  };
+  const verdict = { qualified: evaluation.qualified, status };
+
+  // withdrawn while it was being evaluated: the run is kept, the verdict is not
+  const update = (fields, reviewed) => {
+    let query = supabase.from('applications').update(fields).eq('id', application.id).neq('status', 'withdrawn');
+    if (reviewed !== undefined) query = reviewed ? query.not('reviewed_at', 'is', null) : query.is('reviewed_at', null);
+    return query.select().maybeSingle();
+  };
+
+  let { data: saved, error } = await update({ ...results, ...verdict }, keepReview ? false : undefined);
+  // Reviewed (possibly while this ran): the reviewer's decision stays
+  if (!error && !saved && keepReview) ({ data: saved, error } = await update(results, true));
+  if (error) throw error;
+
+  return saved;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUN PIPELINE
+// ═══════════════════════════════════════════════════════════════════════════════
+// application: full applications row
+// onProgress:  called with a fresh copy of the progress object on every change
+// jobId:       application_jobs row running this pipeline (stored with the run)
+// documentKeys: documents replaced after a resubmission (application_jobs.document_keys);
+//               the rest keep their stored text and values
+
+async function runPipeline(application, { onProgress = () => {}, jobId = null, documentKeys = null } = {}) {
+  const documents = await documentsOf(application);
+  const progress = initialProgress(documents);
+  const report = () => onProgress(JSON.parse(JSON.stringify(progress)));
+  const enterStage = stage => {
+    if (progress.stage) progress.stages[progress.stage] = 'done';
+    progress.stage = stage;
+    progress.stages[stage] = 'running';
+    report();
+  };
+
+  // A resubmission is only evaluated partly when there is something to
+  // update: an evaluation and the stored text of every other document
+  const stored = application.document_extractions || {};
+  const changed = documentKeys && application.evaluation_result &&
+    documents.every(doc => documentKeys.includes(doc.doc_key) || typeof stored[doc.doc_key]?.text === 'string')
+    ? documentKeys : null;
+
+  // ── 1 + 2. Download, OCR / Text Extraction ──────────────────────────
+  // Text already extracted when a draft document was uploaded is reused
+  const read = await readDocuments(application, {
+    reuse: true,
+    only: changed,
+    onStage: enterStage,
+    onDocument: (key, state) => {
+      progress.documents[key] = state;
+      report();
+    }
+  });
+  let { texts, extractions } = read;
+  if (changed) {
+    const kept = documents.filter(doc => !changed.includes(doc.doc_key));
+    for (const doc of kept) progress.documents[doc.doc_key] = 'done';
+    report();
+    extractions = { ...Object.fromEntries(kept.map(doc => [doc.doc_key, stored[doc.doc_key]])), ...extractions };
+    texts = Object.fromEntries(Object.entries(extractions).map(([key, extraction]) => [key, extraction.text]));
+  }
+
+  // ── 3. AI Extraction + Rule Engine ──────────────────────────────────
+  enterStage('ai');
+  const result = await evaluateDocuments(application, texts, { changed, extractions });
+
+  // ── 4. Save Everything At Once ──────────────────────────────────────
+  enterStage('save');
+  const saved = await saveEvaluation(application, result, extractions, { jobId });
+
+  progress.stages.save = 'done';
+  report();
+  return saved;
+}
+
+module.exports = {
+  runPipeline,
+  readDocuments,
+  storedDocuments,
+  evaluateDocuments,
+  saveEvaluation,
+  initialProgress,
+  determineStatus,
+  mimeFromPath
+};
@@ -0,0 +1,309 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// AUTHENTICITY - Signs that an uploaded document was edited
+// ═══════════════════════════════════════════════════════════════════════════════
+// A readable amount does not make a certificate genuine. Each uploaded file is
+// inspected once (evaluateDocuments in services/applicationPipeline.js) and
+// gets a risk score from 0 to 100 with the reasons behind it:
+//
+// PDF
+//   - producer / creator is an editing tool (Photoshop, online PDF editors...)
+//     or, counting far less, a full PDF suite offices also issue documents with
+//   - incremental updates: the file was saved again after it was created
+//   - modification date later than the creation date
+//   - the same font embedded twice (subset + full) or many different fonts,
+//     typical of text typed over an existing certificate
+//   - some pages carry a text layer while others are scanned images
+// JPEG / PNG
+//   - EXIF / PNG Software tag naming an editing tool
+//   - no camera data in a JPEG (exported, screenshot or re-saved)
+//   - edited after it was taken (EXIF DateTime later than DateTimeOriginal)
+//   - error level analysis: a JPEG region that recompresses very differently
+//     from the rest of the image (pasted or retouched area)
+//
+// Each signal adds its weight to the score. A document at or above
+// REVIEW_SCORE sends the application to manual review ('authenticity_risk'
+// review flag). These are heuristics: they point reviewers at documents to
+// look at closely, they never disqualify anyone on their own.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const sharp = require('sharp');
+const { PDFParse } = require('pdf-parse');
+
+// Score from which a document must be looked at by a reviewer
+const REVIEW_SCORE = parseInt(process.env.AUTHENTICITY_REVIEW_SCORE || '60');
+
+// Below this a document is 'low' risk, from REVIEW_SCORE on 'high'
+const MEDIUM_SCORE = 30;
+
+// Software names that mean the file went through an editor
+const EDITING_TOOLS = [
+  'photoshop', 'gimp', 'illustrator', 'inkscape', 'affinity', 'paint.net', 'pixelmator',
+  'snapseed', 'lightroom', 'picsart', 'canva', 'photopea', 'fotor',
+  'pdfescape', 'sejda', 'smallpdf', 'ilovepdf', 'phantompdf', 'foxit pdf editor',
+  'pdfelement', 'pdffiller', 'dochub', 'pdf candy'
+];
+
+// PDF suites that can edit, but that offices also create genuine certificates
+// with ("Adobe Acrobat Pro DC", "Nitro PDF Creator"): on their own they say little
+const PDF_SUITES = ['acrobat', 'nitro', 'pdf-xchange'];
+
+// Different fonts a one-page certificate plausibly uses
+const MAX_FONTS = 4;
+
+// Error level analysis: the image is resaved at ELA_QUALITY and compared in
+// blocks of ELA_BLOCK pixels; among blocks with ELA_MIN_DETAIL or more detail, one whose
+// error is ELA_RATIO times the typical block's (and clearly visible) stands out
+const ELA_QUALITY = 75;
+const ELA_BLOCK = 16;
+const ELA_RATIO = 4;
+const ELA_MIN_ERROR = 4;
+const ELA_MIN_DETAIL = 4;
+
+const toolIn = tools => value => {
+  const name = String(value || '').toLowerCase();
+  return tools.find(tool => name.includes(tool)) ? String(value).trim() : null;
+};
+const editingTool = toolIn(EDITING_TOOLS);
+const pdfSuite = toolIn(PDF_SUITES);
+
+const levelOf = score => (score >= REVIEW_SCORE ? 'high' : score >= MEDIUM_SCORE ? 'medium' : 'low');
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PDF
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function pdfSignals(buffer, extraction) {
+  const signals = [];
+  const raw = buffer.toString('latin1');
+
+  // ── Producer / creator ──
+  const parser = new PDFParse({ data: buffer });
+  let info = {};
+  let xmpTool = null;
+  let dates = {};
+  try {
+    const result = await parser.getInfo();
+    info = result.info || {};
+    xmpTool = result.metadata?.get('xmp:creatortool') || null;
+    dates = result.getDateNode();
+  } catch {
+    // Unreadable metadata is not evidence of anything
+  } finally {
+    await parser.destroy();
+  }
+  const producers = [info.Producer, info.Creator, xmpTool];
+  const tool = producers.map(editingTool).find(Boolean);
+  const suite = producers.map(pdfSuite).find(Boolean);
+  if (tool) {
+    signals.push({ code: 'pdf_editing_tool', weight: 45, reason: `PDF produced with an editing tool (${tool})` });
+  } else if (suite) {
+    signals.push({ code: 'pdf_editor_suite', weight: 10, reason: `PDF produced with a suite that can also edit (${suite})` });
+  }
+
+  // ── Saved again after creation ──
+  // A linearized ("fast web view") file normally ends twice
+  const endings = (raw.match(/%%EOF/g) || []).length - (/\/Linearized\s/.test(raw) ? 1 : 0);
+  if (endings > 1) {
+    signals.push({ code: 'pdf_incremental_update', weight: 25, reason: `PDF was modified after it was created (${endings - 1} later revision${endings > 2 ? 's' : ''})` });
+  }
+  const created = dates.CreationDate;
+  const modified = dates.ModDate;
+  if (created && modified && modified - created > 60 * 1000) {
+    signals.push({ code: 'pdf_modified', weight: 10, reason: `PDF modification date (${modified.toISOString().slice(0, 10)}) is later than its creation date (${created.toISOString().slice(0, 10)})` });
+  }
+
+  // ── Fonts ──
+  // "ABCDEF+Arial-Bold" is a subset of Arial-Bold; an editor adding text
+  // usually embeds the font again
+  const fonts = [...new Set((raw.match(/\/BaseFont\s*\/[^\s/<>[\]()]+/g) || []).map(f => f.replace(/\/BaseFont\s*\//, '')))];
+  const families = fonts.map(f => f.replace(/^[A-Z]{6}\+/, ''));
+  const twice = [...new Set(families.filter((f, i) => families.indexOf(f) !== i))];
+  if (twice.length) {
+    signals.push({ code: 'pdf_font_reembedded', weight: 25, reason: `Font embedded more than once (${twice.join(', ')}) - text may have been added later` });
+  }
+  const distinct = new Set(families).size;
+  if (distinct > MAX_FONTS) {
+    signals.push({ code: 'pdf_many_fonts', weight: 10, reason: `Unusually many fonts for a certificate (${distinct})` });
+  }
+
+  // ── Text layers ──
+  const methods = new Set((extraction?.pages || []).map(p => p.method));
+  if (methods.has('pdf_text') && methods.has('ocr')) {
+    signals.push({ code: 'pdf_mixed_layers', weight: 10, reason: 'Some pages have a text layer while others are scanned images' });
+  }
+  return signals;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// IMAGES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// ── EXIF ────────────────────────────────────────────────────────────────
+// Only the ASCII tags used below, from IFD0 and the Exif sub-IFD
+const EXIF_TAGS = { 0x010f: 'Make', 0x0110: 'Model', 0x0131: 'Software', 0x0132: 'DateTime', 0x9003: 'DateTimeOriginal' };
+
+function readExif(exif) {
+  const tags = {};
+  if (!exif) return tags;
+  // sharp returns the APP1 payload: "Exif\0\0" followed by a TIFF header
+  const tiff = exif.toString('latin1', 0, 6) === 'Exif\0\0' ? exif.subarray(6) : exif;
+  const little = tiff.toString('latin1', 0, 2) === 'II';
+  const u16 = at => (little ? tiff.readUInt16LE(at) : tiff.readUInt16BE(at));
+  const u32 = at => (little ? tiff.readUInt32LE(at) : tiff.readUInt32BE(at));
+
+  const visited = new Set();   // a damaged file may point back to an IFD already read
+  const readIfd = offset => {
+    if (visited.has(offset) || offset + 2 > tiff.length) return;
+    visited.add(offset);
+    const count = u16(offset);
+    for (let i = 0; i < count; i++) {
+      const entry = offset + 2 + i * 12;
+      if (entry + 12 > tiff.length) return;
+      const tag = u16(entry);
+      const type = u16(entry + 2);
+      const length = u32(entry + 4);
+      if (tag === 0x8769) readIfd(u32(entry + 8));   // Exif sub-IFD
+      if (!EXIF_TAGS[tag] || type !== 2) continue;    // ASCII only
+      const at = length > 4 ? u32(entry + 8) : entry + 8;
+      if (at + length > tiff.length) continue;
+      tags[EXIF_TAGS[tag]] = tiff.toString('latin1', at, at + length).replace(/\0+$/, '').trim();
+    }
+  };
+  try {
+    readIfd(u32(4));
+  } catch {
+    // Damaged EXIF: use what was read
+  }
+  return tags;
+}
+
+// "2024:05:01 10:20:30" → milliseconds
+const exifTime = value => {
+  const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(value || '');
+  return match ? Date.UTC(match[1], match[2] - 1, match[3], match[4], match[5], match[6]) : null;
+};
+
+// ── Error Level Analysis ────────────────────────────────────────────────
+// Recompress the JPEG once more: areas saved as many times as the rest change
+// little, a pasted or retouched area (saved a different number of times)
+// changes much more. Returns { ratio, error } of the most deviating block
+async function errorLevels(buffer) {
+  const original = await sharp(buffer).rotate().greyscale().raw().toBuffer({ resolveWithObject: true });
+  const { width, height } = original.info;
+  const resaved = await sharp(buffer).rotate().jpeg({ quality: ELA_QUALITY }).toBuffer();
+  const again = await sharp(resaved).greyscale().raw().toBuffer();
+
+  const blocks = [];
+  for (let by = 0; by + ELA_BLOCK <= height; by += ELA_BLOCK) {
+    for (let bx = 0; bx + ELA_BLOCK <= width; bx += ELA_BLOCK) {
+      let error = 0, detail = 0;
+      for (let y = by; y < by + ELA_BLOCK; y++) {
+        for (let x = bx; x < bx + ELA_BLOCK; x++) {
+          const i = y * width + x;
+          error += Math.abs(original.data[i] - again[i]);
+          if (x + 1 < width) detail += Math.abs(original.data[i] - original.data[i + 1]);
+          if (y + 1 < height) detail += Math.abs(original.data[i] - original.data[i + width]);
+        }
+      }
+      const size = ELA_BLOCK * ELA_BLOCK;
+      blocks.push({ error: error / size, detail: detail / size });
+    }
+  }
+  // Flat areas (paper, sky) barely change whatever their history; only blocks
+  // with some detail are compared, so a page of text is not its own outlier
+  const textured = blocks.filter(block => block.detail >= ELA_MIN_DETAIL).map(block => block.error);
+  if (textured.length < 16) return null;   // too little to compare regions
+  textured.sort((a, b) => a - b);
+  const typical = textured[Math.floor(textured.length / 2)];
+  const top = textured[Math.floor(textured.length * 0.995)];
+  return { ratio: top / Math.max(typical, 0.5), error: top };
+}
+
+async function imageSignals(buffer, mimetype) {
+  const signals = [];
+  const metadata = await sharp(buffer).metadata();
+  const exif = readExif(metadata.exif);
+
+  // ── Software ──
+  const pngSoftware = (metadata.comments || []).find(c => c.keyword === 'Software')?.text;
+  const tool = editingTool(exif.Software) || editingTool(pngSoftware);
+  if (tool) signals.push({ code: 'image_editing_tool', weight: 45, reason: `Image saved by an editing tool (${tool})` });
+
+  if (mimetype === 'image/jpeg') {
+    // ── Camera data ──
+    if (!exif.Make && !exif.Model) {
+      signals.push({ code: 'image_no_camera_data', weight: 15, reason: 'No camera information - not a direct photo (exported, screenshot or re-saved)' });
+    }
+    const taken = exifTime(exif.DateTimeOriginal);
+    const changed = exifTime(exif.DateTime);
+    if (taken && changed && changed - taken > 60 * 1000) {
+      signals.push({ code: 'image_modified', weight: 15, reason: `Image changed after it was taken (${exif.DateTime} vs ${exif.DateTimeOriginal})` });
+    }
+
+    // ── Error levels ──
+    const ela = await errorLevels(buffer);
+    if (ela && ela.ratio >= ELA_RATIO && ela.error >= ELA_MIN_ERROR) {
+      signals.push({ code: 'image_error_level', weight: 35, reason: `Part of the image recompresses ${ela.ratio.toFixed(1)}x differently from the rest (possible pasted or retouched area)` });
+    }
+  }
+  return signals;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ANALYZE
+// ═══════════════════════════════════════════════════════════════════════════════
+// buffer: the stored file; mimetype: from its extension (mimeFromPath)
+// extraction: its { text, method, pages }, if read already
+// Returns { risk_score, level, signals: [{ code, weight, reason }], analyzed_at }
+// (a file that cannot be inspected scores 0 with an 'unreadable' note)
+
+async function analyzeDocument(buffer, mimetype, extraction = null) {
+  let signals = [];
+  let note = null;
+  try {
+    if (mimetype === 'application/pdf') signals = await pdfSignals(buffer, extraction);
+    else if (mimetype.startsWith('image/')) signals = await imageSignals(buffer, mimetype);
+  } catch (err) {
+    note = `Could not be inspected: ${err.message}`;
+  }
+  const risk_score = Math.min(100, signals.reduce((sum, s) => sum + s.weight, 0));
+  return { risk_score, level: levelOf(risk_score), signals, ...(note && { note }), analyzed_at: new Date().toISOString() };
+}
+
+// What is stored with the evaluation (applications.authenticity_result):
+// { risk_score, level, documents: { <doc key>: { label, risk_score, level, reasons } } }
+// documents: [{ key, label, authenticity }]
+function summarize(documents) {
+  const analyzed = documents.filter(doc => doc.authenticity);
+  const risk_score = Math.max(0, ...analyzed.map(doc => doc.authenticity.risk_score));
+  return {
+    risk_score,
+    level: levelOf(risk_score),
+    documents: Object.fromEntries(analyzed.map(doc => [doc.key, {
+      label:      doc.label,
+      risk_score: doc.authenticity.risk_score,
+      level:      doc.authenticity.level,
+      reasons:    doc.authenticity.signals.map(s => s.reason)
+    }]))
+  };
+}
+
+// Review flag for documents at or above REVIEW_SCORE, or null
+function authenticityFlag(summary) {
+  const risky = Object.values(summary.documents).filter(doc => doc.risk_score >= REVIEW_SCORE);
+  if (!risky.length) return null;
+  return {
+    code: 'authenticity_risk',
+    message: 'Possible tampering - ' +
+      risky.map(doc => `${doc.label} (risk ${doc.risk_score}): ${doc.reasons.join('; ')}`).join(' | '),
+    details: risky
+  };
+}
+
+module.exports = {
+  analyzeDocument,
+  summarize,
+  authenticityFlag,
+  readExif,
+  REVIEW_SCORE
+};
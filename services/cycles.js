@@ -0,0 +1,331 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// CYCLES - When applicants can apply, and how often
+// ═══════════════════════════════════════════════════════════════════════════════
+// An application cycle is a period of the academic calendar (e.g. "AY
+// 2026-2027, 1st Semester") with the dates applications are taken. Cycles
+// never overlap, so at any moment at most one is open.
+//
+// - Every submitted application belongs to the cycle open when it was
+//   submitted (applications.cycle_id; NULL for those from before cycles)
+// - Outside a cycle nothing can be submitted (services/programs.js adds the
+//   cycle to a program's availability)
+// - An applicant has at most ONE active application per cycle, whatever the
+//   program: every submission costs an OCR + AI evaluation. To apply again
+//   they withdraw it first, or submit with replace: <its id>, which withdraws
+//   it only once the new one is in. Withdrawn applications are kept (status
+//   'withdrawn') but never evaluated or reviewed again.
+//   The database enforces the limit too (idx_applications_one_active).
+// - Program slots count the qualified applications of the current cycle
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { recordHistory } = require('./applicationHistory');
+
+// Fields an admin can set
+const EDITABLE = ['name', 'academic_year', 'term', 'opens_at', 'closes_at'];
+
+// Statuses that do not count as the applicant's application in a cycle
+const INACTIVE_STATUSES = ['draft', 'withdrawn'];
+
+// Thrown for problems the admin or applicant can fix; status is the HTTP status to respond with
+class CycleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'CycleError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+const requiredDate = (value, field) => {
+  const date = new Date(value);
+  if (value === null || value === undefined || value === '' || Number.isNaN(date.getTime())) {
+    throw new CycleError(`${field} must be a valid date`);
+  }
+  return date.toISOString();
+};
+
+const optionalText = value => (typeof value === 'string' && value.trim() ? value.trim() : null);
+
+// Validate the fields given (a partial update only checks what it changes).
+// current: the stored cycle, so the dates are checked together
+function validateFields(fields, current = {}) {
+  const unknown = Object.keys(fields).filter(field => !EDITABLE.includes(field));
+  if (unknown.length) throw new CycleError(`Unknown field(s): ${unknown.join(', ')}`);
+
+  const clean = {};
+  if ('name' in fields) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) throw new CycleError('name is required');
+    clean.name = fields.name.trim();
+  }
+  if ('academic_year' in fields) clean.academic_year = optionalText(fields.academic_year);
+  if ('term' in fields) clean.term = optionalText(fields.term);
+  if ('opens_at' in fields) clean.opens_at = requiredDate(fields.opens_at, 'opens_at');
+  if ('closes_at' in fields) clean.closes_at = requiredDate(fields.closes_at, 'closes_at');
+
+  const opens = clean.opens_at || current.opens_at;
+  const closes = clean.closes_at || current.closes_at;
+  if (new Date(closes) <= new Date(opens)) throw new CycleError('closes_at must be after opens_at');
+  return clean;
+}
+
+// Cycles cannot overlap: at most one may be open at any time
+async function checkOverlap(opensAt, closesAt, exceptId = null) {
+  let query = supabase
+    .from('application_cycles')
+    .select('name')
+    .lt('opens_at', closesAt)
+    .gt('closes_at', opensAt);
+  if (exceptId) query = query.neq('id', exceptId);
+  const { data, error } = await query;
+  if (error) throw error;
+  if (data.length) throw new CycleError(`The dates overlap the ${data[0].name} cycle`, 409);
+}
+
+const nameTaken = (error, name) => {
+  if (error?.code === '23505') throw new CycleError(`A cycle named "${name}" already exists`, 409);
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CYCLES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Newest first
+async function listCycles() {
+  const { data, error } = await supabase.from('application_cycles').select('*').order('opens_at', { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+async function getCycle(id) {
+  const { data, error } = await supabase.from('application_cycles').select('*').eq('id', id).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new CycleError('Cycle not found', 404);
+  return data;
+}
+
+async function createCycle(fields = {}) {
+  const missing = ['name', 'opens_at', 'closes_at'].filter(field => fields[field] === undefined);
+  if (missing.length) throw new CycleError(`Missing field(s): ${missing.join(', ')}`);
+
+  const clean = validateFields(fields);
+  await checkOverlap(clean.opens_at, clean.closes_at);
+  const { data, error } = await supabase.from('application_cycles').insert(clean).select().single();
+  nameTaken(error, clean.name);
+  if (error) throw error;
+  return data;
+}
+
+async function updateCycle(id, fields = {}) {
+  const current = await getCycle(id);
+  const changes = validateFields(fields, current);
+  if (!Object.keys(changes).length) return current;
+  if (changes.opens_at || changes.closes_at) {
+    await checkOverlap(changes.opens_at || current.opens_at, changes.closes_at || current.closes_at, current.id);
+  }
+
+  const { data, error } = await supabase
+    .from('application_cycles')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', current.id)
+    .select()
+    .single();
+  nameTaken(error, changes.name);
+  if (error) throw error;
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AVAILABILITY - Which cycle is taking applications right now?
+// ═══════════════════════════════════════════════════════════════════════════════
+// Returns { cycle, next, reason }: the open cycle (or null), the next one to
+// open (or null), and why applications are closed, for the applicant
+// (when the last cycle ended and the next one opens)
+
+async function cycleStatus(now = new Date()) {
+  const at = now.toISOString();
+  const [open, next, last] = await Promise.all([
+    supabase.from('application_cycles').select('*').lte('opens_at', at).gt('closes_at', at).limit(1).maybeSingle(),
+    supabase.from('application_cycles').select('*').gt('opens_at', at).order('opens_at', { ascending: true }).limit(1).maybeSingle(),
+    supabase.from('application_cycles').select('*').lte('closes_at', at).order('closes_at', { ascending: false }).limit(1).maybeSingle()
+  ]);
+  for (const { error } of [open, next, last]) if (error) throw error;
+
+  let reason = null;
+  if (!open.data) {
+    const upcoming = next.data && `Applications for ${next.data.name} open on ${new Date(next.data.opens_at).toDateString()}`;
+    const ended = last.data && `Applications for ${last.data.name} closed on ${new Date(last.data.closes_at).toDateString()}`;
+    reason = [ended, upcoming].filter(Boolean).join('. ') || 'No application cycle is open right now';
+  }
+  return { cycle: open.data, next: next.data, reason };
+}
+
+// The open cycle, or CycleError (409) explaining why applications are closed
+async function openCycle() {
+  const { cycle, reason } = await cycleStatus();
+  if (!cycle) throw new CycleError(reason, 409);
+  return cycle;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ONE ACTIVE APPLICATION PER CYCLE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// The applicant's application in the cycle that is not a draft or withdrawn, or null
+async function activeApplication(userId, cycleId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('id, status, program_id, submitted_at, program:programs(name)')
+    .eq('user_id', userId)
+    .eq('cycle_id', cycleId)
+    .not('status', 'in', `(${INACTIVE_STATUSES.join(',')})`)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Before a new application of the applicant enters the cycle.
+// replaceId: the application it replaces (body field replace), which must be
+// the active one. Returns that application, or null when there is none
+async function checkActiveLimit(userId, cycle, replaceId = null) {
+  const active = await activeApplication(userId, cycle.id);
+  if (!active) {
+    if (replaceId) throw new CycleError(`You have no application in ${cycle.name} to replace`, 409);
+    return null;
+  }
+  if (!replaceId) {
+    const submitted = new Date(active.submitted_at).toDateString();
+    throw new CycleError(
+      `You already applied in ${cycle.name} (${active.program?.name || 'another program'}, submitted ${submitted}). ` +
+      'Withdraw that application, or replace it, to apply again.', 409
+    );
+  }
+  if (replaceId !== active.id) {
+    throw new CycleError(`Only your current application in ${cycle.name} can be replaced`, 409);
+  }
+  return active;
+}
+
+// ── Withdraw ────────────────────────────────────────────────────────────
+
+// The applicant's application that can be withdrawn, or CycleError
+async function loadWithdrawable(applicationId, userId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('*')
+    .eq('id', applicationId)
+    .eq('user_id', userId)  // ensure ownership
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new CycleError('Application not found', 404);
+  if (data.status === 'draft') throw new CycleError('Drafts are discarded, not withdrawn', 409);
+  if (data.status === 'withdrawn') throw new CycleError('This application was already withdrawn', 409);
+  return data;
+}
+
+// Set the status only (the conditional update makes it safe against a second
+// withdrawal). Returns a function that puts the application back as it was
+async function markWithdrawn(application, replacedBy = null) {
+  const { data, error } = await supabase
+    .from('applications')
+    .update({
+      status:       'withdrawn',
+      withdrawn_at: new Date().toISOString(),
+      replaced_by:  replacedBy,
+      claimed_by:   null,   // nothing left for a reviewer to work on
+      claimed_at:   null
+    })
+    .eq('id', application.id)
+    .neq('status', 'withdrawn')
+    .select('id');
+  if (error) throw error;
+  if (!data.length) throw new CycleError('This application was already withdrawn', 409);
+
+  return () => supabase
+    .from('applications')
+    .update({
+      status:       application.status,
+      withdrawn_at: null,
+      replaced_by:  null,
+      claimed_by:   application.claimed_by,
+      claimed_at:   application.claimed_at
+    })
+    .eq('id', application.id);
+}
+
+// Once withdrawn for good: its queued evaluation is cancelled (a running one
+// does not save, see saveEvaluation), an open document request is cancelled,
+// and the history records it
+async function finishWithdrawal(application, userId, { reason = null, replacedBy = null } = {}) {
+  const now = new Date().toISOString();
+  const { error } = await supabase
+    .from('application_jobs')
+    .update({ status: 'failed', error: 'Application withdrawn', finished_at: now })
+    .eq('application_id', application.id)
+    .eq('status', 'queued');
+  if (error) throw error;
+
+  const { error: requestError } = await supabase
+    .from('document_requests')
+    .update({ status: 'cancelled', closed_at: now })
+    .eq('application_id', application.id)
+    .eq('status', 'open');
+  if (requestError) throw requestError;
+
+  await recordHistory(application.id, 'withdrawn', {
+    actorId: userId,
+    details: {
+      before: { status: application.status, qualified: application.qualified },
+      reason,
+      replaced_by: replacedBy
+    }
+  });
+}
+
+// POST /api/applications/:id/withdraw - frees the applicant's place in the cycle
+async function withdraw(applicationId, userId, { reason = null } = {}) {
+  const application = await loadWithdrawable(applicationId, userId);
+  await markWithdrawn(application);
+  await finishWithdrawal(application, userId, { reason: optionalText(reason) });
+  return { ...application, status: 'withdrawn' };
+}
+
+// ── Replace ─────────────────────────────────────────────────────────────
+// For the submission routes: the active application is withdrawn right
+// before the new one becomes active (the one-active index would refuse it
+// otherwise). Returns { undo, finish }:
+//   undo()      → the submission failed: the old application is back
+//   finish(id)  → the new application is in: record the withdrawal. It never
+//                 throws - the submission must not be undone over the log
+
+async function replaceApplication(application, userId) {
+  const full = await loadWithdrawable(application.id, userId);
+  const undo = await markWithdrawn(full);
+  return {
+    undo,
+    finish: async newId => {
+      try {
+        const { error } = await supabase.from('applications').update({ replaced_by: newId }).eq('id', full.id);
+        if (error) throw error;
+        await finishWithdrawal(full, userId, { reason: 'Replaced by a new application', replacedBy: newId });
+      } catch (err) {
+        console.error(`Withdrawal of replaced application ${full.id} not fully recorded:`, err.message);
+      }
+    }
+  };
+}
+
+module.exports = {
+  listCycles,
+  getCycle,
+  createCycle,
+  updateCycle,
+  cycleStatus,
+  openCycle,
+  activeApplication,
+  checkActiveLimit,
+  withdraw,
+  replaceApplication,
+  CycleError
+};
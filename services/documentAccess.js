@@ -0,0 +1,122 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT ACCESS - Who may open an uploaded document, and a log of who did
+// ═══════════════════════════════════════════════════════════════════════════════
+// The documents bucket is private. A document is opened through a signed link
+// that expires after DOCUMENT_URL_TTL seconds, handed out only to:
+//   - the applicant who uploaded it (drafts included)
+//   - admins reviewing the application (not drafts: they are not submitted)
+// Every link handed out is written to document_access_log.
+// The routes are in routes/documents.js.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { mimeFromPath } = require('./applicationPipeline');
+
+// Signed document links expire after this many seconds
+const DOCUMENT_URL_TTL = 10 * 60;
+
+// Thrown when a document cannot be opened; status is the HTTP status to respond with
+class DocumentAccessError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentAccessError';
+    this.status = status;
+  }
+}
+
+// ── Authorization ───────────────────────────────────────────────────────
+
+// 'owner' or 'reviewer' - how the user may open the application's documents.
+// Anyone else gets the same 404 as for a missing application, so ids cannot be probed
+async function authorize(applicationId, user) {
+  const { data: application, error } = await supabase
+    .from('applications')
+    .select('id, user_id, status')
+    .eq('id', applicationId)
+    .maybeSingle();
+  if (error) throw error;
+
+  if (application?.user_id === user.id) return { application, accessAs: 'owner' };
+  if (application && user.role === 'admin' && application.status !== 'draft') return { application, accessAs: 'reviewer' };
+  throw new DocumentAccessError('Application not found', 404);
+}
+
+// The stored file of a document, or of one of its earlier versions
+async function findFile(application, docKey, versionId = null) {
+  const { data: doc, error } = await supabase
+    .from('application_documents')
+    .select('id, doc_key, storage_path, file_name')
+    .eq('application_id', application.id)
+    .eq('doc_key', docKey)
+    .maybeSingle();
+  if (error) throw error;
+  if (!doc) throw new DocumentAccessError('Document not found', 404);
+  if (!versionId) return doc;
+
+  const { data: version, error: versionError } = await supabase
+    .from('document_versions')
+    .select('id, doc_key, storage_path, file_name')
+    .eq('id', versionId)
+    .eq('application_document_id', doc.id)
+    .maybeSingle();
+  if (versionError) throw versionError;
+  if (!version) throw new DocumentAccessError('Document version not found', 404);
+  return version;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SIGNED LINKS
+// ═══════════════════════════════════════════════════════════════════════════════
+// request: { ip, userAgent } of the caller, kept in the log
+// Returns { url, expires_in, file_name, mimetype }
+
+async function documentLink(applicationId, docKey, user, { versionId = null, request = {} } = {}) {
+  const { application, accessAs } = await authorize(applicationId, user);
+  const file = await findFile(application, docKey, versionId);
+
+  const { data: signed, error } = await supabase.storage
+    .from('documents')
+    .createSignedUrl(file.storage_path, DOCUMENT_URL_TTL);
+  if (error) throw error;
+
+  // No log entry, no link: an access that cannot be recorded is refused
+  const { error: logError } = await supabase
+    .from('document_access_log')
+    .insert({
+      application_id: application.id,
+      doc_key:        docKey,
+      version_id:     versionId,
+      accessed_by:    user.id,
+      access_as:      accessAs,
+      expires_in:     DOCUMENT_URL_TTL,
+      ip:             request.ip || null,
+      user_agent:     request.userAgent || null
+    });
+  if (logError) throw logError;
+
+  return {
+    url:        signed.signedUrl,
+    expires_in: DOCUMENT_URL_TTL,
+    file_name:  file.file_name,
+    mimetype:   mimeFromPath(file.storage_path)
+  };
+}
+
+// Who opened an application's documents, newest first (for reviewers)
+async function accessLog(applicationId, { limit = 100 } = {}) {
+  const { data, error } = await supabase
+    .from('document_access_log')
+    .select('*, user:users!document_access_log_accessed_by_fkey(full_name, email)')
+    .eq('application_id', applicationId)
+    .order('accessed_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  DOCUMENT_URL_TTL,
+  documentLink,
+  accessLog,
+  DocumentAccessError
+};
@@ -0,0 +1,218 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT REQUESTS - Documents a reviewer asked the applicant to replace
+// ═══════════════════════════════════════════════════════════════════════════════
+// An unreadable certificate no longer means filing a whole new application:
+//   1. a reviewer asks for specific documents again with a message
+//      (requestDocuments in services/adminReview.js) - the application becomes
+//      'info_requested' with one open document_requests row
+//   2. the applicant sees the request on their result page and uploads the
+//      replacements (resubmit below)
+//   3. each replaced document keeps its earlier version in document_versions
+//      (the old file stays in storage), the application goes back to 'pending'
+//      and a job reads only the replaced documents again
+//      (application_jobs.document_keys, services/applicationPipeline.js)
+// A reviewer decision while a request is open cancels it.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs       = require('fs');
+const supabase = require('../config/supabase');
+const jobQueue = require('./jobQueue');
+const { recordHistory } = require('./applicationHistory');
+const { documentsOf, describeDocument } = require('./documents');
+const { fingerprintFile } = require('./fingerprints');
+const { mimeFromPath } = require('./applicationPipeline');
+
+// Thrown for problems the applicant can fix; status is the HTTP status to respond with
+class DocumentRequestError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentRequestError';
+    this.status = status;
+  }
+}
+
+// ── Requests ────────────────────────────────────────────────────────────
+
+// The request waiting for the applicant, or null
+async function openRequest(applicationId) {
+  const { data, error } = await supabase
+    .from('document_requests')
+    .select('*')
+    .eq('application_id', applicationId)
+    .eq('status', 'open')
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+// Close the open request, if any: 'fulfilled' or 'cancelled'
+async function closeRequest(applicationId, status) {
+  const { error } = await supabase
+    .from('document_requests')
+    .update({ status, closed_at: new Date().toISOString() })
+    .eq('application_id', applicationId)
+    .eq('status', 'open');
+  if (error) throw error;
+}
+
+// What the applicant sees: { id, message, requested_at,
+//   documents: [{ key, label, accepted_formats, max_size_mb, file_name }] }
+async function describeRequest(application, request) {
+  const documents = (await documentsOf(application)).filter(doc => request.doc_keys.includes(doc.doc_key));
+  return {
+    id:           request.id,
+    message:      request.message,
+    requested_at: request.requested_at,
+    documents:    documents.map(doc => ({
+      key:              doc.doc_key,
+      label:            describeDocument(doc).label,
+      accepted_formats: doc.type.accepted_formats,
+      max_size_mb:      doc.type.max_size_mb,
+      file_name:        doc.file_name
+    }))
+  };
+}
+
+// Earlier versions of an application's documents, newest first
+async function versionsOf(application) {
+  const { data, error } = await supabase
+    .from('document_versions')
+    .select('*')
+    .eq('application_id', application.id)
+    .order('replaced_at', { ascending: false });
+  if (error) throw error;
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RESUBMIT - The applicant uploads the requested documents
+// ═══════════════════════════════════════════════════════════════════════════════
+// files: multer files, one per requested document (field = its doc_key)
+// Everything done is undone if a step fails, so the applicant can try again.
+// Returns { application, job }
+
+async function resubmit(application, files) {
+  const request = await openRequest(application.id);
+  if (!request) throw new DocumentRequestError('No documents were requested for this application', 409);
+
+  const byKey = {};
+  for (const file of files) {
+    if (!request.doc_keys.includes(file.fieldname)) {
+      throw new DocumentRequestError(`Not a requested document: ${file.fieldname}`);
+    }
+    if (byKey[file.fieldname]) {
+      throw new DocumentRequestError(`Upload only one file for each document (${file.fieldname})`);
+    }
+    byKey[file.fieldname] = file;
+  }
+
+  const requested = (await documentsOf(application)).filter(doc => request.doc_keys.includes(doc.doc_key));
+  const missing = requested.filter(doc => !byKey[doc.doc_key]);
+  if (missing.length) {
+    throw new DocumentRequestError(`Upload every requested document: ${missing.map(doc => describeDocument(doc).label).join(', ')}`);
+  }
+  for (const doc of requested) {
+    if (byKey[doc.doc_key].size > doc.type.max_size_mb * 1024 * 1024) {
+      throw new DocumentRequestError(`${describeDocument(doc).label} is too large (max ${doc.type.max_size_mb}MB)`);
+    }
+  }
+
+  const undo = [];
+  const uploadedPaths = [];
+  let saved;
+  let job;
+  try {
+    const timestamp = Date.now();
+    for (const doc of requested) {
+      const file = byKey[doc.doc_key];
+
+      // 1. The new file next to the old one
+      const storagePath = `documents/${application.user_id}/${doc.doc_key}_${timestamp}_${file.originalname}`;
+      const contentType = file.mimetype === 'text/plain' ? 'application/pdf' : file.mimetype;
+      const { error: storageError } = await supabase.storage
+        .from('documents')
+        .upload(storagePath, fs.readFileSync(file.path), { contentType });
+      if (storageError) throw storageError;
+      uploadedPaths.push(storagePath);
+
+      // 2. The old version into history, with the text it was evaluated with
+      const { data: version, error: versionError } = await supabase
+        .from('document_versions')
+        .insert({
+          application_document_id: doc.id,
+          application_id:          application.id,
+          doc_key:                 doc.doc_key,
+          storage_path:            doc.storage_path,
+          file_name:               doc.file_name,
+          size_bytes:              doc.size_bytes,
+          extraction:              application.document_extractions?.[doc.doc_key] ?? doc.extraction ?? null,
+          content_hash:            doc.content_hash,
+          perceptual_hash:         doc.perceptual_hash,
+          text_hash:               doc.text_hash,
+          authenticity:            doc.authenticity,
+          uploaded_at:             doc.uploaded_at,
+          request_id:              request.id
+        })
+        .select('id')
+        .single();
+      if (versionError) throw versionError;
+      undo.unshift(() => supabase.from('document_versions').delete().eq('id', version.id));
+
+      // 3. The document now points at the new file (read again by the job)
+      const { error: docError } = await supabase
+        .from('application_documents')
+        .update({
+          storage_path: storagePath,
+          file_name:    file.originalname,
+          size_bytes:   file.size,
+          uploaded_at:  new Date().toISOString(),
+          extraction:   null,
+          ...await fingerprintFile(file.path, mimeFromPath(file.originalname)),
+          text_hash:    null,
+          authenticity: null
+        })
+        .eq('id', doc.id);
+      if (docError) throw docError;
+      const { id, storage_path, file_name, size_bytes, uploaded_at, extraction, content_hash, perceptual_hash, text_hash, authenticity } = doc;
+      undo.unshift(() => supabase.from('application_documents')
+        .update({ storage_path, file_name, size_bytes, uploaded_at, extraction: extraction ?? null, content_hash, perceptual_hash, text_hash, authenticity })
+        .eq('id', id));
+    }
+
+    // 4. Request fulfilled, application back in the queue
+    await closeRequest(application.id, 'fulfilled');
+    undo.unshift(() => supabase.from('document_requests').update({ status: 'open', closed_at: null }).eq('id', request.id));
+
+    const { data, error } = await supabase
+      .from('applications')
+      .update({ status: 'pending' })
+      .eq('id', application.id)
+      .select()
+      .single();
+    if (error) throw error;
+    saved = data;
+    undo.unshift(() => supabase.from('applications').update({ status: application.status }).eq('id', application.id));
+
+    job = await jobQueue.enqueue(saved, { documentKeys: request.doc_keys });
+
+  } catch (err) {
+    for (const step of undo) await step();
+    if (uploadedPaths.length) await supabase.storage.from('documents').remove(uploadedPaths);
+    throw err;
+  }
+
+  await recordHistory(application.id, 'documents_resubmitted', {
+    actorId: application.user_id,
+    details: { request_id: request.id, documents: request.doc_keys }
+  });
+  return { application: saved, job };
+}
+
+module.exports = {
+  openRequest,
+  closeRequest,
+  describeRequest,
+  versionsOf,
+  resubmit,
+  DocumentRequestError
+};
@@ -0,0 +1,285 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENTS - The kinds of documents an application can carry
+// ═══════════════════════════════════════════════════════════════════════════════
+// Document types are DATA (document_types table), not code. Each type says:
+// - key / label / description → upload field name and what the applicant sees
+// - accepted_formats / max_size_mb → which files the upload accepts
+// - extractor → how its text is read:
+//     income → income certificate: peso amounts, income parser
+//     grades → report card: GWA parser
+//     text   → only shown to the AI (e.g. Certificate of Enrollment)
+// - fields → extracted_data fields the document provides (e.g. mother_income)
+// - checks → extra checks on those fields:
+//     parser_cross_check → the AI value must agree with the heuristic parser
+//     claimed_match      → the applicant types the value in the form
+//                          (claim_label) and it is compared with the document
+// - member_proof → set for documents about a household member instead of the
+//   application (services/household.js): what they prove, e.g. 'earner' for
+//   an income certificate or 'deceased' for a death certificate. An earner
+//   proof reads the member's own income field and is compared with the
+//   income the member declared, so it has no fields or claim_label itself.
+//
+// Each program lists which application documents it requires and which are
+// optional (programs.required_documents / optional_documents); member proofs
+// follow from the declared household. The uploaded files are rows of
+// application_documents, each with a doc_key unique within the application
+// (the type key, or member_<position>_<type key> for a member's proof).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { memberLabel } = require('./household');
+
+const EXTRACTORS = ['income', 'grades', 'text'];
+const CHECKS = ['parser_cross_check', 'claimed_match'];
+
+// What a household member document can prove (statuses in services/household.js)
+const MEMBER_PROOFS = ['earner', 'non_earner', 'solo_parent', 'deceased'];
+
+// File types the text extraction can read (services/evaluationService.js)
+const SUPPORTED_FORMATS = ['.jpg', '.jpeg', '.png', '.pdf', '.txt'];
+
+// Multer's hard limit; a type can only lower it
+const MAX_SIZE_MB = 10;
+
+const KEY = /^[a-z][a-z0-9_]{1,62}$/;
+const MAX_DESCRIPTION = 300;
+
+// Fields an admin can set (key is fixed once created: programs and uploads refer to it)
+const EDITABLE = ['label', 'description', 'accepted_formats', 'max_size_mb', 'extractor', 'fields', 'checks', 'claim_label', 'member_proof', 'sort_order'];
+
+// Thrown for problems the admin or applicant can fix; status is the HTTP status to respond with
+class DocumentError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DocumentError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+const stringList = (value, field, pattern) => {
+  if (!Array.isArray(value) || value.some(item => typeof item !== 'string' || !pattern.test(item))) {
+    throw new DocumentError(`${field} must be a list of lowercase names (e.g. "mother_income")`);
+  }
+  return [...new Set(value)];
+};
+
+// Validate the fields given (a partial update only checks what it changes).
+// current: the stored type, so fields/checks/claim_label are checked together
+function validateFields(fields, current = {}) {
+  const unknown = Object.keys(fields).filter(field => !EDITABLE.includes(field));
+  if (unknown.length) throw new DocumentError(`Unknown field(s): ${unknown.join(', ')}`);
+
+  const clean = {};
+  if ('label' in fields) {
+    if (typeof fields.label !== 'string' || !fields.label.trim()) throw new DocumentError('label is required');
+    clean.label = fields.label.trim();
+  }
+  if ('description' in fields) {
+    const description = typeof fields.description === 'string' ? fields.description.trim() : '';
+    if (description.length > MAX_DESCRIPTION) {
+      throw new DocumentError(`description must be at most ${MAX_DESCRIPTION} characters`);
+    }
+    clean.description = description || null;
+  }
+  if ('accepted_formats' in fields) {
+    const formats = fields.accepted_formats;
+    const normalized = Array.isArray(formats)
+      ? formats.map(format => String(format).toLowerCase().replace(/^\.?/, '.'))
+      : [];
+    if (!normalized.length || normalized.some(format => !SUPPORTED_FORMATS.includes(format))) {
+      throw new DocumentError(`accepted_formats must be a non-empty list of: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    clean.accepted_formats = [...new Set(normalized)];
+  }
+  if ('max_size_mb' in fields) {
+    const size = fields.max_size_mb;
+    if (!Number.isInteger(size) || size < 1 || size > MAX_SIZE_MB) {
+      throw new DocumentError(`max_size_mb must be a whole number from 1 to ${MAX_SIZE_MB}`);
+    }
+    clean.max_size_mb = size;
+  }
+  if ('extractor' in fields) {
+    if (!EXTRACTORS.includes(fields.extractor)) {
+      throw new DocumentError(`extractor must be one of: ${EXTRACTORS.join(', ')}`);
+    }
+    clean.extractor = fields.extractor;
+  }
+  if ('fields' in fields) clean.fields = stringList(fields.fields, 'fields', KEY);
+  if ('checks' in fields) {
+    const checks = Array.isArray(fields.checks) ? fields.checks : [null];
+    if (checks.some(check => !CHECKS.includes(check))) {
+      throw new DocumentError(`checks must be a list of: ${CHECKS.join(', ')}`);
+    }
+    clean.checks = [...new Set(checks)];
+  }
+  if ('claim_label' in fields) {
+    clean.claim_label = typeof fields.claim_label === 'string' && fields.claim_label.trim() ? fields.claim_label.trim() : null;
+  }
+  if ('member_proof' in fields) {
+    if (fields.member_proof !== null && !MEMBER_PROOFS.includes(fields.member_proof)) {
+      throw new DocumentError(`member_proof must be null or one of: ${MEMBER_PROOFS.join(', ')}`);
+    }
+    clean.member_proof = fields.member_proof;
+  }
+  if ('sort_order' in fields) {
+    if (!Number.isInteger(fields.sort_order)) throw new DocumentError('sort_order must be a whole number');
+    clean.sort_order = fields.sort_order;
+  }
+
+  // ── Checks need something to check ──
+  const merged = { ...current, ...clean };
+  const docFields = merged.fields || [];
+  const checks = merged.checks || [];
+
+  // An earner proof reads the member's income field (e.g. guardian_3_income)
+  if (merged.member_proof === 'earner') {
+    if (merged.extractor !== 'income' || docFields.length) {
+      throw new DocumentError('An earner proof needs the income extractor and no fields (the member\'s income field is used)');
+    }
+    return clean;
+  }
+  if (checks.includes('parser_cross_check') && (merged.extractor === 'text' || !docFields.length)) {
+    throw new DocumentError('parser_cross_check needs an income or grades extractor and at least one field');
+  }
+  if (checks.includes('claimed_match')) {
+    if (docFields.length !== 1) throw new DocumentError('claimed_match needs exactly one field (the value the applicant declares)');
+    if (!merged.claim_label) throw new DocumentError('claimed_match needs a claim_label (e.g. "Mother\'s Monthly Income")');
+  }
+  return clean;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DOCUMENT TYPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listDocumentTypes() {
+  const { data, error } = await supabase
+    .from('document_types')
+    .select('*')
+    .order('sort_order')
+    .order('label');
+  if (error) throw error;
+  return data;
+}
+
+async function getDocumentType(key) {
+  const { data, error } = await supabase.from('document_types').select('*').eq('key', key).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new DocumentError('Document type not found', 404);
+  return data;
+}
+
+async function createDocumentType({ key, ...fields } = {}) {
+  if (typeof key !== 'string' || !KEY.test(key)) {
+    throw new DocumentError('key must use lowercase letters, digits and underscores (e.g. "enrollment_certificate")');
+  }
+  const missing = ['label', 'extractor'].filter(field => fields[field] === undefined);
+  if (missing.length) throw new DocumentError(`Missing field(s): ${missing.join(', ')}`);
+
+  const { data, error } = await supabase
+    .from('document_types')
+    .insert({ key, ...validateFields({ fields: [], checks: [], ...fields }) })
+    .select()
+    .single();
+  if (error?.code === '23505') throw new DocumentError(`A document type "${key}" already exists`, 409);
+  if (error) throw error;
+  return data;
+}
+
+async function updateDocumentType(key, fields = {}) {
+  const current = await getDocumentType(key);
+  const changes = validateFields(fields, current);
+  if (!Object.keys(changes).length) return current;
+
+  const { data, error } = await supabase
+    .from('document_types')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('key', key)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// The application documents of a program (member proofs excluded), in display order:
+// [{ key, label, description, accepted_formats, max_size_mb, claim_label, claim_field, required }]
+// claim_field is set when the applicant must declare a value with the document
+function programDocuments(program, types) {
+  const wanted = [...program.required_documents, ...(program.optional_documents || [])];
+  return types
+    .filter(type => wanted.includes(type.key) && !type.member_proof)
+    .map(type => ({
+      key:              type.key,
+      label:            type.label,
+      description:      type.description,
+      accepted_formats: type.accepted_formats,
+      max_size_mb:      type.max_size_mb,
+      claim_label:      type.checks.includes('claimed_match') ? type.claim_label : null,
+      claim_field:      type.checks.includes('claimed_match') ? type.fields[0] : null,
+      required:         program.required_documents.includes(type.key)
+    }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPLICATION DOCUMENTS - The files uploaded for one application
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Uploaded documents with their type and, for member proofs, the household member:
+// [{ id, doc_key, document_type, storage_path, ..., type: {...}, member: {...} | null }]
+// Application documents come first (by type), then member proofs (by member)
+async function documentsOf(application) {
+  const { data, error } = await supabase
+    .from('application_documents')
+    .select('*, type:document_types(*), member:household_members(position, relationship, full_name, status, income_field)')
+    .eq('application_id', application.id)
+    .order('uploaded_at');
+  if (error) throw error;
+
+  const rank = doc => (doc.member ? [1, doc.member.position, doc.type.sort_order] : [0, doc.type.sort_order, 0]);
+  return data.sort((a, b) => {
+    const [ra, rb] = [rank(a), rank(b)];
+    return ra[0] - rb[0] || ra[1] - rb[1] || ra[2] - rb[2];
+  });
+}
+
+// How the evaluation sees an uploaded document: { key, label, extractor, fields, checks }
+// A member's proof is labelled with the member ("Income Certificate - Guardian (Maria Santos)")
+// and an earner proof provides that member's income field
+function describeDocument(doc) {
+  const { type, member } = doc;
+  return {
+    key:       doc.doc_key,
+    label:     member ? `${type.label} - ${memberLabel(member)}` : type.label,
+    extractor: type.extractor,
+    fields:    member ? (type.member_proof === 'earner' && member.income_field ? [member.income_field] : []) : type.fields,
+    checks:    type.checks
+  };
+}
+
+// Values the applicant declared with application documents: { mother_income: 15000, ... }
+// (incomes declared for household members: declaredIncomes in services/household.js)
+function claimsOf(documents) {
+  const claims = {};
+  for (const doc of documents) {
+    if (doc.member || !doc.type.checks.includes('claimed_match') || doc.claimed_value === null) continue;
+    claims[doc.type.fields[0]] = parseFloat(doc.claimed_value);
+  }
+  return claims;
+}
+
+module.exports = {
+  listDocumentTypes,
+  getDocumentType,
+  createDocumentType,
+  updateDocumentType,
+  programDocuments,
+  documentsOf,
+  describeDocument,
+  claimsOf,
+  DocumentError,
+  SUPPORTED_FORMATS,
+  MAX_SIZE_MB,
+  MEMBER_PROOFS
+};
@@ -0,0 +1,440 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// DRAFTS - Applications built up one document at a time
+// ═══════════════════════════════════════════════════════════════════════════════
+// A single multipart request with every file is lost entirely when a slow
+// mobile connection drops. A draft is saved piece by piece instead:
+//   1. createDraft  → applications row with status 'draft' (one per applicant
+//                     and program - an existing draft is resumed)
+//   2. saveDocument → upload or replace ONE document; it is stored right away
+//                     and its text extracted, so the evaluation can reuse it
+//   3. saveForm     → declared values and household, kept in draft_form
+//   4. submitDraft  → once complete the draft becomes 'pending' in the open
+//                     cycle (services/cycles.js) and is queued like any
+//                     submission (services/jobQueue.js)
+// Drafts are never evaluated and never shown to reviewers.
+//
+// A household member's proof in a draft is keyed member_<member id>_<type key>,
+// where the id is the member's stable id in draft_form (members can be removed
+// while editing). On submission it becomes member_<position>_<type key>, the
+// same as a one-request submission (services/household.js).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs       = require('fs');
+const supabase = require('../config/supabase');
+const jobQueue = require('./jobQueue');
+const { processApplication } = require('./evaluationService');
+const { mimeFromPath } = require('./applicationPipeline');
+const { fingerprintFile } = require('./fingerprints');
+const { replaceApplication, CycleError } = require('./cycles');
+const { programDocuments } = require('./documents');
+const {
+  validateHousehold, parseMemberField, HouseholdError, STATUSES, MAX_MEMBERS
+} = require('./household');
+
+// Thrown for problems the applicant can fix; status is the HTTP status to respond with
+class DraftError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'DraftError';
+    this.status = status;
+  }
+}
+
+const EMPTY_FORM = { claims: {}, household: [] };
+
+// Member fields kept in draft_form (checked on submission)
+const MEMBER_FIELDS = ['id', 'relationship', 'full_name', 'status', 'monthly_income'];
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+async function updateDraft(id, fields) {
+  const { data, error } = await supabase
+    .from('applications')
+    .update({ ...fields, updated_at: new Date().toISOString() })
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+// Uploaded documents of a draft, with the text extracted on upload
+async function draftDocuments(draft) {
+  const { data, error } = await supabase
+    .from('application_documents')
+    .select('id, doc_key, document_type, storage_path, file_name, size_bytes, claimed_value, uploaded_at, extraction')
+    .eq('application_id', draft.id)
+    .order('uploaded_at');
+  if (error) throw error;
+  return data;
+}
+
+async function deleteDocuments(documents) {
+  if (!documents.length) return;
+  const { error } = await supabase.from('application_documents').delete().in('id', documents.map(doc => doc.id));
+  if (error) throw error;
+  await supabase.storage.from('documents').remove(documents.map(doc => doc.storage_path));
+}
+
+// Proof kinds a member's status accepts (required and optional)
+const proofKinds = member => {
+  const config = STATUSES[member?.status];
+  return config ? [...config.proofs, ...config.optional] : [];
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// The applicant's draft, or DraftError (404 for someone else's, 409 once submitted)
+async function loadDraft(id, userId) {
+  const { data, error } = await supabase
+    .from('applications')
+    .select('*')
+    .eq('id', id)
+    .eq('user_id', userId)
+    .maybeSingle();
+  if (error) throw error;
+  if (!data) throw new DraftError('Draft not found', 404);
+  if (data.status !== 'draft') throw new DraftError('This application was already submitted', 409);
+  return data;
+}
+
+// program: an open program (checked by the caller). Returns { draft, created }
+async function createDraft(userId, program) {
+  const { data: existing, error: findError } = await supabase
+    .from('applications')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('program_id', program.id)
+    .eq('status', 'draft')
+    .maybeSingle();
+  if (findError) throw findError;
+  if (existing) return { draft: existing, created: false };
+
+  const { data, error } = await supabase
+    .from('applications')
+    .insert({
+      user_id:      userId,
+      program_id:   program.id,
+      status:       'draft',
+      draft_form:   EMPTY_FORM,
+      submitted_at: null
+    })
+    .select()
+    .single();
+  if (error) throw error;
+  return { draft: data, created: true };
+}
+
+// Drafts are removed with their files
+async function discardDraft(draft) {
+  await deleteDocuments(await draftDocuments(draft));
+  const { error } = await supabase.from('applications').delete().eq('id', draft.id);
+  if (error) throw error;
+}
+
+// ── Form ────────────────────────────────────────────────────────────────
+// claims: { <claim field>: amount }; household: [{ id, relationship, full_name,
+// status, monthly_income }] with ids increasing in the order declared.
+// Values are only checked for shape here - completeness is checked on submission.
+// Proofs of removed members, or that the member's new status does not ask
+// for, are deleted.
+// documentTypes: { <key>: document_types row }
+async function saveForm(draft, documentTypes, { claims = {}, household = [] } = {}) {
+  if (!claims || typeof claims !== 'object' || Array.isArray(claims)) {
+    throw new DraftError('claims must be an object of { field: amount }');
+  }
+  const cleanClaims = {};
+  for (const [field, value] of Object.entries(claims)) {
+    if (value === '' || value === null) continue;
+    const amount = Number(value);
+    if (!Number.isFinite(amount) || amount < 0) throw new DraftError(`${field} must be a valid amount`);
+    cleanClaims[field] = amount;
+  }
+
+  if (!Array.isArray(household) || household.length > MAX_MEMBERS) {
+    throw new DraftError(`household must be a list of at most ${MAX_MEMBERS} members`);
+  }
+  const members = household.map((member, index) => {
+    if (!member || !Number.isInteger(member.id) || member.id < 1 || (index > 0 && member.id <= household[index - 1].id)) {
+      throw new DraftError('Each household member needs an id, increasing in the order declared');
+    }
+    return Object.fromEntries(MEMBER_FIELDS.filter(field => member[field] !== undefined).map(field => [field, member[field]]));
+  });
+
+  // ── Drop proofs that no longer belong to a member ──
+  const stale = (await draftDocuments(draft)).filter(doc => {
+    const field = parseMemberField(doc.doc_key);
+    if (!field) return false;
+    const member = members.find(m => m.id === field.position);
+    return !proofKinds(member).includes(documentTypes[doc.document_type]?.member_proof);
+  });
+  await deleteDocuments(stale);
+
+  return updateDraft(draft.id, { draft_form: { claims: cleanClaims, household: members } });
+}
+
+// ── Documents ───────────────────────────────────────────────────────────
+// Store (or replace) one document: key is a document type key of the program,
+// or member_<member id>_<type key> for a household member's proof.
+// file: multer file (in a format the type accepts, checked by the upload filter)
+// The text is extracted right away; if that fails the evaluation reads it later.
+async function saveDocument(draft, program, documentTypes, key, file) {
+  const member = parseMemberField(key);
+  let type;
+  if (member) {
+    const declared = (draft.draft_form?.household || []).find(m => m.id === member.position);
+    type = documentTypes[member.typeKey];
+    if (!program.household_assessment) throw new DraftError('This program does not ask for household members');
+    if (!declared) throw new DraftError('Save the household member before uploading their documents');
+    if (!type || !proofKinds(declared).includes(type.member_proof)) {
+      throw new DraftError(`${type ? type.label : 'This document'} is not a proof for this member's status`);
+    }
+  } else {
+    if (!programDocuments(program, Object.values(documentTypes)).some(doc => doc.key === key)) {
+      throw new DraftError(`Not a document of this program: ${key}`);
+    }
+    type = documentTypes[key];
+  }
+  if (file.size > type.max_size_mb * 1024 * 1024) {
+    throw new DraftError(`${type.label} is too large (max ${type.max_size_mb}MB)`);
+  }
+
+  // ── Text extraction, once, while the applicant waits ──
+  let extraction = null;
+  try {
+    ({ extraction } = await processApplication(file.path, mimeFromPath(file.originalname), null, true));
+  } catch (err) {
+    console.error(`Draft ${draft.id}: text extraction of ${key} failed:`, err.message);
+  }
+  const fingerprint = await fingerprintFile(file.path, mimeFromPath(file.originalname));
+
+  const storagePath = `documents/${draft.user_id}/${key}_${Date.now()}_${file.originalname}`;
+  const contentType = file.mimetype === 'text/plain' ? 'application/pdf' : file.mimetype;
+  const { error: storageError } = await supabase.storage
+    .from('documents')
+    .upload(storagePath, fs.readFileSync(file.path), { contentType });
+  if (storageError) throw storageError;
+
+  // A new upload replaces the same document - for a member, any document
+  // proving the same thing (e.g. another type of income certificate)
+  const replaced = (await draftDocuments(draft)).filter(doc => {
+    if (doc.doc_key === key) return true;
+    const other = parseMemberField(doc.doc_key);
+    return member && other && other.position === member.position &&
+      documentTypes[doc.document_type]?.member_proof === type.member_proof;
+  });
+
+  try {
+    await deleteDocuments(replaced);
+    const { data, error } = await supabase
+      .from('application_documents')
+      .insert({
+        application_id: draft.id,
+        doc_key:        key,
+        document_type:  type.key,
+        storage_path:   storagePath,
+        file_name:      file.originalname,
+        size_bytes:     file.size,
+        extraction,
+        ...fingerprint
+      })
+      .select()
+      .single();
+    if (error) throw error;
+    await updateDraft(draft.id, {});
+    return data;
+  } catch (err) {
+    await supabase.storage.from('documents').remove([storagePath]);
+    throw err;
+  }
+}
+
+async function removeDocument(draft, key) {
+  const doc = (await draftDocuments(draft)).find(d => d.doc_key === key);
+  if (!doc) throw new DraftError('Document not found', 404);
+  await deleteDocuments([doc]);
+  await updateDraft(draft.id, {});
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPLETENESS - What is still missing before the draft can be submitted
+// ═══════════════════════════════════════════════════════════════════════════════
+// Same requirements as a one-request submission (routes/applications.js).
+// Returns {
+//   documents: [{ key, label, required, uploaded, file_name }] - the program's documents,
+//   missing:   ["Upload Report Card / Grades", ...],
+//   complete,
+//   members    - validated household (validateHousehold) when complete
+// }
+
+function checkDraft(draft, program, documentTypes, uploaded) {
+  const form = draft.draft_form || EMPTY_FORM;
+  const byKey = Object.fromEntries(uploaded.map(doc => [doc.doc_key, doc]));
+  const programDocs = programDocuments(program, Object.values(documentTypes));
+  const missing = [];
+
+  const documents = programDocs.map(doc => ({
+    key:       doc.key,
+    label:     doc.label,
+    required:  doc.required,
+    uploaded:  !!byKey[doc.key],
+    file_name: byKey[doc.key]?.file_name ?? null
+  }));
+  for (const doc of programDocs) {
+    if (doc.required && !byKey[doc.key]) missing.push(`Upload ${doc.label}`);
+    if (doc.claim_field && byKey[doc.key] && form.claims?.[doc.claim_field] === undefined) {
+      missing.push(`Enter ${doc.claim_label}`);
+    }
+  }
+
+  // ── Household: the proofs of each member, by position ──
+  let members = null;
+  if (program.household_assessment) {
+    const household = form.household || [];
+    const files = {};
+    household.forEach((member, index) => {
+      const proofs = uploaded.filter(doc => parseMemberField(doc.doc_key)?.position === member.id);
+      if (proofs.length) {
+        files[index + 1] = proofs.map(doc => ({
+          fieldname: `member_${index + 1}_${doc.document_type}`,
+          size: doc.size_bytes,
+          doc
+        }));
+      }
+    });
+    try {
+      members = validateHousehold(household, files, documentTypes);
+    } catch (err) {
+      if (!(err instanceof HouseholdError)) throw err;
+      missing.push(err.message);
+    }
+  }
+
+  return { documents, missing, complete: missing.length === 0, members };
+}
+
+// What the apply page and the dashboard show of a draft
+async function draftView(draft, program, documentTypes) {
+  const uploaded = await draftDocuments(draft);
+  const { documents, missing, complete } = checkDraft(draft, program, documentTypes, uploaded);
+  return {
+    id:         draft.id,
+    program_id: draft.program_id,
+    form:       draft.draft_form || EMPTY_FORM,
+    updated_at: draft.updated_at,
+    uploads:    uploaded.map(doc => ({
+      doc_key:       doc.doc_key,
+      document_type: doc.document_type,
+      file_name:     doc.file_name,
+      size_bytes:    doc.size_bytes,
+      uploaded_at:   doc.uploaded_at,
+      text_extracted: typeof doc.extraction?.text === 'string'
+    })),
+    documents,
+    missing,
+    complete
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SUBMIT - The draft becomes a 'pending' application and is queued
+// ═══════════════════════════════════════════════════════════════════════════════
+// Household members are created and their proofs re-keyed by position;
+// declared values move onto their documents. Anything done is undone if a
+// later step fails, so the draft can be submitted again.
+// cycle: the open cycle the application goes into
+// replacing: the applicant's active application in it, to withdraw
+// (checkActiveLimit in services/cycles.js)
+// Returns { application, job }
+
+async function submitDraft(draft, program, documentTypes, { cycle, replacing = null }) {
+  const uploaded = await draftDocuments(draft);
+  const check = checkDraft(draft, program, documentTypes, uploaded);
+  if (!check.complete) {
+    throw new DraftError(`The application is not complete: ${check.missing.join('; ')}`);
+  }
+
+  const undo = [];
+  try {
+    // ── 1. Household members, and their proofs keyed by position ──
+    if (check.members?.length) {
+      const { data: members, error } = await supabase
+        .from('household_members')
+        .insert(check.members.map(({ proofs, ...member }) => ({ application_id: draft.id, ...member })))
+        .select('id, position');
+      if (error) throw error;
+      undo.push(() => supabase.from('household_members').delete().in('id', members.map(m => m.id)));
+
+      // Ascending positions never collide: a member's position is never above its id
+      for (const member of check.members) {
+        const memberId = members.find(m => m.position === member.position).id;
+        for (const { file } of member.proofs) {
+          const { doc } = file;
+          const { error: docError } = await supabase
+            .from('application_documents')
+            .update({ doc_key: file.fieldname, household_member_id: memberId })
+            .eq('id', doc.id);
+          if (docError) throw docError;
+          undo.unshift(() => supabase.from('application_documents')
+            .update({ doc_key: doc.doc_key, household_member_id: null }).eq('id', doc.id));
+        }
+      }
+    }
+
+    // ── 2. Declared values onto their documents ──
+    const claims = draft.draft_form?.claims || {};
+    for (const doc of programDocuments(program, Object.values(documentTypes)).filter(d => d.claim_field)) {
+      const row = uploaded.find(u => u.doc_key === doc.key);
+      if (!row) continue;
+      const { error } = await supabase
+        .from('application_documents')
+        .update({ claimed_value: claims[doc.claim_field] })
+        .eq('id', row.id);
+      if (error) throw error;
+    }
+
+    // ── 3. Submitted in the cycle, in place of the application it replaces ──
+    const replacement = replacing && await replaceApplication(replacing, draft.user_id);
+    if (replacement) undo.unshift(replacement.undo);
+
+    let application;
+    try {
+      application = await updateDraft(draft.id, {
+        status:       'pending',
+        cycle_id:     cycle.id,
+        submitted_at: new Date().toISOString(),
+        draft_form:   null      // now in household_members and application_documents
+      });
+    } catch (err) {
+      // The one-active-application index: another application got in first
+      if (err.code === '23505') {
+        throw new CycleError('You already have an application in this cycle. Withdraw or replace it to apply again.', 409);
+      }
+      throw err;
+    }
+    undo.unshift(() => supabase.from('applications')
+      .update({ status: 'draft', cycle_id: null, submitted_at: null, draft_form: draft.draft_form }).eq('id', draft.id));
+
+    const job = await jobQueue.enqueue(application);
+    await replacement?.finish(application.id);
+    return { application, job };
+
+  } catch (err) {
+    for (const step of undo) await step();
+    throw err;
+  }
+}
+
+module.exports = {
+  loadDraft,
+  createDraft,
+  discardDraft,
+  saveForm,
+  saveDocument,
+  removeDocument,
+  draftView,
+  submitDraft,
+  DraftError
+};
@@ -0,0 +1,100 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION RUNS - Audit trail of every evaluation ever made
+// ═══════════════════════════════════════════════════════════════════════════════
+// applications.evaluation_result only holds the LATEST verdict. To answer an
+// appeal ("why was I disqualified?") we need to know exactly how that verdict
+// was reached, so every evaluation also writes one evaluation_runs row with:
+// - provider + model that read the documents
+// - program, rules snapshot, rule_version (number of the program's rule_versions row in effect)
+//   and rules_version (hash of the snapshot, same rules = same hash)
+// - the full prompt and every raw model reply (including repair attempts)
+// - token usage and latency
+// - OCR method + confidence per document
+// - the result that was produced and the app version that produced it
+//
+// Rows are never updated or deleted by the app.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto   = require('crypto');
+const supabase = require('../config/supabase');
+
+// APP_VERSION can carry a release tag or git commit; package version otherwise
+const APP_VERSION = process.env.APP_VERSION || require('../package.json').version;
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+// Stable hash of the rules: key order in the object does not matter
+function rulesVersion(rules = {}) {
+  const sorted = Object.keys(rules).sort().map(key => [key, rules[key]]);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex').slice(0, 12);
+}
+
+// Per-document OCR summary from the extraction details of each document
+// { <doc key>: { method, chars, confidence, pages: [{ page, method, confidence, preprocessing }] } }
+function summarizeDocuments(extractions = {}) {
+  const documents = {};
+  for (const [key, extraction] of Object.entries(extractions)) {
+    const pages = (extraction.pages || []).map(({ page, method, chars, confidence, preprocessing }) => ({
+      page, method, chars, confidence: confidence ?? null, preprocessing: preprocessing ?? null
+    }));
+    const ocrPages = pages.filter(p => typeof p.confidence === 'number');
+
+    documents[key] = {
+      method: extraction.method,
+      chars: (extraction.text || '').length,
+      // Average OCR confidence; null when no page needed OCR
+      confidence: ocrPages.length
+        ? Math.round(ocrPages.reduce((sum, p) => sum + p.confidence, 0) / ocrPages.length)
+        : null,
+      pages
+    };
+  }
+  return documents;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Store one run. trace comes from processApplication (see evaluationService.js)
+async function recordRun({ applicationId, programId = null, jobId = null, trace = {}, extractions = {}, evaluation, status }) {
+  const { data, error } = await supabase
+    .from('evaluation_runs')
+    .insert({
+      application_id:    applicationId,
+      program_id:        programId,
+      job_id:            jobId,
+      provider:          trace.provider || null,
+      model:             trace.model || null,
+      rules_snapshot:    trace.rules || {},
+      rules_version:     rulesVersion(trace.rules),
+      rule_version:      trace.rule_version ?? null,
+      prompt:            trace.prompt || null,
+      raw_responses:     trace.responses || [],
+      usage:             trace.usage || null,
+      latency_ms:        trace.latency_ms ?? null,
+      documents:         summarizeDocuments(extractions),
+      evaluation_result: evaluation,
+      status,
+      app_version:       APP_VERSION
+    })
+    .select('id')
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+// All runs of an application, newest first
+async function listRuns(applicationId) {
+  const { data, error } = await supabase
+    .from('evaluation_runs')
+    .select('*')
+    .eq('application_id', applicationId)
+    .order('created_at', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+module.exports = { recordRun, listRuns, rulesVersion, summarizeDocuments, APP_VERSION };
@@ -0,0 +1,228 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION SCHEMA - Validate and repair what the AI sends back
+// ═══════════════════════════════════════════════════════════════════════════════
+// Two schemas:
+// - extractionSchema(rules) → the AI's reply (extracted_data, confidence_score,
+//   ocr_quality, notes). Checked before anything uses it.
+// - EVALUATION_SCHEMA       → the final object stored in evaluation_result and
+//   rendered by ResultPage.jsx. Checked before it is saved.
+//
+// Schemas use a small JSON-Schema-like format:
+//   { type: 'number' | 'string' | 'boolean' | 'object' | 'array' | ['number', 'null'],
+//     minimum, maximum, enum, required: [...], properties: {...}, items: {...},
+//     additionalProperties: <schema> }
+// validate() returns a list of readable errors ("confidence_score must be ≤ 100"),
+// which are also sent back to the AI when it is asked to correct its reply.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { extractionFields, toNumber } = require('./ruleEngine');
+
+const OCR_QUALITY = ['good', 'fair', 'poor'];
+
+// Extracted fields that must be numbers (or null when not found)
+const NUMERIC_FIELDS = {
+  mother_income: { minimum: 0 },
+  father_income: { minimum: 0 },
+  gwa:           { minimum: 1, maximum: 5 }
+};
+
+// ── Schemas ─────────────────────────────────────────────────────────────
+
+// The AI reply depends on the rules: max_/min_ rules add numeric fields
+function extractionSchema(rules = {}) {
+  const numeric = { ...NUMERIC_FIELDS };
+  for (const key of Object.keys(rules)) {
+    const match = key.match(/^(max|min)_(.+)$/);
+    if (match && !numeric[match[2]]) numeric[match[2]] = {};
+  }
+
+  const fields = extractionFields(rules);
+  const properties = {};
+  for (const field of fields) {
+    properties[field] = numeric[field]
+      ? { type: ['number', 'null'], ...numeric[field] }
+      : { type: ['string', 'number', 'boolean', 'null'] };
+  }
+
+  return {
+    type: 'object',
+    required: ['extracted_data', 'confidence_score', 'ocr_quality'],
+    properties: {
+      extracted_data:   { type: 'object', required: fields, properties },
+      confidence_score: { type: 'number', minimum: 0, maximum: 100 },
+      ocr_quality:      { enum: OCR_QUALITY },
+      notes:            { type: ['string', 'null'] }
+    }
+  };
+}
+
+const CHECK_SCHEMA = {
+  type: 'object',
+  required: ['passed', 'reason'],
+  properties: {
+    passed: { type: 'boolean' },
+    reason: { type: 'string' }
+  }
+};
+
+const EVALUATION_SCHEMA = {
+  type: 'object',
+  required: ['qualified', 'extracted_data', 'evaluation', 'disqualification_reasons',
+    'confidence_score', 'ocr_quality', 'review_flags'],
+  properties: {
+    qualified:                { type: 'boolean' },
+    extracted_data:           { type: 'object' },
+    evaluation:               { type: 'object', additionalProperties: CHECK_SCHEMA },
+    disqualification_reasons: { type: 'array', items: { type: 'string' } },
+    confidence_score:         { type: 'number', minimum: 0, maximum: 100 },
+    ocr_quality:              { enum: OCR_QUALITY },
+    notes:                    { type: ['string', 'null'] },
+    review_flags: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['code', 'message'],
+        properties: { code: { type: 'string' }, message: { type: 'string' } }
+      }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+function validate(value, schema, path = 'response') {
+  const errors = [];
+  const actual = typeOf(value);
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} must be one of ${schema.enum.map(v => `"${v}"`).join(', ')} (got ${JSON.stringify(value)})`);
+    return errors;
+  }
+
+  if (schema.type) {
+    const allowed = [].concat(schema.type);
+    if (!allowed.includes(actual) || (actual === 'number' && !Number.isFinite(value))) {
+      errors.push(`${path} must be ${allowed.join(' or ')} (got ${actual === 'string' ? JSON.stringify(value) : actual})`);
+      return errors;
+    }
+  }
+
+  if (actual === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path} must be ≥ ${schema.minimum} (got ${value})`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path} must be ≤ ${schema.maximum} (got ${value})`);
+  }
+
+  if (actual === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key} is required`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue; // optional key left unset
+      const childSchema = (schema.properties && schema.properties[key]) || schema.additionalProperties;
+      if (childSchema) errors.push(...validate(child, childSchema, `${path}.${key}`));
+    }
+  }
+
+  if (actual === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+  }
+
+  return errors;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPAIR - Fix the harmless mistakes models make before judging the reply
+// ═══════════════════════════════════════════════════════════════════════════════
+// - Markdown fences or chatter around the JSON      → take the {...} block
+// - "₱15,000" / "15000.00" where a number belongs    → 15000
+// - "85%" confidence                                 → 85
+//   (a confidence is never rescaled: 1 may be 1%, not 100%)
+// - "Good" / " fair " OCR quality                    → "good" / "fair"
+// - "N/A", "none", "not found", ""                   → null
+// Anything still wrong after this is reported back to the model.
+
+const EMPTY_VALUES = /^(n\/?a|none|null|not found|unknown|-+)?$/i;
+
+// Raw reply text → parsed object, or throws with a readable message
+function parseReply(raw) {
+  const text = String(raw ?? '').trim();
+  try {
+    return JSON.parse(text);
+  } catch {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) throw new Error('response is not a JSON object');
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (err) {
+      throw new Error(`response is not valid JSON (${err.message})`);
+    }
+  }
+}
+
+function repairExtraction(reply, schema) {
+  if (typeOf(reply) !== 'object') return reply;
+  const repaired = { ...reply };
+
+  if (typeof repaired.confidence_score === 'string') {
+    const num = toNumber(repaired.confidence_score.replace('%', ''));
+    if (num !== null) repaired.confidence_score = num;
+  }
+  if (typeof repaired.ocr_quality === 'string') {
+    repaired.ocr_quality = repaired.ocr_quality.trim().toLowerCase();
+  }
+
+  if (typeOf(repaired.extracted_data) === 'object') {
+    const fields = schema.properties.extracted_data.properties;
+    const data = { ...repaired.extracted_data };
+    for (const [field, value] of Object.entries(data)) {
+      if (typeof value === 'string' && EMPTY_VALUES.test(value.trim())) {
+        data[field] = null;
+      } else if (typeof value === 'string' && fields[field] && [].concat(fields[field].type).includes('number')) {
+        const num = toNumber(value);
+        if (num !== null) data[field] = num;
+      }
+    }
+    // A field the model left out entirely just means "not found"
+    for (const field of Object.keys(fields)) {
+      if (data[field] === undefined) data[field] = null;
+    }
+    repaired.extracted_data = data;
+  }
+
+  return repaired;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Raw AI reply → { ok: true, value } or { ok: false, errors }
+function checkExtraction(raw, rules) {
+  const schema = extractionSchema(rules);
+  let reply;
+  try {
+    reply = parseReply(raw);
+  } catch (err) {
+    return { ok: false, errors: [err.message] };
+  }
+
+  const repaired = repairExtraction(reply, schema);
+  const errors = validate(repaired, schema);
+  return errors.length ? { ok: false, errors } : { ok: true, value: repaired };
+}
+
+// Final evaluation object → list of errors (empty when valid)
+function validateEvaluation(evaluation) {
+  return validate(evaluation, EVALUATION_SCHEMA, 'evaluation_result');
+}
+
+module.exports = { checkExtraction, validateEvaluation, validate, extractionSchema, EVALUATION_SCHEMA, OCR_QUALITY };
@@ -2,29 +2,42 @@
 // DEPENDENCIES - Import required libraries for document processing and AI evaluation
 // ═══════════════════════════════════════════════════════════════════════════════
 
-// Tesseract.js: OCR (Optical Character Recognition) library
+// Tesseract.js OCR through a shared worker pool (services/ocrPool.js)
 // - Extracts text from images (JPG, PNG, etc.)
 // - Uses machine learning to recognize text in scanned documents/photos
-const Tesseract = require('tesseract.js');
+// - Workers are reused across requests; languages set by OCR_LANGS (eng+fil)
+const ocrPool = require('./ocrPool');
 
-// groq-sdk: API client for Groq platform
-// - Groq provides ultra-fast AI inference using specialized hardware (LPU chips)
-// - Runs AI models like Meta's Llama at extremely high speeds
-// - Free tier: 14,400 requests/day, much faster than standard cloud AI
-const Groq = require('groq-sdk');
+// LLM provider layer: Groq, OpenAI-compatible (Ollama, llama.cpp), Gemini
+// or offline fixture replay - chosen by LLM_PROVIDER (see config/llm.js)
+const { createProvider } = require('./llmProvider');
 
 // Node.js built-in modules
 const fs = require('fs');      // File system - read/write files
 const path = require('path');  // Handle file paths across different OS
 
-// pdf-parse: Extract text from PDF documents
-// - Reads PDF files and converts them to plain text
-// - Handles both text-based PDFs and scanned PDFs (with OCR)
-const pdfParseImport = require('pdf-parse');
-const pdfParse = pdfParseImport.default || pdfParseImport;
+// pdf-parse (v2): Extract text from PDF documents, page by page
+// - Reads the PDF's text layer for digitally-created PDFs
+// - Renders pages to images (getScreenshot) so scanned pages can go through OCR
+const { PDFParse } = require('pdf-parse');
 
-// Supabase client: Database connection for fetching scholarship rules
-const supabase  = require('../config/supabase');
+// Image preprocessing (sharp): rotate, deskew, contrast, threshold... before OCR
+const { preprocess, VARIANTS } = require('./imagePreprocessor');
+
+// Versioned scholarship rules: the version in effect is used for every evaluation
+const { getActiveVersion, toRuleMap } = require('./ruleVersions');
+
+// Rule engine: decides pass/fail in code from the values the AI extracted
+const { applyRules, extractionFields, compareClaimedIncome } = require('./ruleEngine');
+
+// Heuristic parsers: code-based second opinion on incomes and GWA
+const { runHeuristics, crossCheck } = require('./heuristicExtractors');
+
+// Schema validation + repair of the AI reply and the final evaluation
+const { checkExtraction, validateEvaluation } = require('./evaluationSchema');
+
+// Max correction rounds for an invalid AI reply (LLM_MAX_REPAIR_ATTEMPTS)
+const { maxRepairAttempts } = require('../config/llm');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // CONFIGURATION - Set up evaluation mode (real AI vs mock testing)
@@ -32,24 +45,22 @@ const supabase  = require('../config/supabase');
 
 // Mock mode allows testing without using real API calls
 // - Useful for development/testing when you don't have an API key yet
-// - Returns simulated evaluation results instead of calling Groq AI
+// - Returns simulated evaluation results instead of calling an AI provider
 const USE_MOCK_MODE = process.env.USE_MOCK_EVALUATION === 'true';
 
-// Initialize Groq AI client (only if not in mock mode and API key exists)
-// - If USE_MOCK_MODE is true, set groq to null (skip AI initialization)
-// - If no GROQ_API_KEY in .env file, set groq to null
-// - Otherwise, create Groq client instance with the API key
-const groq = USE_MOCK_MODE || !process.env.GROQ_API_KEY 
-  ? null 
-  : new Groq({ apiKey: process.env.GROQ_API_KEY });
+// Initialize the AI provider (only if not in mock mode)
+// - If USE_MOCK_MODE is true, set llm to null (skip AI initialization)
+// - If the chosen provider needs an API key that is missing, llm is null
+// - Otherwise, llm is the provider picked by LLM_PROVIDER (default: groq)
+const llm = USE_MOCK_MODE ? null : createProvider();
 
 // Log which mode we're running in (helps with debugging)
 if (USE_MOCK_MODE) {
   console.log('⚠️  Running in MOCK EVALUATION mode');
-} else if (groq) {
-  console.log('✅ Using Groq AI for evaluation (FREE & FAST)');
+} else if (llm) {
+  console.log(`✅ Using ${llm.name} AI for evaluation (model: ${llm.model})`);
 } else {
-  console.log('⚠️  No API key found, enable mock mode or add GROQ_API_KEY');
+  console.log('⚠️  No API key found for LLM_PROVIDER, enable mock mode or add the provider API key');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -57,10 +68,126 @@ if (USE_MOCK_MODE) {
 // ═══════════════════════════════════════════════════════════════════════════════
 // This function handles 3 types of files:
 // 1. Plain text files (.txt) - read directly
-// 2. PDF files (.pdf) - extract text using pdf-parse
+// 2. PDF files (.pdf) - text layer per page, OCR fallback for scanned pages
 // 3. Image files (.jpg, .png) - extract text using OCR (Optical Character Recognition)
+//
+// Returns an extraction record, not just the text:
+// {
+//   text:   "all pages joined in page order",
+//   method: "text" | "pdf_text" | "ocr" | "mixed",
+//   pages:  [{ page: 1, method: "pdf_text" | "ocr" | "text", chars: 123, confidence: 87 | null,
+//              preprocessing: { variant: "binarized", steps: [...], candidates: [...] } (OCR only) }]
+// }
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// A PDF page needs at least this many letters/digits in its text layer to be
+// trusted; anything less (blank, a page number, a scanner watermark) gets OCR
+const PDF_MIN_TEXT_CHARS = parseInt(process.env.PDF_MIN_TEXT_CHARS || '20');
+
+// Render scale for scanned PDF pages (PDF units are 72 DPI → 3x ≈ 216 DPI,
+// close to the 200-300 DPI Tesseract works best at)
+const PDF_RENDER_SCALE = parseFloat(process.env.PDF_RENDER_SCALE || '3');
+
+// Overall method of a document from the methods of its pages
+function summarizeMethod(pages) {
+  const methods = [...new Set(pages.map(p => p.method))];
+  return methods.length === 1 ? methods[0] : 'mixed';
+}
+
+// ── Image Preprocessing Settings ────────────────────────────────────────
+// OCR_PREPROCESS=false sends images to Tesseract untouched (old behaviour)
+// OCR_VARIANTS lists the recipes to try (see services/imagePreprocessor.js);
+// with more than one, each is OCR'd and the highest mean confidence wins
+const PREPROCESS_ENABLED = process.env.OCR_PREPROCESS !== 'false';
+const PREPROCESS_VARIANTS = (process.env.OCR_VARIANTS || 'enhanced,binarized')
+  .split(',')
+  .map(v => v.trim())
+  .filter(v => VARIANTS[v]);
+
+// ── Tesseract Call ──────────────────────────────────────────────────────
+// Tesseract OCR (Optical Character Recognition):
+// - Scans the image pixel by pixel
+// - Uses machine learning to identify letters, numbers, and words
+// - Converts visual text into digital/editable text
+// Example: Photo of a report card → extractable text like "GWA: 2.5"
+// Runs on the shared pool, so it waits its turn when the pool is busy
+async function recognize(input) {
+  const { data } = await ocrPool.recognize(input);  // Path or image buffer
+  return { text: data.text.trim(), confidence: Math.round(data.confidence) };
+}
+
+// ── OCR One Image (with preprocessing) ──────────────────────────────────
+// input: file path or image Buffer (rendered PDF page)
+// Returns { text, confidence, preprocessing: { variant, steps, candidates } }
+async function ocrImage(input) {
+  if (!PREPROCESS_ENABLED || PREPROCESS_VARIANTS.length === 0) {
+    return { ...(await recognize(input)), preprocessing: null };
+  }
+
+  // Try each variant and keep the one Tesseract is most confident about
+  let best = null;
+  const candidates = [];
+  for (const variant of PREPROCESS_VARIANTS) {
+    const { buffer, steps } = await preprocess(input, variant);
+    const result = await recognize(buffer);
+    candidates.push({ variant, confidence: result.confidence });
+    if (!best || result.confidence > best.confidence) {
+      best = { ...result, variant, steps };
+    }
+  }
+
+  console.log(`\n   🧪 Preprocessing: ${candidates.map(c => `${c.variant}=${c.confidence}`).join(', ')} → ${best.variant}`);
+  return {
+    text: best.text,
+    confidence: best.confidence,
+    preprocessing: { variant: best.variant, steps: best.steps, candidates }
+  };
+}
+
+// ── PDF: Text Layer With OCR Fallback ───────────────────────────────────
+// Digitally-created PDFs carry real text; scanned certificates saved as PDF
+// are just pictures of pages with no text layer. Each page is checked on its
+// own, so a PDF mixing typed and scanned pages still reads completely.
+async function extractPdf(filePath) {
+  const parser = new PDFParse({ data: fs.readFileSync(filePath) });
+
+  try {
+    const { pages: textPages } = await parser.getText();
+    const pages = [];
+
+    for (const { num, text } of textPages) {
+      const pageText = (text || '').trim();
+      const usableChars = (pageText.match(/[a-z0-9]/gi) || []).length;
+
+      if (usableChars >= PDF_MIN_TEXT_CHARS) {
+        pages.push({ page: num, method: 'pdf_text', text: pageText, confidence: null });
+        continue;
+      }
+
+      // No usable text layer → rasterize this page and run it through OCR
+      console.log(`   🖨️  Page ${num} has no usable text layer, using OCR`);
+      const { pages: [shot] } = await parser.getScreenshot({
+        partial: [num],
+        scale: PDF_RENDER_SCALE,
+        imageBuffer: true,
+        imageDataUrl: false
+      });
+      const ocr = await ocrImage(Buffer.from(shot.data));
+      pages.push({
+        page: num,
+        method: 'ocr',
+        text: ocr.text,
+        confidence: ocr.confidence,
+        preprocessing: ocr.preprocessing
+      });
+    }
+
+    return pages;
+  } finally {
+    await parser.destroy();
+  }
+}
+
 async function extractText(imagePath, mimetype) {
   console.log('🔍 Extracting text from:', imagePath);
 
@@ -69,62 +196,58 @@ async function extractText(imagePath, mimetype) {
   // No special processing needed - it's already text
   if (mimetype === 'text/plain') {
     console.log('   📄 Reading text file directly (no OCR needed)');
-    const text = fs.readFileSync(imagePath, 'utf8');
-    return text.trim(); // Remove extra whitespace from start/end
+    const text = fs.readFileSync(imagePath, 'utf8').trim(); // Remove extra whitespace
+    return {
+      text,
+      method: 'text',
+      pages: [{ page: 1, method: 'text', chars: text.length, confidence: null }]
+    };
   }
 
   // ── Handle PDF Files (.pdf) ─────────────────────────────────────────
-  // PDF documents need special parsing to extract text
-  // pdf-parse library reads the PDF structure and pulls out text content
+  // Text layer where it exists, OCR for scanned pages, merged in page order
   if (mimetype === 'application/pdf') {
     console.log('   📑 Parsing PDF file');
-    const dataBuffer = fs.readFileSync(imagePath);  // Read file as binary buffer
-    const data = await pdfParse(dataBuffer);         // Parse PDF and extract text
-    console.log('✅ PDF parsing complete');
-    return data.text.trim(); // Return extracted text
+    const pages = await extractPdf(imagePath);
+    console.log(`\n✅ PDF parsing complete (${pages.map(p => `p${p.page}: ${p.method}`).join(', ')})`);
+
+    return {
+      text: pages.map(p => p.text).filter(Boolean).join('\n\n'),
+      method: summarizeMethod(pages),
+      pages: pages.map(({ text, ...page }) => ({ ...page, chars: text.length }))
+    };
   }
 
   // ── Handle Image Files (.jpg, .png, etc.) using OCR ────────────────
-  // Tesseract OCR (Optical Character Recognition):
-  // - Scans the image pixel by pixel
-  // - Uses machine learning to identify letters, numbers, and words
-  // - Converts visual text into digital/editable text
-  // Example: Photo of a report card → extractable text like "GWA: 2.5"
   console.log('   🖼️  Using OCR for image');
-  const { data: { text } } = await Tesseract.recognize(
-    imagePath,                                      // Path to image file
-    'eng',                                          // Language: English
-    { logger: m => process.stdout.write('.') }      // Show progress dots
-  );
+  const { text, confidence, preprocessing } = await ocrImage(imagePath);
 
   console.log('\n✅ OCR complete');
-  return text.trim(); // Return extracted text from image
+  return {
+    text,
+    method: 'ocr',
+    pages: [{ page: 1, method: 'ocr', chars: text.length, confidence, preprocessing }]
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // STEP 2: LOAD SCHOLARSHIP RULES - Fetch qualification criteria from database
 // ═══════════════════════════════════════════════════════════════════════════════
-// Rules stored in database (scholarship_rules table):
+// Every program has its own versioned rules (rule_versions table, see
+// services/ruleVersions.js); the version in effect right now is used:
 // - max_monthly_income: Maximum allowed family income (e.g., ₱30,000)
 // - max_gwa: Maximum GWA allowed (e.g., 3.0 - lower is better in PH system)
 // - Other criteria like age limits, enrollment requirements, etc.
+// Returns { version, rules } - the version number is stored with the result
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function loadRules() {
-  // Query Supabase database to get all scholarship rules
-  // SELECT rule_key, rule_value, description FROM scholarship_rules
-  const { data: rules } = await supabase
-    .from('scholarship_rules')
-    .select('rule_key, rule_value, description');
-
-  // Convert array of rules into a key-value object for easy access
-  // Example transformation:
-  // FROM: [{ rule_key: 'max_monthly_income', rule_value: '30000' }, ...]
-  // TO:   { max_monthly_income: '30000', max_gwa: '3.0', ... }
-  return rules.reduce((acc, r) => {
-    acc[r.rule_key] = r.rule_value;
-    return acc;
-  }, {});
+async function loadRules(programId) {
+  const active = await getActiveVersion(programId);
+
+  // Typed rules → plain key-value object for the rule engine
+  // FROM: { max_monthly_income: { value: 30000, type: 'number', ... }, ... }
+  // TO:   { max_monthly_income: 30000, max_gwa: 3, ... }
+  return { version: active.version, rules: toRuleMap(active.rules) };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -134,136 +257,151 @@ async function loadRules() {
 // - Developer doesn't have a Groq API key yet
 // - Testing the system without consuming API credits
 // - Demonstrating the application flow in development
-// Returns fake/simulated results that look like real AI evaluation
+// Only the EXTRACTION is simulated - the verdict still comes from the rule
+// engine, so mock results follow the real rules
 // ═══════════════════════════════════════════════════════════════════════════════
 
-function generateMockEvaluation(extractedText, rules) {
-  console.log('🤖 Using MOCK evaluation (no OpenAI API call)');
-  
-  // ── Create Fake Applicant Data ──────────────────────────────────────
-  // Simulate a qualified applicant with reasonable test values
-  const mockMotherIncome = 12000;  // Mother earns ₱12,000/month
-  const mockFatherIncome = 13000;  // Father earns ₱13,000/month
-  const mockTotalIncome = mockMotherIncome + mockFatherIncome; // ₱25,000 total
-  const mockGWA = 2.5;              // GWA of 2.5 (good standing)
+// resubmission: { previous, fields } when only replaced documents are read (see below)
+function generateMockEvaluation(rules, heuristics, household, resubmission = null) {
+  console.log('🤖 Using MOCK evaluation (no AI API call)');
   
-  // ── Get Thresholds from Rules ───────────────────────────────────────
-  // Rules define maximum allowed values for qualification  // Convert string values to numbers for comparison
-  const maxIncome = parseInt(rules.max_monthly_income || '30000'); // ₱30,000 default
-  const maxGWA = parseFloat(rules.max_gwa || '3.0');              // 3.0 default
-  
-  // ── Evaluate Qualification ──────────────────────────────────────────
-  // Check if mock applicant meets each requirement
-  const incomePass = mockTotalIncome <= maxIncome; // ₱25,000 ≤ ₱30,000 ✓
-  const gwaPass = mockGWA <= maxGWA;                // 2.5 ≤ 3.0 ✓
-  const qualified = incomePass && gwaPass;          // Both must pass
-
-  // ── Return Mock Evaluation Result ───────────────────────────────────
-  // Format matches real AI evaluation structure so frontend works the same
-  return {
-    qualified,                        // Overall qualification status
-    extracted_data: {                 // Fake extracted information
+  // ── Fake Applicant Data, Unless the Parsers Found Real Values ───────
+  // The heuristic parsers read the actual documents, so mock mode reflects
+  // what was uploaded; defaults simulate a qualified applicant otherwise
+  const parsed = heuristics ? heuristics.values : {};
+  const extraction = {
+    extracted_data: {
       applicant_name: "Test Applicant (Mock)",
-      mother_income: mockMotherIncome,
-      father_income: mockFatherIncome,
-      total_income: mockTotalIncome,
-      gwa: mockGWA,
+      mother_income: parsed.mother_income ?? 12000,   // default: ₱12,000/month
+      father_income: parsed.father_income ?? 13000,   // default: ₱13,000/month
+      gwa: parsed.gwa ?? 2.5,                          // default: 2.5 (good standing)
       enrollment_status: "Currently Enrolled",
       school: "Mock University",
-      course: "Computer Science"
+      course: "Computer Science",
+      // Anything else a document type's parser found (e.g. household_income)
+      ...Object.fromEntries(Object.entries(parsed).filter(([, value]) => value !== null))
     },
-    evaluation: {                     // Detailed evaluation breakdown
-      income_check: {
-        passed: incomePass,
-        mother_value_found: mockMotherIncome,
-        father_value_found: mockFatherIncome,
-        total_value_found: mockTotalIncome,
-        threshold: maxIncome,
-        income_verified: true,        // Pretend certificates were verified
-        reason: incomePass 
-          ? `Combined income ₱${mockTotalIncome.toLocaleString()} is below threshold ₱${maxIncome.toLocaleString()}` 
-          : `Combined income ₱${mockTotalIncome.toLocaleString()} exceeds threshold ₱${maxIncome.toLocaleString()}`
-      },
-      gwa_check: {
-        passed: gwaPass,
-        value_found: mockGWA,
-        threshold: maxGWA,
-        reason: gwaPass 
-          ? `GWA ${mockGWA} meets requirement (≤${maxGWA})` 
-          : `GWA ${mockGWA} does not meet requirement (>${maxGWA})`
-      }
-    },
-    disqualification_reasons: qualified ? [] : [
-      ...(!incomePass ? ['Combined income exceeds limit'] : []),
-      ...(!gwaPass ? ['GWA below requirement'] : [])
-    ],
     confidence_score: 95,             // Fake confidence score
     ocr_quality: "good",              // Pretend OCR worked well
-    notes: "⚠️ MOCK EVALUATION - This is simulated data for testing without OpenAI API"
+    notes: "⚠️ MOCK EVALUATION - Values found by the heuristic parsers are used; the rest is simulated data for testing without an AI API"
+  };
+
+  // ── Evaluate Qualification ──────────────────────────────────────────
+  // Same rule engine as real evaluations (income totals, GWA, etc.)
+  if (resubmission) {
+    const { previous, fields } = resubmission;
+    return carryOver(buildEvaluation(mergeExtraction(previous, extraction, fields), rules, household), previous, fields);
+  }
+  return buildEvaluation(extraction, rules, household);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMBINE EXTRACTION + RULES - Final evaluation object stored in the database
+// ═══════════════════════════════════════════════════════════════════════════════
+// The AI (or mock) supplies extracted_data, confidence_score, ocr_quality and
+// notes. The rule engine supplies qualified, evaluation.* and
+// disqualification_reasons. Result shape is unchanged for the frontend.
+// household: { size, income_fields } of a declared household (services/household.js);
+// kept in the result so a reviewer's corrections are re-checked the same way
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function buildEvaluation(extraction, rules, household = null) {
+  const decision = applyRules(extraction.extracted_data || {}, rules, household);
+
+  return {
+    qualified: decision.qualified,
+    extracted_data: decision.extracted_data,
+    evaluation: decision.evaluation,
+    disqualification_reasons: decision.disqualification_reasons,
+    confidence_score: extraction.confidence_score,
+    ocr_quality: extraction.ocr_quality,
+    notes: extraction.notes ?? null,
+    // Reasons a human must look at this application: [{ code, message, details }]
+    review_flags: [],
+    household
   };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// STEP 3: AI-POWERED EVALUATION - Use Groq + Llama AI to evaluate documents
+// RESUBMISSION - Only the replaced documents are read again
+// ═══════════════════════════════════════════════════════════════════════════════
+// When an applicant replaces documents a reviewer asked for
+// (services/documentRequests.js), only those documents go to the AI. The
+// fields they provide come from the new reading; every other value stays as
+// it was (reviewer corrections included) and the rule engine runs again on
+// the result, so only the checks those fields feed can change.
+// previous: the evaluation before the replacement; fields: what the replaced
+// documents provide
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function mergeExtraction(previous, extraction, fields) {
+  const read = extraction.extracted_data || {};
+  return {
+    extracted_data: { ...previous.extracted_data, ...Object.fromEntries(fields.map(field => [field, read[field] ?? null])) },
+    // As sure as the least certain of the two readings
+    confidence_score: Math.min(previous.confidence_score, extraction.confidence_score),
+    ocr_quality: extraction.ocr_quality,
+    notes: extraction.notes ?? null
+  };
+}
+
+// Keep what still applies from the previous evaluation: parser mismatches of
+// fields that were not read again and the reviewer's corrections
+function carryOver(evaluation, previous, fields) {
+  const kept = (previous.heuristic_check?.mismatches || []).filter(m => !fields.includes(m.field));
+  if (kept.length) {
+    const mismatches = [...kept, ...(evaluation.heuristic_check?.mismatches || [])];
+    evaluation.heuristic_check = { ...previous.heuristic_check, ...evaluation.heuristic_check, mismatches };
+    evaluation.review_flags = [
+      ...evaluation.review_flags.filter(flag => flag.code !== 'parser_mismatch'),
+      parserMismatchFlag(mismatches)
+    ];
+  }
+  if (previous.corrections) evaluation.corrections = previous.corrections;
+  evaluation.rechecked_fields = fields;
+  return evaluation;
+}
+
+// Review flag for AI vs parser disagreements (heuristic_check.mismatches)
+function parserMismatchFlag(mismatches) {
+  return {
+    code: 'parser_mismatch',
+    message: 'AI and document parser disagree on: ' + mismatches.map(m => m.field.replace(/_/g, ' ')).join(', '),
+    details: mismatches
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEP 3: AI-POWERED EXTRACTION - Use the configured LLM to read the documents
 // ═══════════════════════════════════════════════════════════════════════════════
 // HOW IT WORKS:
-// 1. Build a detailed prompt with rules and extracted text
-// 2. Send prompt to Groq API (which runs Meta's Llama AI model)
+// 1. Build a prompt listing the fields we need (from the scholarship rules and
+//    the document types) with the text of each uploaded document
+// 2. Send prompt to the configured provider (Groq by default)
 // 3. AI analyzes the text and extracts key information:
 //    - Parent incomes from certificates
 //    - GWA from report cards
 //    - Student details (name, school, course)
-// 4. AI checks if student qualifies based on scholarship rules
+//    - Any extra field a rule needs (e.g. max_age → age) or a document
+//      type provides (document_types.fields)
+// 4. The rule engine (services/ruleEngine.js) computes totals and decides
+//    every check - the AI never decides pass/fail
 // 5. Returns structured JSON with evaluation results
 //
-// AI MODEL USED: llama-3.3-70b-versatile
-// - Created by: Meta (Facebook)
-// - Hosted/Run by: Groq (ultra-fast inference platform)
+// AI MODEL USED (default): llama-3.3-70b-versatile on Groq
+// - Created by: Meta (Facebook), hosted/run by Groq
 // - Free tier: 14,400 requests per day
+// - Change with LLM_PROVIDER / <PROVIDER>_MODEL in .env (see config/llm.js)
+//
+// programContext: what the documents are for, from the program's
+// prompt_context (e.g. "a Philippine university athletic scholarship")
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function evaluateWithAI(extractedText, rules, incomeVerification = null) {
-  // ── Check if Mock Mode ──────────────────────────────────────────────
-  // If testing without API, return simulated results instead
-  if (USE_MOCK_MODE) {
-    return generateMockEvaluation(extractedText, rules);
-  }
-
-  // ── Build Rules Text ────────────────────────────────────────────────
-  // Convert rules object into human-readable text for AI
-  // Example: "- max_monthly_income: 30000\n- max_gwa: 3.0"
-  const rulesText = Object.entries(rules)
-    .map(([k, v]) => `- ${k}: ${v}`)
-    .join('\n');
-
-  // ── Build Income Verification Section (if provided) ────────────────
-  // When user uploads 3 documents (mother cert, father cert, report card),
-  // we need to verify incomes match what they claimed in the form
-  const incomeVerificationSection = incomeVerification ? `
-INCOME VERIFICATION REQUIRED:
-The user claimed:
-- Mother's monthly income: ₱${incomeVerification.motherIncome.toLocaleString()}
-- Father's monthly income: ₱${incomeVerification.fatherIncome.toLocaleString()}
-- Combined income: ₱${(incomeVerification.motherIncome + incomeVerification.fatherIncome).toLocaleString()}
-
-YOU MUST:
-1. Extract the mother's income from the MOTHER'S INCOME CERTIFICATE TEXT below
-2. Extract the father's income from the FATHER'S INCOME CERTIFICATE TEXT below
-3. Calculate the TOTAL combined household income
-4. Verify if the extracted incomes match what the user claimed
-5. Check if the total income is within the threshold (${rules.max_monthly_income || '30000'})
-
-MOTHER'S INCOME CERTIFICATE TEXT:
-"""
-${incomeVerification.motherText}
-"""
-
-FATHER'S INCOME CERTIFICATE TEXT:
-"""
-${incomeVerification.fatherText}
-"""
+const DEFAULT_PROGRAM_CONTEXT = 'a Philippine university scholarship program';
 
-CRITICAL: You must extract numeric income values from these certificates. Look for:
+// Extra instructions for the documents of each extractor (document_types.extractor)
+const EXTRACTOR_GUIDANCE = {
+  income: `CRITICAL: You must extract numeric income values from the income documents. Look for:
 - Salary amounts
 - Monthly income figures  
 - Compensation details
@@ -276,133 +414,278 @@ EXAMPLES of what income might look like in certificates:
 - "Gross Monthly Income: 18,000.00"
 - "Compensation: Fifteen thousand pesos (₱15,000) per month"
 
-If you cannot find clear income information in a certificate, set that parent's income to null.
-If BOTH certificates have no income info, mark income_verified as false and passed as false.
-` : '';
+If you cannot find clear income information in a document, set its field to null.`,
+  grades: 'For grades, look for "GWA", "General Weighted Average", or the overall grade.'
+};
+
+// A single document evaluated on its own (scenario 3) is read as a report card
+const SINGLE_DOCUMENT = { label: 'Report card / grades document', extractor: 'grades', fields: ['gwa'], checks: [] };
+
+// documents: [{ label, extractor, fields, checks, text }] - one per uploaded
+// document, described by its type (see services/documents.js)
+// household: { size, income_fields } when the applicant declared a household
+// previous: evaluation to update after a resubmission - documents are then only
+// the replaced ones (see RESUBMISSION above)
+async function evaluateWithAI(documents, rules, trace = {}, programContext = DEFAULT_PROGRAM_CONTEXT, household = null, previous = null) {
+  // ── Run the Heuristic Parsers ───────────────────────────────────────
+  // Independent of the AI: regex/number-word parsing of each document
+  const heuristics = runHeuristics(documents);
+  const documentFields = [...new Set(documents.flatMap(doc => doc.fields))];
+
+  // ── Check if Mock Mode ──────────────────────────────────────────────
+  // If testing without API, return simulated results instead
+  if (USE_MOCK_MODE) {
+    Object.assign(trace, { provider: 'mock', model: null });
+    return generateMockEvaluation(rules, heuristics, household, previous && { previous, fields: documentFields });
+  }
+
+  // ── Nothing to Read Again ───────────────────────────────────────────
+  // Replaced documents without fields (e.g. a death certificate): the
+  // previous reading stands and only the rules run again
+  if (previous && !documentFields.length) {
+    Object.assign(trace, { provider: null, model: null });
+    return carryOver(buildEvaluation(previous, rules, household), previous, []);
+  }
+
+  // ── Build Field List ────────────────────────────────────────────────
+  // Every field a rule depends on or a document provides, so new rules and
+  // document types need no prompt edits (after a resubmission: only what
+  // the replaced documents provide)
+  // Example: '    "gwa": number, string or null'
+  const fields = previous ? documentFields : [...new Set([...extractionFields(rules), ...documentFields])];
+  const fieldsText = fields
+    .map(field => `    "${field}": number, string or null`)
+    .join(',\n');
+
+  // ── Build Document Sections ─────────────────────────────────────────
+  // One block of text per uploaded document, headed by its label, then the
+  // guidance for the kinds of documents present
+  const documentSections = documents.map(doc => `${doc.label.toUpperCase()} TEXT:
+"""
+${doc.text}
+"""`).join('\n\n');
+
+  const guidance = [...new Set(documents.map(doc => doc.extractor))]
+    .filter(extractor => EXTRACTOR_GUIDANCE[extractor])
+    .map(extractor => EXTRACTOR_GUIDANCE[extractor])
+    .join('\n\n');
+
+  // Which field to read from which document
+  // Example: '   - mother_income: from Mother's Income Certificate'
+  const sourcesText = documents
+    .flatMap(doc => doc.fields.map(field => `   - ${field}: from ${doc.label}`))
+    .join('\n');
 
   // ── Build Complete AI Prompt ────────────────────────────────────────
   // This is the instruction we send to the AI model
   // It tells the AI exactly what to look for and how to respond
   const prompt = `
-You are a scholarship application evaluator for a Philippine university scholarship program.
-
-SCHOLARSHIP QUALIFICATION RULES:
-${rulesText}
+You are a document data extractor for ${programContext}.
+Your ONLY job is to read the documents and report the values you find.
+Do NOT decide whether the applicant qualifies - that is computed separately.
 
-NOTES ON GRADING SYSTEM:
+NOTES ON DOCUMENTS:
 - Philippine GWA scale: 1.0 = highest, 5.0 = failed
-- A GWA of 3.0 means minimum passing — applicant must have 3.0 OR BETTER (lower number = better)
-- So if max_gwa = 3.0, the applicant passes if their GWA is 1.0, 1.5, 2.0, 2.5, or 3.0
 - Monthly income is in Philippine Pesos (PHP / ₱)
 
-${incomeVerificationSection}
+${documentSections}
 
-REPORT CARD / GRADES DOCUMENT TEXT (for GWA extraction):
-"""
-${incomeVerification ? incomeVerification.reportText : extractedText}
-"""
+${guidance}
 
-ANALYSIS INSTRUCTIONS:
-1. Extract MOTHER'S INCOME from mother's certificate (look for salary/monthly income)
-   - Search for numbers with ₱, PHP, peso, salary, income keywords
-   - Return the numeric value only (e.g., 15000, not "15,000" or "₱15,000")
-2. Extract FATHER'S INCOME from father's certificate (look for salary/monthly income)
-   - Search for numbers with ₱, PHP, peso, salary, income keywords
-   - Return the numeric value only (e.g., 12000)
-3. Calculate TOTAL HOUSEHOLD INCOME = mother_income + father_income
-   - Example: if mother = 15000 and father = 12000, total = 27000
-4. Extract GWA/GRADE from report card
-   - Look for "GWA", "General Weighted Average", or overall grade
-5. Determine if the applicant QUALIFIES:
-   - Income check: PASSES if total_income ≤ ${rules.max_monthly_income || '30000'}
-   - GWA check: PASSES if gwa ≤ ${rules.max_gwa || '3.0'} (remember: 1.0 is best, 5.0 is worst)
-   - Overall: QUALIFIED only if BOTH checks pass
-
-IMPORTANT: 
-- If you find mother_income = 15000 and father_income = 12000, then total = 27000
-- Compare the total (27000) to threshold (30000): 27000 < 30000 means PASSED
-- Set "passed": true if total is less than or equal to threshold
-- Do NOT pass the check if income values are null
-
-Carefully analyze the document and respond ONLY with a valid JSON object:
+EXTRACTION INSTRUCTIONS:
+1. Read each of these fields from its own document:
+${sourcesText || '   (no document-specific fields)'}
+   - Return numeric values only (e.g., 15000, not "15,000" or "₱15,000")
+2. Extract every other field listed below if it appears in the documents
+3. Do NOT add, total or compare values - report each one exactly as found
+4. Use null for anything you cannot find clearly
+
+Carefully analyze the documents and respond ONLY with a valid JSON object:
 {
-  "qualified": true or false,
   "extracted_data": {
-    "applicant_name": "string or null",
-    "mother_income": number or null,
-    "father_income": number or null,
-    "total_income": number or null,
-    "gwa": number or null,
-    "enrollment_status": "string or null",
-    "school": "string or null",
-    "course": "string or null"
-  },
-  "evaluation": {
-    "income_check": {
-      "passed": true/false,
-      "mother_value_found": number or null (extracted from mother's certificate),
-      "father_value_found": number or null (extracted from father's certificate),
-      "total_value_found": number or null (mother + father),
-      "threshold": number (max allowed income),
-      "income_verified": true/false (true if certificates are readable and have income data),
-      "reason": "Explain what income values you found and whether total is within threshold. Example: 'Mother: ₱15,000, Father: ₱12,000, Total: ₱27,000 is below threshold ₱30,000'"
-    },
-    "gwa_check": {
-      "passed": true/false,
-      "value_found": number or null,
-      "threshold": number,
-      "reason": "concise explanation"
-    }
+${fieldsText}
   },
-  "disqualification_reasons": [],
-  "confidence_score": 0-100,
+  "confidence_score": 0-100 (how sure you are the values above were read correctly),
   "ocr_quality": "good/fair/poor",
-  "notes": "any important observations"
+  "notes": "where each value was found and any important observations"
 }
 `;
 
-  // ── Make API Call to Groq (runs Llama AI) ──────────────────────────
-  // This sends the prompt to Groq's servers where Meta's Llama model analyzes it
-  const response = await groq.chat.completions.create({
-    // MODEL SELECTION:
-    // - 'llama-3.3-70b-versatile': Meta's Llama 3.3 with 70 billion parameters
-    // - "70b" = 70 billion parameters (more params = smarter AI)
-    // - "versatile" = good at various tasks (classification, extraction, analysis)
-    // - Hosted on Groq's LPU (Language Processing Unit) chips for speed
-    // - Alternative models available: mixtral, gemma, etc.
-    model: 'llama-3.3-70b-versatile',
-    
-    // MESSAGES: The conversation sent to AI
-    messages: [
-      // System message: Defines AI's role and behavior
-      { 
-        role: 'system', 
-        content: 'You are a precise document evaluator. Always respond with valid JSON only. No markdown, no backticks.' 
-      },
-      // User message: The actual task/prompt with documents to analyze
-      { 
-        role: 'user', 
-        content: prompt 
-      }
-    ],
-    
-    // TEMPERATURE: Controls randomness/creativity (0.0 to 2.0)
-    // - 0.0 = Most deterministic/consistent (same input → same output)
-    // - 1.0 = Balanced creativity
-    // - 2.0 = Very creative/random
-    // We use 0.1 for consistent, accurate data extraction
-    temperature: 0.1,
-    
-    // RESPONSE FORMAT: Force AI to return valid JSON
-    // - Ensures AI doesn't wrap response in markdown code blocks
-    // - Makes parsing easier and more reliable
-    response_format: { type: 'json_object' }
+  // ── Make API Call to the Configured Provider ──────────────────────
+  // Groq, an OpenAI-compatible server, Gemini or fixture replay - the
+  // provider handles model, temperature, timeout and JSON mode settings
+  if (!llm) {
+    throw new Error('No AI provider configured. Set LLM_PROVIDER and its API key, or USE_MOCK_EVALUATION=true');
+  }
+
+  const messages = [
+    // System message: Defines AI's role and behavior
+    { 
+      role: 'system', 
+      content: 'You are a precise document data extractor. Always respond with valid JSON only. No markdown, no backticks.' 
+    },
+    // User message: The actual task/prompt with documents to analyze
+    { 
+      role: 'user', 
+      content: prompt 
+    }
+  ];
+  Object.assign(trace, { provider: llm.name, model: llm.model, prompt: messages });
+
+  const result = await requestExtraction(messages, rules, trace);
+
+  // ── Still Invalid After Every Retry → Manual Review ─────────────────
+  if (!result.ok) {
+    return invalidOutputEvaluation(result);
+  }
+
+  // ── Apply Rules ─────────────────────────────────────────────────────
+  // The rule engine decides qualified/income_check/gwa_check in code
+  const extraction = previous ? mergeExtraction(previous, result.extraction, documentFields) : result.extraction;
+  const evaluation = buildEvaluation(extraction, rules, household);
+
+  // ── Cross-Check AI Against the Parsers ──────────────────────────────
+  // Any disagreement sends the application to a reviewer with both values
+  // (only the documents whose type asks for it)
+  const crossChecked = documents.filter(doc => doc.checks.includes('parser_cross_check')).flatMap(doc => doc.fields);
+  evaluation.heuristic_check = crossCheck(evaluation.extracted_data, heuristics, crossChecked);
+  if (evaluation.heuristic_check.mismatches.length > 0) {
+    evaluation.review_flags.push(parserMismatchFlag(evaluation.heuristic_check.mismatches));
+  }
+  return previous ? carryOver(evaluation, previous, documentFields) : evaluation;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLAIMED vs DOCUMENTED INCOME - Compare the form with the certificates
+// ═══════════════════════════════════════════════════════════════════════════════
+// Adds evaluation.income_discrepancy_check (see compareClaimedIncome in
+// services/ruleEngine.js). A declared value (e.g. a parent's income) outside the
+// tolerance of what its document shows sends the application to a reviewer.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// claims: { <field>: value } declared in the form (see claimsOf in services/documents.js)
+function addIncomeDiscrepancyCheck(evaluation, claims, rules) {
+  const check = compareClaimedIncome(evaluation.extracted_data, claims, rules);
+  evaluation.income_discrepancy_check = check;
+
+  if (check.discrepancies.length > 0) {
+    evaluation.review_flags.push({
+      code: 'income_discrepancy',
+      message: 'Declared income does not match the certificate - ' +
+        check.discrepancies.map(d => d.reason).join('; '),
+      details: check.discrepancies
+    });
+  }
+  return evaluation;
+}
+
+// ── Audit Trace ─────────────────────────────────────────────────────────
+// evaluateWithAI fills a trace object with everything needed to explain the
+// decision later (stored in evaluation_runs by services/evaluationRuns.js):
+// { provider, model, prompt: [messages], responses: [{ content, usage, latency_ms, model }],
+//   usage: { prompt_tokens, completion_tokens, total_tokens }, latency_ms }
+function recordCall(trace, response, latencyMs) {
+  trace.responses = trace.responses || [];
+  trace.responses.push({
+    content: response.content,
+    usage: response.usage || null,
+    latency_ms: latencyMs,
+    model: response.model || null
   });
 
-  // ── Parse and Return AI Response ────────────────────────────────────
-  // Extract the JSON string from AI response and parse it into JavaScript object
-  // response.choices[0].message.content contains the AI's text reply
-  return JSON.parse(response.choices[0].message.content);
+  const usage = trace.usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  for (const key of Object.keys(usage)) usage[key] += (response.usage && response.usage[key]) || 0;
+  trace.usage = usage;
+  trace.latency_ms = (trace.latency_ms || 0) + latencyMs;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATE + RETRY - Never trust the AI reply's shape
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every reply is checked against the extraction schema (services/evaluationSchema.js):
+// types, ranges (confidence 0-100, GWA 1-5), enums (ocr_quality) and required
+// keys. Harmless mistakes ("₱15,000", "85%", code fences) are repaired silently.
+// Anything else is sent back to the model together with the list of errors, up
+// to LLM_MAX_REPAIR_ATTEMPTS times. Returns:
+// - { ok: true, extraction, attempts }
+// - { ok: false, errors, attempts, rawOutputs } when the model never got it right
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function requestExtraction(messages, rules, trace = {}) {
+  const conversation = [...messages];
+  const rawOutputs = [];
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxRepairAttempts + 1; attempt++) {
+    const startedAt = Date.now();
+    const response = await llm.chat({
+      messages: conversation,
+      // Ask the provider for a JSON-only reply (json_object / application/json)
+      json: true
+    });
+    rawOutputs.push(response.content);
+    recordCall(trace, response, Date.now() - startedAt);
+
+    const checked = checkExtraction(response.content, rules);
+    if (checked.ok) {
+      return { ok: true, extraction: checked.value, attempts: attempt };
+    }
+
+    errors = checked.errors;
+    console.warn(`⚠️  Invalid AI reply (attempt ${attempt}): ${errors.join('; ')}`);
+
+    // Show the model its own reply and exactly what was wrong with it
+    conversation.push(
+      { role: 'assistant', content: String(response.content ?? '') },
+      {
+        role: 'user',
+        content: `Your reply does not match the required format:\n${errors.map(e => `- ${e}`).join('\n')}\n\n` +
+          'Reply again with ONLY the corrected JSON object, using the same keys as requested. ' +
+          'Numbers must be plain numbers (15000, not "₱15,000"); use null for values you cannot find.'
+      }
+    );
+  }
+
+  return { ok: false, errors, attempts: maxRepairAttempts + 1, rawOutputs };
+}
+
+// The AI never produced a usable reply: nothing is decided automatically.
+// The raw replies are kept so a reviewer (or developer) can see what went wrong.
+function invalidOutputEvaluation({ errors, attempts, rawOutputs }) {
+  return {
+    qualified: false,
+    extracted_data: {},
+    evaluation: {},
+    disqualification_reasons: [],
+    confidence_score: 0,
+    ocr_quality: 'poor',
+    notes: 'The AI reply could not be validated, so this application needs a manual review.',
+    review_flags: [{
+      code: 'invalid_model_output',
+      message: `AI reply was still invalid after ${attempts} attempt(s)`,
+      details: { errors }
+    }],
+    raw_model_output: rawOutputs
+  };
+}
+
+// Last line of defence before anything is saved: a final evaluation that does
+// not match EVALUATION_SCHEMA (e.g. a rule engine bug) goes to a reviewer too
+function ensureValidEvaluation(evaluation) {
+  const errors = validateEvaluation(evaluation);
+  if (errors.length === 0) return evaluation;
+
+  console.error(`❌ Evaluation failed schema validation: ${errors.join('; ')}`);
+  return {
+    ...invalidOutputEvaluation({ errors, attempts: 1, rawOutputs: evaluation.raw_model_output || [] }),
+    notes: 'The evaluation result could not be validated, so this application needs a manual review.',
+    review_flags: [{
+      code: 'invalid_evaluation',
+      message: 'Evaluation result failed schema validation',
+      details: { errors }
+    }],
+    raw_evaluation: evaluation
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -414,57 +697,67 @@ Carefully analyze the document and respond ONLY with a valid JSON object:
 // SCENARIO 1: Extract Only Mode (extractOnly = true)
 //   - User uploads a single document just to see extracted text
 //   - Used for testing/debugging OCR quality
-//   - Returns: { extractedText: "..." }
+//   - Returns: { extractedText: "...", extraction: { text, method, pages } }
 //
-// SCENARIO 2: Income Verification Mode (incomeVerification provided)
-//   - User uploads 3 documents: mother cert, father cert, report card
-//   - System verifies claimed incomes match certificates
-//   - Returns: { evaluation: {...} }
+// SCENARIO 2: Application Mode (submission provided)
+//   - The text of every document the applicant uploaded, with its type
+//   - System verifies declared values (e.g. incomes) match the documents
+//   - Returns: { evaluation: {...}, trace: {...} } (trace = audit details,
+//     see recordCall, plus the rules snapshot and rules version used)
 //
 // SCENARIO 3: Simple Evaluation Mode (default)
 //   - User uploads single document (usually report card)
 //   - System extracts and evaluates based on rules
 //   - Returns: { extractedText: "...", evaluation: {...} }
+//
+// program: the programs row the application belongs to (scenarios 2 and 3) -
+// its rules and prompt_context are used
 // ═══════════════════════════════════════════════════════════════════════════════
 
-async function processApplication(imagePath, mimetype, incomeVerification = null, extractOnly = false) {
+async function processApplication(imagePath, mimetype, submission = null, extractOnly = false, program = null) {
   
   // ── SCENARIO 1: Extract-Only Mode ──────────────────────────────────
   // Just extract text from document without evaluation
   // Useful for testing if OCR is working correctly
   if (extractOnly && imagePath) {
-    const extractedText = await extractText(imagePath, mimetype);
-    return { extractedText };
+    const extraction = await extractText(imagePath, mimetype);
+    return { extractedText: extraction.text, extraction };
   }
 
-  // ── SCENARIO 2: Income Verification Mode ───────────────────────────
-  // Verify parent incomes from 3 uploaded certificates
-  // incomeVerification object contains:
-  // - motherText: extracted text from mother's income certificate
-  // - fatherText: extracted text from father's income certificate
-  // - reportText: extracted text from student's report card/grades
-  // - motherIncome: what user claimed as mother's income
-  // - fatherIncome: what user claimed as father's income
-  if (incomeVerification) {
-    const rules = await loadRules();                    // Load qualification rules from DB
+  // ── SCENARIO 2: Application Mode ───────────────────────────────────
+  // Evaluate every uploaded document of an application
+  // submission object contains:
+  // - documents: [{ label, extractor, fields, checks, text }], one per upload,
+  //   described by its document type (services/documents.js)
+  // - claims: values the applicant declared, e.g. { mother_income: 15000 }
+  // - household: { size, income_fields } of the declared household, or null
+  // - previous / changed: after a resubmission, the evaluation so far and the
+  //   keys of the replaced documents - only those are read again
+  if (submission) {
+    const { version, rules } = await loadRules(program.id);            // Program's rules in effect
+    const trace = { rules, rule_version: version, program_id: program.id };  // Audit details filled in below
+    const documents = submission.previous
+      ? submission.documents.filter(doc => submission.changed.includes(doc.key))
+      : submission.documents;
     const evaluation = await evaluateWithAI(
-      incomeVerification.combinedText || incomeVerification.reportText, 
-      rules, 
-      incomeVerification
+      documents, rules, trace, program.prompt_context, submission.household || null, submission.previous || null
     );
-    return { evaluation };
+    addIncomeDiscrepancyCheck(evaluation, submission.claims || {}, rules);  // Declared vs documented
+    return { evaluation: ensureValidEvaluation(evaluation), trace };
   }
 
   // ── SCENARIO 3: Simple Single-Document Evaluation ──────────────────
   // Extract text and evaluate in one go
   // Promise.all runs both operations in parallel for speed
-  const [extractedText, rules] = await Promise.all([
+  const [{ text: extractedText }, { rules }] = await Promise.all([
     extractText(imagePath, mimetype),    // Extract text from document
-    loadRules()                          // Load rules from database
+    loadRules(program.id)                // Load the program's rules from database
   ]);
 
   // Send extracted text to AI for evaluation
-  const evaluation = await evaluateWithAI(extractedText, rules);
+  const evaluation = ensureValidEvaluation(
+    await evaluateWithAI([{ ...SINGLE_DOCUMENT, text: extractedText }], rules, {}, program.prompt_context)
+  );
 
   // Return both the raw extracted text and the AI's evaluation
   return { extractedText, evaluation };
@@ -474,4 +767,5 @@ async function processApplication(imagePath, mimetype, incomeVerification = null
 // EXPORT: Make processApplication available to other files
 // ═══════════════════════════════════════════════════════════════════════════════
 // This function is imported by routes/applications.js to handle API requests
-module.exports = { processApplication };
\ No newline at end of file
+// loadRules is also used when a reviewer corrects extracted fields (services/adminReview.js)
+module.exports = { processApplication, loadRules, addIncomeDiscrepancyCheck, parserMismatchFlag };
\ No newline at end of file
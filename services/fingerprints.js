@@ -0,0 +1,220 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// FINGERPRINTS - The same document uploaded more than once
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every stored document (application_documents, and document_versions for
+// replaced ones) carries three fingerprints:
+//   content_hash    → SHA-256 of the file: the identical file
+//   perceptual_hash → 64-bit difference hash of an image: the same picture
+//                     resized, recompressed or lightly edited
+//   text_hash       → SHA-256 of the normalized extracted text: the same
+//                     certificate scanned again or saved in another format
+// File fingerprints are taken on upload, the text hash when the documents are
+// evaluated (evaluateDocuments in services/applicationPipeline.js).
+//
+// Each evaluation matches the application's documents against the documents
+// of every other submitted application (the applicant's own earlier ones
+// included, e.g. a certificate reused in a later cycle) and against the
+// other documents of the same application. Matches become a
+// 'duplicate_document' review flag listing the matching applications.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs       = require('fs');
+const crypto   = require('crypto');
+const sharp    = require('sharp');
+const supabase = require('../config/supabase');
+const { describeDocument } = require('./documents');
+
+// Images this close (differing bits out of 64) are treated as the same picture
+const MAX_IMAGE_DISTANCE = 6;
+
+// Shorter texts (after normalizing) are too generic to identify a document
+const MIN_TEXT_LENGTH = 40;
+
+// Rows asked for per request when reading candidates (see candidateRows)
+const PAGE_SIZE = 1000;
+
+const sha256 = data => crypto.createHash('sha256').update(data).digest('hex');
+
+// ── File Fingerprints ───────────────────────────────────────────────────
+
+// Difference hash: shrink to 9x8 grey pixels and compare each pixel with its
+// right neighbour. Returns 16 hex digits, or null when the image cannot be read
+async function perceptualHash(buffer) {
+  try {
+    const pixels = await sharp(buffer).rotate().greyscale().resize(9, 8, { fit: 'fill' }).raw().toBuffer();
+    let bits = 0n;
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) {
+        bits = (bits << 1n) | (pixels[y * 9 + x] > pixels[y * 9 + x + 1] ? 1n : 0n);
+      }
+    }
+    return bits.toString(16).padStart(16, '0');
+  } catch {
+    return null;
+  }
+}
+
+// Columns for an application_documents row: { content_hash, perceptual_hash }
+// mimetype: from the file extension (mimeFromPath)
+async function fingerprint(buffer, mimetype) {
+  return {
+    content_hash:    sha256(buffer),
+    perceptual_hash: mimetype.startsWith('image/') ? await perceptualHash(buffer) : null
+  };
+}
+
+// Same, for an uploaded temp file
+const fingerprintFile = (filePath, mimetype) => fingerprint(fs.readFileSync(filePath), mimetype);
+
+// Case, accents, spacing and punctuation are ignored, so the same text read
+// from a PDF or a photo hashes the same
+function textHash(text) {
+  if (typeof text !== 'string') return null;
+  const normalized = text.normalize('NFKD').toLowerCase().replace(/[^a-z0-9]/g, '');
+  return normalized.length >= MIN_TEXT_LENGTH ? sha256(normalized) : null;
+}
+
+function distance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let bits = 0;
+  for (; diff; diff >>= 1n) bits += Number(diff & 1n);
+  return bits;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MATCHING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const CANDIDATE_COLUMNS = 'id, application_id, doc_key, content_hash, perceptual_hash, text_hash, ' +
+  'application:applications(id, user_id, status, submitted_at)';
+
+// Rows of both tables matching filter, page by page: PostgREST returns at most
+// max-rows rows per request (1000 on Supabase) and says nothing about the rest.
+// Only an empty page ends the loop, so a lower max-rows cannot cut it short
+// either. Drafts are not submitted and never match.
+async function candidateRows(filter) {
+  const [current, versions] = await Promise.all(['application_documents', 'document_versions'].map(async table => {
+    const rows = [];
+    for (;;) {
+      const { data, error } = await filter(supabase.from(table).select(CANDIDATE_COLUMNS))
+        .order('id')
+        .range(rows.length, rows.length + PAGE_SIZE - 1);
+      if (error) throw error;
+      if (!data.length) break;
+      rows.push(...data);
+    }
+    return rows.map(row => ({ ...row, version: table === 'document_versions' }));
+  }));
+  return [...current, ...versions].filter(row => row.application && row.application.status !== 'draft');
+}
+
+// Documents and replaced versions sharing a hash
+async function candidates(column, values) {
+  const list = values.filter(Boolean);
+  if (!list.length) return [];
+  return candidateRows(query => query.in(column, list));
+}
+
+// Every image hash on file, compared in code (there is no index for "close to")
+const imageCandidates = () => candidateRows(query => query.not('perceptual_hash', 'is', null));
+
+// Store the text hashes of the application's documents (only those that changed)
+// documents: output of documentsOf; texts: { <doc key>: text }
+async function recordTextHashes(documents, texts) {
+  for (const doc of documents) {
+    const hash = textHash(texts[doc.doc_key]);
+    if (hash === (doc.text_hash ?? null)) continue;
+    const { error } = await supabase.from('application_documents').update({ text_hash: hash }).eq('id', doc.id);
+    if (error) throw error;
+    doc.text_hash = hash;
+  }
+}
+
+// The other documents each document of the application matches:
+// [{ doc_key, label, match: 'file' | 'image' | 'text', application_id, other_doc_key,
+//    same_applicant, same_application, earlier_version, distance? }]
+async function findDuplicates(application, documents) {
+  const [byContent, byText, images] = await Promise.all([
+    candidates('content_hash', documents.map(doc => doc.content_hash)),
+    candidates('text_hash', documents.map(doc => doc.text_hash)),
+    documents.some(doc => doc.perceptual_hash) ? imageCandidates() : []
+  ]);
+
+  const matches = [];
+  for (const doc of documents) {
+    const seen = new Set();
+    const add = (other, match, extra = {}) => {
+      // Itself, or an earlier version of a document of this application (a resubmission)
+      if (other.id === doc.id || (other.version && other.application_id === application.id)) return;
+      const key = `${other.version}:${other.id}`;
+      if (seen.has(key)) return;
+      seen.add(key);
+      matches.push({
+        doc_key:          doc.doc_key,
+        label:            describeDocument(doc).label,
+        match,
+        application_id:   other.application_id,
+        other_doc_key:    other.doc_key,
+        same_applicant:   other.application.user_id === application.user_id,
+        same_application: other.application_id === application.id,
+        earlier_version:  other.version,
+        ...extra
+      });
+    };
+
+    // Strongest evidence first, so each other document is reported once
+    for (const other of byContent) if (doc.content_hash && other.content_hash === doc.content_hash) add(other, 'file');
+    for (const other of byText) if (doc.text_hash && other.text_hash === doc.text_hash) add(other, 'text');
+    if (doc.perceptual_hash) {
+      for (const other of images) {
+        const d = distance(doc.perceptual_hash, other.perceptual_hash);
+        if (d <= MAX_IMAGE_DISTANCE) add(other, 'image', { distance: d });
+      }
+    }
+  }
+  return matches;
+}
+
+const MATCH_LABELS = { file: 'identical file', image: 'same image', text: 'same text' };
+
+// The review flag for the matches, or null
+function duplicateFlag(matches) {
+  if (!matches.length) return null;
+  const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  const labels = [...new Set(matches.map(m => m.label))];
+  const summary = labels.map(label => {
+    const own = matches.filter(m => m.label === label);
+    const kinds = [...new Set(own.map(m => MATCH_LABELS[m.match]))].join(', ');
+    const applications = filter => new Set(own.filter(filter).map(m => m.application_id)).size;
+    const others = applications(m => !m.same_applicant);
+    const earlier = applications(m => m.same_applicant && !m.same_application);
+    const where = [
+      others && count(others, "other applicant's application", "other applicants' applications"),
+      earlier && count(earlier, 'earlier application of this applicant', 'earlier applications of this applicant'),
+      own.some(m => m.same_application) && 'another document of this application'
+    ].filter(Boolean).join(', ');
+    return `${label}: ${kinds} in ${where}`;
+  });
+  return {
+    code: 'duplicate_document',
+    message: `Possible reused document - ${summary.join('; ')}`,
+    details: matches
+  };
+}
+
+// Text hashes recorded, then the flag for the application's documents (or null)
+// documents: output of documentsOf; texts: { <doc key>: text }
+async function checkDuplicates(application, documents, texts) {
+  await recordTextHashes(documents, texts);
+  return duplicateFlag(await findDuplicates(application, documents));
+}
+
+module.exports = {
+  fingerprint,
+  fingerprintFile,
+  perceptualHash,
+  textHash,
+  findDuplicates,
+  checkDuplicates,
+  MAX_IMAGE_DISTANCE
+};
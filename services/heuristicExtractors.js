@@ -0,0 +1,214 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// HEURISTIC EXTRACTORS - Code-based second opinion on what the AI extracted
+// ═══════════════════════════════════════════════════════════════════════════════
+// Plain parsers (regular expressions + a number-words parser), one per
+// document extractor (document_types.extractor, see services/documents.js):
+// - income → monthly peso amount near salary/income keywords
+//     "Monthly Salary: ₱15,000.00", "PHP 12000", "Fifteen thousand pesos"
+// - grades → GWA / General Weighted Average (1.0 - 5.0 scale)
+//
+// They run next to the AI. When both find a value and the values disagree (or
+// only one of them finds anything) the application is flagged for a reviewer,
+// who sees both values. In mock mode they are the only extractor.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Words that mark an amount as someone's income
+const INCOME_KEYWORDS = /(salary|income|compensation|earnings?|wage|sahod|kita|sweldo|suweldo|basic pay|gross pay)/i;
+
+// Amount near these words is per year and must be divided by 12
+const ANNUAL_KEYWORDS = /(annual|annually|yearly|per year|a year|per annum)/i;
+
+// How many characters around a keyword count as "near"
+const WINDOW = 120;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// WORDS → NUMBER - "Fifteen thousand five hundred" → 15500
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const UNITS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15, sixteen: 16,
+  seventeen: 17, eighteen: 18, nineteen: 19, twenty: 20, thirty: 30, forty: 40, fourty: 40,
+  fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+const SCALES = { hundred: 100, thousand: 1000, million: 1000000 };
+
+const NUMBER_WORD = new RegExp(`\\b(?:${[...Object.keys(UNITS), ...Object.keys(SCALES)].join('|')})\\b`, 'i');
+
+// Returns null when the phrase contains no number words
+function wordsToNumber(phrase) {
+  const words = String(phrase).toLowerCase().replace(/-/g, ' ').split(/[\s,]+/).filter(Boolean);
+  let total = 0;
+  let current = 0;
+  let found = false;
+
+  for (const word of words) {
+    if (word === 'and') continue;
+    if (UNITS[word] !== undefined) {
+      current += UNITS[word];
+      found = true;
+    } else if (word === 'hundred') {
+      current = (current || 1) * 100;
+      found = true;
+    } else if (SCALES[word]) {
+      total += (current || 1) * SCALES[word];
+      current = 0;
+      found = true;
+    } else if (found) {
+      break; // number phrase ended ("... pesos only")
+    }
+  }
+  return found ? total + current : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INCOME
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Every amount in the text: ₱/PHP/P-prefixed figures, figures followed by
+// "pesos", comma-grouped figures, and written-out amounts ending in "pesos"
+function findAmounts(text) {
+  const amounts = [];
+
+  const numeric = /(?:(₱|php|p)\s?)?(\d{1,3}(?:,\d{3})+(?:\.\d{1,2})?|\d{4,7}(?:\.\d{1,2})?)(\s*pesos?)?/gi;
+  for (const m of text.matchAll(numeric)) {
+    // A bare number needs a currency marker or thousands separators,
+    // otherwise years ("2024") and ID numbers would count as income
+    if (!m[1] && !m[3] && !m[2].includes(',')) continue;
+    if (m[1] && m[1].toLowerCase() === 'p' && /[a-z]/i.test(text[m.index - 1] || '')) continue;
+    amounts.push({ value: parseFloat(m[2].replace(/,/g, '')), index: m.index, raw: m[0].trim() });
+  }
+
+  const written = /((?:[a-z]+[\s-]+){0,8}?[a-z]+)\s+pesos?\b/gi;
+  for (const m of text.matchAll(written)) {
+    if (!NUMBER_WORD.test(m[1])) continue;
+    // Start the phrase at its first number word ("Compensation: Fifteen thousand")
+    const start = m[1].search(NUMBER_WORD);
+    const value = wordsToNumber(m[1].slice(start));
+    if (value) amounts.push({ value, index: m.index + start, raw: m[0].slice(start).trim() });
+  }
+
+  return amounts;
+}
+
+// Monthly income from an income certificate
+// Returns { value, candidates: [{ value, raw, period, snippet }] }
+function extractIncome(text = '') {
+  const candidates = [];
+
+  for (const amount of findAmounts(text)) {
+    const before = text.slice(Math.max(0, amount.index - WINDOW), amount.index);
+    const around = text.slice(Math.max(0, amount.index - WINDOW), amount.index + amount.raw.length + 40);
+    if (!INCOME_KEYWORDS.test(before) && !INCOME_KEYWORDS.test(around)) continue;
+
+    const annual = ANNUAL_KEYWORDS.test(around) && !/monthly|per month|a month|kada buwan/i.test(around);
+    candidates.push({
+      value: annual ? Math.round(amount.value / 12) : amount.value,
+      raw: amount.raw,
+      period: annual ? 'annual' : 'monthly',
+      snippet: around.replace(/\s+/g, ' ').trim(),
+      index: amount.index
+    });
+  }
+
+  // "Fifteen thousand pesos (₱15,000)" yields the same amount twice - keep one
+  const unique = candidates.filter((c, i) => candidates.findIndex(o => o.value === c.value) === i);
+
+  // First income amount in the document wins (certificates state it once,
+  // later amounts are usually deductions or totals for other periods)
+  unique.sort((a, b) => a.index - b.index);
+  return {
+    value: unique.length ? unique[0].value : null,
+    candidates: unique.map(({ index, ...c }) => c)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GWA
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const GWA_PATTERN = /(general\s+weighted\s+average|weighted\s+average|general\s+average|\bgwa\b)\s*[:=\-–]?\s*(\d(?:\.\d{1,4})?)(?!\d)/gi;
+
+// GWA from a report card (Philippine 1.0 - 5.0 scale)
+// Returns { value, candidates: [{ value, raw, snippet }] }
+function extractGwa(text = '') {
+  const candidates = [];
+  for (const m of text.matchAll(GWA_PATTERN)) {
+    const value = parseFloat(m[2]);
+    if (value < 1 || value > 5) continue; // not on the 1.0 - 5.0 scale
+    candidates.push({
+      value,
+      raw: m[0].trim(),
+      snippet: text.slice(Math.max(0, m.index - 20), m.index + m[0].length + 20).replace(/\s+/g, ' ').trim()
+    });
+  }
+
+  // The last GWA on a report card is normally the overall one
+  return {
+    value: candidates.length ? candidates[candidates.length - 1].value : null,
+    candidates
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RUN + CROSS-CHECK
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Parser per document extractor (document_types.extractor) and how close the
+// AI value must be to agree: within a peso (incomes) or 0.01 (GWA).
+// 'text' documents have no parser.
+const PARSERS = {
+  income: { parse: extractIncome, tolerance: 1 },
+  grades: { parse: extractGwa,    tolerance: 0.01 }
+};
+
+// Parse every document that has a parser
+// documents: [{ extractor, fields, text }] - the value found is reported for
+// each field the document provides (e.g. mother_income)
+function runHeuristics(documents = []) {
+  const values = {};
+  const candidates = {};
+  const tolerances = {};
+
+  for (const doc of documents) {
+    const parser = PARSERS[doc.extractor];
+    if (!parser) continue;
+    const result = parser.parse(doc.text || '');
+    for (const field of doc.fields) {
+      values[field] = result.value;
+      candidates[field] = result.candidates;
+      tolerances[field] = parser.tolerance;
+    }
+  }
+
+  return { values, candidates, tolerances };
+}
+
+// Compare the AI's extracted_data with the parser values
+// fields: which parsed fields to compare (documents with the parser_cross_check check)
+// Returns { parser_values, candidates, mismatches: [{ field, model_value, parser_value }] }
+function crossCheck(extractedData, heuristics, fields = Object.keys(heuristics.values)) {
+  const mismatches = [];
+
+  for (const field of fields) {
+    const tolerance = heuristics.tolerances[field];
+    if (tolerance === undefined) continue;
+    const modelValue = extractedData[field] ?? null;
+    const parserValue = heuristics.values[field] ?? null;
+    if (modelValue === null && parserValue === null) continue;
+
+    const agree = modelValue !== null && parserValue !== null &&
+      Math.abs(Number(modelValue) - parserValue) <= tolerance;
+    if (!agree) {
+      mismatches.push({ field, model_value: modelValue, parser_value: parserValue });
+    }
+  }
+
+  return {
+    parser_values: heuristics.values,
+    candidates: heuristics.candidates,
+    mismatches
+  };
+}
+
+module.exports = { wordsToNumber, extractIncome, extractGwa, runHeuristics, crossCheck };
@@ -0,0 +1,229 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// HOUSEHOLD - Who lives with the applicant and who earns
+// ═══════════════════════════════════════════════════════════════════════════════
+// Programs with household_assessment ask the applicant to declare every
+// household member instead of assuming two earning parents, so solo-parent,
+// orphaned, guardian-supported and OFW households can apply truthfully.
+//
+// Each member has a relationship, a name and a STATUS. The status decides which
+// proof documents are needed and whether the member's income counts:
+//   earner      → declares a monthly income, proven by an income document
+//   non_earner  → no income; a proof (e.g. Certificate of No Income) is optional
+//   solo_parent → earning solo parent: Solo Parent ID + income document
+//   deceased    → death certificate; not part of the household size
+//
+// Proof documents are document types whose member_proof says what they prove
+// (services/documents.js), e.g. income_certificate proves 'earner'. The files
+// are application_documents rows linked to the member.
+//
+// From the declared members the rule engine computes total_income,
+// per_capita_income and household_size (services/ruleEngine.js).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+
+const RELATIONSHIPS = ['mother', 'father', 'guardian', 'grandparent', 'sibling', 'spouse', 'self', 'other'];
+
+// Relationships a household can only have one of
+const SINGLE = ['mother', 'father', 'self'];
+
+// proofs: member_proof kinds that must be uploaded; optional: kinds that may be
+const STATUSES = {
+  earner:      { label: 'Earning',               proofs: ['earner'],                optional: [],             declaresIncome: true,  counted: true },
+  non_earner:  { label: 'Not earning',           proofs: [],                        optional: ['non_earner'], declaresIncome: false, counted: true },
+  solo_parent: { label: 'Solo parent (earning)', proofs: ['solo_parent', 'earner'], optional: [],             declaresIncome: true,  counted: true },
+  deceased:    { label: 'Deceased',              proofs: ['deceased'],              optional: [],             declaresIncome: false, counted: false }
+};
+
+const MAX_MEMBERS = 20;
+
+// Upload field of a member's proof: member_<position>_<document type key>
+const MEMBER_FIELD = /^member_(\d+)_([a-z][a-z0-9_]*)$/;
+
+// Thrown for declarations the applicant can fix; status is the HTTP status to respond with
+class HouseholdError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'HouseholdError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+// extracted_data field holding a member's income:
+// mother → mother_income, self → applicant_income, guardian #3 → guardian_3_income
+function incomeField(relationship, position) {
+  if (relationship === 'self') return 'applicant_income';
+  return SINGLE.includes(relationship) ? `${relationship}_income` : `${relationship}_${position}_income`;
+}
+
+// "Mother", "Guardian (Maria Santos)"
+function memberLabel(member) {
+  const relationship = member.relationship.charAt(0).toUpperCase() + member.relationship.slice(1);
+  return member.full_name ? `${relationship} (${member.full_name})` : relationship;
+}
+
+// Split an upload field name into { position, typeKey }, or null for other fields
+function parseMemberField(fieldname) {
+  const match = fieldname.match(MEMBER_FIELD);
+  return match ? { position: Number(match[1]), typeKey: match[2] } : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION - The household an applicant declares with a submission
+// ═══════════════════════════════════════════════════════════════════════════════
+// raw: JSON of [{ relationship, full_name, status, monthly_income }] (position =
+// index + 1); files: { <position>: [multer file, with fieldname member_<position>_<type>] }
+// documentTypes: { <key>: document_types row }
+// Returns [{ position, relationship, full_name, status, monthly_income, income_field,
+//            proofs: [{ type, file }] }] or throws HouseholdError
+
+function validateHousehold(raw, files, documentTypes) {
+  let members;
+  try {
+    members = typeof raw === 'string' ? JSON.parse(raw) : raw;
+  } catch {
+    throw new HouseholdError('household must be a JSON list of members');
+  }
+  if (!Array.isArray(members) || !members.length) {
+    throw new HouseholdError('Declare at least one household member');
+  }
+  if (members.length > MAX_MEMBERS) throw new HouseholdError(`At most ${MAX_MEMBERS} household members`);
+
+  const strays = Object.keys(files).map(Number).filter(position => position < 1 || position > members.length);
+  if (strays.length) throw new HouseholdError(`Documents for undeclared member(s): ${strays.join(', ')}`);
+
+  const seen = new Set();
+  const declared = members.map((member, index) => {
+    const position = index + 1;
+    const where = `Member ${position}`;
+    const { relationship, status } = member || {};
+
+    if (!RELATIONSHIPS.includes(relationship)) {
+      throw new HouseholdError(`${where}: relationship must be one of ${RELATIONSHIPS.join(', ')}`);
+    }
+    if (SINGLE.includes(relationship)) {
+      if (seen.has(relationship)) throw new HouseholdError(`Only one household member can be "${relationship}"`);
+      seen.add(relationship);
+    }
+    const config = STATUSES[status];
+    if (!config) throw new HouseholdError(`${where}: status must be one of ${Object.keys(STATUSES).join(', ')}`);
+
+    let income = null;
+    if (config.declaresIncome) {
+      income = parseFloat(member.monthly_income);
+      if (Number.isNaN(income) || income < 0) {
+        throw new HouseholdError(`${where}: a valid monthly income is required for an earning member`);
+      }
+    }
+
+    // ── Proofs: one file per required kind, optional kinds allowed ──
+    const proofs = [];
+    for (const file of files[position] || []) {
+      const type = documentTypes[parseMemberField(file.fieldname).typeKey];
+      const allowed = [...config.proofs, ...config.optional];
+      if (!type || !allowed.includes(type.member_proof)) {
+        throw new HouseholdError(`${where}: ${type ? type.label : 'this document'} is not a proof for status "${status}"`);
+      }
+      if (proofs.some(proof => proof.type.member_proof === type.member_proof)) {
+        throw new HouseholdError(`${where}: upload only one document for each proof`);
+      }
+      if (file.size > type.max_size_mb * 1024 * 1024) {
+        throw new HouseholdError(`${where}: ${type.label} is too large (max ${type.max_size_mb}MB)`);
+      }
+      proofs.push({ type, file });
+    }
+    const missing = config.proofs.filter(kind => !proofs.some(proof => proof.type.member_proof === kind));
+    if (missing.length) {
+      throw new HouseholdError(`${where}: missing proof (${missing.join(', ')}) for status "${status}"`);
+    }
+
+    return {
+      position,
+      relationship,
+      full_name: typeof member.full_name === 'string' && member.full_name.trim() ? member.full_name.trim() : null,
+      status,
+      monthly_income: income,
+      income_field: config.declaresIncome ? incomeField(relationship, position) : null,
+      proofs
+    };
+  });
+
+  if (!declared.some(member => STATUSES[member.status].counted)) {
+    throw new HouseholdError('Declare at least one living household member');
+  }
+  return declared;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STORED HOUSEHOLD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Declared members of an application, in the order they were declared
+async function householdOf(application) {
+  const { data, error } = await supabase
+    .from('household_members')
+    .select('*')
+    .eq('application_id', application.id)
+    .order('position');
+  if (error) throw error;
+  return data;
+}
+
+// What the rule engine needs: { size, income_fields } - the applicant counts
+// as a member unless declared as 'self'; deceased members do not count
+function householdSummary(members) {
+  const living = members.filter(member => STATUSES[member.status]?.counted);
+  return {
+    size: living.length + (members.some(member => member.relationship === 'self') ? 0 : 1),
+    income_fields: living.filter(member => member.income_field).map(member => member.income_field)
+  };
+}
+
+// Declared incomes for the claimed-vs-documented comparison: { mother_income: 15000, ... }
+function declaredIncomes(members) {
+  const claims = {};
+  for (const member of members) {
+    if (member.income_field && member.monthly_income !== null) {
+      claims[member.income_field] = parseFloat(member.monthly_income);
+    }
+  }
+  return claims;
+}
+
+// What applicants see: the relationships and statuses with their proofs,
+// each proof listing the document types that can prove it
+function householdOptions(documentTypes) {
+  const typesFor = kind => documentTypes
+    .filter(type => type.member_proof === kind)
+    .map(({ key, label, description, accepted_formats, max_size_mb }) => ({ key, label, description, accepted_formats, max_size_mb }));
+
+  return {
+    relationships: RELATIONSHIPS,
+    statuses: Object.entries(STATUSES).map(([key, config]) => ({
+      key,
+      label: config.label,
+      declares_income: config.declaresIncome,
+      counted: config.counted,
+      proofs: [
+        ...config.proofs.map(kind => ({ kind, required: true, types: typesFor(kind) })),
+        ...config.optional.map(kind => ({ kind, required: false, types: typesFor(kind) }))
+      ]
+    }))
+  };
+}
+
+module.exports = {
+  validateHousehold,
+  householdOf,
+  householdSummary,
+  declaredIncomes,
+  householdOptions,
+  memberLabel,
+  parseMemberField,
+  HouseholdError,
+  STATUSES,
+  RELATIONSHIPS,
+  MAX_MEMBERS
+};
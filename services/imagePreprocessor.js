@@ -0,0 +1,151 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// IMAGE PREPROCESSING - Clean up phone photos before Tesseract reads them
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tesseract works best on upright, high-contrast, black-on-white text at a
+// decent resolution. Phone photos of certificates are usually none of those:
+// tilted, sideways (EXIF rotation), grey, shadowed, small, with a table or
+// hand around the paper. Each step below fixes one of those problems using
+// sharp (libvips), and VARIANTS combine steps into named recipes.
+//
+// STEPS:
+// - rotate    → apply EXIF orientation (photo taken sideways/upside down)
+// - grayscale → drop colour, Tesseract only needs brightness
+// - trim      → crop uniform borders around the document
+// - deskew    → detect the text angle and straighten it
+// - normalize → stretch contrast to the full black..white range
+// - upscale   → enlarge small images (Tesseract wants ~30px tall capitals)
+// - threshold → adaptive (local) black/white, handles uneven lighting/shadows
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs/promises');
+const sharp = require('sharp');
+
+// Images narrower than this are enlarged before OCR
+const MIN_WIDTH = parseInt(process.env.OCR_MIN_WIDTH || '1600');
+
+// Deskew search range: ±MAX_SKEW degrees in SKEW_STEP increments
+const MAX_SKEW  = parseFloat(process.env.OCR_MAX_SKEW || '10');
+const SKEW_STEP = 0.5;
+
+// Adaptive threshold: a pixel is black when darker than its neighbourhood
+// average minus this offset (higher = less noise, thinner text)
+const THRESHOLD_OFFSET = 10;
+
+// Named recipes tried by the OCR stage (see OCR_VARIANTS in .env)
+const VARIANTS = {
+  original:  ['rotate'],
+  enhanced:  ['rotate', 'grayscale', 'trim', 'deskew', 'normalize', 'upscale'],
+  binarized: ['rotate', 'grayscale', 'trim', 'deskew', 'normalize', 'upscale', 'threshold']
+};
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+// Single-channel raw pixels (0 = black, 255 = white)
+async function rawGray(buffer, transform = img => img) {
+  const { data, info } = await transform(sharp(buffer).toColourspace('b-w'))
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+function fromRawGray(data, width, height) {
+  return sharp(data, { raw: { width, height, channels: 1 } }).png().toBuffer();
+}
+
+// ── Skew Detection ──────────────────────────────────────────────────────
+// Projection-profile method: rotate the dark pixels by each candidate angle
+// and count them per row. When the angle matches the text lines, rows are
+// either full of ink or empty, so the sum of squared row counts peaks.
+async function estimateSkew(buffer) {
+  // A small copy is plenty to find the angle and keeps this fast
+  const { data, width, height } = await rawGray(buffer, img => img.resize({ width: 600, withoutEnlargement: true }));
+
+  const points = [];
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[y * width + x] < 128) points.push([x, y]);
+    }
+  }
+  if (points.length < 50) return 0; // nothing that looks like text
+
+  let bestAngle = 0;
+  let bestScore = -1;
+  for (let angle = -MAX_SKEW; angle <= MAX_SKEW; angle += SKEW_STEP) {
+    const rad = angle * Math.PI / 180;
+    const sin = Math.sin(rad);
+    const cos = Math.cos(rad);
+    const rows = new Map();
+    for (const [x, y] of points) {
+      const row = Math.round(y * cos - x * sin);
+      rows.set(row, (rows.get(row) || 0) + 1);
+    }
+    let score = 0;
+    for (const count of rows.values()) score += count * count;
+    if (score > bestScore) { bestScore = score; bestAngle = angle; }
+  }
+  return bestAngle;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STEPS - Each takes an image buffer and resolves to a new PNG buffer
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STEPS = {
+  rotate: buffer => sharp(buffer).rotate().png().toBuffer(),
+
+  grayscale: buffer => sharp(buffer).grayscale().png().toBuffer(),
+
+  // trim() fails on images with nothing to trim (e.g. blank) - keep as is
+  trim: buffer => sharp(buffer).trim({ threshold: 30 }).png().toBuffer().catch(() => buffer),
+
+  async deskew(buffer) {
+    const angle = await estimateSkew(buffer);
+    if (Math.abs(angle) < SKEW_STEP) return buffer;
+    // Lines slope by `angle` degrees; turn the image back the other way
+    return sharp(buffer).rotate(-angle, { background: '#ffffff' }).png().toBuffer();
+  },
+
+  normalize: buffer => sharp(buffer).normalise().png().toBuffer(),
+
+  async upscale(buffer) {
+    const { width } = await sharp(buffer).metadata();
+    if (!width || width >= MIN_WIDTH) return buffer;
+    const target = Math.min(MIN_WIDTH, width * 3); // never more than 3x
+    return sharp(buffer).resize({ width: target, kernel: 'lanczos3' }).png().toBuffer();
+  },
+
+  // Local mean via a Gaussian blur: each pixel is compared with its own
+  // neighbourhood, so a shadow across half the page doesn't turn it black
+  async threshold(buffer) {
+    const { data, width, height } = await rawGray(buffer);
+    const sigma = Math.max(8, Math.round(width / 80));
+    const { data: mean } = await rawGray(buffer, img => img.blur(sigma));
+
+    const out = Buffer.alloc(data.length);
+    for (let i = 0; i < data.length; i++) {
+      out[i] = data[i] < mean[i] - THRESHOLD_OFFSET ? 0 : 255;
+    }
+    return fromRawGray(out, width, height);
+  }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Run one named variant (or an explicit list of steps) on an image
+// input: file path or Buffer
+async function preprocess(input, variant = 'enhanced') {
+  const steps = Array.isArray(variant) ? variant : VARIANTS[variant];
+  if (!steps) throw new Error(`Unknown preprocessing variant "${variant}"`);
+
+  // Read the file as it is: converting it to PNG here would drop the EXIF
+  // orientation before the rotate step could apply it
+  let buffer = Buffer.isBuffer(input) ? input : await fs.readFile(input);
+  for (const step of steps) {
+    buffer = await STEPS[step](buffer);
+  }
+  return { buffer, steps };
+}
+
+module.exports = { preprocess, estimateSkew, VARIANTS, STEPS };
@@ -0,0 +1,275 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB QUEUE - Background worker for application evaluation
+// ═══════════════════════════════════════════════════════════════════════════════
+// Submissions no longer wait for OCR + AI. The route saves the application as
+// 'pending', calls enqueue(), and answers 202 right away. This worker then:
+// 1. Claims the oldest 'queued' row in application_jobs
+// 2. Runs services/applicationPipeline.js on it
+// 3. Stores progress on the job row and broadcasts it to live listeners (SSE)
+//
+// JOB STATUS: queued → running → completed | failed
+// - A failed job is put back in the queue until JOB_MAX_ATTEMPTS is reached,
+//   then marked 'failed' (and its application too) until retry() is called
+// - A running job renews heartbeat_at every HEARTBEAT_INTERVAL; one not renewed
+//   for JOB_LEASE_MS was left by a crashed or stopped server and is re-queued
+//   (at start and on every poll). Jobs another live instance is running keep
+//   their heartbeat fresh, so several instances can share the queue
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EventEmitter = require('events');
+const supabase     = require('../config/supabase');
+const { runPipeline, initialProgress } = require('./applicationPipeline');
+const { documentsOf } = require('./documents');
+
+const CONCURRENCY   = parseInt(process.env.JOB_CONCURRENCY || '1');
+const MAX_ATTEMPTS  = parseInt(process.env.JOB_MAX_ATTEMPTS || '2');
+const POLL_INTERVAL = 30 * 1000; // also picks up jobs queued by other server instances
+const HEARTBEAT_INTERVAL = 30 * 1000;
+// Must stay well above HEARTBEAT_INTERVAL so a busy server is not taken for a stopped one
+const LEASE_MS      = Math.max(parseInt(process.env.JOB_LEASE_MS || '120000'), 2 * HEARTBEAT_INTERVAL);
+
+const FINISHED = ['completed', 'failed'];
+
+// Live progress listeners (one event name per job id)
+const events = new EventEmitter();
+events.setMaxListeners(0);
+
+let active = 0;          // work loops currently running
+let rescan = false;      // a job was enqueued while all loops were busy
+let stopping = false;
+let pollTimer = null;
+
+// Shape sent to the frontend (same for GET /jobs/:id and SSE events)
+function publicJob(job) {
+  return {
+    id:             job.id,
+    application_id: job.application_id,
+    status:         job.status,
+    progress:       job.progress,
+    attempts:       job.attempts,
+    error:          job.error,
+    created_at:     job.created_at,
+    finished_at:    job.finished_at
+  };
+}
+
+async function updateJob(id, fields) {
+  const { data, error } = await supabase
+    .from('application_jobs')
+    .update(fields)
+    .eq('id', id)
+    .select()
+    .single();
+  if (error) throw error;
+  events.emit(id, publicJob(data));
+  return data;
+}
+
+// ── Claim ───────────────────────────────────────────────────────────────
+// The status='queued' condition on the update makes claiming safe even when
+// two loops (or two servers) pick the same row: only one update matches.
+// Errors are thrown, not read as an empty queue (kick() logs them)
+async function claimNextJob() {
+  const { data: next, error } = await supabase
+    .from('application_jobs')
+    .select('id, application_id, attempts')
+    .eq('status', 'queued')
+    .order('created_at', { ascending: true })
+    .limit(1)
+    .maybeSingle();
+  if (error) throw error;
+  if (!next) return null;
+
+  // Fresh progress, with the application's documents listed as pending
+  const progress = initialProgress(await documentsOf({ id: next.application_id }));
+  const now = new Date().toISOString();
+  const { data: claimed, error: claimError } = await supabase
+    .from('application_jobs')
+    .update({
+      status: 'running',
+      attempts: next.attempts + 1,
+      started_at: now,
+      heartbeat_at: now,
+      progress,
+      error: null
+    })
+    .eq('id', next.id)
+    .eq('status', 'queued')
+    .select()
+    .maybeSingle();
+  if (claimError) throw claimError;
+
+  // Someone else claimed it first - look for another one
+  return claimed || claimNextJob();
+}
+
+// ── Process One Job ─────────────────────────────────────────────────────
+async function processJob(job) {
+  console.log(`⚙️  Job ${job.id} started (attempt ${job.attempts})`);
+  events.emit(job.id, publicJob(job));
+
+  // Progress is broadcast immediately and persisted in order
+  let saving = Promise.resolve();
+  const onProgress = progress => {
+    events.emit(job.id, publicJob({ ...job, progress }));
+    saving = saving
+      .then(() => supabase.from('application_jobs').update({ progress }).eq('id', job.id))
+      .catch(err => console.error('Progress save failed:', err.message));
+  };
+
+  // Tells other instances this job is still being worked on
+  const heartbeat = setInterval(() => {
+    supabase.from('application_jobs').update({ heartbeat_at: new Date().toISOString() }).eq('id', job.id).eq('status', 'running')
+      .then(({ error }) => { if (error) console.error('Job heartbeat failed:', error.message); });
+  }, HEARTBEAT_INTERVAL);
+  heartbeat.unref();
+
+  try {
+    const { data: application, error } = await supabase
+      .from('applications')
+      .select('*')
+      .eq('id', job.application_id)
+      .single();
+    if (error) throw error;
+
+    await runPipeline(application, { onProgress, jobId: job.id, documentKeys: job.document_keys || null });
+    await saving;
+
+    await updateJob(job.id, { status: 'completed', finished_at: new Date().toISOString() });
+    console.log(`✅ Job ${job.id} completed`);
+
+  } catch (err) {
+    await saving;
+    const willRetry = job.attempts < MAX_ATTEMPTS;
+    console.error(`❌ Job ${job.id} failed${willRetry ? ' (will retry)' : ''}:`, err.message);
+
+    await updateJob(job.id, {
+      status: willRetry ? 'queued' : 'failed',
+      error: err.message || 'Processing failed',
+      finished_at: willRetry ? null : new Date().toISOString()
+    });
+
+    // Only the status changes - evaluation fields are untouched
+    // (an application withdrawn meanwhile stays withdrawn)
+    if (!willRetry) {
+      await supabase.from('applications').update({ status: 'failed' }).eq('id', job.application_id).neq('status', 'withdrawn');
+    }
+  } finally {
+    clearInterval(heartbeat);
+  }
+}
+
+// Running jobs whose server stopped renewing the heartbeat (crash, restart)
+// are safe to run again: the pipeline only writes to the application in its
+// final step
+async function requeueStale() {
+  const { data, error } = await supabase
+    .from('application_jobs')
+    .update({ status: 'queued' })
+    .eq('status', 'running')
+    .lt('heartbeat_at', new Date(Date.now() - LEASE_MS).toISOString())
+    .select('id');
+  if (error) return console.error('Could not re-queue interrupted jobs:', error.message);
+  if (data.length) console.log(`⚙️  Re-queued ${data.length} interrupted job(s)`);
+}
+
+// ── Work Loops ──────────────────────────────────────────────────────────
+async function workLoop() {
+  while (!stopping) {
+    const job = await claimNextJob();
+    if (!job) return;
+    await processJob(job);
+  }
+}
+
+function kick() {
+  if (stopping) return;
+  if (active >= CONCURRENCY) { rescan = true; return; }
+
+  while (active < CONCURRENCY) {
+    active++;
+    workLoop()
+      .catch(err => console.error('Job worker error:', err.message))
+      .finally(() => {
+        active--;
+        if (rescan) { rescan = false; kick(); }
+      });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// documentKeys: after a resubmission, the replaced documents - only those are
+// read again (services/applicationPipeline.js)
+async function enqueue(application, { documentKeys = null } = {}) {
+  const { data: job, error } = await supabase
+    .from('application_jobs')
+    .insert({
+      application_id: application.id,
+      user_id:        application.user_id,
+      status:         'queued',
+      progress:       initialProgress(await documentsOf(application)),
+      document_keys:  documentKeys
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  kick();
+  return publicJob(job);
+}
+
+// Put a failed job back in the queue (its application goes back to 'pending')
+async function retry(jobId) {
+  const { data: failed, error } = await supabase
+    .from('application_jobs')
+    .select('application_id')
+    .eq('id', jobId)
+    .single();
+  if (error) throw error;
+
+  const job = await updateJob(jobId, {
+    status: 'queued',
+    attempts: 0,
+    error: null,
+    finished_at: null,
+    progress: initialProgress(await documentsOf({ id: failed.application_id }))
+  });
+  // (an application withdrawn meanwhile stays withdrawn)
+  const { error: appError } = await supabase
+    .from('applications')
+    .update({ status: 'pending' })
+    .eq('id', job.application_id)
+    .neq('status', 'withdrawn');
+  if (appError) throw appError;
+
+  kick();
+  return publicJob(job);
+}
+
+// Listen to live updates of one job; returns an unsubscribe function
+function subscribe(jobId, listener) {
+  events.on(jobId, listener);
+  return () => events.off(jobId, listener);
+}
+
+// Called once at server start
+async function start() {
+  stopping = false;
+
+  await requeueStale();
+
+  pollTimer = setInterval(() => requeueStale().finally(kick), POLL_INTERVAL);
+  pollTimer.unref();
+  kick();
+  console.log(`⚙️  Job worker started (concurrency: ${CONCURRENCY})`);
+}
+
+function stop() {
+  stopping = true;
+  clearInterval(pollTimer);
+}
+
+module.exports = { enqueue, retry, subscribe, start, stop, publicJob, FINISHED };
@@ -0,0 +1,224 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// LLM PROVIDERS - One interface in front of every AI backend we support
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every provider exposes the same shape so evaluationService.js never needs to
+// know which one is running:
+//
+//   provider.name    → 'groq' | 'openai' | 'gemini' | 'fixture'
+//   provider.model   → model name used for the request
+//   provider.chat({ messages, json })
+//     → { content: '<model reply text>', usage: { prompt_tokens, ... }, model }
+//
+// messages use the OpenAI chat format: [{ role: 'system'|'user'|'assistant', content }]
+// Settings (model, temperature, timeout) come from config/llm.js
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs     = require('fs');
+const path   = require('path');
+const crypto = require('crypto');
+const config = require('../config/llm');
+
+// ── Shared Helpers ──────────────────────────────────────────────────────
+
+// OpenAI-style usage → our usage shape (Groq and OpenAI both return this)
+function normalizeUsage(usage) {
+  if (!usage) return null;
+  return {
+    prompt_tokens:     usage.prompt_tokens ?? null,
+    completion_tokens: usage.completion_tokens ?? null,
+    total_tokens:      usage.total_tokens ?? null
+  };
+}
+
+// Stable key for a conversation, used to name fixture files
+function fixtureKey(messages) {
+  return crypto.createHash('sha256').update(JSON.stringify(messages)).digest('hex');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GROQ - Meta Llama models on Groq's LPU hardware
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function createGroqProvider(settings) {
+  const Groq = require('groq-sdk');
+  const client = new Groq({ apiKey: settings.apiKey, timeout: settings.timeoutMs });
+
+  return {
+    name: 'groq',
+    model: settings.model,
+    async chat({ messages, json = true }) {
+      const response = await client.chat.completions.create({
+        model: settings.model,
+        messages,
+        temperature: settings.temperature,
+        ...(json && { response_format: { type: 'json_object' } })
+      });
+      return {
+        content: response.choices[0].message.content,
+        usage: normalizeUsage(response.usage),
+        model: response.model || settings.model
+      };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OPENAI-COMPATIBLE - OpenAI, Ollama, llama.cpp server, LM Studio, vLLM...
+// ═══════════════════════════════════════════════════════════════════════════════
+// Local servers usually ignore the API key, but the SDK requires one
+
+function createOpenAIProvider(settings) {
+  const OpenAI = require('openai');
+  const client = new OpenAI({
+    apiKey: settings.apiKey || 'not-needed',
+    baseURL: settings.baseURL,
+    timeout: settings.timeoutMs
+  });
+
+  return {
+    name: 'openai',
+    model: settings.model,
+    async chat({ messages, json = true }) {
+      const response = await client.chat.completions.create({
+        model: settings.model,
+        messages,
+        temperature: settings.temperature,
+        ...(json && settings.jsonMode && { response_format: { type: 'json_object' } })
+      });
+      return {
+        content: response.choices[0].message.content,
+        usage: normalizeUsage(response.usage),
+        model: response.model || settings.model
+      };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GEMINI - Google's models through @google/generative-ai
+// ═══════════════════════════════════════════════════════════════════════════════
+// Gemini has no "system" role in the conversation: system messages become the
+// model's systemInstruction, and "assistant" turns are called "model"
+
+function createGeminiProvider(settings) {
+  const { GoogleGenerativeAI } = require('@google/generative-ai');
+  const genAI = new GoogleGenerativeAI(settings.apiKey);
+
+  return {
+    name: 'gemini',
+    model: settings.model,
+    async chat({ messages, json = true }) {
+      const system = messages.filter(m => m.role === 'system').map(m => m.content).join('\n');
+      const contents = messages
+        .filter(m => m.role !== 'system')
+        .map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+
+      const model = genAI.getGenerativeModel({
+        model: settings.model,
+        ...(system && { systemInstruction: system }),
+        generationConfig: {
+          temperature: settings.temperature,
+          ...(json && { responseMimeType: 'application/json' })
+        }
+      }, { timeout: settings.timeoutMs });
+
+      const result = await model.generateContent({ contents });
+      const usage = result.response.usageMetadata;
+      return {
+        content: result.response.text(),
+        usage: usage ? {
+          prompt_tokens:     usage.promptTokenCount ?? null,
+          completion_tokens: usage.candidatesTokenCount ?? null,
+          total_tokens:      usage.totalTokenCount ?? null
+        } : null,
+        model: settings.model
+      };
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FIXTURE REPLAY - Offline stand-in that returns saved responses
+// ═══════════════════════════════════════════════════════════════════════════════
+// Looks for <dir>/<sha256 of messages>.json (written with LLM_RECORD_FIXTURES),
+// then falls back to <dir>/default.json. A fixture file is either
+// { "content": "<raw reply>" } or the reply JSON object itself.
+
+function readFixture(file) {
+  const saved = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return typeof saved.content === 'string'
+    ? saved
+    : { content: JSON.stringify(saved) };
+}
+
+function createFixtureProvider(settings) {
+  return {
+    name: 'fixture',
+    model: settings.model,
+    async chat({ messages }) {
+      const exact = path.join(settings.dir, `${fixtureKey(messages)}.json`);
+      const fallback = path.join(settings.dir, 'default.json');
+      const file = fs.existsSync(exact) ? exact : fallback;
+
+      if (!fs.existsSync(file)) {
+        throw new Error(`No LLM fixture found in ${settings.dir} (looked for ${path.basename(exact)} and default.json)`);
+      }
+
+      const saved = readFixture(file);
+      return {
+        content: saved.content,
+        usage: saved.usage || null,
+        model: saved.model || settings.model
+      };
+    }
+  };
+}
+
+// Wrap a live provider so every reply is saved for later offline replay
+function withFixtureRecording(provider, dir) {
+  return {
+    ...provider,
+    async chat(request) {
+      const reply = await provider.chat(request);
+      fs.mkdirSync(dir, { recursive: true });
+      fs.writeFileSync(
+        path.join(dir, `${fixtureKey(request.messages)}.json`),
+        JSON.stringify({ provider: provider.name, ...reply }, null, 2)
+      );
+      return reply;
+    }
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FACTORY - Build the provider named in config (or a specific one)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const FACTORIES = {
+  groq:    createGroqProvider,
+  openai:  createOpenAIProvider,
+  gemini:  createGeminiProvider,
+  fixture: createFixtureProvider
+};
+
+// Providers that cannot work without an API key
+const NEEDS_API_KEY = ['groq', 'gemini'];
+
+// Returns null when the provider is missing its API key (same as before:
+// the caller logs a warning and mock mode can still be used)
+function createProvider(name = config.provider, overrides = {}) {
+  const factory = FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}". Use one of: ${Object.keys(FACTORIES).join(', ')}`);
+  }
+
+  const settings = { ...config.providers[name], ...overrides };
+  if (NEEDS_API_KEY.includes(name) && !settings.apiKey) return null;
+
+  const provider = factory(settings);
+  return config.recordFixtures && name !== 'fixture'
+    ? withFixtureRecording(provider, config.providers.fixture.dir)
+    : provider;
+}
+
+module.exports = { createProvider };
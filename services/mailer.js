@@ -0,0 +1,199 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// MAILER - Sends account emails through the transport in config/mail.js
+// ═══════════════════════════════════════════════════════════════════════════════
+// sendMail({ to, subject, text }) is all callers use; the transport decides
+// whether the email goes to an SMTP server, an .eml file in the outbox or the
+// server log, so the same code runs in production, locally and offline.
+//
+// The SMTP client speaks just enough of the protocol for a submission server:
+// EHLO, STARTTLS when offered, AUTH PLAIN/LOGIN, one message per connection.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const net    = require('net');
+const os     = require('os');
+const path   = require('path');
+const tls    = require('tls');
+const config = require('../config/mail');
+
+// ── Message ─────────────────────────────────────────────────────────────
+
+// "Name <a@b.c>" → "a@b.c"
+const address = value => (String(value).match(/<([^>]+)>/)?.[1] || String(value)).trim();
+
+// Non-ASCII header values (names, subjects) as RFC 2047 encoded words
+const header = value => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`);
+
+// The message as sent over SMTP and saved to the outbox (CRLF line endings)
+function buildMessage({ from, to, subject, text }) {
+  const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+  return [
+    `From: ${header(from)}`,
+    `To: ${to}`,
+    `Subject: ${header(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${crypto.randomUUID()}@${address(from).split('@')[1] || 'localhost'}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: base64',
+    '',
+    body
+  ].join('\r\n');
+}
+
+// ── Outbox ──────────────────────────────────────────────────────────────
+// Also used by scripts/mailcatcher.js for the emails it captures
+
+function saveToOutbox(raw, dir = config.outboxDir) {
+  fs.mkdirSync(dir, { recursive: true });
+  const file = path.join(dir, `${new Date().toISOString().replace(/[:.]/g, '-')}-${crypto.randomBytes(3).toString('hex')}.eml`);
+  fs.writeFileSync(file, raw);
+  return file;
+}
+
+// ── SMTP client ─────────────────────────────────────────────────────────
+
+// Reads replies ("250-..." lines up to the final "250 ...") from a socket;
+// the socket can be swapped for its TLS upgrade after STARTTLS
+function smtpConnection(socket, timeoutMs) {
+  let buffer = '';
+  let waiting = null;
+  let failure = null;
+  const replies = [];
+
+  const settle = () => {
+    if (!waiting) return;
+    if (replies.length) {
+      const { resolve } = waiting;
+      waiting = null;
+      resolve(replies.shift());
+    } else if (failure) {
+      const { reject } = waiting;
+      waiting = null;
+      reject(failure);
+    }
+  };
+
+  const onData = chunk => {
+    buffer += chunk.toString('utf8');
+    let lines;
+    while ((lines = buffer.match(/^(?:\d{3}-[^\r\n]*\r?\n)*\d{3}(?: [^\r\n]*)?\r?\n/))) {
+      buffer = buffer.slice(lines[0].length);
+      const text = lines[0].trim().split(/\r?\n/);
+      replies.push({ code: parseInt(text[0], 10), lines: text.map(line => line.slice(4)) });
+    }
+    settle();
+  };
+  const onError = err => { failure = err; settle(); };
+  const onClose = () => { failure = failure || new Error('SMTP connection closed'); settle(); };
+
+  const attach = s => {
+    s.on('data', onData);
+    s.on('error', onError);
+    s.on('close', onClose);
+    s.setTimeout(timeoutMs, () => s.destroy(new Error('SMTP server timed out')));
+  };
+  attach(socket);
+
+  const connection = {
+    get socket() { return socket; },
+    read: () => new Promise((resolve, reject) => { waiting = { resolve, reject }; settle(); }),
+    // Sends a command and checks the reply code
+    async command(line, expected) {
+      socket.write(`${line}\r\n`);
+      const reply = await connection.read();
+      if (!expected.includes(reply.code)) {
+        const shown = line.startsWith('AUTH') ? 'AUTH' : line.split(' ')[0];
+        throw new Error(`SMTP ${shown} failed: ${reply.code} ${reply.lines.join(' ')}`);
+      }
+      return reply;
+    },
+    upgrade(secured) {
+      socket.removeListener('data', onData);
+      socket.removeListener('error', onError);
+      socket.removeListener('close', onClose);
+      socket = secured;
+      attach(socket);
+    }
+  };
+  return connection;
+}
+
+const connect = ({ host, port, secure, timeoutMs }) => new Promise((resolve, reject) => {
+  const socket = secure ? tls.connect({ host, port, servername: host }) : net.connect({ host, port });
+  socket.setTimeout(timeoutMs, () => socket.destroy(new Error(`Could not reach SMTP server ${host}:${port}`)));
+  socket.once(secure ? 'secureConnect' : 'connect', () => resolve(socket));
+  socket.once('error', reject);
+});
+
+async function sendSmtp(message, raw) {
+  const { host, port, secure, user, pass, timeoutMs, allowInsecure } = config.smtp;
+  const connection = smtpConnection(await connect(config.smtp), timeoutMs);
+  try {
+    const greeting = await connection.read();
+    if (greeting.code !== 220) throw new Error(`SMTP server refused the connection: ${greeting.lines.join(' ')}`);
+
+    let features = (await connection.command(`EHLO ${os.hostname()}`, [250])).lines;
+    let encrypted = secure;
+    if (!secure && features.some(line => /^STARTTLS\b/i.test(line))) {
+      await connection.command('STARTTLS', [220]);
+      connection.upgrade(await new Promise((resolve, reject) => {
+        const secured = tls.connect({ socket: connection.socket, servername: host }, () => resolve(secured));
+        secured.once('error', reject);
+      }));
+      features = (await connection.command(`EHLO ${os.hostname()}`, [250])).lines;
+      encrypted = true;
+    }
+
+    if (user) {
+      // No STARTTLS offered (or stripped on the way): the password would travel in clear text
+      if (!encrypted && !allowInsecure) {
+        throw new Error(`SMTP server ${host}:${port} offers no encryption - not sending the login ` +
+          '(use SMTP_SECURE=true, or SMTP_ALLOW_INSECURE=true for a local test server)');
+      }
+      const auth = features.find(line => /^AUTH\b/i.test(line)) || '';
+      if (/\bPLAIN\b/i.test(auth) || !/\bLOGIN\b/i.test(auth)) {
+        await connection.command(`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, [235]);
+      } else {
+        await connection.command('AUTH LOGIN', [334]);
+        await connection.command(Buffer.from(user).toString('base64'), [334]);
+        await connection.command(Buffer.from(pass || '').toString('base64'), [235]);
+      }
+    }
+
+    await connection.command(`MAIL FROM:<${address(message.from)}>`, [250]);
+    await connection.command(`RCPT TO:<${address(message.to)}>`, [250, 251]);
+    await connection.command('DATA', [354]);
+    // Lines starting with a dot are doubled so they are not read as the end of the message
+    await connection.command(`${raw.replace(/^\./gm, '..')}\r\n.`, [250]);
+    await connection.command('QUIT', [221]).catch(() => {});
+  } finally {
+    connection.socket.destroy();
+  }
+  return { transport: 'smtp', server: `${host}:${port}` };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Sends one plain-text email; rejects when the transport fails
+async function sendMail({ to, subject, text }) {
+  const message = { from: config.from, to, subject, text };
+  const raw = buildMessage(message);
+
+  switch (config.transport) {
+    case 'smtp':
+      return sendSmtp(message, raw);
+    case 'outbox':
+      return { transport: 'outbox', file: saveToOutbox(raw) };
+    case 'console':
+      console.log(`📧 Email to ${to}: ${subject}\n${text}`);
+      return { transport: 'console' };
+    default:
+      throw new Error(`Unknown MAIL_TRANSPORT "${config.transport}" (use smtp, outbox or console)`);
+  }
+}
+
+module.exports = { sendMail, saveToOutbox };
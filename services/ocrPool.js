@@ -0,0 +1,125 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// OCR WORKER POOL - Shared, reusable Tesseract workers for the whole server
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tesseract.recognize() creates a brand-new worker (and loads the language
+// model, tens of MB) on every call, then throws it away. One submission has
+// three documents, so three workers spun up at once - and several submissions
+// at the same time could exhaust CPU and memory.
+//
+// Instead, a Tesseract scheduler owns a FIXED number of workers created once
+// at server start (OCR_WORKERS). Languages are configurable (OCR_LANGS, e.g.
+// 'eng+fil' for Tagalog words on barangay certificates).
+//
+// BACKPRESSURE: at most OCR_MAX_PENDING images are handed to the scheduler at
+// once. Extra callers wait in line here (FIFO) instead of piling images into
+// memory; if even that line is longer than OCR_MAX_WAITING, new requests are
+// rejected right away with an OcrQueueFullError.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const Tesseract = require('tesseract.js');
+
+const LANGS       = process.env.OCR_LANGS || 'eng+fil';
+const WORKERS     = Math.max(1, parseInt(process.env.OCR_WORKERS || '2'));
+const MAX_PENDING = Math.max(1, parseInt(process.env.OCR_MAX_PENDING || String(WORKERS * 2)));
+const MAX_WAITING = Math.max(0, parseInt(process.env.OCR_MAX_WAITING || '50'));
+
+class OcrQueueFullError extends Error {
+  constructor() {
+    super('OCR queue is full, please try again in a few minutes');
+    this.name = 'OcrQueueFullError';
+  }
+}
+
+let scheduler = null;
+let starting = null;   // promise while workers are being created
+let pending = 0;       // images currently inside the scheduler
+const waiting = [];    // callers waiting for a free slot
+
+// ── Lifecycle ───────────────────────────────────────────────────────────
+
+// Create the workers (called once at server start; also lazily on first use)
+async function init() {
+  if (scheduler) return scheduler;
+  if (starting) return starting;
+
+  starting = (async () => {
+    const next = Tesseract.createScheduler();
+    try {
+      for (let i = 0; i < WORKERS; i++) {
+        const worker = await Tesseract.createWorker(LANGS, 1); // 1 = LSTM engine
+        next.addWorker(worker);
+      }
+    } catch (err) {
+      // e.g. a bad OCR_LANGS: stop the workers already created, or every
+      // later init() would leave another set behind
+      await next.terminate().catch(() => {});
+      throw err;
+    }
+    console.log(`🔤 OCR pool ready (${WORKERS} workers, languages: ${LANGS})`);
+    scheduler = next;
+    return scheduler;
+  })();
+
+  try {
+    return await starting;
+  } finally {
+    starting = null;
+  }
+}
+
+// Terminate all workers (server shutdown)
+async function shutdown() {
+  const current = scheduler || (starting && await starting.catch(() => null));
+  scheduler = null;
+  while (waiting.length) waiting.shift().reject(new Error('OCR pool is shutting down'));
+  if (current) {
+    await current.terminate();
+    console.log('🔤 OCR pool stopped');
+  }
+}
+
+// ── Slots (backpressure) ────────────────────────────────────────────────
+
+function acquire() {
+  if (pending < MAX_PENDING) {
+    pending++;
+    return Promise.resolve();
+  }
+  if (waiting.length >= MAX_WAITING) {
+    return Promise.reject(new OcrQueueFullError());
+  }
+  return new Promise((resolve, reject) => waiting.push({ resolve, reject }));
+}
+
+function release() {
+  const next = waiting.shift();
+  if (next) next.resolve();   // hand the slot straight to the next caller
+  else pending--;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Same result shape as Tesseract.recognize(): { data: { text, confidence, ... } }
+// input: file path or image Buffer
+async function recognize(input) {
+  await acquire();
+  try {
+    const pool = await init();
+    return await pool.addJob('recognize', input);
+  } finally {
+    release();
+  }
+}
+
+function stats() {
+  return {
+    workers: scheduler ? scheduler.getNumWorkers() : 0,
+    languages: LANGS,
+    pending,
+    waiting: waiting.length
+  };
+}
+
+module.exports = { init, shutdown, recognize, stats, OcrQueueFullError };
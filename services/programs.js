@@ -0,0 +1,261 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// PROGRAMS - The scholarships applicants can apply to
+// ═══════════════════════════════════════════════════════════════════════════════
+// Each program (merit, need-based, athletic, ...) has its own:
+// - rules            → rule_versions rows of the program (services/ruleVersions.js)
+// - prompt_context   → what the AI is told it is reading documents for
+// - required_documents → which document types applicants must upload
+// - optional_documents → document types applicants may add
+//                        (both list document_types keys, see services/documents.js)
+// - household_assessment → applicants declare their household members and
+//                        incomes are counted per member (services/household.js)
+// - application window → opens_at / closes_at (null = no limit), within the
+//                      application cycle that is open (services/cycles.js)
+// - slots            → number of scholarships per cycle; when that many
+//                      applications of the cycle are qualified the program
+//                      stops taking applications
+//
+// Every application belongs to one program, and lists, evaluations and
+// reports are scoped by it.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { listDocumentTypes } = require('./documents');
+const { cycleStatus } = require('./cycles');
+
+const SLUG = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+const MAX_PROMPT_CONTEXT = 500;
+
+// Fields an admin can set
+const EDITABLE = ['slug', 'name', 'description', 'prompt_context', 'required_documents', 'optional_documents', 'household_assessment', 'opens_at', 'closes_at', 'slots', 'active'];
+
+// Thrown for problems the admin or applicant can fix; status is the HTTP status to respond with
+class ProgramError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProgramError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+const optionalDate = (value, field) => {
+  if (value === null || value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) throw new ProgramError(`${field} must be a valid date`);
+  return date.toISOString();
+};
+
+// A list of document type keys; empty only when allowed
+function documentList(value, field, documentKeys, allowEmpty) {
+  if (!Array.isArray(value) || (!allowEmpty && !value.length) || value.some(doc => !documentKeys.includes(doc))) {
+    throw new ProgramError(`${field} must be a ${allowEmpty ? '' : 'non-empty '}list of: ${documentKeys.join(', ')}`);
+  }
+  return [...new Set(value)];
+}
+
+// Validate the fields given (a partial update only checks what it changes).
+// current: the stored program, so opens_at/closes_at and the two document
+// lists are checked together
+async function validateFields(fields, current = {}) {
+  const unknown = Object.keys(fields).filter(field => !EDITABLE.includes(field));
+  if (unknown.length) throw new ProgramError(`Unknown field(s): ${unknown.join(', ')}`);
+
+  const clean = {};
+  if ('slug' in fields) {
+    if (typeof fields.slug !== 'string' || !SLUG.test(fields.slug)) {
+      throw new ProgramError('slug must use lowercase letters, digits and dashes (e.g. "need-based")');
+    }
+    clean.slug = fields.slug;
+  }
+  if ('name' in fields) {
+    if (typeof fields.name !== 'string' || !fields.name.trim()) throw new ProgramError('name is required');
+    clean.name = fields.name.trim();
+  }
+  if ('description' in fields) {
+    clean.description = typeof fields.description === 'string' && fields.description.trim() ? fields.description.trim() : null;
+  }
+  if ('prompt_context' in fields) {
+    const context = typeof fields.prompt_context === 'string' ? fields.prompt_context.trim() : '';
+    if (!context || context.length > MAX_PROMPT_CONTEXT) {
+      throw new ProgramError(`prompt_context is required (at most ${MAX_PROMPT_CONTEXT} characters)`);
+    }
+    clean.prompt_context = context;
+  }
+  if ('required_documents' in fields || 'optional_documents' in fields) {
+    // Member proofs are asked for by the declared household, not by the program
+    const documentKeys = (await listDocumentTypes()).filter(type => !type.member_proof).map(type => type.key);
+    if ('required_documents' in fields) {
+      clean.required_documents = documentList(fields.required_documents, 'required_documents', documentKeys, false);
+    }
+    if ('optional_documents' in fields) {
+      clean.optional_documents = documentList(fields.optional_documents, 'optional_documents', documentKeys, true);
+    }
+    const required = clean.required_documents || current.required_documents || [];
+    const both = (clean.optional_documents || current.optional_documents || []).filter(doc => required.includes(doc));
+    if (both.length) throw new ProgramError(`A document cannot be both required and optional: ${both.join(', ')}`);
+  }
+  if ('opens_at' in fields) clean.opens_at = optionalDate(fields.opens_at, 'opens_at');
+  if ('closes_at' in fields) clean.closes_at = optionalDate(fields.closes_at, 'closes_at');
+  if ('slots' in fields) {
+    const slots = fields.slots === '' ? null : fields.slots;
+    if (slots !== null && !(Number.isInteger(slots) && slots > 0)) {
+      throw new ProgramError('slots must be a positive whole number, or null for no limit');
+    }
+    clean.slots = slots;
+  }
+  if ('household_assessment' in fields) {
+    if (typeof fields.household_assessment !== 'boolean') throw new ProgramError('household_assessment must be true or false');
+    clean.household_assessment = fields.household_assessment;
+  }
+  if ('active' in fields) {
+    if (typeof fields.active !== 'boolean') throw new ProgramError('active must be true or false');
+    clean.active = fields.active;
+  }
+
+  const opens = clean.opens_at !== undefined ? clean.opens_at : current.opens_at;
+  const closes = clean.closes_at !== undefined ? clean.closes_at : current.closes_at;
+  if (opens && closes && new Date(closes) <= new Date(opens)) {
+    throw new ProgramError('closes_at must be after opens_at');
+  }
+  return clean;
+}
+
+// Number of qualified applications of the cycle, i.e. slots taken
+async function slotsFilled(programId, cycleId = null) {
+  let query = supabase
+    .from('applications')
+    .select('id', { count: 'exact', head: true })
+    .eq('program_id', programId)
+    .eq('status', 'qualified');
+  if (cycleId) query = query.eq('cycle_id', cycleId);
+  const { count, error } = await query;
+  if (error) throw error;
+  return count;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// AVAILABILITY - Can applicants apply right now?
+// ═══════════════════════════════════════════════════════════════════════════════
+// cycles: cycleStatus() of services/cycles.js
+// Returns { open, reason } - reason explains a closed program to the applicant
+
+function availability(program, filled, cycles, now = new Date()) {
+  if (!program.active) return { open: false, reason: 'This program is not accepting applications' };
+  if (!cycles.cycle) return { open: false, reason: cycles.reason };
+  if (program.opens_at && now < new Date(program.opens_at)) {
+    return { open: false, reason: `Applications open on ${new Date(program.opens_at).toDateString()}` };
+  }
+  if (program.closes_at && now >= new Date(program.closes_at)) {
+    return { open: false, reason: 'The application period has ended' };
+  }
+  if (program.slots !== null && filled >= program.slots) {
+    return { open: false, reason: 'All slots have been filled' };
+  }
+  return { open: true, reason: null };
+}
+
+// Program with its slot usage and availability in the open cycle
+async function withAvailability(program, cycles) {
+  const filled = await slotsFilled(program.id, cycles.cycle?.id);
+  return { ...program, slots_filled: filled, cycle: cycles.cycle, ...availability(program, filled, cycles) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// activeOnly: what applicants see; admins see every program
+async function listPrograms({ activeOnly = true } = {}) {
+  let query = supabase.from('programs').select('*').order('name');
+  if (activeOnly) query = query.eq('active', true);
+
+  const [{ data, error }, cycles] = await Promise.all([query, cycleStatus()]);
+  if (error) throw error;
+  return Promise.all(data.map(program => withAvailability(program, cycles)));
+}
+
+// By id or slug
+async function getProgram(idOrSlug) {
+  const column = UUID.test(String(idOrSlug)) ? 'id' : 'slug';
+  const { data, error } = await supabase.from('programs').select('*').eq(column, idOrSlug).maybeSingle();
+  if (error) throw error;
+  if (!data) throw new ProgramError('Program not found', 404);
+  return data;
+}
+
+// Throws when the program cannot take an application right now;
+// returns the open cycle the application goes into
+async function assertOpen(program) {
+  const cycles = await cycleStatus();
+  const { open, reason } = availability(program, await slotsFilled(program.id, cycles.cycle?.id), cycles);
+  if (!open) throw new ProgramError(reason, 409);
+  return cycles.cycle;
+}
+
+async function createProgram(fields) {
+  const missing = ['slug', 'name', 'prompt_context', 'required_documents'].filter(field => fields?.[field] === undefined);
+  if (missing.length) throw new ProgramError(`Missing field(s): ${missing.join(', ')}`);
+
+  const { data, error } = await supabase.from('programs').insert(await validateFields(fields)).select().single();
+  if (error?.code === '23505') throw new ProgramError(`A program with slug "${fields.slug}" already exists`, 409);
+  if (error) throw error;
+  return data;
+}
+
+async function updateProgram(id, fields = {}) {
+  const current = await getProgram(id);
+  const changes = await validateFields(fields, current);
+  if (!Object.keys(changes).length) return current;
+
+  const { data, error } = await supabase
+    .from('programs')
+    .update({ ...changes, updated_at: new Date().toISOString() })
+    .eq('id', current.id)
+    .select()
+    .single();
+  if (error?.code === '23505') throw new ProgramError(`A program with slug "${fields.slug}" already exists`, 409);
+  if (error) throw error;
+  return data;
+}
+
+// ── Report ──────────────────────────────────────────────────────────────
+// Applications of a program per status, plus slot usage in the open cycle.
+// cycleId: only the applications of that cycle
+async function programSummary(id, { cycleId = null } = {}) {
+  const program = await withAvailability(await getProgram(id), await cycleStatus());
+  let query = supabase
+    .from('applications')
+    .select('status, confidence_score')
+    .eq('program_id', program.id)
+    .neq('status', 'draft');
+  if (cycleId) query = query.eq('cycle_id', cycleId);
+  const { data, error } = await query;
+  if (error) throw error;
+
+  const byStatus = {};
+  for (const app of data) byStatus[app.status] = (byStatus[app.status] || 0) + 1;
+  const scored = data.filter(app => typeof app.confidence_score === 'number' && app.status !== 'pending');
+
+  return {
+    program,
+    total: data.length,
+    by_status: byStatus,
+    average_confidence: scored.length
+      ? Math.round(scored.reduce((sum, app) => sum + app.confidence_score, 0) / scored.length)
+      : null
+  };
+}
+
+module.exports = {
+  listPrograms,
+  getProgram,
+  assertOpen,
+  createProgram,
+  updateProgram,
+  programSummary,
+  ProgramError
+};
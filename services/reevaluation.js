@@ -0,0 +1,159 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// RE-EVALUATION - Re-run stored applications after a rules or model change
+// ═══════════════════════════════════════════════════════════════════════════════
+// Verdicts are made under the rules (and model) of the day. When the committee
+// changes max_monthly_income, or LLM_PROVIDER/model changes, older applications
+// can be evaluated again without anyone resubmitting documents:
+//
+// 1. selectApplications() → one application, a filtered set, or everything
+// 2. reevaluate()         → for each application:
+//    - reuse the text stored in document_extractions (no download, no OCR)
+//      unless reocr is set - or the application predates stored text
+//    - run AI extraction + rule engine again (same steps as a submission)
+//    - dry run: only report the verdict before/after
+//    - commit:  save the new result + evaluation run, and add a
+//               're_evaluated' entry to the application's history
+//
+// Applications still 'pending' are skipped: their submission job will
+// evaluate them with the current rules anyway. Drafts are not submitted yet.
+//
+// REVIEWED APPLICATIONS (reviewed_at set: a reviewer decided, asked for
+// information or documents) are skipped too, unless explicitly included. Even
+// then the reviewer's status/qualified is kept: only the evaluation is
+// replaced, and the history entry shows the new automatic verdict next to it.
+//
+// Used by POST /api/admin/reevaluate and scripts/reevaluate.js (large batches).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+const { readDocuments, storedDocuments, evaluateDocuments, saveEvaluation } = require('./applicationPipeline');
+const { recordHistory } = require('./applicationHistory');
+const { rulesVersion } = require('./evaluationRuns');
+
+// ── Selection ───────────────────────────────────────────────────────────
+// selection: { ids: [...] } | { filter: { program_id, status, qualified, submitted_from, submitted_to } } | { all: true }
+// plus includeReviewed (default false)
+async function selectApplications({ ids, filter, all, includeReviewed = false } = {}) {
+  let query = supabase
+    .from('applications')
+    .select('*')
+    .neq('status', 'pending')
+    .neq('status', 'draft')
+    .neq('status', 'withdrawn')
+    .order('submitted_at', { ascending: true });
+  if (!includeReviewed) query = query.is('reviewed_at', null);
+
+  if (ids && ids.length) {
+    query = query.in('id', ids);
+  } else if (filter && Object.keys(filter).length) {
+    if (filter.status) {
+      query = Array.isArray(filter.status) ? query.in('status', filter.status) : query.eq('status', filter.status);
+    }
+    if (filter.program_id) query = query.eq('program_id', filter.program_id);
+    if (filter.qualified !== undefined) query = query.eq('qualified', filter.qualified);
+    if (filter.submitted_from) query = query.gte('submitted_at', filter.submitted_from);
+    if (filter.submitted_to)   query = query.lte('submitted_at', filter.submitted_to);
+  } else if (!all) {
+    // Never re-evaluate everything by accident
+    throw new Error('Choose application ids, a filter, or all');
+  }
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return data;
+}
+
+// What the applicant sees: compared before and after
+function verdict(row) {
+  return { status: row.status, qualified: row.qualified, confidence_score: row.confidence_score };
+}
+
+// ── One Application ─────────────────────────────────────────────────────
+async function reevaluateOne(application, { reocr, dryRun, actorId }) {
+  let documents = reocr ? null : await storedDocuments(application);
+  const usedOcr = !documents;
+  if (!documents) documents = await readDocuments(application);
+
+  const result = await evaluateDocuments(application, documents.texts, { extractions: documents.extractions });
+  const before = verdict(application);
+  const automatic = verdict({
+    status: result.status,
+    qualified: result.evaluation.qualified,
+    confidence_score: result.evaluation.confidence_score
+  });
+
+  // A reviewer's decision is kept; the automatic verdict is reported next to it
+  const entryFor = reviewed => {
+    const after = reviewed ? { ...automatic, status: before.status, qualified: before.qualified } : automatic;
+    return {
+      application_id: application.id,
+      before,
+      after,
+      changed: before.status !== after.status || before.qualified !== after.qualified,
+      ...(reviewed && { review_kept: true, automatic }),
+      reocr: usedOcr,
+      disqualification_reasons: result.evaluation.disqualification_reasons,
+      committed: false
+    };
+  };
+  if (dryRun) return entryFor(Boolean(application.reviewed_at));
+
+  const saved = await saveEvaluation(application, result, documents.extractions, { keepReview: true });
+  if (!saved) return entryFor(Boolean(application.reviewed_at));   // withdrawn meanwhile
+  const entry = entryFor(Boolean(saved.reviewed_at));   // reviewed while this ran counts too
+  await recordHistory(application.id, 're_evaluated', {
+    actorId,
+    details: {
+      before,
+      after: entry.after,
+      changed: entry.changed,
+      ...(entry.review_kept && { review_kept: true, automatic }),
+      reocr: usedOcr,
+      run_id: saved.last_run_id,
+      rules_version: rulesVersion(result.trace.rules),
+      rule_version: result.trace.rule_version ?? null
+    }
+  });
+  return { ...entry, committed: true };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+// applications: rows from selectApplications()
+// Options:
+// - dryRun   (default true) → report the diff, change nothing
+// - reocr    (default false) → download + OCR the documents again
+// - actorId  → admin who started it (history entry), null for scripts
+// - onResult → called after each application (progress output in scripts)
+//
+// Applications are processed one at a time: the AI provider has rate limits
+// and the OCR pool is shared with new submissions. A dry run still calls the
+// AI, so it costs the same tokens as a commit.
+//
+// Returns { dry_run, total, changed, failed, results: [...] }
+async function reevaluate(applications, { dryRun = true, reocr = false, actorId = null, onResult = () => {} } = {}) {
+  const results = [];
+
+  for (const application of applications) {
+    let entry;
+    try {
+      entry = await reevaluateOne(application, { reocr, dryRun, actorId });
+    } catch (err) {
+      // One broken application must not stop the batch
+      entry = { application_id: application.id, before: verdict(application), error: err.message, committed: false };
+    }
+    results.push(entry);
+    onResult(entry);
+  }
+
+  return {
+    dry_run: dryRun,
+    total: results.length,
+    changed: results.filter(r => r.changed).length,
+    failed: results.filter(r => r.error).length,
+    results
+  };
+}
+
+module.exports = { selectApplications, reevaluate };
@@ -0,0 +1,348 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE ENGINE - Decide eligibility in code from the values the AI extracted
+// ═══════════════════════════════════════════════════════════════════════════════
+// The AI model is only trusted to READ documents (extract incomes, GWA, names).
+// Every pass/fail decision is made here, deterministically, from the rules
+// version in effect (see services/ruleVersions.js). That way a model that adds
+// 15,000 + 12,000 wrong can never flip a verdict.
+//
+// HOW RULE KEYS BECOME CHECKS:
+// - Named rules with special logic (see NAMED_CHECKS):
+//     max_monthly_income    → income_check (sums the household's incomes)
+//     max_per_capita_income → per_capita_income_check (total / household size)
+//     max_gwa               → gwa_check
+// - Any other key is read by its prefix, so new rules need no code/prompt edits:
+//     max_<field>      → extracted_data.<field> must be ≤ value
+//     min_<field>      → extracted_data.<field> must be ≥ value
+//     required_<field> → extracted_data.<field> must be present
+//                        (or contain the value, e.g. "Currently Enrolled")
+// - Keys without a known prefix are configuration, not checks, and are ignored
+//   here (e.g. income_tolerance_abs / income_tolerance_pct, read by
+//   compareClaimedIncome below).
+//
+// WHOSE INCOME COUNTS: with a declared household (services/household.js) the
+// incomes of its living earning members; otherwise the mother's and father's.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Fields we always ask the AI to extract, whatever the rules are
+const BASE_FIELDS = [
+  'applicant_name',
+  'mother_income',
+  'father_income',
+  'gwa',
+  'enrollment_status',
+  'school',
+  'course'
+];
+
+// Fields computed by the engine itself - never asked from the AI
+const DERIVED_FIELDS = ['total_income', 'per_capita_income', 'household_size'];
+
+// Whose income counts when no household was declared
+const PARENT_INCOME_FIELDS = ['mother_income', 'father_income'];
+
+// Fields holding peso amounts (used for ₱ formatting in reasons)
+const MONEY_FIELD = /income|salary|amount/;
+
+const RULE_PATTERN = /^(max|min|required)_(.+)$/;
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+// Rule values are typed numbers, but older snapshots stored strings ('30000',
+// '3.0'), and the AI sometimes returns "₱15,000" instead of 15000. Normalize
+// all of them to numbers.
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  const cleaned = String(value).replace(/[₱,\s]|php/gi, '');
+  const num = parseFloat(cleaned);
+  return Number.isFinite(num) ? num : null;
+}
+
+// 'enrollment_status' → 'Enrollment status'
+function labelFor(field) {
+  const text = field.replace(/_/g, ' ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function formatValue(field, value) {
+  if (value === null || value === undefined) return 'not found';
+  if (MONEY_FIELD.test(field) && typeof value === 'number') return `₱${value.toLocaleString()}`;
+  return String(value);
+}
+
+// household: { size, income_fields } from householdSummary, or null
+const incomeFieldsOf = household => (household ? household.income_fields : PARENT_INCOME_FIELDS);
+
+// ── Derived Fields ──────────────────────────────────────────────────────
+// Totals are calculated here, never trusted from the AI
+function computeDerivedFields(extractedData = {}, household = null) {
+  const fields = incomeFieldsOf(household);
+  const incomes = {};
+  for (const field of [...PARENT_INCOME_FIELDS, ...fields]) incomes[field] = toNumber(extractedData[field]);
+
+  // A household without earners has no income; otherwise sum what was found
+  const found = fields.map(field => incomes[field]).filter(value => value !== null);
+  const total = !fields.length ? 0 : found.length ? found.reduce((sum, value) => sum + value, 0) : null;
+  const size = household ? household.size : null;
+
+  // Per person only from a complete total - a missing income would lower it
+  const complete = found.length === fields.length;
+
+  return {
+    ...extractedData,
+    ...incomes,
+    gwa: toNumber(extractedData.gwa),
+    total_income: total,
+    per_capita_income: complete && size ? Math.round((total / size) * 100) / 100 : null,
+    household_size: size
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// NAMED CHECKS - Rules that need more than a single comparison
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function incomeCheck(data, ruleValue, household) {
+  const threshold = toNumber(ruleValue);
+  const fields = incomeFieldsOf(household);
+  const total = data.total_income;
+
+  // Every earner's certificate must yield an amount before the income can be trusted
+  const verified = fields.every(field => data[field] !== null);
+  const passed = verified && threshold !== null && total <= threshold;
+
+  const found = fields.length
+    ? fields.map(field => `${labelFor(field.replace(/_income$/, ''))}: ${formatValue('income', data[field])}`).join(', ')
+    : 'No earning household members';
+  let reason;
+  if (!verified) {
+    reason = `${found} - income could not be verified from every certificate`;
+  } else if (passed) {
+    reason = `${found}, Total: ₱${total.toLocaleString()} is within threshold ₱${threshold.toLocaleString()}`;
+  } else {
+    reason = `${found}, Total: ₱${total.toLocaleString()} exceeds threshold ₱${threshold.toLocaleString()}`;
+  }
+
+  return {
+    name: 'income_check',
+    failure: verified ? 'Combined income exceeds limit' : 'Income could not be verified from certificates',
+    result: {
+      passed,
+      incomes: Object.fromEntries(fields.map(field => [field, data[field]])),
+      total_value_found: total,
+      threshold,
+      income_verified: verified,
+      reason
+    }
+  };
+}
+
+function gwaCheck(data, ruleValue) {
+  const check = compareCheck('max', 'gwa', data, ruleValue);
+  const { value_found: gwa } = check.result;
+  // Show 3 as "3.0" like the grading scale does; keep "2.75" as it is
+  const threshold = Number.isInteger(ruleValue) ? ruleValue.toFixed(1) : String(ruleValue).trim();
+
+  // Philippine scale: 1.0 is best, 5.0 is failing, so "max" means "or better"
+  check.result.reason = gwa === null
+    ? 'GWA could not be found in the report card'
+    : check.result.passed
+      ? `GWA ${gwa} meets requirement (${threshold} or better)`
+      : `GWA ${gwa} does not meet requirement (${threshold} or better)`;
+  check.failure = gwa === null ? 'GWA could not be verified' : 'GWA below requirement';
+  return check;
+}
+
+function perCapitaCheck(data, ruleValue) {
+  const check = compareCheck('max', 'per_capita_income', data, ruleValue);
+  const { value_found: perCapita, passed, threshold } = check.result;
+  const size = data.household_size;
+
+  check.result.household_size = size;
+  check.result.reason = perCapita === null
+    ? size
+      ? 'Per capita income could not be computed - household income was not verified'
+      : 'Per capita income could not be computed - no household was declared'
+    : `${formatValue('income', data.total_income)} / ${size} member(s) = ${formatValue('income', perCapita)} per person, ` +
+      `${passed ? 'within' : 'exceeds'} threshold ${formatValue('income', threshold)}`;
+  check.failure = perCapita === null ? 'Per capita income could not be verified' : 'Per capita income exceeds limit';
+  return check;
+}
+
+const NAMED_CHECKS = {
+  max_monthly_income: incomeCheck,
+  max_per_capita_income: perCapitaCheck,
+  max_gwa: gwaCheck
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GENERIC CHECKS - max_/min_/required_ rules on any extracted field
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function compareCheck(kind, field, data, ruleValue) {
+  const threshold = toNumber(ruleValue);
+  const value = toNumber(data[field]);
+  const passed = value !== null && threshold !== null &&
+    (kind === 'max' ? value <= threshold : value >= threshold);
+  const label = labelFor(field);
+  const symbol = kind === 'max' ? '≤' : '≥';
+
+  return {
+    name: `${field}_check`,
+    failure: value === null ? `${label} could not be verified` : `${label} does not meet requirement`,
+    result: {
+      passed,
+      value_found: value,
+      threshold,
+      reason: value === null
+        ? `${label} was not found in the documents`
+        : `${label} ${formatValue(field, value)} ${passed ? 'meets' : 'does not meet'} requirement (${symbol} ${formatValue(field, threshold)})`
+    }
+  };
+}
+
+function requiredCheck(field, data, ruleValue) {
+  const value = data[field];
+  const expected = String(ruleValue ?? '').trim();
+  const present = value !== null && value !== undefined && value !== '' && value !== false;
+
+  // 'true' just means "must be present"; anything else must appear in the value
+  const passed = present && (
+    expected === '' || expected.toLowerCase() === 'true' ||
+    String(value).toLowerCase().includes(expected.toLowerCase())
+  );
+  const label = labelFor(field);
+
+  return {
+    name: `${field}_check`,
+    failure: `${label} requirement not met`,
+    result: {
+      passed,
+      value_found: present ? value : null,
+      expected: expected.toLowerCase() === 'true' ? null : expected,
+      reason: !present
+        ? `${label} was not found in the documents`
+        : passed
+          ? `${label} "${value}" meets requirement`
+          : `${label} "${value}" does not match required "${expected}"`
+    }
+  };
+}
+
+function buildCheck(ruleKey, ruleValue, data, household) {
+  if (NAMED_CHECKS[ruleKey]) return NAMED_CHECKS[ruleKey](data, ruleValue, household);
+
+  const match = ruleKey.match(RULE_PATTERN);
+  if (!match) return null; // configuration key, not a check
+
+  const [, kind, field] = match;
+  return kind === 'required'
+    ? requiredCheck(field, data, ruleValue)
+    : compareCheck(kind, field, data, ruleValue);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLAIMED vs DOCUMENTED INCOME - Does the form match the certificates?
+// ═══════════════════════════════════════════════════════════════════════════════
+// The applicant types a value into the form for every document whose type has
+// the claimed_match check (e.g. each parent's monthly income, see
+// services/documents.js) and for every earning household member; the documents
+// say what it really is. A difference is allowed when it is
+// within EITHER tolerance (rounding, allowances, a recent raise):
+//   income_tolerance_abs → pesos           (default ₱1,000)
+//   income_tolerance_pct → % of the claim  (default 10%)
+// Anything larger is a discrepancy. It does not disqualify on its own - the
+// caller sends the application to a reviewer with both figures.
+
+const DEFAULT_TOLERANCE_ABS = 1000;
+const DEFAULT_TOLERANCE_PCT = 10;
+
+// claimed: { <field>: value } as entered in the form, e.g. { mother_income: 15000 }
+// Returns { tolerance: { abs, pct }, parents: [...], discrepancies: [...] }
+// (each entry's parent is the field without "_income": mother_income → mother,
+// guardian_3_income → guardian_3)
+function compareClaimedIncome(extractedData = {}, claimed = {}, rules = {}) {
+  const abs = toNumber(rules.income_tolerance_abs) ?? DEFAULT_TOLERANCE_ABS;
+  const pct = toNumber(rules.income_tolerance_pct) ?? DEFAULT_TOLERANCE_PCT;
+
+  const parents = Object.keys(claimed).map(field => {
+    const parent = field.replace(/_income$/, '');
+    const claimedValue = toNumber(claimed[field]);
+    const documented = toNumber(extractedData[field]);
+    const base = { parent, field, claimed: claimedValue, documented };
+
+    // Nothing to compare - a missing certificate value already fails income_check
+    if (claimedValue === null || documented === null) {
+      return { ...base, status: 'not_compared', difference: null, difference_pct: null, allowed_difference: null };
+    }
+
+    const difference = documented - claimedValue;
+    const differencePct = claimedValue === 0 ? null : Math.round((difference / claimedValue) * 1000) / 10;
+    const allowed = Math.max(abs, Math.abs(claimedValue) * pct / 100);
+
+    return {
+      ...base,
+      status: Math.abs(difference) <= allowed ? 'match' : 'discrepancy',
+      difference,
+      difference_pct: differencePct,
+      allowed_difference: allowed
+    };
+  });
+
+  const discrepancies = parents
+    .filter(p => p.status === 'discrepancy')
+    .map(p => ({
+      ...p,
+      reason: `${labelFor(p.parent)}: claimed ${formatValue('income', p.claimed)}, certificate shows ` +
+        `${formatValue('income', p.documented)} (difference ₱${Math.abs(p.difference).toLocaleString()}, ` +
+        `allowed ₱${p.allowed_difference.toLocaleString()})`
+    }));
+
+  return { tolerance: { abs, pct }, parents, discrepancies };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Which fields the AI must extract for these rules
+// Example: adding a max_age rule adds "age" to the prompt
+function extractionFields(rules = {}) {
+  const fields = [...BASE_FIELDS];
+  for (const key of Object.keys(rules)) {
+    const match = key.match(RULE_PATTERN);
+    if (!match || NAMED_CHECKS[key]) continue;
+    const field = match[2];
+    if (!fields.includes(field) && !DERIVED_FIELDS.includes(field)) fields.push(field);
+  }
+  return fields;
+}
+
+// Run every check defined by the rules against the extracted values
+// household: { size, income_fields } of a declared household, or null
+// Returns the evaluation part of the result stored in evaluation_result:
+// { qualified, extracted_data, evaluation: { income_check, gwa_check, ... },
+//   disqualification_reasons }
+function applyRules(extractedData, rules = {}, household = null) {
+  const data = computeDerivedFields(extractedData, household);
+  const evaluation = {};
+  const disqualificationReasons = [];
+
+  for (const [ruleKey, ruleValue] of Object.entries(rules)) {
+    const check = buildCheck(ruleKey, ruleValue, data, household);
+    if (!check) continue;
+
+    evaluation[check.name] = { ...check.result, rule_key: ruleKey };
+    if (!check.result.passed) disqualificationReasons.push(check.failure);
+  }
+
+  return {
+    // No checks at all means the rules are missing - never auto-qualify
+    qualified: Object.keys(evaluation).length > 0 && disqualificationReasons.length === 0,
+    extracted_data: data,
+    evaluation,
+    disqualification_reasons: disqualificationReasons
+  };
+}
+
+module.exports = { applyRules, extractionFields, computeDerivedFields, compareClaimedIncome, toNumber };
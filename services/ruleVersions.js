@@ -0,0 +1,251 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// RULE VERSIONS - Scholarship rules with history and effective dates
+// ═══════════════════════════════════════════════════════════════════════════════
+// Every program (services/programs.js) has its own rules. Every change to them
+// creates a NEW row in rule_versions holding the program's complete set of
+// rules, numbered 1, 2, 3... per program. Rows are never updated, so any
+// evaluation can be traced back to the exact rules it used (evaluation_runs
+// and applications store program_id + the version number).
+//
+// A version applies from its effective_from date until the next version
+// starts. Changes can be scheduled (effective_from in the future) but never
+// backdated, so versions are always in the same order as their dates.
+//
+// Each rule has a TYPED value:
+//   { max_monthly_income: { value: 30000, type: 'number', description: '...' },
+//     required_enrollment_status: { value: 'Enrolled', type: 'string', ... } }
+// The rule engine (services/ruleEngine.js) only sees { rule_key: value }.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const supabase = require('../config/supabase');
+
+const RULE_TYPES = ['number', 'string', 'boolean'];
+
+// snake_case, as the rule engine reads prefixes like max_ / min_ / required_
+const RULE_KEY = /^[a-z][a-z0-9_]{1,62}$/;
+
+const MAX_DESCRIPTION = 200;
+
+// An effective_from this close to "now" (browser clock a bit behind) counts as now
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Rules with a fixed meaning get range checks on top of their type
+const KNOWN_RULES = {
+  max_monthly_income:    { type: 'number', min: 0 },
+  max_per_capita_income: { type: 'number', min: 0 },             // needs a declared household
+  max_gwa:               { type: 'number', min: 1, max: 5 },     // Philippine 1.0 - 5.0 scale
+  income_tolerance_abs:  { type: 'number', min: 0 },
+  income_tolerance_pct:  { type: 'number', min: 0, max: 100 }
+};
+
+// Thrown for changes an admin can fix; status is the HTTP status to respond with
+class RuleError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'RuleError';
+    this.status = status;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+// Types a key may have: fixed for known rules, by prefix for the others
+function allowedTypes(key) {
+  if (KNOWN_RULES[key]) return [KNOWN_RULES[key].type];
+  if (/^(max|min)_/.test(key)) return ['number'];
+  if (/^required_/.test(key)) return ['boolean', 'string'];
+  return RULE_TYPES;
+}
+
+// Accept '30000' for a number and 'true' for a boolean (form inputs send strings)
+function coerce(value, type) {
+  if (type === 'number' && typeof value === 'string' && /^-?\d+(\.\d+)?$/.test(value.trim())) {
+    return Number(value);
+  }
+  if (type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+  if (type === 'string' && typeof value === 'string') return value.trim();
+  return value;
+}
+
+// { rule_key: { value, type, description } } → { rule_key: value }
+function toRuleMap(rules = {}) {
+  return Object.fromEntries(Object.entries(rules).map(([key, rule]) => [key, rule.value]));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+// Returns the normalized rule { value, type, description } or throws RuleError.
+// type may be left out: it is then taken from the key or the value itself.
+
+function validateRule(key, { value, type, description = null } = {}) {
+  if (typeof key !== 'string' || !RULE_KEY.test(key)) {
+    throw new RuleError(`Invalid rule key "${key}": use lowercase letters, digits and underscores`);
+  }
+
+  const types = allowedTypes(key);
+  const ruleType = type ?? (types.length === 1 ? types[0] : typeof value);
+  if (!RULE_TYPES.includes(ruleType)) {
+    throw new RuleError(`${key}: type must be one of ${RULE_TYPES.join(', ')}`);
+  }
+  if (!types.includes(ruleType)) {
+    throw new RuleError(`${key}: must be of type ${types.join(' or ')}`);
+  }
+
+  const ruleValue = coerce(value, ruleType);
+  if (ruleType === 'number' && (typeof ruleValue !== 'number' || !Number.isFinite(ruleValue))) {
+    throw new RuleError(`${key}: value must be a number`);
+  }
+  if (ruleType === 'boolean' && typeof ruleValue !== 'boolean') {
+    throw new RuleError(`${key}: value must be true or false`);
+  }
+  if (ruleType === 'string' && (typeof ruleValue !== 'string' || !ruleValue)) {
+    throw new RuleError(`${key}: value must be a non-empty string`);
+  }
+
+  const limits = KNOWN_RULES[key] || {};
+  if (limits.min !== undefined && ruleValue < limits.min) {
+    throw new RuleError(`${key}: value must be at least ${limits.min}`);
+  }
+  if (limits.max !== undefined && ruleValue > limits.max) {
+    throw new RuleError(`${key}: value must be at most ${limits.max}`);
+  }
+
+  if (description !== null && (typeof description !== 'string' || description.length > MAX_DESCRIPTION)) {
+    throw new RuleError(`${key}: description must be a string of at most ${MAX_DESCRIPTION} characters`);
+  }
+
+  return { value: ruleValue, type: ruleType, description: description?.trim() || null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// READ
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Version of a program's rules in effect at a given moment (default: now)
+async function getActiveVersion(programId, at = new Date()) {
+  const { data, error } = await supabase
+    .from('rule_versions')
+    .select('*')
+    .eq('program_id', programId)
+    .lte('effective_from', at.toISOString())
+    .order('effective_from', { ascending: false })
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  if (!data.length) {
+    throw new RuleError('This program has no rules in effect yet', 409);
+  }
+  return data[0];
+}
+
+// Highest version number, including changes scheduled for later; null if none yet
+async function getLatestVersion(programId) {
+  const { data, error } = await supabase
+    .from('rule_versions')
+    .select('*')
+    .eq('program_id', programId)
+    .order('version', { ascending: false })
+    .limit(1);
+
+  if (error) throw error;
+  return data[0] || null;
+}
+
+async function getVersion(programId, version) {
+  const { data, error } = await supabase
+    .from('rule_versions')
+    .select('*')
+    .eq('program_id', programId)
+    .eq('version', version)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!data) throw new RuleError('Rules version not found', 404);
+  return data;
+}
+
+// All versions of a program, newest first
+async function listVersions(programId) {
+  const { data, error } = await supabase
+    .from('rule_versions')
+    .select('*')
+    .eq('program_id', programId)
+    .order('version', { ascending: false });
+
+  if (error) throw error;
+  return data;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CHANGE - Every change is a new version
+// ═══════════════════════════════════════════════════════════════════════════════
+// changes: { set: { rule_key: { value, type?, description? } }, remove: ['rule_key'] }
+// The new version starts from the LATEST version (so a scheduled change is
+// kept), applies the changes and becomes effective at effectiveFrom (default now).
+
+async function createVersion({ programId, set = {}, remove = [], effectiveFrom, note = null, actorId = null } = {}) {
+  if (!Object.keys(set).length && !remove.length) throw new RuleError('No changes given');
+
+  const latest = await getLatestVersion(programId);
+  const rules = { ...(latest?.rules || {}) };
+
+  for (const key of remove) {
+    if (!rules[key]) throw new RuleError(`Rule "${key}" does not exist`, 404);
+    delete rules[key];
+  }
+  for (const [key, rule] of Object.entries(set)) {
+    // Keep the current type and description when only the value changes
+    const type = rule?.type ?? rules[key]?.type;
+    const description = rule?.description !== undefined ? rule.description : rules[key]?.description ?? null;
+    rules[key] = validateRule(key, { value: rule?.value, type, description });
+  }
+
+  // Without any max_/min_/required_ rule every application would go to manual review
+  if (!Object.keys(rules).some(key => /^(max|min|required)_/.test(key))) {
+    throw new RuleError('The rules must contain at least one eligibility check (max_, min_ or required_ rule)');
+  }
+
+  // ── Effective date: now or later, never before the latest version ──
+  const now = new Date();
+  let effective = effectiveFrom ? new Date(effectiveFrom) : now;
+  if (Number.isNaN(effective.getTime())) throw new RuleError('effective_from must be a valid date');
+  if (now - effective > CLOCK_SKEW_MS) {
+    throw new RuleError('effective_from cannot be in the past: past evaluations keep the rules they used');
+  }
+  if (effective < now) effective = now;
+  if (latest && effective < new Date(latest.effective_from)) {
+    throw new RuleError(`effective_from must be on or after ${latest.effective_from} (start of version ${latest.version})`, 409);
+  }
+
+  const { data, error } = await supabase
+    .from('rule_versions')
+    .insert({
+      program_id: programId,
+      version: (latest?.version || 0) + 1,
+      rules,
+      effective_from: effective.toISOString(),
+      change_note: typeof note === 'string' && note.trim() ? note.trim() : null,
+      created_by: actorId
+    })
+    .select()
+    .single();
+
+  // Unique version number: someone else saved a version in the meantime
+  if (error?.code === '23505') throw new RuleError('The rules were changed by someone else, reload and try again', 409);
+  if (error) throw error;
+  return data;
+}
+
+module.exports = {
+  getActiveVersion,
+  getLatestVersion,
+  getVersion,
+  listVersions,
+  createVersion,
+  validateRule,
+  toRuleMap,
+  RuleError,
+  RULE_TYPES
+};
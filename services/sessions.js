@@ -0,0 +1,221 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SESSIONS - Signed-in devices, with short-lived access tokens and rotating
+// refresh tokens
+// ═══════════════════════════════════════════════════════════════════════════════
+// Signing in creates a session (one row of sessions per device) and hands out:
+//   - an access token: a JWT { id, email, role, sid } valid for
+//     ACCESS_TOKEN_TTL_MINUTES, sent with every request
+//   - a refresh token: random, stored only as its SHA-256 hash, exchanged at
+//     POST /api/auth/refresh for a new pair. Every exchange replaces it
+//     (rotation), so each refresh token works once
+//
+// A refresh token used again after it was replaced means it was copied: the
+// session is revoked. Two tabs refreshing at the same moment are not theft,
+// so the replaced token is only refused (not punished) for REUSE_GRACE_MS.
+//
+// The auth middleware checks the session of every access token, so a revoked
+// session (sign out, "sign out everywhere", password reset) stops working at
+// once, not when its access token expires.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto   = require('crypto');
+const jwt      = require('jsonwebtoken');
+const supabase = require('../config/supabase');
+
+const num = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isFinite(parsed) && parsed > 0 ? parsed : fallback;
+};
+
+const ACCESS_TOKEN_TTL_MINUTES = num(process.env.ACCESS_TOKEN_TTL_MINUTES, 15);
+const SESSION_TTL_DAYS         = num(process.env.SESSION_TTL_DAYS, 30);
+const REUSE_GRACE_MS           = 30 * 1000;
+
+// What the session list shows; the token hashes never leave the server
+const PUBLIC_FIELDS = 'id, user_agent, ip_address, created_at, last_used_at, expires_at';
+
+// Thrown when a session cannot be used or changed; status is the HTTP status to respond with
+class SessionError extends Error {
+  constructor(message, status = 401, code = null) {
+    super(message);
+    this.name = 'SessionError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+const hashToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+const sessionExpiry = () => new Date(Date.now() + SESSION_TTL_DAYS * 86400000).toISOString();
+
+const accessToken = (user, sessionId) => jwt.sign(
+  { id: user.id, email: user.email, role: user.role, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: `${ACCESS_TOKEN_TTL_MINUTES}m` }
+);
+
+// Where the request comes from, as shown in the session list
+const client = req => ({
+  user_agent: String(req.get?.('user-agent') || '').slice(0, 300) || null,
+  ip_address: req.ip || req.socket?.remoteAddress || null
+});
+
+// "Chrome on Windows" from a user agent string
+function deviceLabel(userAgent) {
+  if (!userAgent) return 'Unknown device';
+  const browser =
+    /Edg\//.test(userAgent) ? 'Edge' :
+    /OPR\/|Opera/.test(userAgent) ? 'Opera' :
+    /Firefox\//.test(userAgent) ? 'Firefox' :
+    /Chrome\//.test(userAgent) ? 'Chrome' :
+    /Safari\//.test(userAgent) ? 'Safari' : null;
+  const os =
+    /iPhone|iPad/.test(userAgent) ? 'iOS' :
+    /Android/.test(userAgent) ? 'Android' :
+    /Windows/.test(userAgent) ? 'Windows' :
+    /Mac OS X|Macintosh/.test(userAgent) ? 'macOS' :
+    /Linux/.test(userAgent) ? 'Linux' : null;
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || userAgent.split(/[\s/]/)[0];
+}
+
+async function findByToken(column, hash) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('id, user_id, refresh_token_hash, rotated_at, expires_at, revoked_at')
+    .eq(column, hash)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+async function revokeWhere(apply, reason) {
+  const { data, error } = await apply(
+    supabase.from('sessions').update({ revoked_at: new Date().toISOString(), revoked_reason: reason })
+  ).is('revoked_at', null).select('id');
+  if (error) throw error;
+  return data.length;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Signs the user in on this device: { token, refresh_token }
+async function createSession(user, req) {
+  const refreshToken = newRefreshToken();
+  const now = new Date().toISOString();
+  const { data: session, error } = await supabase
+    .from('sessions')
+    .insert({
+      user_id:            user.id,
+      refresh_token_hash: hashToken(refreshToken),
+      ...client(req),
+      created_at:         now,
+      last_used_at:       now,
+      expires_at:         sessionExpiry()
+    })
+    .select('id')
+    .single();
+  if (error) throw error;
+  return { token: accessToken(user, session.id), refresh_token: refreshToken };
+}
+
+// Exchanges a refresh token for a new pair: { token, refresh_token }
+async function refreshSession(refreshToken, req) {
+  if (typeof refreshToken !== 'string' || !refreshToken) throw new SessionError('refresh_token is required', 400);
+  const hash = hashToken(refreshToken);
+
+  const session = await findByToken('refresh_token_hash', hash) || await findByToken('previous_token_hash', hash);
+  if (!session || session.revoked_at) throw new SessionError('Your session has ended. Please sign in again.', 401, 'session_ended');
+
+  if (session.refresh_token_hash !== hash) {
+    // Already replaced: another tab of this device just refreshed, or the token was copied
+    if (Date.now() - new Date(session.rotated_at).getTime() < REUSE_GRACE_MS) {
+      throw new SessionError('This refresh token was just replaced', 409, 'token_rotated');
+    }
+    await revokeWhere(query => query.eq('id', session.id), 'refresh_token_reused');
+    console.warn(`Session ${session.id} revoked: a replaced refresh token was used again`);
+    throw new SessionError('Your session has ended. Please sign in again.', 401, 'session_ended');
+  }
+  if (new Date(session.expires_at) <= new Date()) throw new SessionError('Your session has expired. Please sign in again.', 401, 'session_ended');
+
+  const { data: user, error: userError } = await supabase
+    .from('users')
+    .select('id, email, role')
+    .eq('id', session.user_id)
+    .maybeSingle();
+  if (userError) throw userError;
+  if (!user) throw new SessionError('Your session has ended. Please sign in again.', 401, 'session_ended');
+
+  // Only the request holding the current token can rotate it
+  const next = newRefreshToken();
+  const now = new Date().toISOString();
+  const { data: rotated, error: rotateError } = await supabase
+    .from('sessions')
+    .update({
+      refresh_token_hash:  hashToken(next),
+      previous_token_hash: hash,
+      rotated_at:          now,
+      last_used_at:        now,
+      expires_at:          sessionExpiry(),
+      ...client(req)
+    })
+    .eq('id', session.id)
+    .eq('refresh_token_hash', hash)
+    .is('revoked_at', null)
+    .select('id')
+    .maybeSingle();
+  if (rotateError) throw rotateError;
+  if (!rotated) throw new SessionError('This refresh token was just replaced', 409, 'token_rotated');
+
+  return { token: accessToken(user, session.id), refresh_token: next };
+}
+
+// Whether an access token's session may still be used (auth middleware)
+async function isActive(sessionId) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select('revoked_at, expires_at')
+    .eq('id', sessionId)
+    .maybeSingle();
+  if (error) throw error;
+  return !!data && !data.revoked_at && new Date(data.expires_at) > new Date();
+}
+
+// The user's signed-in devices, most recently used first; current: the
+// session of the request, marked so it can be told apart
+async function listSessions(userId, current = null) {
+  const { data, error } = await supabase
+    .from('sessions')
+    .select(PUBLIC_FIELDS)
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString())
+    .order('last_used_at', { ascending: false });
+  if (error) throw error;
+  return data.map(session => ({ ...session, device: deviceLabel(session.user_agent), current: session.id === current }));
+}
+
+// Signs one of the user's devices out
+async function revokeSession(userId, sessionId, reason = 'signed_out') {
+  const revoked = await revokeWhere(query => query.eq('id', sessionId).eq('user_id', userId), reason);
+  if (!revoked) throw new SessionError('Session not found', 404);
+}
+
+// Signs every device of the user out; returns how many
+async function revokeAll(userId, reason = 'signed_out_everywhere') {
+  return revokeWhere(query => query.eq('user_id', userId), reason);
+}
+
+module.exports = {
+  createSession,
+  refreshSession,
+  isActive,
+  listSessions,
+  revokeSession,
+  revokeAll,
+  SessionError
+};
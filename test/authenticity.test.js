@@ -0,0 +1,60 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { analyzeDocument, REVIEW_SCORE } = require('../services/authenticity');
+
+// One-page PDF with an Info dictionary; update appends a second revision
+// (a new Info object, as Acrobat writes on a routine save)
+function pdf(producer, { update = false } = {}) {
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 612 792] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    null,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>',
+    `<< /Producer (${producer}) /Creator (${producer}) /CreationDate (D:20250101090000Z) /ModDate (D:20250101090000Z) >>`
+  ];
+  const stream = 'BT /F1 12 Tf 72 720 Td (Certificate of Employment - Monthly Salary: PHP 15,000) Tj ET';
+  objects[3] = `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`;
+
+  let body = '%PDF-1.4\n';
+  const offsets = objects.map((object, i) => {
+    const offset = body.length;
+    body += `${i + 1} 0 obj\n${object}\nendobj\n`;
+    return offset;
+  });
+  const xref = (entries, first) => `xref\n${first} ${entries.length}\n` +
+    entries.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  const start = body.length;
+  body += xref([0, ...offsets], 0).replace('0000000000 00000 n', '0000000000 65535 f') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R >>\nstartxref\n${start}\n%%EOF\n`;
+
+  if (update) {
+    const offset = body.length;
+    body += `6 0 obj\n${objects[5]}\nendobj\n`;
+    const next = body.length;
+    body += xref([offset], 6) +
+      `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 6 0 R /Prev ${start} >>\nstartxref\n${next}\n%%EOF\n`;
+  }
+  return Buffer.from(body, 'latin1');
+}
+
+// ── PDF ─────────────────────────────────────────────────────────────────
+
+test('a certificate saved again in Acrobat stays below review', async () => {
+  const result = await analyzeDocument(pdf('Adobe Acrobat Pro DC 23.1', { update: true }), 'application/pdf');
+  assert.deepEqual(result.signals.map(s => s.code), ['pdf_editor_suite', 'pdf_incremental_update']);
+  assert.ok(result.risk_score < REVIEW_SCORE);
+  assert.notEqual(result.level, 'high');
+});
+
+test('a certificate made with Nitro is low risk', async () => {
+  const result = await analyzeDocument(pdf('Nitro PDF Creator (Pro 13)'), 'application/pdf');
+  assert.equal(result.level, 'low');
+});
+
+test('an editing tool counts fully', async () => {
+  const result = await analyzeDocument(pdf('Smallpdf.com', { update: true }), 'application/pdf');
+  assert.deepEqual(result.signals.map(s => s.code), ['pdf_editing_tool', 'pdf_incremental_update']);
+  assert.equal(result.risk_score, 70);
+  assert.equal(result.level, 'high');
+});
@@ -0,0 +1,42 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkExtraction } = require('../services/evaluationSchema');
+
+const reply = fields => JSON.stringify({
+  extracted_data: { mother_income: 15000, father_income: 12000, gwa: 1.75 },
+  ocr_quality: 'good',
+  ...fields
+});
+
+// ── Repair ──────────────────────────────────────────────────────────────
+
+test('checkExtraction reads a percentage string as a confidence', () => {
+  const result = checkExtraction(reply({ confidence_score: '85%' }), {});
+  assert.equal(result.ok, true);
+  assert.equal(result.value.confidence_score, 85);
+});
+
+test('checkExtraction keeps a low confidence as it was reported', () => {
+  assert.equal(checkExtraction(reply({ confidence_score: 1 }), {}).value.confidence_score, 1);
+  assert.equal(checkExtraction(reply({ confidence_score: 0.9 }), {}).value.confidence_score, 0.9);
+});
+
+test('checkExtraction turns peso strings and "N/A" into numbers and null', () => {
+  const raw = '```json\n' + JSON.stringify({
+    extracted_data: { mother_income: '₱15,000', father_income: 'N/A' },
+    confidence_score: 90,
+    ocr_quality: ' Good '
+  }) + '\n```';
+  const { ok, value } = checkExtraction(raw, {});
+  assert.equal(ok, true);
+  assert.equal(value.extracted_data.mother_income, 15000);
+  assert.equal(value.extracted_data.father_income, null);
+  assert.equal(value.extracted_data.gwa, null);
+  assert.equal(value.ocr_quality, 'good');
+});
+
+test('checkExtraction reports a confidence out of range', () => {
+  const result = checkExtraction(reply({ confidence_score: 150 }), {});
+  assert.equal(result.ok, false);
+  assert.ok(result.errors.some(e => e.includes('confidence_score')));
+});
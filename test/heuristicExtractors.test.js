@@ -0,0 +1,92 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { wordsToNumber, extractIncome, extractGwa, runHeuristics, crossCheck } = require('../services/heuristicExtractors');
+
+// ── Income ──────────────────────────────────────────────────────────────
+
+test('extractIncome reads a peso amount next to an income keyword', () => {
+  const text = 'This is to certify that Maria Santos receives a Monthly Salary: ₱15,000.00';
+  assert.equal(extractIncome(text).value, 15000);
+});
+
+test('extractIncome finds nothing without an amount', () => {
+  assert.deepEqual(extractIncome('Certificate of Employment'), { value: null, candidates: [] });
+});
+
+// ── GWA ─────────────────────────────────────────────────────────────────
+
+test('extractGwa reads the general weighted average', () => {
+  assert.equal(extractGwa('General Weighted Average: 1.75').value, 1.75);
+});
+
+test('extractGwa finds nothing without a GWA label', () => {
+  assert.equal(extractGwa('Mathematics 1.50').value, null);
+});
+
+test('extractIncome reads written-out amounts', () => {
+  const text = 'Her monthly compensation is Fifteen thousand five hundred pesos only.';
+  assert.equal(extractIncome(text).value, 15500);
+});
+
+test('extractIncome divides an annual amount by 12', () => {
+  const result = extractIncome('Annual gross income: PHP 180,000');
+  assert.equal(result.value, 15000);
+  assert.equal(result.candidates[0].period, 'annual');
+});
+
+test('extractIncome ignores years and ID numbers', () => {
+  assert.equal(extractIncome('Employee No. 20231 hired 2019, monthly salary to follow').value, null);
+});
+
+test('extractIncome keeps one candidate for an amount written twice', () => {
+  const result = extractIncome('Monthly salary of Twelve thousand pesos (₱12,000.00)');
+  assert.equal(result.value, 12000);
+  assert.equal(result.candidates.length, 1);
+});
+
+test('extractIncome takes the first income amount in the document', () => {
+  const text = 'Monthly salary: ₱18,000. Less deductions, net income: ₱16,250.';
+  assert.equal(extractIncome(text).value, 18000);
+});
+
+test('wordsToNumber handles scales and stops at the end of the phrase', () => {
+  assert.equal(wordsToNumber('one hundred twenty-five thousand'), 125000);
+  assert.equal(wordsToNumber('eight thousand and fifty pesos only'), 8050);
+  assert.equal(wordsToNumber('pesos only'), null);
+});
+
+test('extractGwa takes the last GWA and skips values off the 1.0 - 5.0 scale', () => {
+  const text = '1st Sem GWA: 2.00\n2nd Sem GWA: 1.50\nGeneral Weighted Average: 1.75\nGWA 85';
+  const result = extractGwa(text);
+  assert.equal(result.value, 1.75);
+  assert.equal(result.candidates.length, 3);
+});
+
+// ── Run + Cross-check ───────────────────────────────────────────────────
+
+const DOCUMENTS = [
+  { extractor: 'income', fields: ['mother_income'], text: 'Monthly salary: ₱15,000' },
+  { extractor: 'grades', fields: ['gwa'], text: 'GWA: 1.75' },
+  { extractor: 'text', fields: ['enrollment_status'], text: 'Currently enrolled' }
+];
+
+test('runHeuristics parses only documents with a parser', () => {
+  const { values, tolerances } = runHeuristics(DOCUMENTS);
+  assert.deepEqual(values, { mother_income: 15000, gwa: 1.75 });
+  assert.deepEqual(tolerances, { mother_income: 1, gwa: 0.01 });
+});
+
+test('crossCheck agrees within tolerance and flags the rest', () => {
+  const heuristics = runHeuristics(DOCUMENTS);
+  assert.deepEqual(crossCheck({ mother_income: 15000.5, gwa: 1.75 }, heuristics).mismatches, []);
+
+  const { mismatches } = crossCheck({ mother_income: 15000, gwa: 1.5 }, heuristics);
+  assert.deepEqual(mismatches, [{ field: 'gwa', model_value: 1.5, parser_value: 1.75 }]);
+});
+
+test('crossCheck flags a value only one side found and skips other fields', () => {
+  const heuristics = runHeuristics(DOCUMENTS);
+  const { mismatches } = crossCheck({ gwa: 1.75 }, heuristics);
+  assert.deepEqual(mismatches, [{ field: 'mother_income', model_value: null, parser_value: 15000 }]);
+  assert.deepEqual(crossCheck({ gwa: 1.75 }, heuristics, ['gwa']).mismatches, []);
+});
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { preprocess } = require('../services/imagePreprocessor');
+
+// A 200x100 photo taken sideways: EXIF orientation 6 means "turn 90° clockwise"
+const sidewaysPhoto = () => sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } })
+  .jpeg()
+  .withMetadata({ orientation: 6 })
+  .toBuffer();
+
+// ── EXIF Rotation ───────────────────────────────────────────────────────
+
+test('preprocess applies the EXIF orientation of a Buffer', async () => {
+  const { buffer } = await preprocess(await sidewaysPhoto(), 'original');
+  const { width, height } = await sharp(buffer).metadata();
+  assert.deepEqual({ width, height }, { width: 100, height: 200 });
+});
+
+test('preprocess applies the EXIF orientation of a file', async t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-')), 'photo.jpg');
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  fs.writeFileSync(file, await sidewaysPhoto());
+
+  const { buffer } = await preprocess(file, 'original');
+  const { width, height } = await sharp(buffer).metadata();
+  assert.deepEqual({ width, height }, { width: 100, height: 200 });
+});
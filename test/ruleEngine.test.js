@@ -0,0 +1,239 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyRules, extractionFields, computeDerivedFields, compareClaimedIncome, toNumber } = require('../services/ruleEngine');
+
+const PARENTS = { mother_income: 15000, father_income: 12000 };
+
+// ── Helpers ─────────────────────────────────────────────────────────────
+
+test('toNumber reads peso strings and rejects non-numbers', () => {
+  assert.equal(toNumber('₱15,000'), 15000);
+  assert.equal(toNumber('PHP 12,500.50'), 12500.5);
+  assert.equal(toNumber('3.0'), 3);
+  assert.equal(toNumber(''), null);
+  assert.equal(toNumber('n/a'), null);
+  assert.equal(toNumber(Infinity), null);
+});
+
+test('extractionFields adds the field of every prefixed rule, once', () => {
+  const fields = extractionFields({ max_age: 25, min_age: 16, max_gwa: 2.5, income_tolerance_abs: 500 });
+  assert.ok(fields.includes('age'));
+  assert.equal(fields.filter(f => f === 'age').length, 1);
+  assert.ok(!fields.includes('income_tolerance_abs'));
+});
+
+test('extractionFields never asks the AI for derived fields', () => {
+  const fields = extractionFields({ max_total_income: 30000 });
+  assert.ok(!fields.includes('total_income'));
+});
+
+// ── Derived Fields ──────────────────────────────────────────────────────
+
+test('computeDerivedFields sums the parents and ignores a total from the AI', () => {
+  const data = computeDerivedFields({ mother_income: '₱15,000', father_income: 12000, total_income: 1 });
+  assert.equal(data.mother_income, 15000);
+  assert.equal(data.total_income, 27000);
+});
+
+test('computeDerivedFields sums what was found and gives null when nothing was', () => {
+  assert.equal(computeDerivedFields({ mother_income: 15000 }).total_income, 15000);
+  assert.equal(computeDerivedFields({}).total_income, null);
+});
+
+test('computeDerivedFields normalises the GWA', () => {
+  assert.equal(computeDerivedFields({ gwa: '1.75' }).gwa, 1.75);
+});
+
+// ── Generic Checks ──────────────────────────────────────────────────────
+
+test('max_ rule passes at the threshold and fails above it', () => {
+  const atLimit = applyRules({ age: 25 }, { max_age: 25 });
+  assert.equal(atLimit.qualified, true);
+  assert.equal(atLimit.evaluation.age_check.rule_key, 'max_age');
+
+  const over = applyRules({ age: 26 }, { max_age: '25' });
+  assert.equal(over.qualified, false);
+  assert.equal(over.evaluation.age_check.threshold, 25);
+  assert.deepEqual(over.disqualification_reasons, ['Age does not meet requirement']);
+});
+
+test('min_ rule fails below the threshold', () => {
+  const result = applyRules({ units_enrolled: 12 }, { min_units_enrolled: 15 });
+  assert.equal(result.qualified, false);
+  assert.equal(result.evaluation.units_enrolled_check.value_found, 12);
+});
+
+test('max_/min_ rule on a missing value fails as unverified', () => {
+  const result = applyRules({}, { min_age: 16 });
+  assert.equal(result.evaluation.age_check.passed, false);
+  assert.deepEqual(result.disqualification_reasons, ['Age could not be verified']);
+});
+
+test('required_ rule matches the expected text case-insensitively', () => {
+  const rules = { required_enrollment_status: 'Currently Enrolled' };
+  assert.equal(applyRules({ enrollment_status: 'currently enrolled (1st semester)' }, rules).qualified, true);
+
+  const result = applyRules({ enrollment_status: 'On leave' }, rules);
+  assert.equal(result.qualified, false);
+  assert.equal(result.evaluation.enrollment_status_check.expected, 'Currently Enrolled');
+});
+
+test('required_ rule set to true only needs a value', () => {
+  assert.equal(applyRules({ school: 'PUP' }, { required_school: true }).qualified, true);
+  assert.equal(applyRules({ school: '' }, { required_school: 'true' }).qualified, false);
+});
+
+// ── Named Checks ────────────────────────────────────────────────────────
+
+test('max_monthly_income compares the combined parent income', () => {
+  assert.equal(applyRules(PARENTS, { max_monthly_income: 27000 }).qualified, true);
+
+  const over = applyRules(PARENTS, { max_monthly_income: 26999 });
+  assert.equal(over.qualified, false);
+  assert.equal(over.evaluation.income_check.total_value_found, 27000);
+  assert.deepEqual(over.disqualification_reasons, ['Combined income exceeds limit']);
+});
+
+test('max_monthly_income fails when a parent income is missing', () => {
+  const result = applyRules({ mother_income: 5000 }, { max_monthly_income: 30000 });
+  assert.equal(result.qualified, false);
+  assert.equal(result.evaluation.income_check.income_verified, false);
+});
+
+test('max_gwa treats a lower GWA as better', () => {
+  const rules = { max_gwa: 3 };
+  const pass = applyRules({ gwa: 1.75 }, rules);
+  assert.equal(pass.qualified, true);
+  assert.match(pass.evaluation.gwa_check.reason, /3\.0 or better/);
+  assert.equal(applyRules({ gwa: 3.25 }, rules).qualified, false);
+});
+
+// ── applyRules ──────────────────────────────────────────────────────────
+
+test('configuration keys are not checks', () => {
+  const result = applyRules({ gwa: 2 }, { max_gwa: 2.5, income_tolerance_abs: 500 });
+  assert.deepEqual(Object.keys(result.evaluation), ['gwa_check']);
+});
+
+test('rules without any check never qualify', () => {
+  assert.equal(applyRules(PARENTS, {}).qualified, false);
+  assert.equal(applyRules(PARENTS, { income_tolerance_pct: 10 }).qualified, false);
+});
+
+// ── Claimed vs Documented Income ────────────────────────────────────────
+
+test('compareClaimedIncome allows the larger of the default tolerances', () => {
+  const { tolerance, parents, discrepancies } = compareClaimedIncome(
+    { mother_income: 16000, father_income: 17000 },
+    { mother_income: 15000, father_income: 15000 }
+  );
+  assert.deepEqual(tolerance, { abs: 1000, pct: 10 });
+  assert.equal(parents[0].status, 'match');          // ₱1,000 off, ₱1,500 allowed
+  assert.equal(parents[1].status, 'discrepancy');    // ₱2,000 off
+  assert.equal(parents[1].allowed_difference, 1500);
+  assert.deepEqual(discrepancies.map(d => d.parent), ['father']);
+});
+
+test('compareClaimedIncome reads the tolerances from the rules', () => {
+  const rules = { income_tolerance_abs: '₱2,000', income_tolerance_pct: 0 };
+  const { tolerance, parents } = compareClaimedIncome({ mother_income: 17000 }, { mother_income: 15000 }, rules);
+  assert.deepEqual(tolerance, { abs: 2000, pct: 0 });
+  assert.equal(parents[0].status, 'match');
+
+  const strict = compareClaimedIncome({ mother_income: 15001 }, { mother_income: 15000 },
+    { income_tolerance_abs: 0, income_tolerance_pct: 0 });
+  assert.equal(strict.parents[0].status, 'discrepancy');
+});
+
+test('compareClaimedIncome uses the percentage for large claims', () => {
+  const [mother] = compareClaimedIncome({ mother_income: 46000 }, { mother_income: 50000 }).parents;
+  assert.equal(mother.status, 'match');
+  assert.equal(mother.allowed_difference, 5000);
+  assert.equal(mother.difference, -4000);
+  assert.equal(mother.difference_pct, -8);
+});
+
+test('compareClaimedIncome does not compare a missing value', () => {
+  const { parents, discrepancies } = compareClaimedIncome({ mother_income: null }, { mother_income: 15000, father_income: '' });
+  assert.deepEqual(parents.map(p => p.status), ['not_compared', 'not_compared']);
+  assert.equal(parents[0].difference, null);
+  assert.deepEqual(discrepancies, []);
+});
+
+test('compareClaimedIncome has no percentage for a zero claim', () => {
+  const [father] = compareClaimedIncome({ father_income: 800 }, { father_income: 0 }).parents;
+  assert.equal(father.difference_pct, null);
+  assert.equal(father.status, 'match');
+});
+
+test('compareClaimedIncome explains each discrepancy with both figures', () => {
+  const [discrepancy] = compareClaimedIncome({ father_income: 17000 }, { father_income: '15,000' }).discrepancies;
+  assert.equal(discrepancy.reason,
+    'Father: claimed ₱15,000, certificate shows ₱17,000 (difference ₱2,000, allowed ₱1,500)');
+});
+
+// ── Declared Household ──────────────────────────────────────────────────
+
+const HOUSEHOLD = { size: 4, income_fields: ['mother_income', 'guardian_1_income'] };
+
+test('computeDerivedFields counts only the earning household members', () => {
+  const data = computeDerivedFields({ mother_income: 15000, guardian_1_income: '₱5,000', father_income: 30000 }, HOUSEHOLD);
+  assert.equal(data.total_income, 20000);
+  assert.equal(data.per_capita_income, 5000);
+  assert.equal(data.household_size, 4);
+});
+
+test('computeDerivedFields rounds per capita income to centavos', () => {
+  const data = computeDerivedFields({ mother_income: 10000 }, { size: 3, income_fields: ['mother_income'] });
+  assert.equal(data.per_capita_income, 3333.33);
+});
+
+test('computeDerivedFields leaves per capita income out when an earner income is missing', () => {
+  const data = computeDerivedFields({ mother_income: 15000 }, HOUSEHOLD);
+  assert.equal(data.total_income, 15000);
+  assert.equal(data.per_capita_income, null);
+});
+
+test('a household without earners has no income', () => {
+  const household = { size: 3, income_fields: [] };
+  const data = computeDerivedFields({ mother_income: 15000 }, household);
+  assert.equal(data.total_income, 0);
+  assert.equal(data.per_capita_income, 0);
+
+  const result = applyRules({}, { max_monthly_income: 10000 }, household);
+  assert.equal(result.qualified, true);
+  assert.match(result.evaluation.income_check.reason, /^No earning household members/);
+});
+
+test('max_monthly_income needs every earning member income', () => {
+  const result = applyRules({ mother_income: 15000, father_income: 1000 }, { max_monthly_income: 30000 }, HOUSEHOLD);
+  assert.equal(result.qualified, false);
+  assert.deepEqual(Object.keys(result.evaluation.income_check.incomes), HOUSEHOLD.income_fields);
+  assert.deepEqual(result.disqualification_reasons, ['Income could not be verified from certificates']);
+});
+
+test('max_per_capita_income divides the total by the household size', () => {
+  const data = { mother_income: 15000, guardian_1_income: 5000 };
+  const pass = applyRules(data, { max_per_capita_income: 5000 }, HOUSEHOLD);
+  assert.equal(pass.qualified, true);
+  assert.equal(pass.evaluation.per_capita_income_check.household_size, 4);
+
+  const over = applyRules(data, { max_per_capita_income: 4999 }, HOUSEHOLD);
+  assert.deepEqual(over.disqualification_reasons, ['Per capita income exceeds limit']);
+});
+
+test('max_per_capita_income fails without a declared household or a verified total', () => {
+  const undeclared = applyRules(PARENTS, { max_per_capita_income: 10000 });
+  assert.equal(undeclared.qualified, false);
+  assert.match(undeclared.evaluation.per_capita_income_check.reason, /no household was declared/);
+
+  const unverified = applyRules({ mother_income: 15000 }, { max_per_capita_income: 10000 }, HOUSEHOLD);
+  assert.match(unverified.evaluation.per_capita_income_check.reason, /household income was not verified/);
+  assert.deepEqual(unverified.disqualification_reasons, ['Per capita income could not be verified']);
+});
+
+test('compareClaimedIncome compares any declared member income', () => {
+  const { parents } = compareClaimedIncome({ guardian_1_income: 9000 }, { guardian_1_income: 5000 });
+  assert.equal(parents[0].parent, 'guardian_1');
+  assert.equal(parents[0].status, 'discrepancy');
+});
@@ -9,6 +9,675 @@ ADD COLUMN IF NOT EXISTS report_card_url TEXT;
 -- Optional: Drop the old single document column if you want
 -- ALTER TABLE applications DROP COLUMN IF EXISTS document_url;
 
+-- ============================================
+-- Asynchronous submission pipeline
+-- ============================================
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS document_extractions JSONB,
+ADD COLUMN IF NOT EXISTS processed_at TIMESTAMP WITH TIME ZONE;
+
+CREATE TABLE IF NOT EXISTS application_jobs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'queued',
+  progress JSONB,
+  attempts INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  started_at TIMESTAMP WITH TIME ZONE,
+  finished_at TIMESTAMP WITH TIME ZONE
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_jobs_status ON application_jobs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_application_jobs_application_id ON application_jobs(application_id);
+
+ALTER TABLE application_jobs ENABLE ROW LEVEL SECURITY;
+
+-- Running jobs renew heartbeat_at; one not renewed for JOB_LEASE_MS is taken
+-- back by another server instance (services/jobQueue.js)
+ALTER TABLE application_jobs ADD COLUMN IF NOT EXISTS heartbeat_at TIMESTAMP WITH TIME ZONE;
+UPDATE application_jobs SET heartbeat_at = started_at WHERE status = 'running' AND heartbeat_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_application_jobs_heartbeat ON application_jobs(status, heartbeat_at);
+
+-- ============================================
+-- Claimed vs documented income tolerance
+-- A parent's certificate amount may differ from the income typed in the
+-- form by up to income_tolerance_abs pesos OR income_tolerance_pct percent
+-- before the application is sent to manual review
+-- ============================================
+INSERT INTO scholarship_rules (rule_key, rule_value, description)
+SELECT 'income_tolerance_abs', '1000', 'Allowed difference (PHP) between declared and certificate income'
+WHERE NOT EXISTS (SELECT 1 FROM scholarship_rules WHERE rule_key = 'income_tolerance_abs');
+
+INSERT INTO scholarship_rules (rule_key, rule_value, description)
+SELECT 'income_tolerance_pct', '10', 'Allowed difference (% of declared income) between declared and certificate income'
+WHERE NOT EXISTS (SELECT 1 FROM scholarship_rules WHERE rule_key = 'income_tolerance_pct');
+
+-- ============================================
+-- Evaluation audit trail
+-- ============================================
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS last_run_id UUID;
+
+CREATE TABLE IF NOT EXISTS evaluation_runs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  job_id UUID REFERENCES application_jobs(id) ON DELETE SET NULL,
+  provider TEXT,
+  model TEXT,
+  rules_snapshot JSONB NOT NULL,
+  rules_version TEXT NOT NULL,
+  prompt JSONB,
+  raw_responses JSONB,
+  usage JSONB,
+  latency_ms INTEGER,
+  documents JSONB,
+  evaluation_result JSONB,
+  status TEXT,
+  app_version TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_evaluation_runs_application_id ON evaluation_runs(application_id, created_at DESC);
+
+ALTER TABLE evaluation_runs ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Application history (append-only event log)
+-- ============================================
+CREATE TABLE IF NOT EXISTS application_history (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  -- Admin who did it; NULL for the system / batch scripts
+  actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+  -- re_evaluated, claimed, released, decision_override, info_requested, fields_corrected
+  action TEXT NOT NULL,
+  details JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_history_application_id ON application_history(application_id, created_at);
+
+ALTER TABLE application_history ENABLE ROW LEVEL SECURITY;
+
+-- Entries can be added, never changed or removed (not even with the service key).
+-- The history belongs to its application: deleting the application (or the
+-- applicant's account, which deletes their applications) deletes its history
+-- through ON DELETE CASCADE, and only those deletes get through - the
+-- application row is already gone when they run. Likewise the one update
+-- allowed is ON DELETE SET NULL clearing actor_id once the actor's account is
+-- gone; nothing else about an entry, its author included, can be rewritten.
+CREATE OR REPLACE FUNCTION prevent_history_changes() RETURNS trigger AS $$
+BEGIN
+  IF TG_OP = 'DELETE' AND NOT EXISTS (SELECT 1 FROM applications WHERE id = OLD.application_id) THEN
+    RETURN OLD;
+  END IF;
+  IF TG_OP = 'UPDATE'
+     AND OLD.actor_id IS NOT NULL AND NEW.actor_id IS NULL
+     AND NOT EXISTS (SELECT 1 FROM users WHERE id = OLD.actor_id)
+     AND (NEW.id, NEW.application_id, NEW.action, NEW.details, NEW.created_at)
+         IS NOT DISTINCT FROM (OLD.id, OLD.application_id, OLD.action, OLD.details, OLD.created_at) THEN
+    RETURN NEW;
+  END IF;
+  RAISE EXCEPTION 'application_history is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS application_history_append_only ON application_history;
+CREATE TRIGGER application_history_append_only
+  BEFORE UPDATE OR DELETE ON application_history
+  FOR EACH ROW EXECUTE FUNCTION prevent_history_changes();
+
+-- ============================================
+-- Admin review queue
+-- ============================================
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS total_income DECIMAL(12, 2),
+ADD COLUMN IF NOT EXISTS claimed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+ADD COLUMN IF NOT EXISTS review_note TEXT;
+
+-- Fill total_income for applications evaluated before the column existed
+UPDATE applications
+SET total_income = (evaluation_result->'extracted_data'->>'total_income')::DECIMAL
+WHERE total_income IS NULL
+  AND jsonb_typeof(evaluation_result->'extracted_data'->'total_income') = 'number';
+
+CREATE INDEX IF NOT EXISTS idx_applications_submitted_at ON applications(submitted_at);
+CREATE INDEX IF NOT EXISTS idx_applications_total_income ON applications(total_income);
+
+-- ============================================
+-- Versioned scholarship rules
+-- Every change to the rules is a new row holding the complete set of
+-- typed rules; rows are never changed. The app reads the version in
+-- effect (latest effective_from <= now) instead of scholarship_rules.
+-- ============================================
+CREATE TABLE IF NOT EXISTS rule_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  version INTEGER NOT NULL UNIQUE,
+  -- { rule_key: { value, type: 'number' | 'string' | 'boolean', description } }
+  rules JSONB NOT NULL,
+  effective_from TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  change_note TEXT,
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_rule_versions_effective_from ON rule_versions(effective_from DESC, version DESC);
+
+ALTER TABLE rule_versions ENABLE ROW LEVEL SECURITY;
+
+-- The rules of a version can never change (created_by may still be cleared
+-- when the admin's account is deleted)
+CREATE OR REPLACE FUNCTION prevent_rule_version_changes() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'rule_versions are immutable: create a new version instead';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS rule_versions_immutable ON rule_versions;
+CREATE TRIGGER rule_versions_immutable
+  BEFORE UPDATE OF version, rules, effective_from, change_note OR DELETE ON rule_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_rule_version_changes();
+
+-- Version 1 = the current scholarship_rules rows, with typed values
+-- ('30000' → 30000, 'true' → true, anything else stays text)
+INSERT INTO rule_versions (version, rules, change_note)
+SELECT 1,
+  jsonb_object_agg(rule_key, jsonb_build_object(
+    'value', CASE
+      WHEN rule_value ~ '^-?[0-9]+(\.[0-9]+)?$' THEN to_jsonb(rule_value::NUMERIC)
+      WHEN lower(rule_value) IN ('true', 'false') THEN to_jsonb(lower(rule_value)::BOOLEAN)
+      ELSE to_jsonb(rule_value)
+    END,
+    'type', CASE
+      WHEN rule_value ~ '^-?[0-9]+(\.[0-9]+)?$' THEN 'number'
+      WHEN lower(rule_value) IN ('true', 'false') THEN 'boolean'
+      ELSE 'string'
+    END,
+    'description', description
+  )),
+  'Imported from scholarship_rules'
+FROM scholarship_rules
+WHERE NOT EXISTS (SELECT 1 FROM rule_versions)
+HAVING COUNT(*) > 0;
+
+-- scholarship_rules is no longer read by the app; keep it until you are
+-- happy with the imported version, then:
+-- DROP TABLE scholarship_rules;
+
+-- Rules version each verdict was made with (linked to rule_versions in
+-- the programs section below)
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS rule_version INTEGER;
+
+ALTER TABLE evaluation_runs
+ADD COLUMN IF NOT EXISTS rule_version INTEGER;
+
+-- ============================================
+-- Scholarship programs
+-- Each program has its own rules (rule_versions.program_id), prompt
+-- context, required documents, application window and slots. Existing
+-- rules and applications move to a 'general' program.
+-- ============================================
+CREATE TABLE IF NOT EXISTS programs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,
+  description TEXT,
+  prompt_context TEXT NOT NULL,
+  required_documents TEXT[] NOT NULL DEFAULT '{mother_certificate,father_certificate,report_card}',
+  opens_at TIMESTAMP WITH TIME ZONE,
+  closes_at TIMESTAMP WITH TIME ZONE,
+  slots INTEGER CHECK (slots > 0),
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE programs ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO programs (slug, name, description, prompt_context)
+SELECT 'general', 'University Scholarship', 'Financial assistance for students from low-income households',
+  'a Philippine university scholarship program'
+WHERE NOT EXISTS (SELECT 1 FROM programs);
+
+-- Rules belong to a program; versions are numbered per program
+ALTER TABLE rule_versions
+ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES programs(id);
+
+UPDATE rule_versions
+SET program_id = (SELECT id FROM programs WHERE slug = 'general')
+WHERE program_id IS NULL;
+
+ALTER TABLE rule_versions ALTER COLUMN program_id SET NOT NULL;
+
+ALTER TABLE applications DROP CONSTRAINT IF EXISTS applications_rule_version_fkey;
+ALTER TABLE evaluation_runs DROP CONSTRAINT IF EXISTS evaluation_runs_rule_version_fkey;
+ALTER TABLE rule_versions DROP CONSTRAINT IF EXISTS rule_versions_version_key;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'rule_versions_program_version_key') THEN
+    ALTER TABLE rule_versions ADD CONSTRAINT rule_versions_program_version_key UNIQUE (program_id, version);
+  END IF;
+END $$;
+
+DROP INDEX IF EXISTS idx_rule_versions_effective_from;
+CREATE INDEX IF NOT EXISTS idx_rule_versions_program_effective_from
+  ON rule_versions(program_id, effective_from DESC, version DESC);
+
+-- A version can never move to another program either
+DROP TRIGGER IF EXISTS rule_versions_immutable ON rule_versions;
+CREATE TRIGGER rule_versions_immutable
+  BEFORE UPDATE OF program_id, version, rules, effective_from, change_note OR DELETE ON rule_versions
+  FOR EACH ROW EXECUTE FUNCTION prevent_rule_version_changes();
+
+-- Every application and evaluation run belongs to a program
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES programs(id);
+
+UPDATE applications
+SET program_id = (SELECT id FROM programs WHERE slug = 'general')
+WHERE program_id IS NULL;
+
+ALTER TABLE applications ALTER COLUMN program_id SET NOT NULL;
+
+ALTER TABLE evaluation_runs
+ADD COLUMN IF NOT EXISTS program_id UUID REFERENCES programs(id);
+
+UPDATE evaluation_runs r
+SET program_id = a.program_id
+FROM applications a
+WHERE r.application_id = a.id AND r.program_id IS NULL;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'applications_rule_version_fkey') THEN
+    ALTER TABLE applications ADD CONSTRAINT applications_rule_version_fkey
+      FOREIGN KEY (program_id, rule_version) REFERENCES rule_versions(program_id, version);
+  END IF;
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'evaluation_runs_rule_version_fkey') THEN
+    ALTER TABLE evaluation_runs ADD CONSTRAINT evaluation_runs_rule_version_fkey
+      FOREIGN KEY (program_id, rule_version) REFERENCES rule_versions(program_id, version);
+  END IF;
+END $$;
+
+CREATE INDEX IF NOT EXISTS idx_applications_program_id ON applications(program_id, status);
+
+-- Programs choose which documents are required, so any of them may be missing
+ALTER TABLE applications ALTER COLUMN mother_certificate_url DROP NOT NULL;
+ALTER TABLE applications ALTER COLUMN father_certificate_url DROP NOT NULL;
+ALTER TABLE applications ALTER COLUMN report_card_url DROP NOT NULL;
+
+-- ============================================
+-- Document types
+-- Documents are defined as data, and the files of an application are rows of
+-- application_documents. Existing uploads and declared incomes are copied
+-- there; the old *_url / *_income columns of applications are no longer read
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_types (
+  -- Upload field name and the value programs list, e.g. 'report_card'
+  key TEXT PRIMARY KEY,
+  label TEXT NOT NULL,
+  description TEXT,
+  -- File extensions the upload accepts
+  accepted_formats TEXT[] NOT NULL DEFAULT '{.jpg,.jpeg,.png,.pdf}',
+  max_size_mb INTEGER NOT NULL DEFAULT 10 CHECK (max_size_mb BETWEEN 1 AND 10),
+  -- How the text is read: income | grades | text (AI only)
+  extractor TEXT NOT NULL DEFAULT 'text' CHECK (extractor IN ('income', 'grades', 'text')),
+  -- extracted_data fields the document provides, e.g. {mother_income}
+  fields TEXT[] NOT NULL DEFAULT '{}',
+  -- parser_cross_check (AI vs parser), claimed_match (form value vs document)
+  checks TEXT[] NOT NULL DEFAULT '{}',
+  -- Form label of the declared value (claimed_match)
+  claim_label TEXT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE document_types ENABLE ROW LEVEL SECURITY;
+
+INSERT INTO document_types (key, label, accepted_formats, extractor, fields, checks, claim_label, sort_order) VALUES
+  ('mother_certificate', 'Mother''s Income Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{mother_income}', '{parser_cross_check,claimed_match}', 'Mother''s Monthly Income', 1),
+  ('father_certificate', 'Father''s Income Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{father_income}', '{parser_cross_check,claimed_match}', 'Father''s Monthly Income', 2),
+  ('report_card', 'Report Card / Grades', '{.jpg,.jpeg,.png,.pdf,.txt}', 'grades',
+    '{gwa}', '{parser_cross_check}', NULL, 3)
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE programs
+ADD COLUMN IF NOT EXISTS optional_documents TEXT[] NOT NULL DEFAULT '{}';
+
+CREATE TABLE IF NOT EXISTS application_documents (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  document_type TEXT NOT NULL REFERENCES document_types(key),
+  -- Path in the 'documents' storage bucket
+  storage_path TEXT NOT NULL,
+  file_name TEXT,
+  size_bytes INTEGER,
+  -- Value the applicant declared with it (types with the claimed_match check)
+  claimed_value DECIMAL(12, 2),
+  uploaded_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (application_id, document_type)
+);
+
+ALTER TABLE application_documents ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_application_documents_application_id ON application_documents(application_id);
+
+INSERT INTO application_documents (application_id, document_type, storage_path, claimed_value, uploaded_at)
+SELECT legacy.* FROM (
+  SELECT id, 'mother_certificate' AS document_type, mother_certificate_url AS storage_path, mother_income, submitted_at
+  FROM applications WHERE mother_certificate_url IS NOT NULL
+  UNION ALL
+  SELECT id, 'father_certificate', father_certificate_url, father_income, submitted_at
+  FROM applications WHERE father_certificate_url IS NOT NULL
+  UNION ALL
+  SELECT id, 'report_card', report_card_url, NULL, submitted_at
+  FROM applications WHERE report_card_url IS NOT NULL
+) AS legacy
+-- Safe to re-run: documents already copied are skipped
+WHERE NOT EXISTS (
+  SELECT 1 FROM application_documents d
+  WHERE d.application_id = legacy.id AND d.document_type = legacy.document_type
+);
+
+-- ============================================
+-- Household composition
+-- Programs with household_assessment ask for every household member (with a
+-- status such as deceased or solo parent and its proof) instead of two
+-- parents; incomes and per-capita income are computed from the members.
+-- application_documents gets doc_key, unique per application, since a type
+-- (e.g. income_certificate) can now be uploaded once per member
+-- ============================================
+ALTER TABLE document_types
+ADD COLUMN IF NOT EXISTS member_proof TEXT CHECK (member_proof IN ('earner', 'non_earner', 'solo_parent', 'deceased'));
+
+INSERT INTO document_types (key, label, accepted_formats, extractor, fields, checks, member_proof, sort_order) VALUES
+  ('income_certificate', 'Income Certificate / ITR', '{.jpg,.jpeg,.png,.pdf,.txt}', 'income',
+    '{}', '{parser_cross_check,claimed_match}', 'earner', 10),
+  ('no_income_certificate', 'Certificate of No Income', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'non_earner', 11),
+  ('solo_parent_id', 'Solo Parent ID', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'solo_parent', 12),
+  ('death_certificate', 'Death Certificate', '{.jpg,.jpeg,.png,.pdf,.txt}', 'text',
+    '{}', '{}', 'deceased', 13)
+ON CONFLICT (key) DO NOTHING;
+
+ALTER TABLE programs
+ADD COLUMN IF NOT EXISTS household_assessment BOOLEAN NOT NULL DEFAULT false;
+
+CREATE TABLE IF NOT EXISTS household_members (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  -- Order declared in the form, from 1 (used in upload field names)
+  position INTEGER NOT NULL CHECK (position > 0),
+  relationship TEXT NOT NULL
+    CHECK (relationship IN ('mother', 'father', 'guardian', 'grandparent', 'sibling', 'spouse', 'self', 'other')),
+  full_name TEXT,
+  status TEXT NOT NULL CHECK (status IN ('earner', 'non_earner', 'solo_parent', 'deceased')),
+  -- Declared monthly income (earning members)
+  monthly_income DECIMAL(12, 2),
+  -- extracted_data field of that income, e.g. mother_income, guardian_3_income
+  income_field TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (application_id, position)
+);
+
+ALTER TABLE household_members ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_household_members_application_id ON household_members(application_id);
+
+ALTER TABLE application_documents
+ADD COLUMN IF NOT EXISTS doc_key TEXT,
+ADD COLUMN IF NOT EXISTS household_member_id UUID REFERENCES household_members(id) ON DELETE CASCADE;
+
+-- Existing uploads are application documents: the key is the type
+UPDATE application_documents SET doc_key = document_type WHERE doc_key IS NULL;
+ALTER TABLE application_documents ALTER COLUMN doc_key SET NOT NULL;
+
+ALTER TABLE application_documents
+DROP CONSTRAINT IF EXISTS application_documents_application_id_document_type_key;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_constraint WHERE conname = 'application_documents_application_id_doc_key_key'
+  ) THEN
+    ALTER TABLE application_documents
+    ADD CONSTRAINT application_documents_application_id_doc_key_key UNIQUE (application_id, doc_key);
+  END IF;
+END $$;
+
+-- Existing applications keep the mother/father certificates they were
+-- evaluated with; programs opt in to household assessment from the admin panel
+
+-- ============================================
+-- Draft applications
+-- An application can be saved as a 'draft' and completed one document at a
+-- time; each document's text is extracted on upload and reused on submission
+-- ============================================
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS draft_form JSONB,
+ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_applications_one_draft
+ON applications(user_id, program_id) WHERE status = 'draft';
+
+ALTER TABLE application_documents
+ADD COLUMN IF NOT EXISTS extraction JSONB;
+
+-- ============================================
+-- Document resubmission
+-- Reviewers can ask for specific documents again; the applicant's
+-- replacements are evaluated without reading the other documents again
+-- ============================================
+ALTER TABLE application_jobs
+ADD COLUMN IF NOT EXISTS document_keys TEXT[];
+
+CREATE TABLE IF NOT EXISTS document_requests (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  -- application_documents.doc_key of each document to replace
+  doc_keys TEXT[] NOT NULL,
+  -- Shown to the applicant, e.g. "The income certificate is unreadable"
+  message TEXT NOT NULL,
+  -- open → fulfilled (replacements uploaded) | cancelled (reviewer decided without them)
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'fulfilled', 'cancelled')),
+  requested_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  requested_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE
+);
+
+ALTER TABLE document_requests ENABLE ROW LEVEL SECURITY;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_document_requests_open ON document_requests(application_id) WHERE status = 'open';
+
+-- ============================================
+-- Earlier versions of replaced documents; their files stay in storage
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_versions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_document_id UUID NOT NULL REFERENCES application_documents(id) ON DELETE CASCADE,
+  application_id UUID NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
+  doc_key TEXT NOT NULL,
+  storage_path TEXT NOT NULL,
+  file_name TEXT,
+  size_bytes INTEGER,
+  -- Text the evaluation read from it { text, method, pages }
+  extraction JSONB,
+  uploaded_at TIMESTAMP WITH TIME ZONE,
+  replaced_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- The request it was replaced for
+  request_id UUID REFERENCES document_requests(id) ON DELETE SET NULL
+);
+
+ALTER TABLE document_versions ENABLE ROW LEVEL SECURITY;
+
+CREATE INDEX IF NOT EXISTS idx_document_versions_application_id ON document_versions(application_id, doc_key);
+
+-- ============================================
+-- Document access log (one row per signed link handed out, never updated)
+-- ============================================
+CREATE TABLE IF NOT EXISTS document_access_log (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  application_id UUID REFERENCES applications(id) ON DELETE CASCADE,
+  doc_key TEXT NOT NULL,
+  -- Set when an earlier version (document_versions) was opened
+  version_id UUID REFERENCES document_versions(id) ON DELETE SET NULL,
+  -- Who opened it and as what: 'owner' (the applicant) or 'reviewer'
+  accessed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  access_as TEXT NOT NULL CHECK (access_as IN ('owner', 'reviewer')),
+  expires_in INTEGER NOT NULL,
+  ip TEXT,
+  user_agent TEXT,
+  accessed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_document_access_log_application_id ON document_access_log(application_id, accessed_at DESC);
+
+ALTER TABLE document_access_log ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Document fingerprints
+-- Reused documents (the same certificate for several applicants or cycles)
+-- are flagged for review (services/fingerprints.js)
+-- ============================================
+ALTER TABLE application_documents
+ADD COLUMN IF NOT EXISTS content_hash TEXT,
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT,
+ADD COLUMN IF NOT EXISTS text_hash TEXT;
+
+ALTER TABLE document_versions
+ADD COLUMN IF NOT EXISTS content_hash TEXT,
+ADD COLUMN IF NOT EXISTS perceptual_hash TEXT,
+ADD COLUMN IF NOT EXISTS text_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_application_documents_content_hash ON application_documents(content_hash);
+CREATE INDEX IF NOT EXISTS idx_application_documents_text_hash ON application_documents(text_hash);
+CREATE INDEX IF NOT EXISTS idx_document_versions_content_hash ON document_versions(content_hash);
+CREATE INDEX IF NOT EXISTS idx_document_versions_text_hash ON document_versions(text_hash);
+
+-- ============================================
+-- Document authenticity
+-- Signs of edited documents, per document and per evaluation
+-- (services/authenticity.js)
+-- ============================================
+ALTER TABLE applications
+ADD COLUMN IF NOT EXISTS authenticity_result JSONB;
+
+ALTER TABLE application_documents
+ADD COLUMN IF NOT EXISTS authenticity JSONB;
+
+ALTER TABLE document_versions
+ADD COLUMN IF NOT EXISTS authenticity JSONB;
+
+-- ============================================
+-- Application cycles
+-- Applications are taken during cycles (services/cycles.js), with one
+-- active application per applicant and cycle. Existing applications keep
+-- cycle_id NULL ("earlier applications")
+-- ============================================
+CREATE TABLE IF NOT EXISTS application_cycles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  -- e.g. 'AY 2026-2027, 1st Semester'
+  name TEXT NOT NULL UNIQUE,
+  academic_year TEXT,
+  term TEXT,
+  opens_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  closes_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  CONSTRAINT application_cycles_dates CHECK (closes_at > opens_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_application_cycles_dates ON application_cycles(opens_at, closes_at);
+
+ALTER TABLE application_cycles ENABLE ROW LEVEL SECURITY;
+
+-- A first cycle opens with the upgrade, for six months; rename it and set the
+-- real dates from the admin API (PATCH /api/admin/cycles/:id)
+INSERT INTO application_cycles (name, opens_at, closes_at)
+SELECT 'First application cycle', NOW(), NOW() + INTERVAL '6 months'
+WHERE NOT EXISTS (SELECT 1 FROM application_cycles);
+
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS cycle_id UUID REFERENCES application_cycles(id);
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS withdrawn_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE applications ADD COLUMN IF NOT EXISTS replaced_by UUID REFERENCES applications(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_applications_cycle_id ON applications(cycle_id, status);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_applications_one_active ON applications(user_id, cycle_id)
+  WHERE status NOT IN ('draft', 'withdrawn');
+
+-- ============================================
+-- Email verification and password reset
+-- Single-use, expiring links emailed to the account (services/accounts.js).
+-- Accounts that existed before count as verified; new ones verify by email
+-- ============================================
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified_at'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified_at TIMESTAMP WITH TIME ZONE;
+    UPDATE users SET email_verified_at = COALESCE(created_at, NOW());
+  END IF;
+END $$;
+
+CREATE TABLE IF NOT EXISTS account_tokens (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL CHECK (purpose IN ('verify_email', 'reset_password')),
+  -- SHA-256 of the token; the token itself is only in the emailed link
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- Set when the link is used; a used token never works again
+  used_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_account_tokens_user ON account_tokens(user_id, purpose, created_at DESC);
+
+ALTER TABLE account_tokens ENABLE ROW LEVEL SECURITY;
+
+-- ============================================
+-- Sessions
+-- Short-lived access tokens with rotating refresh tokens, one session per
+-- signed-in device (services/sessions.js). Tokens issued before this have no
+-- session: everyone signs in again once
+-- ============================================
+CREATE TABLE IF NOT EXISTS sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  -- SHA-256 of the current refresh token; replaced on every refresh
+  refresh_token_hash TEXT NOT NULL UNIQUE,
+  -- The token it replaced: used again later, the session is revoked
+  previous_token_hash TEXT,
+  rotated_at TIMESTAMP WITH TIME ZONE,
+  user_agent TEXT,
+  ip_address TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  -- Pushed back on every refresh (SESSION_TTL_DAYS without use)
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  -- signed_out | signed_out_everywhere | password_reset | refresh_token_reused
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  revoked_reason TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions(user_id, last_used_at DESC);
+CREATE INDEX IF NOT EXISTS idx_sessions_previous_token ON sessions(previous_token_hash);
+
+ALTER TABLE sessions ENABLE ROW LEVEL SECURITY;
+
 -- Verify the changes
 SELECT column_name, data_type 
 FROM information_schema.columns 